@@ -0,0 +1,144 @@
+const ConfigStore = require('../utils/configStore');
+
+// Default API roots per environment
+const DEFAULT_ROOTS = {
+  production: 'https://api.nue.io',
+  sandbox: 'https://api.sandbox.nue.io'
+};
+
+// Path of each platform below the API root
+const PLATFORM_PATHS = {
+  platform: '',
+  lifecycle: '',
+  billing: '/billing',
+  integrations: '/integrations'
+};
+
+// Environment variables that override the API root per environment
+const ENV_ROOTS = {
+  production: 'NUE_API_URL',
+  sandbox: 'NUE_SANDBOX_API_URL'
+};
+
+let override = null;
+
+/**
+ * Single source of truth for API base URLs
+ *
+ * The API root for an environment is taken from, in order:
+ *   1. the global --api-url flag (setOverride)
+ *   2. the base URL of the selected profile (options.baseUrl)
+ *   3. NUE_API_URL / NUE_SANDBOX_API_URL
+ *   4. "endpoints" in ~/.nue/config.json, e.g. { "endpoints": { "sandbox": "http://localhost:4010" } }
+ *   5. the built-in Nue hosts
+ * The platform path (e.g. /billing) is then appended to the root.
+ */
+class EndpointRegistry {
+  /**
+   * Override the API root for every environment (used by --api-url)
+   * @param {string|null} url - API root, or null to clear
+   */
+  static setOverride(url) {
+    override = url ? this.normalize(url) : null;
+  }
+
+  /**
+   * The --api-url override in effect, if any
+   * @returns {string|null}
+   */
+  static getOverride() {
+    return override;
+  }
+
+  /**
+   * Get the environment name for client options
+   * @param {Object} options - { environment, sandbox }
+   * @returns {string} - 'production' or 'sandbox'
+   */
+  static getEnvironment(options = {}) {
+    if (options.environment) {
+      return options.environment;
+    }
+    return options.sandbox ? 'sandbox' : 'production';
+  }
+
+  /**
+   * Get the API root for an environment
+   * @param {Object} options - { environment, sandbox, baseUrl }
+   * @returns {string} - API root without trailing slash
+   */
+  static getRootUrl(options = {}) {
+    return this.describeRootUrl(options).url;
+  }
+
+  /**
+   * Get the API root for an environment along with where it came from
+   * @param {Object} options - { environment, sandbox, baseUrl }
+   * @returns {Object} - { url, source }
+   */
+  static describeRootUrl(options = {}) {
+    const environment = this.getEnvironment(options);
+
+    if (override) {
+      return { url: override, source: '--api-url' };
+    }
+
+    if (options.baseUrl) {
+      return { url: this.normalize(options.baseUrl), source: 'profile' };
+    }
+
+    const envVar = ENV_ROOTS[environment];
+    if (envVar && process.env[envVar]) {
+      return { url: this.normalize(process.env[envVar]), source: envVar };
+    }
+
+    const endpoints = ConfigStore.load().endpoints || {};
+    if (endpoints[environment]) {
+      return { url: this.normalize(endpoints[environment]), source: 'config' };
+    }
+
+    if (!DEFAULT_ROOTS[environment]) {
+      throw new Error(`Unknown environment '${environment}'. Valid environments are: ${Object.keys(DEFAULT_ROOTS).join(', ')}`);
+    }
+
+    return { url: DEFAULT_ROOTS[environment], source: 'default' };
+  }
+
+  /**
+   * Get the base URL for a platform in an environment
+   * @param {string} platform - 'platform', 'lifecycle', 'billing' or 'integrations'
+   * @param {Object} options - { environment, sandbox, baseUrl }
+   * @returns {string} - Base URL
+   */
+  static getBaseUrl(platform, options = {}) {
+    const platformPath = PLATFORM_PATHS[platform] !== undefined ? PLATFORM_PATHS[platform] : PLATFORM_PATHS.platform;
+    return `${this.getRootUrl(options)}${platformPath}`;
+  }
+
+  /**
+   * The built-in Nue host of an environment
+   * @param {string} environment - 'production' or 'sandbox'
+   * @returns {string|null}
+   */
+  static getDefaultRootUrl(environment) {
+    return DEFAULT_ROOTS[environment] || null;
+  }
+
+  static getSupportedEnvironments() {
+    return Object.keys(DEFAULT_ROOTS);
+  }
+
+  static normalize(url) {
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error();
+      }
+    } catch {
+      throw new Error(`Invalid API URL '${url}'`);
+    }
+    return url.replace(/\/+$/, '');
+  }
+}
+
+module.exports = { EndpointRegistry };
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const { RetryPolicy } = require('./retry-policy');
+const { HttpRecorder } = require('./http-recorder');
+
+HttpRecorder.install(axios);
+
+// Minimum time between redraws of the progress line
+const PROGRESS_INTERVAL = 250;
+
+/**
+ * Streams downloads to disk instead of buffering them in memory
+ *
+ * Data is written to "<file>.part" and renamed into place only once it is complete and
+ * matches any checksum the server declared, so the destination never holds a truncated file. A .part file left by an
+ * interrupted run is continued with an HTTP Range request; servers that ignore Range send
+ * the whole file again. The declared checksums are kept in "<file>.part.checksums" so a
+ * resumed file is checked as a whole too. Transient failures are retried with the retry
+ * policy, each attempt picking up where the previous one stopped.
+ */
+class FileDownloader {
+  /**
+   * @param {Object} options - { headers, retryPolicy, progress }
+   */
+  constructor(options = {}) {
+    this.headers = options.headers || {};
+    this.retryPolicy = options.retryPolicy || RetryPolicy.getDefault();
+    // The progress line is only drawn on a terminal, never into logs or pipes
+    this.progress = options.progress !== undefined ? options.progress : Boolean(process.stderr.isTTY);
+  }
+
+  /**
+   * Download a URL to a file
+   * @param {string} url - File URL
+   * @param {string} destination - File path
+   * @param {Object} options - { label } shown in the progress line
+   * @returns {Promise<Object>} - { path, bytes, sha256, resumed }
+   */
+  async download(url, destination, options = {}) {
+    const label = options.label || path.basename(destination);
+    const partPath = `${destination}.part`;
+    const checksumPath = `${partPath}.checksums`;
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+
+    let resumed = false;
+    const transfer = await this.retryPolicy.execute(async () => {
+      const attempt = await this.fetchToPart(url, partPath, label);
+      resumed = resumed || attempt.resumed;
+      return attempt;
+    }, { method: 'GET' });
+
+    const hashes = await FileDownloader.hashFile(partPath);
+    const mismatch = Object.keys(transfer.checksums).find(algorithm => transfer.checksums[algorithm] !== hashes[algorithm]);
+    if (mismatch) {
+      // A later run must start over rather than continue or accept the corrupt file
+      fs.rmSync(partPath, { force: true });
+      fs.rmSync(checksumPath, { force: true });
+      throw new Error(`Checksum mismatch for ${label}: expected ${mismatch.toUpperCase()} ${transfer.checksums[mismatch]}, ` +
+        `got ${hashes[mismatch]}. The download was discarded`);
+    }
+
+    fs.renameSync(partPath, destination);
+    fs.rmSync(checksumPath, { force: true });
+    return { path: destination, bytes: fs.statSync(destination).size, sha256: hashes.sha256, resumed };
+  }
+
+  /**
+   * Stream a URL into a writable stream (e.g. stdout) without resume support
+   * @param {string} url - File URL
+   * @param {Object} writable - Destination stream; left open
+   * @param {Object} options - { label }
+   */
+  async pipe(url, writable, options = {}) {
+    const response = await this.retryPolicy.execute(() => axios({
+      method: 'GET',
+      url,
+      headers: this.headers,
+      responseType: 'stream'
+    }), { method: 'GET' });
+
+    const progress = this.createProgress(options.label || url, 0, this.getTotalSize(response.headers, 0));
+    response.data.on('data', chunk => progress.update(chunk.length));
+    await pipeline(response.data, writable, { end: false });
+    progress.done();
+  }
+
+  /**
+   * One download attempt, appending to the .part file when the server honours Range
+   * @returns {Promise<Object>} - { resumed, checksums } where checksums cover the whole file
+   */
+  async fetchToPart(url, partPath, label) {
+    const checksumPath = `${partPath}.checksums`;
+    const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+    const headers = { ...this.headers };
+    if (offset > 0) {
+      headers.Range = `bytes=${offset}-`;
+    }
+
+    const response = await axios({
+      method: 'GET',
+      url,
+      headers,
+      responseType: 'stream',
+      validateStatus: status => (status >= 200 && status < 300) || status === 416
+    });
+
+    if (response.status === 416) {
+      response.data.resume();
+      const total = this.getTotalSize(response.headers, 0);
+      if (total === offset) {
+        // The .part file already holds the whole file
+        return { resumed: true, checksums: FileDownloader.readChecksums(checksumPath) };
+      }
+      // The remote file changed since the .part file was written
+      fs.unlinkSync(partPath);
+      fs.rmSync(checksumPath, { force: true });
+      return this.fetchToPart(url, partPath, label);
+    }
+
+    const append = offset > 0 && response.status === 206;
+    const start = append ? offset : 0;
+    // A fresh download records what the server declared before any byte is written, so a
+    // later run that resumes it can still check the whole file
+    const checksums = append ? FileDownloader.readChecksums(checksumPath) : this.getChecksums(response);
+    if (!append) {
+      FileDownloader.writeChecksums(checksumPath, checksums);
+    }
+    const total = this.getTotalSize(response.headers, start);
+    const progress = this.createProgress(label, start, total);
+
+    response.data.on('data', chunk => progress.update(chunk.length));
+    try {
+      await pipeline(response.data, fs.createWriteStream(partPath, { flags: append ? 'a' : 'w' }));
+    } finally {
+      progress.done();
+    }
+
+    const size = fs.statSync(partPath).size;
+    if (total !== null && size !== total) {
+      // Retried like a dropped connection; the next attempt resumes from here
+      const error = new Error(`Download of ${label} ended early (${size} of ${total} bytes)`);
+      error.code = 'ECONNRESET';
+      throw error;
+    }
+
+    return { resumed: append, checksums };
+  }
+
+  /**
+   * Full size of the remote file from Content-Range or Content-Length
+   * @returns {number|null}
+   */
+  getTotalSize(headers, start) {
+    const range = headers['content-range'];
+    const match = range && range.match(/\/(\d+)$/);
+    if (match) {
+      return Number(match[1]);
+    }
+    const length = headers['content-length'];
+    return length !== undefined && length !== '' ? start + Number(length) : null;
+  }
+
+  /**
+   * Checksums the server declared for the whole content, as hex: Content-MD5 and S3's
+   * x-amz-checksum-sha256 (both base64). ETags are never used, since with SSE-KMS, SSE-C or
+   * multipart uploads they are not an MD5 of the content. A 206 response covers only part
+   * of the file, so its checksums cannot be checked against the whole file.
+   * @returns {Object} - { md5, sha256 }, either may be missing
+   */
+  getChecksums(response) {
+    const checksums = {};
+    if (response.status !== 200) {
+      return checksums;
+    }
+    if (response.headers['content-md5']) {
+      checksums.md5 = Buffer.from(response.headers['content-md5'], 'base64').toString('hex');
+    }
+    if (response.headers['x-amz-checksum-sha256']) {
+      checksums.sha256 = Buffer.from(response.headers['x-amz-checksum-sha256'], 'base64').toString('hex');
+    }
+    return checksums;
+  }
+
+  /**
+   * Checksums saved next to a .part file by the run that started it
+   * @returns {Object} - { md5, sha256 }, empty when none were declared
+   */
+  static readChecksums(checksumPath) {
+    try {
+      return JSON.parse(fs.readFileSync(checksumPath, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  static writeChecksums(checksumPath, checksums) {
+    if (Object.keys(checksums).length > 0) {
+      fs.writeFileSync(checksumPath, JSON.stringify(checksums));
+    } else {
+      fs.rmSync(checksumPath, { force: true });
+    }
+  }
+
+  createProgress(label, received, total) {
+    let lastDraw = 0;
+    const draw = () => {
+      const amount = total
+        ? `${FileDownloader.formatBytes(received)} / ${FileDownloader.formatBytes(total)} (${Math.floor(received / total * 100)}%)`
+        : FileDownloader.formatBytes(received);
+      process.stderr.write(`\r  ${label}: ${amount}\x1b[K`);
+    };
+
+    return {
+      update: bytes => {
+        received += bytes;
+        if (this.progress && Date.now() - lastDraw >= PROGRESS_INTERVAL) {
+          lastDraw = Date.now();
+          draw();
+        }
+      },
+      done: () => {
+        if (this.progress && lastDraw) {
+          process.stderr.write('\r\x1b[K');
+        }
+      }
+    };
+  }
+
+  /**
+   * SHA-256 and MD5 of a file, read as a stream
+   * @returns {Promise<Object>} - { sha256, md5 } as hex
+   */
+  static async hashFile(filePath) {
+    const sha256 = crypto.createHash('sha256');
+    const md5 = crypto.createHash('md5');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      sha256.update(chunk);
+      md5.update(chunk);
+    }
+    return { sha256: sha256.digest('hex'), md5: md5.digest('hex') };
+  }
+
+  static formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+  }
+}
+
+module.exports = { FileDownloader };
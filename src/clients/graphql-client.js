@@ -1,21 +1,26 @@
 const axios = require('axios');
+const { EndpointRegistry } = require('./endpoint-registry');
+const { RateLimiter } = require('./rate-limiter');
+const { RetryPolicy } = require('./retry-policy');
+const { HttpRecorder } = require('./http-recorder');
+
+// NUE_RECORD / NUE_REPLAY capture or serve HTTP fixtures for offline runs
+HttpRecorder.install(axios);
+
+const GRAPHQL_PATH = '/async/graphql';
 
 class GraphQLClient {
   constructor(platform, options = {}) {
     this.platform = platform;
     this.apiKey = options.apiKey;
-    this.endpoint = `${this.getBaseUrl(options.sandbox)}/async/graphql`;
+    this.endpoint = `${EndpointRegistry.getBaseUrl(platform, options)}${GRAPHQL_PATH}`;
     this.timeout = options.timeout || 30000;
+    this.retryPolicy = options.retryPolicy || RetryPolicy.getDefault();
+    this.rateLimiter = options.rateLimiter || RateLimiter.forEnvironment(EndpointRegistry.getEnvironment(options));
   }
 
   getBaseUrl(sandbox = false) {
-    const baseUrls = {
-      platform: sandbox ? 'https://api.sandbox.nue.io' : 'https://api.nue.io',
-      lifecycle: sandbox ? 'https://api.sandbox.nue.io/lifecycle' : 'https://api.nue.io/lifecycle',
-      billing: sandbox ? 'https://api.sandbox.nue.io/billing' : 'https://api.nue.io/billing',
-      integrations: sandbox ? 'https://api.sandbox.nue.io/integrations' : 'https://api.nue.io/integrations'
-    };
-    return baseUrls[this.platform] || baseUrls.platform;
+    return EndpointRegistry.getBaseUrl(this.platform, { sandbox });
   }
 
   getHeaders() {
@@ -47,7 +52,8 @@ class GraphQLClient {
     };
 
     try {
-      const response = await axios(config);
+      // A query reads only, so it is retried like a GET even though it is sent as a POST
+      const response = await this.send(config, !GraphQLClient.isMutation(query));
       return response.data;
     } catch (error) {
       this.handleError(error);
@@ -71,13 +77,34 @@ class GraphQLClient {
     };
 
     try {
-      const response = await axios(config);
+      // Retried only when options.headers carries an Idempotency-Key
+      const response = await this.send(config, false);
       return response.data;
     } catch (error) {
       this.handleError(error);
     }
   }
 
+  /**
+   * Whether a GraphQL document is a mutation; # comments before the operation are skipped
+   * @param {string} query - GraphQL document
+   * @returns {boolean}
+   */
+  static isMutation(query) {
+    return /^\s*mutation\b/.test(query.replace(/#[^\r\n]*/g, ''));
+  }
+
+  /**
+   * Send a request through the shared rate limiter, retrying transient failures when it is safe
+   * @param {Object} config - Axios request config
+   * @param {boolean} readOnly - Whether the request changes nothing
+   * @returns {Promise<Object>} - Axios response
+   */
+  async send(config, readOnly) {
+    return this.retryPolicy.execute(() => this.rateLimiter.schedule(() => axios(config)),
+      { method: config.method, headers: config.headers, readOnly });
+  }
+
   async subscription(query, variables = {}, options = {}) {
     // For subscriptions, we might need WebSocket support
     // For now, we'll use polling as a fallback
@@ -109,7 +136,7 @@ class GraphQLClient {
   }
 
   setSandbox(sandbox) {
-    this.endpoint = `${this.getBaseUrl(sandbox)}/graphql`;
+    this.endpoint = `${this.getBaseUrl(sandbox)}${GRAPHQL_PATH}`;
   }
 
   // Helper method for common metadata queries
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// Header names whose values are never written to fixtures
+const SECRET_HEADER_PATTERN = /(api[-_]?key|authorization|cookie|token|secret)/i;
+
+// Query parameter names whose values are never written to fixtures
+const SECRET_PARAM_PATTERN = /(api[-_]?key|token|secret|signature|password)/i;
+
+const REDACTED = '[REDACTED]';
+
+let installed = false;
+
+/**
+ * HTTP record/replay for offline runs and CI
+ *
+ * NUE_RECORD=<dir> captures every request made through axios (RestClient, GraphQLClient,
+ * ApiClient and the download helpers) into JSON fixtures in <dir>. NUE_REPLAY=<dir> serves
+ * those fixtures back without touching the network and fails any request that has no fixture.
+ *
+ * Requests are matched by method, path, sorted query string and a SHA-256 hash of the body;
+ * the host is ignored so fixtures recorded against one tenant replay against any base URL.
+ * Repeated identical requests (e.g. job status polling) are stored in order and replayed in
+ * the same order, the last response repeating once the recording is exhausted. A fixture
+ * file is rewritten the first time its request is seen in a recording run.
+ */
+class HttpRecorder {
+  constructor(mode, directory, transport) {
+    this.mode = mode;
+    this.directory = path.resolve(directory);
+    this.transport = transport;
+    this.recorded = new Set();
+    this.replayCounts = new Map();
+  }
+
+  /**
+   * Install the recorder as the default adapter of an axios instance when
+   * NUE_RECORD or NUE_REPLAY is set. Safe to call more than once.
+   * @param {Object} axios - axios instance
+   */
+  static install(axios = require('axios')) {
+    if (installed) {
+      return;
+    }
+
+    const { NUE_RECORD: recordDir, NUE_REPLAY: replayDir } = process.env;
+    if (!recordDir && !replayDir) {
+      return;
+    }
+    if (recordDir && replayDir) {
+      throw new Error('NUE_RECORD and NUE_REPLAY cannot be used together');
+    }
+
+    const transport = axios.getAdapter(axios.defaults.adapter);
+    const recorder = recordDir
+      ? new HttpRecorder('record', recordDir, transport)
+      : new HttpRecorder('replay', replayDir, transport);
+
+    if (recorder.mode === 'replay' && !fs.existsSync(recorder.directory)) {
+      throw new Error(`NUE_REPLAY directory does not exist: ${recorder.directory}`);
+    }
+
+    axios.defaults.adapter = config => recorder.handle(config, axios);
+    installed = true;
+  }
+
+  async handle(config, axios) {
+    const request = this.describeRequest(config, axios);
+
+    if (this.mode === 'replay') {
+      return this.settle(this.toAxiosResponse(this.replay(request), config), config, axios);
+    }
+
+    const response = await this.transport({ ...config, validateStatus: () => true });
+    const recorded = await this.record(request, response);
+    return this.settle(this.toAxiosResponse(recorded, config, response.request), config, axios);
+  }
+
+  /**
+   * Build the matching key and the redacted description of a request
+   */
+  describeRequest(config, axios) {
+    const url = new URL(axios.getUri(config));
+    const method = (config.method || 'get').toUpperCase();
+
+    const query = [...url.searchParams.entries()]
+      .sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue));
+    const queryString = query.map(([name, value]) => `${name}=${value}`).join('&');
+    const bodyHash = this.hashBody(config.data);
+
+    const key = crypto.createHash('sha256')
+      .update([method, url.pathname, queryString, bodyHash].join('\n'))
+      .digest('hex');
+
+    return {
+      key,
+      fileName: this.getFileName(method, url.pathname, key),
+      method,
+      path: url.pathname,
+      query: Object.fromEntries(query.map(([name, value]) => [name, SECRET_PARAM_PATTERN.test(name) ? REDACTED : value])),
+      headers: this.redactHeaders(config.headers),
+      bodyHash
+    };
+  }
+
+  hashBody(data) {
+    const hash = crypto.createHash('sha256');
+
+    if (data === undefined || data === null) {
+      hash.update('');
+    } else if (typeof data === 'string' || Buffer.isBuffer(data)) {
+      hash.update(data);
+    } else if (typeof data.getBoundary === 'function' && Array.isArray(data._streams)) {
+      // Multipart (form-data) body: hash the parts with a fixed boundary so
+      // the random boundary does not change the key between runs
+      const boundary = data.getBoundary();
+      for (const part of data._streams) {
+        if (typeof part === 'string') {
+          hash.update(part.split(boundary).join('BOUNDARY'));
+        } else if (Buffer.isBuffer(part)) {
+          hash.update(part);
+        } else if (part && part.path) {
+          hash.update(fs.readFileSync(part.path));
+        }
+      }
+    } else {
+      hash.update(JSON.stringify(data));
+    }
+
+    return hash.digest('hex');
+  }
+
+  getFileName(method, pathname, key) {
+    const slug = pathname.replace(/^\/+/, '').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+    return `${method}-${slug || 'root'}-${key.slice(0, 12)}.json`;
+  }
+
+  redactHeaders(headers = {}) {
+    const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+    return Object.fromEntries(Object.entries(plain)
+      .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'object')
+      .map(([name, value]) => [name, SECRET_HEADER_PATTERN.test(name) ? REDACTED : String(value)]));
+  }
+
+  async record(request, response) {
+    const body = await this.readBody(response.data);
+    const entry = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: this.redactHeaders(response.headers),
+      encoding: body.encoding,
+      body: body.content
+    };
+
+    const filePath = path.join(this.directory, request.fileName);
+    let fixture = null;
+    if (this.recorded.has(request.key) && fs.existsSync(filePath)) {
+      fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } else {
+      const { key, fileName, ...description } = request;
+      fixture = { request: description, responses: [] };
+    }
+
+    fixture.responses.push(entry);
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+    this.recorded.add(request.key);
+
+    return entry;
+  }
+
+  /**
+   * Read a response body into a storable form; streams are buffered
+   */
+  async readBody(data) {
+    if (data && typeof data.pipe === 'function') {
+      const chunks = [];
+      for await (const chunk of data) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      }
+      data = Buffer.concat(chunks);
+    }
+
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+      return { encoding: 'base64', content: Buffer.from(data).toString('base64') };
+    }
+    if (typeof data === 'string') {
+      return { encoding: 'utf8', content: data };
+    }
+    return { encoding: 'utf8', content: data === undefined ? '' : JSON.stringify(data) };
+  }
+
+  replay(request) {
+    const filePath = path.join(this.directory, request.fileName);
+    if (!fs.existsSync(filePath)) {
+      const error = new Error(`No recorded response for ${request.method} ${request.path} (fixture ${request.fileName} not found in ${this.directory})`);
+      error.code = 'ERR_NUE_REPLAY_MISS';
+      throw error;
+    }
+
+    const { responses } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const count = this.replayCounts.get(request.key) || 0;
+    this.replayCounts.set(request.key, count + 1);
+
+    return responses[Math.min(count, responses.length - 1)];
+  }
+
+  toAxiosResponse(entry, config, request = null) {
+    let data = entry.encoding === 'base64' ? Buffer.from(entry.body, 'base64') : entry.body;
+
+    if (config.responseType === 'stream') {
+      data = Readable.from([Buffer.from(data)]);
+    } else if (config.responseType === 'arraybuffer') {
+      data = Buffer.from(data);
+    } else if (Buffer.isBuffer(data)) {
+      data = data.toString('utf8');
+    }
+
+    return {
+      data,
+      status: entry.status,
+      statusText: entry.statusText,
+      headers: entry.headers,
+      config,
+      request
+    };
+  }
+
+  /**
+   * Resolve or reject the way axios itself does for the response status
+   */
+  settle(response, config, axios) {
+    const validateStatus = config.validateStatus;
+    if (!response.status || !validateStatus || validateStatus(response.status)) {
+      return response;
+    }
+
+    const code = response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST;
+    throw new axios.AxiosError(`Request failed with status code ${response.status}`, code, config, response.request, response);
+  }
+}
+
+module.exports = { HttpRecorder };
@@ -1,5 +1,15 @@
 const RestClient = require('./rest-client');
 
+// Status endpoints of the Nue async job kinds, in the order they are probed when the
+// kind is not known (same fallback order as ApiClient.getImportJobStatus)
+const ASYNC_JOB_ENDPOINTS = {
+  import: ['/cpq/async/imports/revenue-builder-data/', '/cpq/async/imports/'],
+  export: ['/cpq/async/exports/'],
+  'transaction-hub': ['/revenue/transaction-hub/async-job/']
+};
+
+const ASYNC_JOB_KINDS = Object.keys(ASYNC_JOB_ENDPOINTS);
+
 class JobClient extends RestClient {
   constructor(platform, options = {}) {
     super(platform, options);
@@ -102,6 +112,133 @@ class JobClient extends RestClient {
     }
   }
 
+  /**
+   * Get an export, import or transaction-hub job, detecting its kind when not given
+   * @param {string} jobId - Job ID
+   * @param {string} kind - 'export', 'import' or 'transaction-hub' (optional)
+   * @returns {Promise<Object>} - Normalized job (see normalizeAsyncJob)
+   */
+  async getAsyncJob(jobId, kind = null) {
+    if (kind && !ASYNC_JOB_ENDPOINTS[kind]) {
+      throw new Error(`Invalid job kind '${kind}'. Valid kinds are: ${ASYNC_JOB_KINDS.join(', ')}`);
+    }
+
+    const kinds = kind ? [kind] : ASYNC_JOB_KINDS;
+    for (const candidate of kinds) {
+      for (const endpoint of ASYNC_JOB_ENDPOINTS[candidate]) {
+        try {
+          const status = await this.get(`${endpoint}${jobId}`);
+          return JobClient.normalizeAsyncJob(jobId, candidate, status);
+        } catch (error) {
+          // Not a job of this kind, try the next endpoint
+          if (error.status !== 404) {
+            throw error;
+          }
+        }
+      }
+    }
+
+    throw new Error(`Job ${jobId} was not found as ${kind ? `a ${kind}` : 'an export, import or transaction-hub'} job`);
+  }
+
+  /**
+   * Poll an async job until it reaches a terminal state
+   * @param {string} jobId - Job ID
+   * @param {Object} options - { kind, pollingInterval, maxPollingTime, onPoll(job) }
+   * @returns {Promise<Object>} - Final normalized job
+   */
+  async waitForAsyncJob(jobId, options = {}) {
+    const startTime = Date.now();
+    const pollingInterval = options.pollingInterval || this.pollingInterval;
+    const maxPollingTime = options.maxPollingTime || this.maxPollingTime;
+    let kind = options.kind || null;
+
+    while (true) {
+      const job = await this.getAsyncJob(jobId, kind);
+      kind = job.kind;
+
+      if (options.onPoll) {
+        options.onPoll(job);
+      }
+
+      if (job.terminal) {
+        return job;
+      }
+
+      if (Date.now() - startTime > maxPollingTime) {
+        throw new Error(`Job ${jobId} timed out after ${maxPollingTime / 1000} seconds`);
+      }
+
+      await this.sleep(pollingInterval);
+    }
+  }
+
+  /**
+   * Map the status payload of any async job kind onto one shape
+   *
+   * state is one of 'processing', 'completed', 'partial', 'failed' or 'cancelled'.
+   * Exports report partial success as Failed with some completed objects, imports
+   * as PartialCompleted or Failed with some completed import jobs.
+   *
+   * @returns {Object} - { jobId, kind, status, state, terminal, objects, error, raw }
+   */
+  static normalizeAsyncJob(jobId, kind, status = {}) {
+    const rawStatus = String(status.status || 'Unknown');
+    const objects = kind === 'export'
+      ? (status.objects || []).map(obj => ({
+        name: obj.name,
+        status: obj.status,
+        totalSize: obj.totalSize,
+        fileUrls: obj.fileUrls || [],
+        errors: obj.errors || []
+      }))
+      : (status.importJobs || []).map(job => ({
+        name: job.objectName || job.name,
+        status: job.status,
+        totalSize: job.totalSize,
+        fileUrls: [],
+        errors: job.errors || []
+      }));
+
+    const succeeded = objects.some(obj => ['Completed', 'PartialCompleted'].includes(obj.status) ||
+      (obj.status === 'Failed' && obj.totalSize === 0 && obj.errors.some(error => error.includes('No ') && error.includes(' fetched'))));
+
+    let state;
+    switch (rawStatus.toLowerCase()) {
+      case 'completed':
+      case 'succeeded':
+        state = 'completed';
+        break;
+      case 'partialcompleted':
+        state = 'partial';
+        break;
+      case 'failed':
+        state = succeeded ? 'partial' : 'failed';
+        break;
+      case 'cancelled':
+      case 'canceled':
+        state = 'cancelled';
+        break;
+      default:
+        state = 'processing';
+    }
+
+    return {
+      jobId: status.jobId || status.jobid || jobId,
+      kind,
+      status: rawStatus,
+      state,
+      terminal: state !== 'processing',
+      objects,
+      error: status.error || null,
+      raw: status
+    };
+  }
+
+  static getAsyncJobKinds() {
+    return ASYNC_JOB_KINDS;
+  }
+
   async sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -0,0 +1,141 @@
+const ConfigStore = require('../utils/configStore');
+
+const DEFAULTS = {
+  requestsPerSecond: 10,
+  maxInFlight: 5
+};
+
+// One limiter per environment, shared by every client in the process
+const limiters = new Map();
+
+// Overrides from the command line (--rate-limit, --max-in-flight)
+let overrides = {};
+
+/**
+ * Token-bucket rate limiter with a cap on concurrent requests
+ *
+ * Requests are started in FIFO order once a token is available and fewer than
+ * maxInFlight requests are running. Settings per environment are taken from, in order:
+ * --rate-limit / --max-in-flight (configure), "rateLimit" in ~/.nue/config.json
+ * (e.g. { "rateLimit": { "production": { "requestsPerSecond": 5, "maxInFlight": 2 } } }),
+ * then the defaults above. A requestsPerSecond or maxInFlight of 0 disables that limit.
+ */
+class RateLimiter {
+  constructor(settings = {}) {
+    this.requestsPerSecond = settings.requestsPerSecond !== undefined ? settings.requestsPerSecond : DEFAULTS.requestsPerSecond;
+    this.maxInFlight = settings.maxInFlight !== undefined ? settings.maxInFlight : DEFAULTS.maxInFlight;
+    this.burst = settings.burst || Math.max(1, Math.ceil(this.requestsPerSecond));
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.inFlight = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Set process-wide overrides from command-line flags
+   * Limiters created before this call keep their settings.
+   * @param {Object} settings - { requestsPerSecond, maxInFlight }
+   */
+  static configure(settings = {}) {
+    const parsed = {};
+
+    if (settings.requestsPerSecond !== undefined) {
+      const value = Number(settings.requestsPerSecond);
+      if (isNaN(value) || value < 0) {
+        throw new Error('--rate-limit must be a non-negative number');
+      }
+      parsed.requestsPerSecond = value;
+    }
+    if (settings.maxInFlight !== undefined) {
+      const value = Number(settings.maxInFlight);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error('--max-in-flight must be a non-negative integer');
+      }
+      parsed.maxInFlight = value;
+    }
+
+    overrides = { ...overrides, ...parsed };
+    limiters.clear();
+  }
+
+  /**
+   * Get the shared limiter for an environment
+   * @param {string} environment - 'production' or 'sandbox'
+   * @returns {RateLimiter}
+   */
+  static forEnvironment(environment = 'production') {
+    if (!limiters.has(environment)) {
+      const config = ConfigStore.load().rateLimit || {};
+      limiters.set(environment, new RateLimiter({
+        ...(config.default || {}),
+        ...(config[environment] || {}),
+        ...overrides
+      }));
+    }
+    return limiters.get(environment);
+  }
+
+  /**
+   * Run a request function once the limiter allows it
+   * @param {Function} fn - Function returning a promise
+   * @returns {Promise<any>} - Result of fn
+   */
+  async schedule(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  release() {
+    this.inFlight--;
+    this.drain();
+  }
+
+  drain() {
+    if (this.timer) {
+      return; // A refill is already scheduled
+    }
+
+    while (this.queue.length > 0) {
+      if (this.maxInFlight > 0 && this.inFlight >= this.maxInFlight) {
+        return; // release() drains again when a request finishes
+      }
+
+      if (this.requestsPerSecond > 0) {
+        this.refill();
+        if (this.tokens < 1) {
+          const wait = Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000);
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.drain();
+          }, wait);
+          return;
+        }
+        this.tokens -= 1;
+      }
+
+      this.inFlight++;
+      this.queue.shift()();
+    }
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.requestsPerSecond);
+    this.lastRefill = now;
+  }
+}
+
+module.exports = { RateLimiter };
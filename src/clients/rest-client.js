@@ -1,22 +1,25 @@
 const axios = require('axios');
 const chalk = require('chalk');
+const { EndpointRegistry } = require('./endpoint-registry');
+const { RetryPolicy, IDEMPOTENCY_HEADER } = require('./retry-policy');
+const { RateLimiter } = require('./rate-limiter');
+const { HttpRecorder } = require('./http-recorder');
+
+// NUE_RECORD / NUE_REPLAY capture or serve HTTP fixtures for offline runs
+HttpRecorder.install(axios);
 
 class RestClient {
   constructor(platform, options = {}) {
     this.platform = platform;
     this.apiKey = options.apiKey;
-    this.baseUrl = this.getBaseUrl(options.sandbox);
+    this.baseUrl = EndpointRegistry.getBaseUrl(platform, options);
     this.timeout = options.timeout || 30000;
+    this.retryPolicy = options.retryPolicy || RetryPolicy.getDefault();
+    this.rateLimiter = options.rateLimiter || RateLimiter.forEnvironment(EndpointRegistry.getEnvironment(options));
   }
 
   getBaseUrl(sandbox = false) {
-    const baseUrls = {
-      platform: sandbox ? 'https://api.sandbox.nue.io' : 'https://api.nue.io',
-      lifecycle: sandbox ? 'https://api.sandbox.nue.io' : 'https://api.nue.io',
-      billing: sandbox ? 'https://api.sandbox.nue.io/billing' : 'https://api.nue.io/billing',
-      integrations: sandbox ? 'https://api.sandbox.nue.io/integrations' : 'https://api.nue.io/integrations'
-    };
-    return baseUrls[this.platform] || baseUrls.platform;
+    return EndpointRegistry.getBaseUrl(this.platform, { sandbox });
   }
 
   getHeaders() {
@@ -67,7 +70,7 @@ class RestClient {
     };
 
     try {
-      const response = await axios(config);
+      const response = await this.send(config);
       return response.data;
     } catch (error) {
       this.handleError(error);
@@ -78,7 +81,13 @@ class RestClient {
     const url = `${this.baseUrl}${endpoint}`;
     
     // Use provided headers if available, otherwise use default headers
-    const headers = options.headers || this.getHeaders();
+    const { idempotencyKey, ...requestOptions } = options;
+    const headers = { ...(options.headers || this.getHeaders()) };
+
+    // POSTs are only retried when they carry an idempotency key
+    if (idempotencyKey) {
+      headers[IDEMPOTENCY_HEADER] = idempotencyKey;
+    }
     
     // Debug logging for POST requests
     if (process.env.NUE_DEBUG || process.env.NUE_VERBOSE) {
@@ -90,14 +99,14 @@ class RestClient {
     const config = {
       method: 'POST',
       url,
-      headers,
       timeout: this.timeout,
       data,
-      ...options
+      ...requestOptions,
+      headers
     };
 
     try {
-      const response = await axios(config);
+      const response = await this.send(config);
       return response.data;
     } catch (error) {
       this.handleError(error);
@@ -116,7 +125,7 @@ class RestClient {
     };
 
     try {
-      const response = await axios(config);
+      const response = await this.send(config);
       return response.data;
     } catch (error) {
       this.handleError(error);
@@ -134,7 +143,7 @@ class RestClient {
     };
 
     try {
-      const response = await axios(config);
+      const response = await this.send(config);
       return response.data;
     } catch (error) {
       this.handleError(error);
@@ -153,13 +162,19 @@ class RestClient {
     };
 
     try {
-      const response = await axios(config);
+      const response = await this.send(config);
       return response.data;
     } catch (error) {
       this.handleError(error);
     }
   }
 
+  async send(config) {
+    // Transient failures (429, 502, timeouts...) are retried according to the retry policy;
+    // every attempt waits its turn in the shared rate limiter
+    return await this.retryPolicy.execute(() => this.rateLimiter.schedule(() => axios(config)), config);
+  }
+
   handleError(error) {
     if (error.response) {
       // Server responded with error status
@@ -177,7 +192,11 @@ class RestClient {
         console.error(chalk.red('=== End Error Details ==='));
       }
       
-      throw new Error(`API Error (${status}): ${message}`);
+      // Keep the status so callers can tell a missing resource from other failures
+      const apiError = new Error(`API Error (${status}): ${message}`);
+      apiError.status = status;
+      apiError.response = error.response;
+      throw apiError;
     } else if (error.request) {
       // Request was made but no response received
       throw new Error('No response received from API server');
@@ -197,7 +216,9 @@ class RestClient {
 
   async downloadFile(url) {
     try {
-      const response = await axios.get(url, {
+      const response = await this.send({
+        method: 'GET',
+        url,
         headers: {
           'nue-api-key': this.apiKey
         },
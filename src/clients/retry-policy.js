@@ -0,0 +1,192 @@
+const ConfigStore = require('../utils/configStore');
+const Logger = require('../utils/logger');
+
+const DEFAULTS = {
+  retries: 3,
+  baseDelay: 500,
+  maxDelay: 30000
+};
+
+// Verbs that are safe to repeat; POST is only retried when it carries an idempotency key or is read-only
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND', 'ECONNREFUSED'];
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// Overrides from the command line (--retries, --retry-max-delay)
+let overrides = {};
+
+/**
+ * Retry with exponential backoff, full jitter and Retry-After support
+ *
+ * Settings are taken from, in order: --retries / --retry-max-delay (configure),
+ * "retry" in ~/.nue/config.json, then the defaults above.
+ */
+class RetryPolicy {
+  constructor(settings = {}) {
+    this.retries = settings.retries !== undefined ? settings.retries : DEFAULTS.retries;
+    this.baseDelay = settings.baseDelay !== undefined ? settings.baseDelay : DEFAULTS.baseDelay;
+    this.maxDelay = settings.maxDelay !== undefined ? settings.maxDelay : DEFAULTS.maxDelay;
+    this.onRetry = settings.onRetry || RetryPolicy.logRetry;
+    this.onGiveUp = settings.onGiveUp || RetryPolicy.logGiveUp;
+  }
+
+  /**
+   * Set process-wide overrides from command-line flags
+   * @param {Object} settings - { retries, maxDelay }
+   */
+  static configure(settings = {}) {
+    const parsed = {};
+
+    if (settings.retries !== undefined) {
+      parsed.retries = RetryPolicy.parseNonNegativeInt(settings.retries, '--retries');
+    }
+    if (settings.maxDelay !== undefined) {
+      parsed.maxDelay = RetryPolicy.parseNonNegativeInt(settings.maxDelay, '--retry-max-delay');
+    }
+
+    overrides = { ...overrides, ...parsed };
+  }
+
+  /**
+   * Build the policy in effect for this process
+   * @returns {RetryPolicy}
+   */
+  static getDefault() {
+    const config = ConfigStore.load().retry || {};
+    return new RetryPolicy({ ...config, ...overrides });
+  }
+
+  static parseNonNegativeInt(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`${name} must be a non-negative integer`);
+    }
+    return number;
+  }
+
+  /**
+   * Run a request function, retrying transient failures
+   * @param {Function} fn - Function returning a promise (e.g. () => axios(config))
+   * @param {Object} request - { method, headers } of the request being made; readOnly: true marks
+   *   a POST that changes nothing (e.g. a GraphQL query) as safe to repeat
+   * @returns {Promise<any>} - Result of fn
+   */
+  async execute(fn, request = {}) {
+    const retryable = this.isRetryableRequest(request);
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (!retryable || attempt >= this.retries || !this.isRetryableError(error)) {
+          throw error;
+        }
+
+        attempt++;
+        const delay = this.getDelay(attempt, error);
+        // Only a Retry-After can ask for more than maxDelay; retrying sooner would be refused again
+        if (delay > this.maxDelay) {
+          error.retryAfter = delay;
+          this.onGiveUp({ error, delay, maxDelay: this.maxDelay, request });
+          throw error;
+        }
+        this.onRetry({ error, attempt, retries: this.retries, delay, request });
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  isRetryableRequest(request) {
+    const method = (request.method || 'GET').toUpperCase();
+    if (IDEMPOTENT_METHODS.includes(method) || request.readOnly) {
+      return true;
+    }
+
+    return method === 'POST' && Boolean(RetryPolicy.getIdempotencyKey(request.headers));
+  }
+
+  isRetryableError(error) {
+    if (error.response) {
+      return RETRYABLE_STATUSES.includes(error.response.status);
+    }
+
+    // No response: network failures and timeouts
+    return Boolean(error.request) || RETRYABLE_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Delay before the next attempt
+   * Retry-After wins when present and is never shortened; otherwise exponential backoff
+   * with full jitter, capped at maxDelay.
+   */
+  getDelay(attempt, error) {
+    const retryAfter = this.parseRetryAfter(error.response && error.response.headers);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  /**
+   * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+   */
+  parseRetryAfter(headers) {
+    if (!headers) {
+      return null;
+    }
+
+    const value = typeof headers.get === 'function'
+      ? headers.get('retry-after')
+      : headers['retry-after'] || headers['Retry-After'];
+
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+
+  async sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  static getIdempotencyKey(headers = {}) {
+    if (!headers) {
+      return null;
+    }
+
+    const name = Object.keys(headers).find(key => key.toLowerCase() === IDEMPOTENCY_HEADER.toLowerCase());
+    return name ? headers[name] : null;
+  }
+
+  static logRetry({ error, attempt, retries, delay, request }) {
+    const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+    Logger.warning(`${(request.method || 'GET').toUpperCase()} request failed (${reason}), retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt}/${retries})`);
+  }
+
+  static logGiveUp({ error, delay, maxDelay, request }) {
+    const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+    Logger.warning(`${(request.method || 'GET').toUpperCase()} request failed (${reason}) and the server asked to wait ` +
+      `${(delay / 1000).toFixed(1)}s before retrying, longer than --retry-max-delay (${(maxDelay / 1000).toFixed(1)}s); not retrying. ` +
+      'Try again later, or raise --retry-max-delay');
+  }
+}
+
+module.exports = { RetryPolicy, IDEMPOTENCY_HEADER };
@@ -0,0 +1,74 @@
+const chalk = require('chalk');
+const { ProfileManager, ENVIRONMENTS, FORMATS } = require('../../../services/profile-manager');
+
+class AddProfileCommand {
+  constructor() {
+    this.profileManager = new ProfileManager();
+  }
+
+  register(program) {
+    program
+      .command('add')
+      .description('Add a named connection profile')
+      .argument('<name>', 'Profile name (e.g. uat, sandbox-eu)')
+      .option('--key <apiKey>', 'API key for this profile')
+      .option('--environment <env>', `Environment (${ENVIRONMENTS.join(', ')})`, 'production')
+      .option('--base-url <url>', 'API base URL (defaults to the Nue host for the environment)')
+      .option('--format <format>', `Default output format for commands that support it (${FORMATS.join(', ')})`)
+      .option('--use', 'Make this the active profile')
+      .option('--force', 'Overwrite an existing profile')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(name, options) {
+    try {
+      // Get API key from options or prompt
+      let apiKey = options.key;
+      if (!apiKey) {
+        const readline = require('readline');
+        const rl = readline.createInterface({
+          input: process.stdin,
+          output: process.stdout
+        });
+
+        apiKey = await new Promise((resolve) => {
+          rl.question(`Enter the API key for profile '${name}': `, (answer) => {
+            rl.close();
+            resolve(answer.trim());
+          });
+        });
+      }
+
+      if (!apiKey) {
+        throw new Error('API key is required');
+      }
+
+      // Validate API key format (basic validation)
+      if (apiKey.length < 10) {
+        throw new Error('API key appears to be invalid (too short)');
+      }
+
+      const profile = this.profileManager.addProfile(name, {
+        apiKey,
+        environment: options.environment,
+        baseUrl: options.baseUrl,
+        format: options.format
+      }, {
+        use: options.use,
+        force: options.force
+      });
+
+      console.log(chalk.green(`Profile '${name}' saved (${profile.environment}).`));
+      if (this.profileManager.getActiveProfileName() === name) {
+        console.log(chalk.blue(`'${name}' is now the active profile.`));
+      } else {
+        console.log(chalk.blue(`Run 'nue profile use ${name}' to make it active, or pass --profile ${name}.`));
+      }
+    } catch (error) {
+      console.error(chalk.red('Failed to add profile:'), error.message);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = AddProfileCommand;
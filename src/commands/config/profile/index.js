@@ -0,0 +1,13 @@
+const AddProfileCommand = require('./add');
+const ListProfilesCommand = require('./list');
+const UseProfileCommand = require('./use');
+const RemoveProfileCommand = require('./remove');
+const ShowProfileCommand = require('./show');
+
+module.exports = {
+  add: AddProfileCommand,
+  list: ListProfilesCommand,
+  use: UseProfileCommand,
+  remove: RemoveProfileCommand,
+  show: ShowProfileCommand
+};
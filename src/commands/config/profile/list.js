@@ -0,0 +1,47 @@
+const chalk = require('chalk');
+const { ProfileManager } = require('../../../services/profile-manager');
+
+class ListProfilesCommand {
+  constructor() {
+    this.profileManager = new ProfileManager();
+  }
+
+  register(program) {
+    program
+      .command('list')
+      .description('List connection profiles')
+      .option('--json', 'Output as JSON (API keys are masked)')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(options) {
+    try {
+      const profiles = this.profileManager.listProfiles();
+
+      if (options.json) {
+        console.log(JSON.stringify(profiles.map(profile => ({
+          ...profile,
+          apiKey: ProfileManager.maskApiKey(profile.apiKey)
+        })), null, 2));
+        return;
+      }
+
+      if (profiles.length === 0) {
+        console.log(chalk.yellow('No profiles configured.'));
+        console.log(chalk.blue('Add one with: nue profile add <name> --environment sandbox'));
+        return;
+      }
+
+      profiles.forEach(profile => {
+        const marker = profile.active ? chalk.green('*') : ' ';
+        const details = [profile.environment, profile.baseUrl, profile.format].filter(Boolean).join(', ');
+        console.log(`${marker} ${chalk.cyan(profile.name.padEnd(20))}${details}`);
+      });
+    } catch (error) {
+      console.error(chalk.red('Failed to list profiles:'), error.message);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = ListProfilesCommand;
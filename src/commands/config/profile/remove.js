@@ -0,0 +1,33 @@
+const chalk = require('chalk');
+const { ProfileManager } = require('../../../services/profile-manager');
+
+class RemoveProfileCommand {
+  constructor() {
+    this.profileManager = new ProfileManager();
+  }
+
+  register(program) {
+    program
+      .command('remove')
+      .description('Remove a connection profile')
+      .argument('<name>', 'Profile name')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(name) {
+    try {
+      const wasActive = this.profileManager.getActiveProfileName() === name;
+      this.profileManager.removeProfile(name);
+
+      console.log(chalk.green(`Profile '${name}' removed.`));
+      if (wasActive) {
+        console.log(chalk.yellow('No profile is active now. Run \'nue profile use <name>\' to pick one.'));
+      }
+    } catch (error) {
+      console.error(chalk.red('Failed to remove profile:'), error.message);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = RemoveProfileCommand;
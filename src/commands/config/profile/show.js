@@ -0,0 +1,38 @@
+const chalk = require('chalk');
+const { ProfileManager } = require('../../../services/profile-manager');
+const { EndpointRegistry } = require('../../../clients/endpoint-registry');
+
+class ShowProfileCommand {
+  constructor() {
+    this.profileManager = new ProfileManager();
+  }
+
+  register(program) {
+    program
+      .command('show')
+      .description('Show a profile, or the connection the CLI would use right now')
+      .argument('[name]', 'Profile name (default: the resolved profile)')
+      .option('--sandbox', 'Resolve as if --sandbox were passed')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(name, options, command) {
+    try {
+      // --profile is a global option, so read it from the program
+      const profile = name || command.optsWithGlobals().profile;
+      const connection = this.profileManager.resolve({ ...options, profile });
+
+      console.log(`${chalk.cyan('Profile'.padEnd(14))}${connection.profile || '(none)'}`);
+      console.log(`${chalk.cyan('Environment'.padEnd(14))}${connection.environment}`);
+      console.log(`${chalk.cyan('API key'.padEnd(14))}${ProfileManager.maskApiKey(connection.apiKey)}`);
+      const root = EndpointRegistry.describeRootUrl(connection);
+      console.log(`${chalk.cyan('Base URL'.padEnd(14))}${root.url} ${chalk.gray(`(${root.source})`)}`);
+      console.log(`${chalk.cyan('Format'.padEnd(14))}${connection.format || '(command default)'}`);
+    } catch (error) {
+      console.error(chalk.red('Failed to show profile:'), error.message);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = ShowProfileCommand;
@@ -0,0 +1,28 @@
+const chalk = require('chalk');
+const { ProfileManager } = require('../../../services/profile-manager');
+
+class UseProfileCommand {
+  constructor() {
+    this.profileManager = new ProfileManager();
+  }
+
+  register(program) {
+    program
+      .command('use')
+      .description('Set the active connection profile')
+      .argument('<name>', 'Profile name')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(name) {
+    try {
+      this.profileManager.useProfile(name);
+      console.log(chalk.green(`Active profile set to '${name}'.`));
+    } catch (error) {
+      console.error(chalk.red('Failed to switch profile:'), error.message);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = UseProfileCommand;
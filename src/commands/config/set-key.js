@@ -1,14 +1,7 @@
 const chalk = require('chalk');
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
+const ConfigStore = require('../../utils/configStore');
 
 class SetKeyCommand {
-  constructor() {
-    this.configDir = path.join(os.homedir(), '.nue');
-    this.configFile = path.join(this.configDir, 'config.json');
-  }
-
   register(program) {
     program
       .command('set-key')
@@ -49,21 +42,8 @@ class SetKeyCommand {
         throw new Error('API key appears to be invalid (too short)');
       }
 
-      // Ensure config directory exists
-      if (!fs.existsSync(this.configDir)) {
-        fs.mkdirSync(this.configDir, { recursive: true });
-      }
-
       // Load existing config
-      let config = {};
-      if (fs.existsSync(this.configFile)) {
-        try {
-          const configData = fs.readFileSync(this.configFile, 'utf8');
-          config = JSON.parse(configData);
-        } catch (error) {
-          console.warn(chalk.yellow('Warning: Could not read existing config file'));
-        }
-      }
+      const config = ConfigStore.load();
 
       // Check if key already exists
       if (config.apiKeys && config.apiKeys[options.environment] && !options.force) {
@@ -79,10 +59,11 @@ class SetKeyCommand {
       config.defaultEnvironment = options.environment;
 
       // Save config
-      fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+      const configFile = ConfigStore.save(config);
 
       console.log(chalk.green(`API key set successfully for ${options.environment} environment!`));
-      console.log(chalk.blue(`Config saved to: ${this.configFile}`));
+      console.log(chalk.blue(`Config saved to: ${configFile}`));
+      console.log(chalk.gray('Tip: use \'nue profile add\' to manage keys for several tenants.'));
 
       // Show usage example
       console.log(chalk.blue('\nYou can now use the CLI with commands like:'));
@@ -0,0 +1,5 @@
+const MockServerCommand = require('./mock-server');
+
+module.exports = {
+  mockServer: MockServerCommand
+};
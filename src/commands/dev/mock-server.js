@@ -0,0 +1,70 @@
+const chalk = require('chalk');
+const fs = require('fs');
+const { MockServer, JOB_OUTCOMES } = require('../../services/mock-server');
+
+class MockServerCommand {
+  register(program) {
+    program
+      .command('mock-server')
+      .description('Start a local mock Nue API for end-to-end tests')
+      .option('--port <port>', 'Port to listen on (0 picks a free port)', '4010')
+      .option('--host <host>', 'Host to bind to', '127.0.0.1')
+      .option('--job-duration <ms>', 'How long async jobs stay in Processing', '3000')
+      .option('--job-outcome <outcome>', `Final state of async jobs (${JOB_OUTCOMES.join(', ')})`, 'Completed')
+      .option('--export-part-size <records>', 'Split exported objects into files of this many records')
+      .option('--seed <file>', 'JSON file of initial records keyed by object type, e.g. {"customer": [...]}')
+      .option('--quiet', 'Do not log requests')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(options) {
+    try {
+      const port = this.parseNonNegativeInt(options.port, '--port');
+      const jobDuration = this.parseNonNegativeInt(options.jobDuration, '--job-duration');
+
+      const server = new MockServer({
+        port,
+        host: options.host,
+        jobDuration,
+        jobOutcome: options.jobOutcome,
+        exportPartSize: options.exportPartSize ? this.parseNonNegativeInt(options.exportPartSize, '--export-part-size') : 0,
+        onRequest: options.quiet ? null : this.logRequest
+      });
+
+      if (options.seed) {
+        server.seed(JSON.parse(fs.readFileSync(options.seed, 'utf8')));
+      }
+
+      const url = await server.start();
+      console.log(chalk.green(`Mock Nue server listening on ${url}`));
+      console.log(chalk.blue(`Jobs finish as ${server.jobOutcome} after ${jobDuration}ms. Any non-empty API key is accepted.`));
+      console.log(chalk.blue(`Point commands at it with: nue --api-url ${url} <command>  (or NUE_API_URL=${url})`));
+      console.log(chalk.gray('Press Ctrl+C to stop.'));
+
+      const shutdown = async () => {
+        await server.stop();
+        process.exit(0);
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+    } catch (error) {
+      console.error(chalk.red('Failed to start mock server:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  parseNonNegativeInt(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`${name} must be a non-negative integer`);
+    }
+    return number;
+  }
+
+  logRequest({ method, path, status, duration }) {
+    const color = status >= 500 ? chalk.red : status >= 400 ? chalk.yellow : chalk.gray;
+    console.log(color(`${method} ${path} ${status} ${duration}ms`));
+  }
+}
+
+module.exports = MockServerCommand;
@@ -0,0 +1,40 @@
+const chalk = require('chalk');
+const { ApiClientFactory } = require('../../clients/api-client-factory');
+const { resolveConnection } = require('../../utils/apiKeyUtils');
+
+class CancelJobCommand {
+  register(program) {
+    program
+      .command('cancel')
+      .description('Cancel a running job')
+      .argument('<jobId>', 'Job ID')
+      .option('--sandbox', 'Use sandbox environment')
+      .option('--verbose', 'Show detailed output')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(jobId, options) {
+    try {
+      const jobClient = await this.setupApiClient(options);
+      const result = await jobClient.cancelJob(jobId);
+
+      console.log(chalk.green(`Cancellation requested for job ${jobId}.`));
+      if (result && result.status) {
+        console.log(chalk.blue(`Status: ${result.status}`));
+      }
+      if (options.verbose) {
+        console.log(chalk.gray(JSON.stringify(result, null, 2)));
+      }
+    } catch (error) {
+      console.error(chalk.red('Failed to cancel job:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  async setupApiClient(options) {
+    const { apiKey, sandbox, baseUrl } = await resolveConnection(options);
+    return ApiClientFactory.createClient('platform', 'job', { apiKey, sandbox, baseUrl });
+  }
+}
+
+module.exports = CancelJobCommand;
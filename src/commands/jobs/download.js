@@ -0,0 +1,84 @@
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const { ApiClientFactory } = require('../../clients/api-client-factory');
+const { FileDownloader } = require('../../clients/file-downloader');
+const { resolveConnection } = require('../../utils/apiKeyUtils');
+const { FileUtils, Logger, JobLedger } = require('../../utils');
+
+class DownloadJobCommand {
+  register(program) {
+    program
+      .command('download')
+      .description('Download the results of a finished job')
+      .argument('<jobId>', 'Job ID')
+      .option('--kind <kind>', 'Job kind (export, import, transaction-hub); detected when omitted')
+      .option('--object-type <type>', 'Only download this object type')
+      .option('--output-dir <dir>', 'Directory for downloaded files', '.')
+      .option('--output <file>', 'Output file for jobs without per-object files (default: stdout)')
+      .option('--format <format>', 'Result format for jobs without per-object files', 'json')
+      .option('--sandbox', 'Use sandbox environment')
+      .option('--verbose', 'Show detailed output')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(jobId, options) {
+    try {
+      const jobClient = await this.setupApiClient(options);
+      const job = await jobClient.getAsyncJob(jobId, options.kind);
+      if (job.terminal) {
+        JobLedger.complete(jobId, job.status, job.state);
+      }
+
+      if (!job.terminal) {
+        throw new Error(`Job ${jobId} is still ${job.status}. Run 'nue jobs watch ${jobId}' to wait for it.`);
+      }
+
+      const requested = options.objectType && options.objectType.toLowerCase();
+      const objects = job.objects.filter(obj =>
+        obj.fileUrls.length > 0 && (!requested || (obj.name || '').toLowerCase() === requested));
+
+      if (objects.length === 0) {
+        if (requested) {
+          throw new Error(`Job ${jobId} has no files for object type '${options.objectType}'`);
+        }
+
+        // Jobs without per-object files expose their results through the jobs API
+        const results = await jobClient.downloadJobResults(jobId, options.format);
+        const data = typeof results === 'string' ? results : JSON.stringify(results, null, 2);
+        FileUtils.writeOutput(data, options.output, options);
+        if (options.output) {
+          JobLedger.addDownloads(jobId, [options.output]);
+        }
+        return;
+      }
+
+      fs.mkdirSync(options.outputDir, { recursive: true });
+      const downloader = new FileDownloader();
+      for (const obj of objects) {
+        const name = obj.name.toLowerCase();
+        for (const [index, url] of obj.fileUrls.entries()) {
+          // Same naming as 'platform export', so 'platform import --export-job-id' finds the files
+          const suffix = obj.fileUrls.length > 1 ? `-part${index + 1}` : '';
+          const filePath = path.join(options.outputDir, `${name}-${jobId}${suffix}.jsonl`);
+
+          Logger.verbose(`Downloading ${url}`, options);
+          const file = await downloader.download(url, filePath);
+          JobLedger.addDownloads(jobId, [file]);
+          Logger.verbose(`  ${FileDownloader.formatBytes(file.bytes)}, sha256 ${file.sha256}${file.resumed ? ' (resumed)' : ''}`, options);
+          Logger.success(`Downloaded ${obj.name} to ${filePath}${obj.totalSize !== undefined ? ` (${obj.totalSize} records)` : ''}`);
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red('Failed to download job results:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  async setupApiClient(options) {
+    const { apiKey, sandbox, baseUrl } = await resolveConnection(options);
+    return ApiClientFactory.createClient('platform', 'job', { apiKey, sandbox, baseUrl });
+  }
+}
+
+module.exports = DownloadJobCommand;
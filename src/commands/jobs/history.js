@@ -0,0 +1,102 @@
+const chalk = require('chalk');
+const { JobLedger } = require('../../utils');
+
+class JobHistoryCommand {
+  register(program) {
+    program
+      .command('history [jobId]')
+      .description('Show async jobs started from this machine (local job ledger)')
+      .option('--kind <kind>', 'Only show jobs of this kind (export, import, transaction-hub)')
+      .option('--status <status>', 'Only show jobs with this status or state (e.g. completed, failed, processing)')
+      .option('--object-type <type>', 'Only show jobs that included this object type')
+      .option('--environment <env>', 'Only show jobs run against this environment')
+      .option('--with-profile <name>', 'Only show jobs run with this profile (--profile selects the connection profile)')
+      .option('--since <date>', 'Only show jobs started on or after this date')
+      .option('--limit <number>', 'Maximum number of jobs to show', '20')
+      .option('--json', 'Output as JSON')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(jobId, options) {
+    try {
+      if (jobId) {
+        this.showEntry(jobId, options);
+        return;
+      }
+
+      const entries = JobLedger.list({
+        kind: options.kind,
+        state: options.status,
+        objectType: options.objectType,
+        environment: options.environment,
+        profile: options.withProfile,
+        since: options.since,
+        limit: parseInt(options.limit, 10)
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(entries, null, 2));
+        return;
+      }
+
+      if (entries.length === 0) {
+        console.log(chalk.yellow('No jobs found in the local history.'));
+        return;
+      }
+
+      entries.forEach(entry => {
+        const objects = entry.objectTypes.join(',') || '-';
+        console.log(`${chalk.bold(entry.jobId)}  ${entry.kind.padEnd(15)} ${this.colorState(entry)}  ` +
+          `${entry.environment.padEnd(10)} ${objects}  ${chalk.gray(entry.startedAt)}`);
+      });
+    } catch (error) {
+      console.error(chalk.red('Failed to read job history:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  showEntry(jobId, options) {
+    const entry = JobLedger.get(jobId);
+    if (!entry) {
+      throw new Error(`Job ${jobId} is not in the local history`);
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(entry, null, 2));
+      return;
+    }
+
+    console.log(`${chalk.bold('Job:')}          ${entry.jobId} (${entry.kind})`);
+    console.log(`${chalk.bold('Command:')}      ${entry.command || '-'}`);
+    console.log(`${chalk.bold('Status:')}       ${this.colorState(entry).trim()}`);
+    console.log(`${chalk.bold('Environment:')}  ${entry.environment}${entry.profile ? ` (profile ${entry.profile})` : ''}`);
+    console.log(`${chalk.bold('API root:')}     ${entry.baseUrl || '-'}`);
+    console.log(`${chalk.bold('Objects:')}      ${entry.objectTypes.join(', ') || '-'}`);
+    console.log(`${chalk.bold('Started:')}      ${entry.startedAt}`);
+    console.log(`${chalk.bold('Ended:')}        ${entry.endedAt || '-'}`);
+
+    if (entry.inputFiles.length > 0) {
+      console.log(chalk.bold('Input files:'));
+      entry.inputFiles.forEach(file => console.log(`  ${file}`));
+    }
+    if (entry.downloadedFiles.length > 0) {
+      console.log(chalk.bold('Downloaded files:'));
+      const checksums = entry.checksums || {};
+      entry.downloadedFiles.forEach(file => console.log(`  ${file}${checksums[file] ? chalk.gray(`  sha256 ${checksums[file]}`) : ''}`));
+    }
+    if (Object.keys(entry.options).length > 0) {
+      console.log(chalk.bold('Options:'));
+      Object.entries(entry.options).forEach(([name, value]) => console.log(`  ${name}: ${value}`));
+    }
+  }
+
+  colorState(entry) {
+    const color = entry.state === 'completed' ? chalk.green
+      : ['failed', 'cancelled'].includes(entry.state) ? chalk.red
+        : entry.state === 'partial' ? chalk.yellow
+          : chalk.blue;
+    return color(String(entry.status).padEnd(16));
+  }
+}
+
+module.exports = JobHistoryCommand;
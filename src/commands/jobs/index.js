@@ -0,0 +1,19 @@
+const ListJobsCommand = require('./list');
+const JobStatusCommand = require('./status');
+const WatchJobCommand = require('./watch');
+const CancelJobCommand = require('./cancel');
+const RetryJobCommand = require('./retry');
+const DownloadJobCommand = require('./download');
+const JobHistoryCommand = require('./history');
+const ResumeJobCommand = require('./resume');
+
+module.exports = {
+  list: ListJobsCommand,
+  status: JobStatusCommand,
+  watch: WatchJobCommand,
+  cancel: CancelJobCommand,
+  retry: RetryJobCommand,
+  download: DownloadJobCommand,
+  history: JobHistoryCommand,
+  resume: ResumeJobCommand
+};
@@ -0,0 +1,67 @@
+const chalk = require('chalk');
+const { ApiClientFactory } = require('../../clients/api-client-factory');
+const { resolveConnection } = require('../../utils/apiKeyUtils');
+
+class ListJobsCommand {
+  register(program) {
+    program
+      .command('list')
+      .description('List recent async jobs')
+      .option('--kind <kind>', 'Only show jobs of this kind (export, import, transaction-hub)')
+      .option('--status <status>', 'Only show jobs with this status')
+      .option('--limit <number>', 'Maximum number of jobs to show', '20')
+      .option('--json', 'Output as JSON')
+      .option('--sandbox', 'Use sandbox environment')
+      .option('--verbose', 'Show detailed output')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(options) {
+    try {
+      const jobClient = await this.setupApiClient(options);
+      const result = await jobClient.listJobs({
+        kind: options.kind,
+        status: options.status,
+        limit: parseInt(options.limit, 10)
+      });
+
+      const jobs = Array.isArray(result) ? result : (result.jobs || (result.data && result.data.jobs) || []);
+
+      if (options.json) {
+        console.log(JSON.stringify(jobs, null, 2));
+        return;
+      }
+
+      if (jobs.length === 0) {
+        console.log(chalk.yellow('No jobs found.'));
+        return;
+      }
+
+      jobs.forEach(job => {
+        const id = job.jobId || job.jobid || job.id;
+        const kind = job.kind || job.type || '';
+        const created = job.createdDate || job.createdAt || '';
+        console.log(`${chalk.bold(id)}  ${kind.padEnd(15)} ${this.colorStatus(job.status)}  ${chalk.gray(created)}`);
+      });
+    } catch (error) {
+      console.error(chalk.red('Failed to list jobs:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  colorStatus(status = '') {
+    const lower = status.toLowerCase();
+    const color = ['completed', 'succeeded'].includes(lower) ? chalk.green
+      : ['failed', 'cancelled', 'canceled'].includes(lower) ? chalk.red
+        : lower === 'partialcompleted' ? chalk.yellow
+          : chalk.blue;
+    return color(status.padEnd(16));
+  }
+
+  async setupApiClient(options) {
+    const { apiKey, sandbox, baseUrl } = await resolveConnection(options);
+    return ApiClientFactory.createClient('platform', 'job', { apiKey, sandbox, baseUrl });
+  }
+}
+
+module.exports = ListJobsCommand;
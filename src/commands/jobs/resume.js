@@ -0,0 +1,69 @@
+const chalk = require('chalk');
+const { resolveConnection } = require('../../utils/apiKeyUtils');
+const { ApiClient, JobLedger, Logger } = require('../../utils');
+const { EndpointRegistry } = require('../../clients/endpoint-registry');
+const { TransactionHubImportStrategy } = require('../../services/strategy/importStrategies');
+const ExportMetadataCommand = require('../platform/metadata/export');
+const ImportMetadataCommand = require('../platform/metadata/import');
+
+class ResumeJobCommand {
+  register(program) {
+    program
+      .command('resume [jobId]')
+      .description('Reattach to a job whose --wait was interrupted and finish downloading or showing its results')
+      .option('--verbose', 'Show detailed output')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(jobId, options) {
+    try {
+      const entry = jobId ? JobLedger.get(jobId) : JobLedger.findResumable();
+
+      if (!entry) {
+        throw new Error(jobId
+          ? `Job ${jobId} is not in the local history`
+          : 'No interrupted job to resume. Run \'nue jobs history\' to see recent jobs.');
+      }
+      if (!entry.checkpoint) {
+        throw new Error(`Nothing to resume for job ${entry.jobId} (${entry.status}). ` +
+          `Use 'nue jobs watch ${entry.jobId}' or 'nue jobs download ${entry.jobId}' instead.`);
+      }
+
+      // Reconnect the way the job was started, then continue with its original options.
+      // The job lives on the API root it was submitted to, unless --api-url says otherwise
+      if (entry.baseUrl && !EndpointRegistry.getOverride()) {
+        EndpointRegistry.setOverride(entry.baseUrl);
+      }
+      const resumeOptions = {
+        ...entry.options,
+        sandbox: entry.environment === 'sandbox',
+        // A job started without a profile resumes without one, whichever profile is active now
+        ...(entry.profile ? { profile: entry.profile } : { ignoreProfiles: true }),
+        ...(options.verbose ? { verbose: true } : {})
+      };
+
+      if (entry.kind === 'export') {
+        await new ExportMetadataCommand().resume(entry, resumeOptions);
+      } else if (entry.kind === 'import') {
+        await new ImportMetadataCommand().resume(entry, resumeOptions);
+      } else if (entry.kind === 'transaction-hub') {
+        await this.resumeTransactionHubImport(entry, resumeOptions);
+      } else {
+        throw new Error(`Cannot resume jobs of kind '${entry.kind}'`);
+      }
+    } catch (error) {
+      console.error(chalk.red('Failed to resume job:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  async resumeTransactionHubImport(entry, options) {
+    const { apiKey, sandbox, baseUrl } = await resolveConnection(options);
+    const apiClient = new ApiClient(apiKey, { ...options, sandbox, baseUrl });
+
+    Logger.info(`Resuming transaction hub import job ${entry.jobId} (started ${entry.startedAt})`);
+    await new TransactionHubImportStrategy(apiClient, options).waitForCompletion(entry.jobId);
+  }
+}
+
+module.exports = ResumeJobCommand;
@@ -0,0 +1,42 @@
+const chalk = require('chalk');
+const { ApiClientFactory } = require('../../clients/api-client-factory');
+const { resolveConnection } = require('../../utils/apiKeyUtils');
+
+class RetryJobCommand {
+  register(program) {
+    program
+      .command('retry')
+      .description('Re-run a failed or cancelled job')
+      .argument('<jobId>', 'Job ID')
+      .option('--sandbox', 'Use sandbox environment')
+      .option('--verbose', 'Show detailed output')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(jobId, options) {
+    try {
+      const jobClient = await this.setupApiClient(options);
+      const result = await jobClient.retryJob(jobId);
+      const newJobId = result && (result.jobId || result.jobid || result.id);
+
+      console.log(chalk.green(`Job ${jobId} resubmitted.`));
+      if (newJobId && newJobId !== jobId) {
+        console.log(chalk.blue(`New job ID: ${newJobId}`));
+        console.log(chalk.blue(`To follow it, run: nue jobs watch ${newJobId}${options.sandbox ? ' --sandbox' : ''}`));
+      }
+      if (options.verbose) {
+        console.log(chalk.gray(JSON.stringify(result, null, 2)));
+      }
+    } catch (error) {
+      console.error(chalk.red('Failed to retry job:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  async setupApiClient(options) {
+    const { apiKey, sandbox, baseUrl } = await resolveConnection(options);
+    return ApiClientFactory.createClient('platform', 'job', { apiKey, sandbox, baseUrl });
+  }
+}
+
+module.exports = RetryJobCommand;
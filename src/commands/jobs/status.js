@@ -0,0 +1,43 @@
+const chalk = require('chalk');
+const { ApiClientFactory } = require('../../clients/api-client-factory');
+const { resolveConnection } = require('../../utils/apiKeyUtils');
+const { JobManager } = require('../../utils');
+
+class JobStatusCommand {
+  register(program) {
+    program
+      .command('status')
+      .description('Show the status of an export, import or transaction-hub job')
+      .argument('<jobId>', 'Job ID')
+      .option('--kind <kind>', 'Job kind (export, import, transaction-hub); detected when omitted')
+      .option('--json', 'Output as JSON')
+      .option('--sandbox', 'Use sandbox environment')
+      .option('--verbose', 'Show detailed output')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(jobId, options) {
+    try {
+      const jobClient = await this.setupApiClient(options);
+      const job = await jobClient.getAsyncJob(jobId, options.kind);
+
+      if (options.json) {
+        const { raw, ...summary } = job;
+        console.log(JSON.stringify(options.verbose ? job : summary, null, 2));
+        return;
+      }
+
+      JobManager.displayAsyncJob(job, options);
+    } catch (error) {
+      console.error(chalk.red('Failed to get job status:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  async setupApiClient(options) {
+    const { apiKey, sandbox, baseUrl } = await resolveConnection(options);
+    return ApiClientFactory.createClient('platform', 'job', { apiKey, sandbox, baseUrl });
+  }
+}
+
+module.exports = JobStatusCommand;
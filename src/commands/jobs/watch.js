@@ -0,0 +1,58 @@
+const chalk = require('chalk');
+const { ApiClientFactory } = require('../../clients/api-client-factory');
+const { resolveConnection } = require('../../utils/apiKeyUtils');
+const { JobManager, JobLedger, Logger } = require('../../utils');
+
+class WatchJobCommand {
+  register(program) {
+    program
+      .command('watch')
+      .description('Poll a job until it finishes')
+      .argument('<jobId>', 'Job ID')
+      .option('--kind <kind>', 'Job kind (export, import, transaction-hub); detected when omitted')
+      .option('--interval <seconds>', 'Seconds between polls', '5')
+      .option('--timeout <seconds>', 'Give up after this many seconds', '3600')
+      .option('--sandbox', 'Use sandbox environment')
+      .option('--verbose', 'Show detailed output')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(jobId, options) {
+    try {
+      const jobClient = await this.setupApiClient(options);
+
+      Logger.progress(`Watching job ${jobId}...`);
+      let lastStatus = null;
+
+      const job = await jobClient.waitForAsyncJob(jobId, {
+        kind: options.kind,
+        pollingInterval: parseFloat(options.interval) * 1000,
+        maxPollingTime: parseFloat(options.timeout) * 1000,
+        onPoll: current => {
+          if (!current.terminal && current.status !== lastStatus) {
+            Logger.jobStatus(current.status);
+          }
+          lastStatus = current.status;
+        }
+      });
+
+      JobLedger.complete(jobId, job.status, job.state);
+      JobManager.displayAsyncJob(job, options);
+
+      // Let scripts tell success from failure
+      if (job.state === 'failed' || job.state === 'cancelled') {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Failed to watch job:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  async setupApiClient(options) {
+    const { apiKey, sandbox, baseUrl } = await resolveConnection(options);
+    return ApiClientFactory.createClient('platform', 'job', { apiKey, sandbox, baseUrl });
+  }
+}
+
+module.exports = WatchJobCommand;
@@ -70,8 +70,8 @@ class CreateCustomerCommand {
   }
 
   async setupApiClient(options) {
-    const { apiKey } = await this.builder.setupApi(options);
-    return ApiClientFactory.createClient('lifecycle', 'rest', { apiKey });
+    const { apiKey, sandbox, baseUrl } = await this.builder.setupApi(options);
+    return ApiClientFactory.createClient('lifecycle', 'rest', { apiKey, sandbox, baseUrl });
   }
 
   displayResults(result, options) {
@@ -0,0 +1,81 @@
+const readline = require('readline');
+const chalk = require('chalk');
+const { PlatformCommandBuilder } = require('../../../services/platform-command');
+const { LifecycleManager } = require('../../../services/lifecycle-manager');
+const { ApiClientFactory } = require('../../../clients/api-client-factory');
+
+class DeleteCustomerCommand {
+  constructor() {
+    this.builder = new PlatformCommandBuilder('lifecycle', 'customers', 'delete');
+  }
+
+  register(program) {
+    this.builder
+      .addLifecycleOptions()
+      .addCommonOptions()
+      .build(program)
+      .description('Delete a customer (asks for confirmation unless --yes is given)')
+      .argument('<customerId>', 'Customer ID')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(customerId, options) {
+    try {
+      // Setup API client
+      const apiClient = await this.setupApiClient(options);
+      const lifecycleManager = new LifecycleManager(apiClient);
+
+      // Show what is about to be deleted
+      const current = await lifecycleManager.getCustomer(customerId);
+      const customer = current.data && current.data.customer;
+      if (!customer) {
+        throw new Error(`Customer ${customerId} not found`);
+      }
+      const label = `${customer.name || customer.email || customer.id} (${customer.id})`;
+
+      if (!options.yes && !await this.confirm(`Delete customer ${label}?`)) {
+        console.log(chalk.yellow('Deletion cancelled.'));
+        return;
+      }
+
+      const result = await lifecycleManager.deleteCustomer(customerId);
+      console.log(chalk.green(`Customer ${label} deleted`));
+      if (options.verbose) {
+        console.log(chalk.green('Response data:'));
+        console.log(JSON.stringify(result, null, 2));
+      }
+
+    } catch (error) {
+      console.error(chalk.red('Customer deletion failed:'), error.message);
+      if (options.verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+      process.exit(1);
+    }
+  }
+
+  async setupApiClient(options) {
+    const { apiKey, sandbox, baseUrl } = await this.builder.setupApi(options);
+    return ApiClientFactory.createClient('lifecycle', 'rest', { apiKey, sandbox, baseUrl });
+  }
+
+  async confirm(question) {
+    if (!process.stdin.isTTY) {
+      throw new Error('Confirmation required; run with --yes to delete without a prompt');
+    }
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    return new Promise(resolve => {
+      rl.question(chalk.yellow(`${question} (y/N): `), answer => {
+        rl.close();
+        resolve(answer.trim().toLowerCase() === 'y');
+      });
+    });
+  }
+}
+
+module.exports = DeleteCustomerCommand;
@@ -0,0 +1,92 @@
+const chalk = require('chalk');
+const { PlatformCommandBuilder } = require('../../../services/platform-command');
+const { LifecycleManager } = require('../../../services/lifecycle-manager');
+const { ApiClientFactory } = require('../../../clients/api-client-factory');
+const { FileUtils } = require('../../../utils');
+
+class GetCustomerCommand {
+  constructor() {
+    this.builder = new PlatformCommandBuilder('lifecycle', 'customers', 'get');
+  }
+
+  register(program) {
+    this.builder
+      .addLifecycleOptions()
+      .addCommonOptions()
+      .build(program)
+      .description('Get customer details, optionally with their orders and subscriptions')
+      .argument('<customerId>', 'Customer ID')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(customerId, options) {
+    try {
+      const json = options.format === 'json';
+      if (!json) {
+        console.log(chalk.blue(`Getting customer ${customerId}...`));
+      }
+
+      // Setup API client
+      const apiClient = await this.setupApiClient(options);
+      const lifecycleManager = new LifecycleManager(apiClient);
+
+      const result = await lifecycleManager.getCustomer(customerId, {
+        includeOrders: options.includeOrders || false,
+        includeSubscriptions: options.includeSubscriptions || false
+      });
+      const customer = result.data && result.data.customer;
+      if (!customer) {
+        throw new Error(`Customer ${customerId} not found`);
+      }
+
+      if (json || options.output) {
+        FileUtils.writeOutput(JSON.stringify(customer, null, 2), options.output);
+      }
+      if (!json) {
+        this.displayCustomer(customer, options);
+      }
+
+    } catch (error) {
+      console.error(chalk.red('Failed to get customer:'), error.message);
+      if (options.verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+      process.exit(1);
+    }
+  }
+
+  async setupApiClient(options) {
+    const { apiKey, sandbox, baseUrl } = await this.builder.setupApi(options);
+    return ApiClientFactory.createClient('lifecycle', 'rest', { apiKey, sandbox, baseUrl });
+  }
+
+  displayCustomer(customer, options) {
+    if (options.verbose) {
+      console.log(JSON.stringify(customer, null, 2));
+      return;
+    }
+
+    const { orders, subscriptions, ...fields } = customer;
+    const width = Math.max(...Object.keys(fields).map(field => field.length)) + 2;
+    Object.entries(fields)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .forEach(([field, value]) => {
+        console.log(`${chalk.bold(`${field}:`.padEnd(width))} ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+      });
+
+    if (orders) {
+      console.log(chalk.bold(`\nOrders (${orders.length}):`));
+      orders.forEach(order => {
+        console.log(`  ${order.id}  ${order.orderNumber || ''}  ${order.status || ''}  ${order.totalAmount !== undefined ? order.totalAmount : ''}`.trimEnd());
+      });
+    }
+    if (subscriptions) {
+      console.log(chalk.bold(`\nSubscriptions (${subscriptions.length}):`));
+      subscriptions.forEach(subscription => {
+        console.log(`  ${subscription.id}  ${subscription.status || ''}  ${subscription.productName || subscription.productId || ''}`.trimEnd());
+      });
+    }
+  }
+}
+
+module.exports = GetCustomerCommand;
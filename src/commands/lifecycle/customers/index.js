@@ -1,5 +1,15 @@
 const CreateCustomerCommand = require('./create');
+const GetCustomerCommand = require('./get');
+const ListCustomersCommand = require('./list');
+const UpdateCustomerCommand = require('./update');
+const DeleteCustomerCommand = require('./delete');
+const SearchCustomersCommand = require('./search');
 
 module.exports = {
-  create: CreateCustomerCommand
-}; 
\ No newline at end of file
+  create: CreateCustomerCommand,
+  get: GetCustomerCommand,
+  list: ListCustomersCommand,
+  update: UpdateCustomerCommand,
+  delete: DeleteCustomerCommand,
+  search: SearchCustomersCommand
+};
@@ -0,0 +1,78 @@
+const chalk = require('chalk');
+const { PlatformCommandBuilder } = require('../../../services/platform-command');
+const { LifecycleManager } = require('../../../services/lifecycle-manager');
+const { ApiClientFactory } = require('../../../clients/api-client-factory');
+const { FileUtils } = require('../../../utils');
+
+class ListCustomersCommand {
+  constructor() {
+    this.builder = new PlatformCommandBuilder('lifecycle', 'customers', 'list');
+  }
+
+  register(program) {
+    this.builder
+      .addLifecycleOptions()
+      .addCommonOptions()
+      .build(program)
+      .description('List customers')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(options) {
+    try {
+      const json = options.format === 'json';
+      if (!json) {
+        console.log(chalk.blue('Getting customers...'));
+      }
+
+      // Setup API client
+      const apiClient = await this.setupApiClient(options);
+      const lifecycleManager = new LifecycleManager(apiClient);
+
+      const filters = options.filters ? JSON.parse(options.filters) : {};
+      const result = await lifecycleManager.getCustomer(null, { filters });
+      const customers = (result.data && result.data.customers) || [];
+
+      if (json || options.output) {
+        FileUtils.writeOutput(JSON.stringify(customers, null, 2), options.output);
+      }
+      if (!json) {
+        this.displayCustomers(customers);
+      }
+
+    } catch (error) {
+      console.error(chalk.red('Failed to list customers:'), error.message);
+      if (options.verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+      process.exit(1);
+    }
+  }
+
+  async setupApiClient(options) {
+    const { apiKey, sandbox, baseUrl } = await this.builder.setupApi(options);
+    return ApiClientFactory.createClient('lifecycle', 'rest', { apiKey, sandbox, baseUrl });
+  }
+
+  /**
+   * Print customers as a table of ID, name and email
+   * @param {Object[]} customers - Customers
+   * @param {string} summary - Line printed above the table (default: the number of customers)
+   */
+  displayCustomers(customers, summary = `${customers.length} customer(s)`) {
+    if (customers.length === 0) {
+      console.log(chalk.yellow('No customers found'));
+      return;
+    }
+
+    const idWidth = Math.max(2, ...customers.map(customer => String(customer.id).length)) + 2;
+    const nameWidth = Math.max(4, ...customers.map(customer => String(customer.name || '').length)) + 2;
+    console.log(chalk.green(summary));
+    console.log(chalk.bold(`${'ID'.padEnd(idWidth)}${'Name'.padEnd(nameWidth)}Email`));
+    customers.forEach(customer => {
+      console.log(`${String(customer.id).padEnd(idWidth)}${String(customer.name || '').padEnd(nameWidth)}${customer.email || ''}`);
+    });
+  }
+}
+
+module.exports = ListCustomersCommand;
@@ -0,0 +1,69 @@
+const chalk = require('chalk');
+const { PlatformCommandBuilder } = require('../../../services/platform-command');
+const { LifecycleManager } = require('../../../services/lifecycle-manager');
+const { ApiClientFactory } = require('../../../clients/api-client-factory');
+const { FileUtils } = require('../../../utils');
+const ListCustomersCommand = require('./list');
+
+class SearchCustomersCommand {
+  constructor() {
+    this.builder = new PlatformCommandBuilder('lifecycle', 'customers', 'search');
+  }
+
+  register(program) {
+    this.builder
+      .addLifecycleOptions()
+      .addCommonOptions()
+      .build(program)
+      .description('Search customers by name, email or any other text field')
+      .argument('<query>', 'Text to search for')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(query, options) {
+    try {
+      const json = options.format === 'json';
+      const limit = Number(options.limit);
+      const offset = Number(options.offset);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error(`--limit must be a positive integer, got '${options.limit}'`);
+      }
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error(`--offset must be 0 or more, got '${options.offset}'`);
+      }
+      if (!json) {
+        console.log(chalk.blue(`Searching customers for "${query}"...`));
+      }
+
+      // Setup API client
+      const apiClient = await this.setupApiClient(options);
+      const lifecycleManager = new LifecycleManager(apiClient);
+
+      const result = await lifecycleManager.searchCustomers(query, { limit, offset });
+      const customers = (result.data && result.data.customers) || [];
+      const total = result.data && result.data.total !== undefined ? result.data.total : customers.length;
+
+      if (json || options.output) {
+        FileUtils.writeOutput(JSON.stringify({ total, customers }, null, 2), options.output);
+      }
+      if (!json) {
+        const shown = customers.length < total ? `; showing ${offset + 1}-${offset + customers.length} (use --offset for more)` : '';
+        new ListCustomersCommand().displayCustomers(customers, `${total} customer(s) match "${query}"${shown}`);
+      }
+
+    } catch (error) {
+      console.error(chalk.red('Customer search failed:'), error.message);
+      if (options.verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+      process.exit(1);
+    }
+  }
+
+  async setupApiClient(options) {
+    const { apiKey, sandbox, baseUrl } = await this.builder.setupApi(options);
+    return ApiClientFactory.createClient('lifecycle', 'rest', { apiKey, sandbox, baseUrl });
+  }
+}
+
+module.exports = SearchCustomersCommand;
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const { PlatformCommandBuilder } = require('../../../services/platform-command');
+const { LifecycleManager } = require('../../../services/lifecycle-manager');
+const { ApiClientFactory } = require('../../../clients/api-client-factory');
+const { ObjectValidator } = require('../../../services/validators');
+const { CatalogDiff } = require('../../../services/catalog-diff');
+const { JsonPatch } = require('../../../services/json-patch');
+
+// Fields the API sets; an update cannot change them
+const READ_ONLY_FIELDS = ['id', 'createdDate', 'lastModifiedDate'];
+
+class UpdateCustomerCommand {
+  constructor() {
+    this.builder = new PlatformCommandBuilder('lifecycle', 'customers', 'update');
+  }
+
+  register(program) {
+    this.builder
+      .addLifecycleOptions()
+      .addCommonOptions()
+      .build(program)
+      .description('Update a customer with the fields to change, or a JSON Patch (RFC 6902) array')
+      .argument('<customerId>', 'Customer ID')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(customerId, options) {
+    try {
+      console.log(chalk.blue(`Updating customer ${customerId}...`));
+
+      // Validate input
+      if (!options.json && !options.file) {
+        throw new Error('Must specify --json or --file option');
+      }
+
+      const update = this.parseUpdateData(options);
+
+      // Setup API client
+      const apiClient = await this.setupApiClient(options);
+      const lifecycleManager = new LifecycleManager(apiClient);
+
+      const current = await lifecycleManager.getCustomer(customerId);
+      const customer = current.data && current.data.customer;
+      if (!customer) {
+        throw new Error(`Customer ${customerId} not found`);
+      }
+
+      const changes = this.getChanges(customer, update);
+      if (Object.keys(changes).length === 0) {
+        console.log(chalk.yellow('Nothing to update: the customer already has these values'));
+        return;
+      }
+
+      // Validate the customer as it will be after the update
+      ObjectValidator.validate('customer', Object.fromEntries(
+        Object.entries({ ...customer, ...changes }).filter(([, value]) => value !== null)));
+
+      if (options.verbose) {
+        console.log(chalk.gray('Changes:'));
+        console.log(chalk.gray(JSON.stringify(changes, null, 2)));
+      }
+
+      const result = await lifecycleManager.updateCustomer(customerId, changes, {
+        validateOnly: options.validateOnly || false
+      });
+
+      // Display results
+      this.displayResults(customer, changes, result, options);
+
+    } catch (error) {
+      console.error(chalk.red('Customer update failed:'), error.message);
+      if (options.verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+      process.exit(1);
+    }
+  }
+
+  parseUpdateData(options) {
+    const data = JSON.parse(options.json || fs.readFileSync(options.file, 'utf8'));
+    if (!JsonPatch.isPatch(data) && (data === null || typeof data !== 'object' || Array.isArray(data))) {
+      throw new Error('The update must be an object of fields to change, or a JSON Patch array of { op, path, value } operations');
+    }
+    return data;
+  }
+
+  /**
+   * Top-level fields to send: a JSON Patch is applied to the current customer and every field
+   * it changed is sent whole (null for a removed field); an object is sent as it is, less the
+   * fields whose value does not change
+   * @param {Object} customer - Current customer
+   * @param {Object|Object[]} update - Fields to change or JSON Patch operations
+   * @returns {Object} - Changed fields
+   */
+  getChanges(customer, update) {
+    const { orders, subscriptions, ...current } = customer;
+    const patched = JsonPatch.isPatch(update) ? JsonPatch.apply(current, update) : { ...current, ...update };
+    if (patched === null || typeof patched !== 'object' || Array.isArray(patched)) {
+      throw new Error('The patched customer must be an object');
+    }
+
+    const changes = {};
+    new Set([...Object.keys(current), ...Object.keys(patched)]).forEach(field => {
+      const before = current[field] === undefined ? null : current[field];
+      const after = patched[field] === undefined ? null : patched[field];
+      if (CatalogDiff.stableStringify(before) !== CatalogDiff.stableStringify(after)) {
+        changes[field] = after;
+      }
+    });
+
+    const readOnly = Object.keys(changes).filter(field => READ_ONLY_FIELDS.includes(field));
+    if (readOnly.length > 0) {
+      throw new Error(`Cannot change read-only field(s): ${readOnly.join(', ')}`);
+    }
+    return changes;
+  }
+
+  async setupApiClient(options) {
+    const { apiKey, sandbox, baseUrl } = await this.builder.setupApi(options);
+    return ApiClientFactory.createClient('lifecycle', 'rest', { apiKey, sandbox, baseUrl });
+  }
+
+  displayResults(customer, changes, result, options) {
+    console.log(chalk.green(options.validateOnly ? 'Customer update is valid (not saved)' : 'Customer updated successfully!'));
+    Object.entries(changes).forEach(([field, value]) => {
+      const format = item => (item === undefined || item === null ? '(empty)' : typeof item === 'object' ? JSON.stringify(item) : String(item));
+      console.log(chalk.blue(`  ${field}: ${format(customer[field])} -> ${format(value)}`));
+    });
+
+    if (options.verbose) {
+      console.log(chalk.green('Response data:'));
+      console.log(JSON.stringify(result, null, 2));
+    }
+  }
+}
+
+module.exports = UpdateCustomerCommand;
@@ -4,7 +4,6 @@ const { LifecycleManager } = require('../../../services/lifecycle-manager');
 const { ApiClientFactory } = require('../../../clients/api-client-factory');
 const { ObjectValidator } = require('../../../services/validators');
 const Logger = require('../../../utils/logger');
-const { checkAndPromptForApiKey } = require('../../../utils/apiKeyUtils');
 
 class CreateOrderCommand {
   constructor() {
@@ -97,10 +96,11 @@ class CreateOrderCommand {
   }
 
   async setupApiClient(options) {
-    const apiKey = await checkAndPromptForApiKey(options.sandbox);
+    const { apiKey, sandbox, baseUrl } = await this.builder.setupApi(options);
     return ApiClientFactory.createClient('lifecycle', 'rest', { 
       apiKey,
-      sandbox: options.sandbox 
+      sandbox,
+      baseUrl
     });
   }
 
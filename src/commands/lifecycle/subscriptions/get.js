@@ -2,7 +2,6 @@ const chalk = require('chalk');
 const { PlatformCommandBuilder } = require('../../../services/platform-command');
 const { LifecycleManager } = require('../../../services/lifecycle-manager');
 const { ApiClientFactory } = require('../../../clients/api-client-factory');
-const { checkAndPromptForApiKey } = require('../../../utils/apiKeyUtils');
 
 class GetSubscriptionsCommand {
   constructor() {
@@ -66,10 +65,11 @@ class GetSubscriptionsCommand {
   }
 
   async setupApiClient(options) {
-    const apiKey = await checkAndPromptForApiKey(options.sandbox);
+    const { apiKey, sandbox, baseUrl } = await this.builder.setupApi(options);
     return ApiClientFactory.createClient('lifecycle', 'rest', { 
       apiKey,
-      sandbox: options.sandbox 
+      sandbox,
+      baseUrl
     });
   }
 
@@ -0,0 +1,71 @@
+const chalk = require('chalk');
+const { PlatformCommandBuilder } = require('../../../services/platform-command');
+const { LifecycleManager } = require('../../../services/lifecycle-manager');
+const { ApiClientFactory } = require('../../../clients/api-client-factory');
+const { UsageReport } = require('../../../services/usage-report');
+const { FileUtils } = require('../../../utils');
+
+class GetUsageCommand {
+  constructor() {
+    this.builder = new PlatformCommandBuilder('lifecycle', 'usage', 'get');
+  }
+
+  register(program) {
+    this.builder
+      .addLifecycleOptions()
+      .addCommonOptions()
+      .build(program)
+      .description('Show the usage of a subscription per period, with totals and a trend per UOM')
+      .argument('<subscriptionId>', 'Subscription ID')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(subscriptionId, options) {
+    try {
+      const report = new UsageReport(options);
+      if (!options.format || options.format === 'table') {
+        console.log(chalk.blue(`Getting usage of subscription ${subscriptionId}...`));
+      }
+
+      // Setup API client
+      const apiClient = await this.setupApiClient(options);
+      const lifecycleManager = new LifecycleManager(apiClient);
+
+      const result = await lifecycleManager.getUsage(subscriptionId, {
+        startDate: report.startDate,
+        endDate: report.endDate,
+        granularity: report.granularity
+      });
+
+      if (options.verbose) {
+        console.log(chalk.gray('Response data:'));
+        console.log(chalk.gray(JSON.stringify(result, null, 2)));
+      }
+
+      report.addResponse(result);
+      FileUtils.writeOutput(report.format(options.format, {
+        title: `Usage of subscription ${subscriptionId}`,
+        subscriptionId,
+        breakdown: true
+      }), options.output);
+
+    } catch (error) {
+      console.error(chalk.red('Failed to get usage:'), error.message);
+      if (options.verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+      process.exit(1);
+    }
+  }
+
+  async setupApiClient(options) {
+    const { apiKey, sandbox, baseUrl } = await this.builder.setupApi(options);
+    return ApiClientFactory.createClient('lifecycle', 'rest', {
+      apiKey,
+      sandbox,
+      baseUrl
+    });
+  }
+}
+
+module.exports = GetUsageCommand;
@@ -1,5 +1,11 @@
 const UploadUsageCommand = require('./upload');
+const UsageReceiptsCommand = require('./receipts');
+const GetUsageCommand = require('./get');
+const UsageReportCommand = require('./report');
 
 module.exports = {
-  upload: UploadUsageCommand
-}; 
\ No newline at end of file
+  upload: UploadUsageCommand,
+  receipts: UsageReceiptsCommand,
+  get: GetUsageCommand,
+  report: UsageReportCommand
+};
@@ -0,0 +1,126 @@
+const chalk = require('chalk');
+const { UsageReceipts } = require('../../../services/usage-receipts');
+const { ProfileManager } = require('../../../services/profile-manager');
+const { CatalogDiff } = require('../../../services/catalog-diff');
+const UploadUsageCommand = require('./upload');
+
+class UsageReceiptsCommand {
+  register(program) {
+    program
+      .command('receipts [uploadId]')
+      .description('Show the usage uploads and records accepted from this machine (local receipt store)')
+      .option('--sandbox', 'Use the sandbox receipt store')
+      .option('--file <path>', 'Show which records of a usage file were already uploaded, and when')
+      .option('--format <format>', 'Format of --file: csv, jsonl or json (default: from the file extension)')
+      .option('--mapping <file>', 'Mapping file the --file records were uploaded with')
+      .option('--delimiter <char>', 'CSV field delimiter of --file', ',')
+      .option('--quote <char>', 'CSV quote character of --file', '"')
+      .option('--encoding <encoding>', 'CSV file encoding of --file', 'utf8')
+      .option('--since <date>', 'Only show uploads started on or after this date')
+      .option('--limit <number>', 'Maximum number of uploads to show', '20')
+      .option('--json', 'Output as JSON')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(uploadId, options) {
+    try {
+      const store = new UsageReceipts(new ProfileManager().resolve(options));
+
+      if (options.file) {
+        await this.checkFile(store, options);
+        return;
+      }
+
+      if (uploadId) {
+        this.showUpload(store, uploadId, options);
+        return;
+      }
+
+      const uploads = store.listUploads({ since: options.since, limit: parseInt(options.limit, 10) });
+      if (options.json) {
+        console.log(JSON.stringify(uploads, null, 2));
+        return;
+      }
+
+      if (uploads.length === 0) {
+        console.log(chalk.yellow(`No usage uploads found in the ${store.name} receipt store.`));
+        return;
+      }
+
+      uploads.forEach(upload => {
+        const counts = `${upload.accepted} accepted, ${upload.skipped} skipped, ${upload.rejected} rejected`;
+        console.log(`${chalk.bold(upload.uploadId)}  ${this.colorState(upload)}  ${counts.padEnd(40)} ` +
+          `${upload.file || '(--json)'}  ${chalk.gray(upload.startedAt)}`);
+      });
+    } catch (error) {
+      console.error(chalk.red('Failed to read usage receipts:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  showUpload(store, uploadId, options) {
+    const upload = store.getUpload(uploadId);
+    if (!upload) {
+      throw new Error(`Upload ${uploadId} is not in the ${store.name} receipt store`);
+    }
+    const receipts = store.readReceipts().filter(receipt => receipt.uploadId === uploadId);
+
+    if (options.json) {
+      console.log(JSON.stringify({ ...upload, receipts }, null, 2));
+      return;
+    }
+
+    console.log(`${chalk.bold('Upload:')}       ${upload.uploadId}`);
+    console.log(`${chalk.bold('Status:')}       ${this.colorState(upload).trim()}${upload.error ? chalk.red(`  ${upload.error}`) : ''}`);
+    console.log(`${chalk.bold('Environment:')}  ${upload.environment}${upload.profile ? ` (profile ${upload.profile})` : ''}`);
+    console.log(`${chalk.bold('File:')}         ${upload.file || '(--json)'}`);
+    console.log(`${chalk.bold('Records:')}      ${upload.records}: ${upload.accepted} accepted, ${upload.skipped} skipped, ${upload.rejected} rejected`);
+    console.log(`${chalk.bold('Started:')}      ${upload.startedAt}`);
+    console.log(`${chalk.bold('Ended:')}        ${upload.endedAt || '-'}`);
+
+    if (receipts.length > 0) {
+      console.log(chalk.bold('Accepted records:'));
+      receipts.forEach(receipt => console.log(`  ${chalk.gray(receipt.acceptedAt)}  ${receipt.fingerprint.slice(0, 12)}  ${this.formatRecord(receipt.record)}`));
+    }
+  }
+
+  /**
+   * Compare the valid records of a usage file with the receipts
+   */
+  async checkFile(store, options) {
+    const { valid } = await new UploadUsageCommand().loadUsage(options);
+    const receipts = store.getReceipts();
+    const results = valid.map(item => ({ position: item.position, receipt: receipts.get(UsageReceipts.fingerprint(item.record)) || null }));
+
+    if (options.json) {
+      console.log(JSON.stringify(results.map(result => ({
+        position: result.position,
+        uploadId: result.receipt ? result.receipt.uploadId : null,
+        acceptedAt: result.receipt ? result.receipt.acceptedAt : null
+      })), null, 2));
+      return;
+    }
+
+    results.forEach(result => {
+      console.log(result.receipt
+        ? `record ${String(result.position).padEnd(6)} ${chalk.green('uploaded')} ${result.receipt.acceptedAt} ${chalk.gray(`(upload ${result.receipt.uploadId})`)}`
+        : `record ${String(result.position).padEnd(6)} ${chalk.yellow('not uploaded')}`);
+    });
+    const uploaded = results.filter(result => result.receipt).length;
+    console.log(`\n${uploaded} of ${results.length} valid record(s) of ${options.file} already uploaded to ${store.name}`);
+  }
+
+  formatRecord(record) {
+    const text = CatalogDiff.stableStringify(record);
+    return text.length > 100 ? `${text.slice(0, 97)}...` : text;
+  }
+
+  colorState(upload) {
+    const color = upload.state === 'completed' ? (upload.rejected > 0 ? chalk.yellow : chalk.green)
+      : upload.state === 'running' ? chalk.blue
+        : chalk.red;
+    return color(upload.state.padEnd(12));
+  }
+}
+
+module.exports = UsageReceiptsCommand;
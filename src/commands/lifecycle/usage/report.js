@@ -0,0 +1,78 @@
+const chalk = require('chalk');
+const { PlatformCommandBuilder } = require('../../../services/platform-command');
+const { LifecycleManager } = require('../../../services/lifecycle-manager');
+const { ApiClientFactory } = require('../../../clients/api-client-factory');
+const { UsageReport } = require('../../../services/usage-report');
+const { Logger, FileUtils } = require('../../../utils');
+
+class UsageReportCommand {
+  constructor() {
+    this.builder = new PlatformCommandBuilder('lifecycle', 'usage', 'report');
+  }
+
+  register(program) {
+    this.builder
+      .addLifecycleOptions()
+      .addCommonOptions()
+      .build(program)
+      .description('Report the usage of all subscriptions of a customer: totals and trend per product and UOM')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(options) {
+    try {
+      if (!options.customerId) {
+        throw new Error('--customer-id is required');
+      }
+      const report = new UsageReport(options);
+      const table = !options.format || options.format === 'table';
+      if (table) {
+        console.log(chalk.blue(`Reporting usage of customer ${options.customerId}...`));
+      }
+
+      // Setup API client
+      const apiClient = await this.setupApiClient(options);
+      const lifecycleManager = new LifecycleManager(apiClient);
+
+      const result = await lifecycleManager.getSubscriptions({ customerId: options.customerId });
+      const subscriptions = (result.data && result.data.subscriptions) || [];
+      if (subscriptions.length === 0 && table) {
+        Logger.warning(`Customer ${options.customerId} has no subscriptions`);
+      }
+
+      for (const subscription of subscriptions) {
+        Logger.verbose(`Getting usage of subscription ${subscription.id}`, options);
+        const usage = await lifecycleManager.getUsage(subscription.id, {
+          startDate: report.startDate,
+          endDate: report.endDate,
+          granularity: report.granularity
+        });
+        report.addResponse(usage, subscription.productName || subscription.productId || subscription.id);
+      }
+
+      FileUtils.writeOutput(report.format(options.format, {
+        title: `Usage of customer ${options.customerId} (${subscriptions.length} subscription(s))`,
+        customerId: options.customerId,
+        subscriptions: subscriptions.map(subscription => subscription.id)
+      }), options.output);
+
+    } catch (error) {
+      console.error(chalk.red('Usage report failed:'), error.message);
+      if (options.verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+      process.exit(1);
+    }
+  }
+
+  async setupApiClient(options) {
+    const { apiKey, sandbox, baseUrl } = await this.builder.setupApi(options);
+    return ApiClientFactory.createClient('lifecycle', 'rest', {
+      apiKey,
+      sandbox,
+      baseUrl
+    });
+  }
+}
+
+module.exports = UsageReportCommand;
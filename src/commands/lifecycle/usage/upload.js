@@ -1,7 +1,18 @@
+const fs = require('fs');
 const chalk = require('chalk');
 const { PlatformCommandBuilder } = require('../../../services/platform-command');
 const { LifecycleManager } = require('../../../services/lifecycle-manager');
 const { ApiClientFactory } = require('../../../clients/api-client-factory');
+const { ColumnMapping } = require('../../../services/column-mapping');
+const { UsageReceipts } = require('../../../services/usage-receipts');
+const { UsageAggregator } = require('../../../services/usage-aggregator');
+const { UsageValidator } = require('../../../services/validators');
+const { Logger, FileUtils } = require('../../../utils');
+
+// Records per request; receipts are stored after each accepted batch
+const UPLOAD_BATCH_SIZE = 1000;
+
+const USAGE_FORMATS = ['csv', 'jsonl', 'json'];
 
 class UploadUsageCommand {
   constructor() {
@@ -20,13 +31,32 @@ class UploadUsageCommand {
     try {
       console.log(chalk.blue('Uploading usage data...'));
 
+      if (options.resume) {
+        options = await this.resumeInterrupted(options);
+      }
+
       // Validate input
       if (!options.json && !options.file) {
         throw new Error('Must specify --json or --file option');
       }
 
-      // Parse usage data
-      const usageData = await this.parseUsageData(options);
+      if (options.mappingPreview) {
+        if (!options.file) {
+          throw new Error('--mapping-preview needs --file');
+        }
+        const records = await this.readUsageRecords(options, ColumnMapping.getPreviewCount(options.mappingPreview));
+        Logger.info(`First ${records.length} usage record(s) of ${options.file}${options.mapping ? ` mapped by ${options.mapping}` : ''}:`);
+        console.log(ColumnMapping.formatPreview(records));
+        this.displayValidationErrors(UsageValidator.validate(records).errors, options);
+        return;
+      }
+
+      // Parse and validate usage data
+      const usage = await this.loadUsage(options);
+      this.displayValidationErrors(usage.errors, options);
+      if (usage.valid.length === 0) {
+        throw new Error('No valid usage records to upload');
+      }
 
       // Setup API client
       const apiClient = await this.setupApiClient(options);
@@ -34,16 +64,17 @@ class UploadUsageCommand {
 
       if (options.verbose) {
         console.log(chalk.gray('Usage data:'));
-        console.log(chalk.gray(JSON.stringify(usageData, null, 2)));
+        console.log(chalk.gray(JSON.stringify(usage.valid.map(item => item.record), null, 2)));
       }
 
       // Upload usage
-      const result = await lifecycleManager.uploadUsage(usageData, {
-        validateOnly: options.validateOnly || false
-      });
+      const summary = await this.uploadRecords(usage, lifecycleManager, options);
 
       // Display results
-      this.displayResults(result, options);
+      this.displayResults(summary, options);
+      if (usage.aggregator) {
+        console.log(usage.aggregator.formatReport(usage.valid, usage.counts, options));
+      }
 
     } catch (error) {
       console.error(chalk.red('Usage upload failed:'), error.message);
@@ -54,42 +85,307 @@ class UploadUsageCommand {
     }
   }
 
+  /**
+   * Continue the last upload to this environment that did not finish, with its file and options
+   * @param {Object} options - Command options
+   * @returns {Promise<Object>} - Options to upload with
+   */
+  async resumeInterrupted(options) {
+    const upload = new UsageReceipts(await this.builder.setupApi(options)).findResumable();
+    if (!upload) {
+      Logger.info('No interrupted usage upload found, starting a new one');
+      return options;
+    }
+
+    Logger.info(`Resuming upload ${upload.uploadId} of ${upload.file || '--json data'} (started ${upload.startedAt})`);
+    this.resumed = upload;
+    return { ...upload.options, ...options, file: options.file || upload.file || undefined };
+  }
+
+  /**
+   * Upload the valid records the API has not accepted yet, in batches of { transactionId, data },
+   * storing a receipt for each accepted record. With --force, records with a receipt are
+   * uploaded again
+   * @param {Object} usage - Result of loadUsage()
+   * @returns {Promise<Object>} - { records, uploaded, skipped, rejected: [{ position, message }], uploadId }
+   */
+  async uploadRecords(usage, lifecycleManager, options) {
+    const store = new UsageReceipts(this.connection);
+    const receipts = store.getReceipts();
+    const seen = new Set();
+    const pending = [];
+    const skipped = [];
+    usage.valid.forEach(item => {
+      const fingerprint = UsageReceipts.fingerprint(item.record);
+      if (!options.force && (receipts.has(fingerprint) || seen.has(fingerprint))) {
+        skipped.push(receipts.get(fingerprint) || { fingerprint });
+        item.status = 'skipped';
+        return;
+      }
+      seen.add(fingerprint);
+      pending.push({ item, fingerprint });
+    });
+
+    const ownReceipts = this.resumed ? skipped.filter(receipt => receipt.uploadId === this.resumed.uploadId).length : 0;
+    if (skipped.length > ownReceipts) {
+      const first = skipped.filter(receipt => receipt.acceptedAt).map(receipt => receipt.acceptedAt).sort()[0];
+      Logger.info(`Skipping ${skipped.length - ownReceipts} record(s) already uploaded${first ? ` (first accepted ${first})` : ''} or repeated in the input; use --force to upload them again`);
+    }
+
+    const summary = { records: usage.valid.length, uploaded: 0, skipped: skipped.length, rejected: [], uploadId: null, unit: usage.unit || 'record' };
+    if (pending.length === 0) {
+      if (this.resumed) {
+        store.updateUpload(this.resumed.uploadId, { state: 'completed', error: null, sentBatches: [], endedAt: new Date().toISOString() });
+      }
+      return summary;
+    }
+
+    const upload = this.resumed
+      ? store.updateUpload(this.resumed.uploadId, { state: 'running', error: null })
+      : store.startUpload({ file: options.file, records: usage.valid.length, options });
+    summary.uploadId = upload.uploadId;
+
+    // A batch is stored before it is sent and dropped once the API answers, so a batch whose
+    // response was lost is sent again under the same transaction ID
+    let sentBatches = upload.sentBatches || [];
+    let batchCount = upload.batchCount || 0;
+    for (const batch of this.planBatches(pending, upload, usage.transactionId)) {
+      sentBatches = [...sentBatches.filter(sent => sent.number !== batch.number),
+        { number: batch.number, transactionId: batch.transactionId, fingerprints: batch.entries.map(entry => entry.fingerprint) }];
+      batchCount = Math.max(batchCount, batch.number);
+      store.updateUpload(upload.uploadId, { sentBatches, batchCount });
+
+      const items = batch.entries.map(entry => entry.item);
+      let result;
+      try {
+        // The transaction ID doubles as the idempotency key, so the batch can be retried safely
+        result = await lifecycleManager.uploadUsage({ transactionId: batch.transactionId, data: items.map(item => item.record) },
+          { idempotencyKey: batch.transactionId });
+      } catch (error) {
+        store.updateUpload(upload.uploadId, { state: 'interrupted', error: error.message, accepted: upload.accepted + summary.uploaded });
+        throw new Error(`${error.message}\n${summary.uploaded} record(s) were accepted before the failure; ` +
+          'run the same command with --resume to upload the rest');
+      }
+
+      // Rejected records are reported by their index in the batch
+      const errors = (result.data && result.data.errors) || [];
+      const rejected = new Map(errors.filter(error => Number.isInteger(error.index)).map(error => [error.index, error.message || 'Rejected']));
+      if (errors.length > rejected.size) {
+        Logger.warning(`${errors.length - rejected.size} error(s) without a record index: ${errors.filter(error => !Number.isInteger(error.index)).map(error => error.message || JSON.stringify(error)).join('; ')}`);
+      }
+
+      const accepted = items.filter((item, index) => !rejected.has(index));
+      store.addReceipts(upload.uploadId, accepted.map(item => item.record), batch.transactionId);
+      sentBatches = sentBatches.filter(sent => sent.number !== batch.number);
+      store.updateUpload(upload.uploadId, { sentBatches });
+      summary.uploaded += accepted.length;
+      items.forEach((item, index) => {
+        item.status = rejected.has(index) ? 'rejected' : 'uploaded';
+      });
+      rejected.forEach((message, index) => summary.rejected.push({ position: items[index].position, message }));
+      Logger.verbose(`Uploaded batch ${batch.number} (${items.length} record(s), transaction ${batch.transactionId})`, options);
+    }
+
+    store.updateUpload(upload.uploadId, {
+      state: 'completed',
+      accepted: upload.accepted + summary.uploaded,
+      rejected: summary.rejected.length,
+      skipped: skipped.length - ownReceipts,
+      endedAt: new Date().toISOString()
+    });
+    return summary;
+  }
+
+  /**
+   * Split the pending records into numbered batches. Batches an interrupted run sent without
+   * getting a response come first, with their records and transaction IDs unchanged; the rest
+   * get the next numbers. Batch n has the transaction ID <base>-n (batch 1 just <base>), where
+   * base is the transactionId of the JSON file or the upload ID
+   * @param {Object[]} pending - [{ item, fingerprint }]
+   * @param {Object} upload - Stored upload
+   * @param {string} transactionId - transactionId of the input, if any
+   * @returns {Object[]} - [{ number, transactionId, entries }]
+   */
+  planBatches(pending, upload, transactionId) {
+    const remaining = new Map(pending.map(entry => [entry.fingerprint, entry]));
+    const batches = [];
+    (upload.sentBatches || []).forEach(sent => {
+      const entries = sent.fingerprints.filter(fingerprint => remaining.has(fingerprint)).map(fingerprint => remaining.get(fingerprint));
+      entries.forEach(entry => remaining.delete(entry.fingerprint));
+      if (entries.length > 0) {
+        batches.push({ number: sent.number, transactionId: sent.transactionId, entries });
+      }
+    });
+
+    const base = transactionId || upload.uploadId;
+    const rest = [...remaining.values()];
+    let number = Math.max(upload.batchCount || 0, ...batches.map(batch => batch.number));
+    for (let start = 0; start < rest.length; start += UPLOAD_BATCH_SIZE) {
+      number++;
+      batches.push({ number, transactionId: number === 1 ? base : `${base}-${number}`, entries: rest.slice(start, start + UPLOAD_BATCH_SIZE) });
+    }
+    return batches;
+  }
+
+  /**
+   * Usage records of a payload: an array, { data: [...] }, { usage: [...] } or a single record
+   */
+  getRecords(payload) {
+    if (Array.isArray(payload)) {
+      return payload;
+    }
+    return Array.isArray(payload.data) ? payload.data : Array.isArray(payload.usage) ? payload.usage : [payload];
+  }
+
+  /**
+   * Read and validate the usage records of --json or --file
+   * @param {Object} options - Command options
+   * @returns {Promise<Object>} - { transactionId, valid: [{ record, position }], errors: [{ position, field, message }] }
+   */
+  async loadUsage(options) {
+    if (options.aggregate) {
+      return this.loadAggregatedUsage(options);
+    }
+    const payload = await this.parseUsageData(options);
+    return { transactionId: payload.transactionId || null, ...UsageValidator.validate(this.getRecords(payload)) };
+  }
+
+  /**
+   * Read and validate the usage events of --json or --file one by one and roll the valid ones
+   * up with --aggregate and --group-by; the aggregates are what gets uploaded
+   * @param {Object} options - Command options
+   * @returns {Promise<Object>} - As loadUsage(), with valid: [{ record, position, events }],
+   *   plus aggregator and counts: { read, invalid }
+   */
+  async loadAggregatedUsage(options) {
+    const aggregator = new UsageAggregator(options);
+    const events = options.json ? this.getRecords(JSON.parse(options.json)) : this.readUsage(options);
+    const errors = [];
+    let read = 0;
+    for await (const event of events) {
+      read++;
+      const result = UsageValidator.validateRecord(event);
+      if (result.errors.length > 0) {
+        result.errors.forEach(error => errors.push({ position: read, ...error }));
+      } else {
+        aggregator.add(result.record);
+      }
+    }
+
+    const valid = aggregator.getAggregates().map((aggregate, index) => ({ ...aggregate, position: index + 1 }));
+    Logger.info(`Aggregated ${aggregator.events} usage event(s) into ${valid.length} ${aggregator.period} record(s)`);
+    return {
+      transactionId: null,
+      valid,
+      errors,
+      unit: 'aggregate',
+      aggregator,
+      counts: { read, invalid: new Set(errors.map(error => error.position)).size }
+    };
+  }
+
   async parseUsageData(options) {
     if (options.json) {
       return JSON.parse(options.json);
     } else if (options.file) {
-      const fs = require('fs');
-      const fileContent = fs.readFileSync(options.file, 'utf8');
-      return JSON.parse(fileContent);
+      if (this.getFormat(options) === 'json') {
+        const payload = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+        const mapping = options.mapping ? ColumnMapping.load(options.mapping) : null;
+        return {
+          transactionId: payload.transactionId,
+          data: this.getRecords(payload).map((row, index) => (mapping ? mapping.apply(row, `record ${index + 1}`) : row))
+        };
+      }
+      return { data: await this.readUsageRecords(options) };
     }
     throw new Error('Invalid data source');
   }
 
+  /**
+   * Input format of --file: --format, or the file extension (.csv, .jsonl or .ndjson, else JSON)
+   */
+  getFormat(options) {
+    const format = options.format
+      ? options.format.toLowerCase()
+      : /\.csv$/i.test(options.file) ? 'csv' : /\.(jsonl|ndjson)$/i.test(options.file) ? 'jsonl' : 'json';
+    if (!USAGE_FORMATS.includes(format)) {
+      throw new Error(`Unsupported usage file format '${options.format}'. Valid formats are: ${USAGE_FORMATS.join(', ')}`);
+    }
+    return format;
+  }
+
+  /**
+   * Read the usage records of a CSV, JSONL or JSON file through the --mapping file, if any.
+   * Values are left as read; loadUsage() converts them to the field types
+   * @param {Object} options - Command options
+   * @param {number} limit - Stop after this many records
+   * @returns {Promise<Object[]>} - Usage records
+   */
+  async readUsageRecords(options, limit = Infinity) {
+    const records = [];
+    for await (const record of this.readUsage(options)) {
+      records.push(record);
+      if (records.length >= limit) {
+        break;
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Usage records of --file, one at a time (CSV files are streamed)
+   * @param {Object} options - Command options
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *readUsage(options) {
+    const format = this.getFormat(options);
+    if (format === 'json') {
+      yield* (await this.parseUsageData(options)).data;
+      return;
+    }
+    yield* FileUtils.readImportRecords(options.file, null, { ...options, format });
+  }
+
   async setupApiClient(options) {
-    const { apiKey } = await this.builder.setupApi(options);
-    return ApiClientFactory.createClient('lifecycle', 'rest', { apiKey });
+    this.connection = await this.builder.setupApi(options);
+    const { apiKey, sandbox, baseUrl } = this.connection;
+    return ApiClientFactory.createClient('lifecycle', 'rest', { apiKey, sandbox, baseUrl });
   }
 
-  displayResults(result, options) {
-    if (options.verbose) {
-      console.log(chalk.green('Usage uploaded successfully!'));
-      console.log(chalk.green('Response data:'));
-      console.log(JSON.stringify(result, null, 2));
-    } else {
+  /**
+   * List the records that failed validation; they are not uploaded
+   */
+  displayValidationErrors(errors, options) {
+    if (errors.length === 0) {
+      return;
+    }
+
+    const positions = new Set(errors.map(error => error.position));
+    console.log(chalk.red(`${positions.size} record(s) failed validation and will not be uploaded:`));
+    errors.slice(0, options.verbose ? undefined : 20).forEach(error => {
+      console.log(chalk.red(`  record ${error.position}: ${error.field ? `${error.field}: ` : ''}${error.message}`));
+    });
+    if (!options.verbose && errors.length > 20) {
+      console.log(chalk.gray(`  ... and ${errors.length - 20} more (use --verbose to list all)`));
+    }
+  }
+
+  displayResults(summary, options) {
+    if (summary.uploaded > 0) {
       console.log(chalk.green('Usage uploaded successfully!'));
-      
-      if (result.data && result.data.uploaded) {
-        console.log(chalk.blue(`Uploaded ${result.data.uploaded} usage records`));
-      }
-      
-      if (result.data && result.data.errors && result.data.errors.length > 0) {
-        console.log(chalk.yellow(`Warnings: ${result.data.errors.length} issues found`));
-      }
+      console.log(chalk.blue(`Uploaded ${summary.uploaded} usage ${summary.unit}s${summary.uploadId ? ` (upload ${summary.uploadId})` : ''}`));
+    } else if (summary.rejected.length === 0) {
+      console.log(chalk.green(`All ${summary.records} usage ${summary.unit}s were already uploaded; nothing to do`));
     }
 
-    // Show file output if specified
-    if (options.output) {
-      console.log(chalk.blue(`Results saved to: ${options.output}`));
+    if (summary.rejected.length > 0) {
+      console.log(chalk.yellow(`Warnings: ${summary.rejected.length} record(s) rejected`));
+      summary.rejected.slice(0, options.verbose ? undefined : 10).forEach(item => {
+        console.log(chalk.yellow(`  ${summary.unit} ${item.position}: ${item.message}`));
+      });
+      if (!options.verbose && summary.rejected.length > 10) {
+        console.log(chalk.gray(`  ... and ${summary.rejected.length - 10} more (use --verbose to list all)`));
+      }
     }
   }
 }
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const { PlatformCommandBuilder } = require('../../../services/platform-command');
+const { CatalogDiff, CatalogSource } = require('../../../services/catalog-diff');
+const { getObjectType, isProductCatalogObjectType } = require('../../../services/objectTypes');
+const { Logger } = require('../../../utils');
+
+class DiffMetadataCommand {
+  constructor() {
+    this.builder = new PlatformCommandBuilder('platform', 'metadata', 'diff');
+  }
+
+  register(program) {
+    this.builder
+      .build(program)
+      .description('Compare two product catalogs (snapshot/export directories, export job IDs, or production, sandbox, profile:<name>)')
+      .argument('<left>', 'Left side: directory, export job ID, production, sandbox or profile:<name>')
+      .argument('<right>', 'Right side: directory, export job ID, production, sandbox or profile:<name>')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(left, right, options) {
+    try {
+      const objectTypes = this.parseObjectTypes(options.objectType);
+      const ignoreFields = options.ignoreFields ? options.ignoreFields.split(',').map(field => field.trim()).filter(Boolean) : [];
+      CatalogSource.assertDifferentTenants(left, right);
+
+      Logger.verbose(`Loading ${left}...`, options);
+      const leftSource = await CatalogSource.load(left, options);
+      Logger.verbose(`Loading ${right}...`, options);
+      const rightSource = await CatalogSource.load(right, options);
+
+      const result = CatalogDiff.compare(leftSource, rightSource, { objectTypes, ignoreFields });
+      // Files never get terminal colors
+      const output = options.output
+        ? this.withoutColors(() => CatalogDiff.format(result, options.format))
+        : CatalogDiff.format(result, options.format);
+
+      if (options.output) {
+        fs.writeFileSync(options.output, output.endsWith('\n') ? output : `${output}\n`);
+        Logger.success(`Diff written to ${options.output}`);
+      } else {
+        console.log(output);
+      }
+
+      if (options.exitCode && CatalogDiff.hasDifferences(result)) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Diff failed:'), error.message);
+      if (options.verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+      process.exit(2);
+    }
+  }
+
+  parseObjectTypes(value) {
+    if (!value) {
+      return [];
+    }
+    return value.split(',').map(name => name.trim()).filter(Boolean).map(name => {
+      if (!isProductCatalogObjectType(name)) {
+        throw new Error(`'${name}' is not a product catalog object type`);
+      }
+      return getObjectType(name).name;
+    });
+  }
+
+  withoutColors(render) {
+    const level = chalk.level;
+    chalk.level = 0;
+    try {
+      return render();
+    } finally {
+      chalk.level = level;
+    }
+  }
+}
+
+module.exports = DiffMetadataCommand;
@@ -1,9 +1,16 @@
 const chalk = require('chalk');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
 const { PlatformCommandBuilder } = require('../../../services/platform-command');
 const { PlatformManager } = require('../../../services/platform-manager');
 const { ApiClientFactory } = require('../../../clients/api-client-factory');
 const { MetadataValidator } = require('../../../services/validators');
-const { Logger } = require('../../../utils');
+const JobClient = require('../../../clients/job-client');
+const { FileDownloader } = require('../../../clients/file-downloader');
+const { Snapshot } = require('../../../services/snapshot');
+const { Logger, JobLedger, FileUtils } = require('../../../utils');
 
 class ExportMetadataCommand {
   constructor() {
@@ -20,21 +27,41 @@ class ExportMetadataCommand {
 
   async handleAction(options) {
     try {
+      if (options.snapshot) {
+        this.prepareSnapshotOptions(options);
+      }
+
       // Handle download option
       if (options.download) {
         await this.handleDownload(options.download, options);
         return;
       }
 
-      console.log(chalk.blue('Exporting metadata...'));
-
       // Validate input
       if (!options.objectType && !options.all) {
         throw new Error('Must specify --object-type or --all flag');
       }
+      if (options.splitSize) {
+        FileUtils.parseSplitSize(options.splitSize);
+      }
 
       // Setup API client
       const apiClient = await this.setupApiClient(options);
+
+      if (options.resume) {
+        const entry = JobLedger.findResumable({
+          command: 'platform export',
+          objectType: options.all ? 'all' : options.objectType,
+          environment: this.connection.environment
+        });
+        if (entry) {
+          await this.resume(entry, { ...entry.options, ...options }, apiClient);
+          return;
+        }
+        Logger.info('No interrupted export job found, starting a new one');
+      }
+
+      console.log(chalk.blue('Exporting metadata...'));
       const platformManager = new PlatformManager(apiClient);
 
       // Prepare export options
@@ -54,6 +81,16 @@ class ExportMetadataCommand {
         result = await platformManager.exportMetadata(options.objectType, exportOptions);
       }
 
+      // Keep the job in the local history so its ID is not lost without --wait
+      JobLedger.record({
+        jobId: result.jobId,
+        kind: 'export',
+        command: 'platform export',
+        connection: this.connection,
+        objectTypes: options.all ? ['all'] : [options.objectType],
+        options
+      });
+
       // Handle job polling if --wait is specified
       if (options.wait && result.jobId) {
         await this.waitForJobCompletion(result.jobId, apiClient, options);
@@ -72,84 +109,118 @@ class ExportMetadataCommand {
   }
 
   async setupApiClient(options) {
-    const { apiKey } = await this.builder.setupApi(options);
-    return ApiClientFactory.createClient('platform', 'rest', { 
+    this.connection = await this.builder.setupApi(options);
+    const { apiKey, sandbox, baseUrl } = this.connection;
+    const apiClient = ApiClientFactory.createClient('platform', 'rest', { 
       apiKey,
-      sandbox: options.sandbox 
+      sandbox,
+      baseUrl
     });
+    this.apiUrl = apiClient.baseUrl;
+    return apiClient;
+  }
+
+  /**
+   * A snapshot always waits for the job and keeps exactly one file per object
+   */
+  prepareSnapshotOptions(options) {
+    if (options.output) {
+      throw new Error('--output cannot be used with --snapshot; files are written into the snapshot directory');
+    }
+    if (options.splitSize) {
+      throw new Error('--split-size cannot be used with --snapshot; a snapshot keeps one file per object');
+    }
+    options.wait = true;
+    options.mergeParts = true;
+  }
+
+  /**
+   * Reattach to an export whose --wait was interrupted and finish its downloads
+   * @param {Object} entry - Job ledger entry
+   * @param {Object} options - Options of the original command
+   * @param {Object} apiClient - Optional API client
+   */
+  async resume(entry, options, apiClient) {
+    apiClient = apiClient || await this.setupApiClient(options);
+    Logger.info(`Resuming export job ${entry.jobId} (started ${entry.startedAt})`);
+    await this.waitForJobCompletion(entry.jobId, apiClient, options);
   }
 
   async waitForJobCompletion(jobId, apiClient, options) {
     Logger.progress('Waiting for job completion...');
+    JobLedger.checkpoint(jobId, { phase: 'waiting' });
     
     const startTime = Date.now();
     const pollingInterval = 5000; // 5 seconds
     const maxPollingTime = 3600000; // 1 hour
 
     while (true) {
+      // Only the status request is retried here; failures while finishing the job propagate
+      let status;
       try {
-        const status = await apiClient.get(`/cpq/async/exports/${jobId}`);
-        
+        status = await apiClient.get(`/cpq/async/exports/${jobId}`);
+      } catch (error) {
+        Logger.warning(`Could not check job status: ${error.message}`);
+      }
+
+      if (status) {
         Logger.debug('Status Response', status, options);
-        
+        this.recordFinalStatus(jobId, status);
+
         // Check for terminal states (case-insensitive)
         const statusLower = status.status.toLowerCase();
-        
+
         if (statusLower === 'completed' || statusLower === 'succeeded') {
           Logger.success('Export job completed successfully!');
-          
+
           // Download results if available
-          if (status.objects && status.objects.length > 0) {
+          const downloaded = !status.objects || status.objects.length === 0 ||
             await this.downloadJobResults(status, options, jobId);
-          }
+          this.finishCheckpoint(jobId, downloaded);
           return;
         }
-        
+
         if (statusLower === 'failed') {
           // Check if we have any completed objects - if so, show partial success
           const completedObjects = status.objects?.filter(obj => obj.status === 'Completed') || [];
-          const noRecordsObjects = status.objects?.filter(obj => 
-            obj.status === 'Failed' && 
-            obj.totalSize === 0 && 
-            obj.errors && 
+          const noRecordsObjects = status.objects?.filter(obj =>
+            obj.status === 'Failed' &&
+            obj.totalSize === 0 &&
+            obj.errors &&
             obj.errors.some(error => error.includes('No ') && error.includes(' fetched'))
           ) || [];
-          
+
           if (completedObjects.length > 0 || noRecordsObjects.length > 0) {
             Logger.success('Export job completed with partial success');
-            await this.downloadJobResults(status, options, jobId);
+            this.finishCheckpoint(jobId, await this.downloadJobResults(status, options, jobId));
             return;
           } else {
+            JobLedger.clearCheckpoint(jobId);
             throw new Error(`Job ${jobId} failed: ${status.error || 'Unknown error'}`);
           }
         }
-        
+
         // Show job status for processing
         Logger.jobStatus(status.status);
-        
-        // Check if we've exceeded the maximum polling time
-        if (Date.now() - startTime > maxPollingTime) {
-          throw new Error(`Job ${jobId} timed out after ${maxPollingTime / 1000} seconds`);
-        }
-        
-        // Wait before polling again
-        await this.sleep(pollingInterval);
-        
-      } catch (error) {
-        if (error.message.includes('Job') && (error.message.includes('failed') || error.message.includes('cancelled') || error.message.includes('timed out'))) {
-          throw error;
-        }
-        Logger.warning(`Could not check job status: ${error.message}`);
-        await this.sleep(pollingInterval);
       }
+
+      // Check if we've exceeded the maximum polling time
+      if (Date.now() - startTime > maxPollingTime) {
+        throw new Error(`Job ${jobId} timed out after ${maxPollingTime / 1000} seconds`);
+      }
+
+      // Wait before polling again
+      await this.sleep(pollingInterval);
     }
   }
 
+
   async handleDownload(jobId, options) {
     Logger.info(`Checking status of export job ${jobId}...`);
     
     const apiClient = await this.setupApiClient(options);
     const status = await apiClient.get(`/cpq/async/exports/${jobId}`);
+    this.recordFinalStatus(jobId, status);
     
     if (status.status === 'Processing') {
       Logger.warning('Job is still processing. Please wait and try again.');
@@ -170,16 +241,21 @@ class ExportMetadataCommand {
     await this.downloadJobResults(status, options, jobId);
   }
 
-    async downloadJobResults(status, options, jobId) {
+  /**
+   * Download the files of a finished export
+   * @returns {Promise<boolean>} - False when some files could not be downloaded
+   */
+  async downloadJobResults(status, options, jobId) {
     if (!status.objects || status.objects.length === 0) {
       Logger.warning('No export results available');
-      return;
+      return true;
     }
 
     const requestedObjectType = options.objectType?.toLowerCase();
     
     // Filter out Usage objects since they have format issues
     const validObjects = status.objects.filter(obj => obj.name !== 'Usage');
+    let failedDownloads = 0;
     
     // Count completed objects to determine if we need individual file naming
     const completedObjects = validObjects.filter(obj => 
@@ -188,6 +264,19 @@ class ExportMetadataCommand {
     
     // Always use individual files when we have multiple objects, regardless of output option
     const needsIndividualFiles = completedObjects.length > 1;
+
+    // Objects already written before an interrupted --wait are not downloaded again
+    const entry = JobLedger.get(jobId);
+    const checkpoint = entry && entry.checkpoint;
+    const downloadedObjects = checkpoint ? checkpoint.downloadedObjects || [] : [];
+    const objectFiles = checkpoint ? checkpoint.objectFiles || {} : {};
+    if (checkpoint) {
+      JobLedger.checkpoint(jobId, { phase: 'downloading', downloadedObjects, objectFiles });
+    }
+
+    const downloader = new FileDownloader();
+    const splitLimits = options.splitSize ? FileUtils.parseSplitSize(options.splitSize) : null;
+    const reconciliation = [];
     
     for (const obj of validObjects) {
       const objName = obj.name?.toLowerCase();
@@ -201,12 +290,10 @@ class ExportMetadataCommand {
         Logger.info(`Downloading ${obj.name} data...`);
         
         try {
-          const data = await this.downloadFileFromUrl(obj.fileUrls[0]);
-          
-          let outputPath = options.output;
+          let outputPath = options.snapshot ? Snapshot.getObjectPath(options.snapshot, obj.name) : options.output;
           
           // If we have multiple objects, create individual files with proper naming
-          if (needsIndividualFiles) {
+          if (needsIndividualFiles && !options.snapshot) {
             const actualJobId = jobId || options.jobId || 'unknown';
             const extension = options.output ? require('path').extname(options.output) : '.jsonl';
             const baseExtension = extension || '.jsonl';
@@ -221,14 +308,52 @@ class ExportMetadataCommand {
               outputPath = `${obj.name.toLowerCase()}-${actualJobId}${baseExtension}`;
             }
           }
-          
-          // Use FileUtils for consistent file handling
-          const FileUtils = require('../../../utils/fileUtils');
-          FileUtils.writeOutput(data, outputPath, options);
-          Logger.success(`Downloaded ${obj.name} data (${obj.totalSize} records)`);
+
+          if (!outputPath) {
+            if (options.mergeParts && obj.fileUrls.length > 1) {
+              await this.pipeMergedParts(obj, downloader);
+            } else {
+              // No file to resume or rename into: stream every part to stdout
+              for (const url of obj.fileUrls) {
+                await downloader.pipe(url, process.stdout, { label: obj.name });
+              }
+            }
+            Logger.success(`Downloaded ${obj.name} data (${obj.totalSize} records)`);
+            continue;
+          }
+
+          const filePaths = obj.fileUrls.map((url, index) => this.getPartPath(outputPath, index, obj.fileUrls.length));
+          const previousFiles = objectFiles[objName] || filePaths;
+          if (downloadedObjects.includes(objName) && previousFiles.every(filePath => fs.existsSync(filePath))) {
+            Logger.info(`Already downloaded ${obj.name} to ${previousFiles.join(', ')}`);
+            reconciliation.push({ name: obj.name, expected: obj.totalSize, records: await this.countRecords(previousFiles), files: previousFiles });
+            continue;
+          }
+
+          const downloads = [];
+          for (const [index, url] of obj.fileUrls.entries()) {
+            const file = await downloader.download(url, filePaths[index], { label: require('path').basename(filePaths[index]) });
+            downloads.push(file);
+            Logger.verbose(`  ${file.path}: ${FileDownloader.formatBytes(file.bytes)}, sha256 ${file.sha256}${file.resumed ? ' (resumed)' : ''}`, options);
+          }
+
+          const files = await this.arrangeParts(downloads, outputPath, splitLimits, options);
+          JobLedger.addDownloads(jobId, files);
+          files.forEach(file => Logger.success(`Data written to: ${file.path}`));
+
+          if (checkpoint) {
+            downloadedObjects.push(objName);
+            objectFiles[objName] = files.map(file => file.path);
+            JobLedger.checkpoint(jobId, { downloadedObjects, objectFiles });
+          }
+
+          const records = await this.countRecords(files.map(file => file.path));
+          reconciliation.push({ name: obj.name, expected: obj.totalSize, records, files: files.map(file => file.path) });
+          Logger.success(`Downloaded ${obj.name} data (${records} records)`);
           Logger.info('Format: JSONL with metadata header for import compatibility');
         } catch (error) {
           Logger.error(`Error downloading ${obj.name} data: ${error.message}`);
+          failedDownloads++;
         }
       } else if (obj.status === 'Failed') {
         // Check if this is a "no records" failure (which is not really a failure)
@@ -247,22 +372,156 @@ class ExportMetadataCommand {
         Logger.warning(`  • ${obj.name}: ${obj.status}`);
       }
     }
+
+    this.displayReconciliation(reconciliation);
+
+    if (options.snapshot) {
+      if (failedDownloads > 0) {
+        Logger.warning('Snapshot manifest not written because some files are missing');
+      } else {
+        const objects = validObjects.filter(obj => !requestedObjectType || obj.name?.toLowerCase() === requestedObjectType);
+        await this.writeSnapshotManifest(options.snapshot, jobId, objects, reconciliation);
+      }
+    }
+
+    return failedDownloads === 0;
+  }
+
+  async countRecords(filePaths) {
+    let records = 0;
+    for (const filePath of filePaths) {
+      records += await FileUtils.countJsonlRecords(filePath);
+    }
+    return records;
+  }
+
+  /**
+   * Write manifest.json for a snapshot, including objects that produced no file
+   */
+  async writeSnapshotManifest(dir, jobId, objects, reconciliation) {
+    const manifest = await Snapshot.write(dir, {
+      jobId,
+      environment: this.connection && this.connection.environment,
+      profile: this.connection && this.connection.profile,
+      apiUrl: this.apiUrl,
+      objects: objects.map(obj => {
+        const downloaded = reconciliation.find(item => item.name === obj.name);
+        return {
+          name: obj.name,
+          status: obj.status,
+          file: downloaded ? downloaded.files[0] : null,
+          records: downloaded ? downloaded.records : 0,
+          expectedRecords: obj.totalSize
+        };
+      })
+    });
+
+    JobLedger.addDownloads(jobId, [Snapshot.getManifestPath(dir)]);
+    const files = manifest.objects.filter(obj => obj.file).length;
+    Logger.success(`Snapshot written to ${dir} (${files} object file${files === 1 ? '' : 's'}, manifest.json)`);
+  }
+
+  /**
+   * Write the parts of an object to stdout as one file with a single meta header (--merge-parts)
+   */
+  async pipeMergedParts(obj, downloader) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-export-'));
+    try {
+      const parts = [];
+      for (const [index, url] of obj.fileUrls.entries()) {
+        const part = await downloader.download(url, path.join(dir, `part${index + 1}.jsonl`), { label: `${obj.name} part ${index + 1}` });
+        parts.push(part.path);
+      }
+      const merged = path.join(dir, `${obj.name}.jsonl`);
+      await FileUtils.mergeJsonlFiles(parts, merged);
+      await pipeline(fs.createReadStream(merged), process.stdout, { end: false });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Apply --merge-parts / --split-size to the files downloaded for one object
+   * @param {Array} downloads - FileDownloader results, in part order
+   * @param {string} outputPath - Path for the object as a single file
+   * @param {Object|null} splitLimits - Parsed --split-size
+   * @param {Object} options - Command options
+   * @returns {Promise<Array>} - Final files as { path, sha256 }
+   */
+  async arrangeParts(downloads, outputPath, splitLimits, options) {
+    if (!(options.mergeParts || splitLimits) || (downloads.length === 1 && !splitLimits)) {
+      return downloads.map(({ path, sha256 }) => ({ path, sha256 }));
+    }
+
+    // --split-size re-chunks the whole object, so several parts are merged first
+    if (downloads.length > 1) {
+      await FileUtils.mergeJsonlFiles(downloads.map(file => file.path), outputPath);
+      Logger.info(`Merged ${downloads.length} parts into ${outputPath}`);
+    }
+
+    const paths = splitLimits ? await FileUtils.splitJsonlFile(outputPath, splitLimits) : [outputPath];
+    if (splitLimits && paths.length > 1) {
+      Logger.info(`Split ${outputPath} into ${paths.length} files`);
+    }
+
+    const files = [];
+    for (const filePath of paths) {
+      const { sha256 } = await FileDownloader.hashFile(filePath);
+      files.push({ path: filePath, sha256 });
+    }
+    return files;
+  }
+
+  /**
+   * Compare the records written for each object with the totalSize reported by the job
+   */
+  displayReconciliation(reconciliation) {
+    const checked = reconciliation.filter(item => typeof item.expected === 'number');
+    if (checked.length === 0) {
+      return;
+    }
+
+    Logger.info('Record counts:');
+    checked.forEach(({ name, expected, records }) => {
+      if (records === expected) {
+        Logger.success(`  ${name}: ${records} of ${expected} records`);
+      } else {
+        Logger.warning(`  ${name}: ${records} of ${expected} records (${records < expected ? 'missing' : 'extra'} ${Math.abs(expected - records)})`);
+      }
+    });
+  }
+
+  /**
+   * Drop the resume checkpoint, unless downloads are left for 'nue jobs resume'
+   */
+  finishCheckpoint(jobId, downloaded) {
+    if (downloaded) {
+      JobLedger.clearCheckpoint(jobId);
+    } else {
+      Logger.warning(`Some files were not downloaded. Run 'nue jobs resume ${jobId}' to retry them.`);
+    }
+  }
+
+  recordFinalStatus(jobId, status) {
+    const job = JobClient.normalizeAsyncJob(jobId, 'export', status);
+    if (job.terminal) {
+      JobLedger.complete(jobId, job.status, job.state);
+    }
   }
 
   async sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async downloadFileFromUrl(url) {
-    const axios = require('axios');
-    try {
-      const response = await axios.get(url, {
-        responseType: 'text'
-      });
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to download file from URL: ${error.message}`);
+  /**
+   * File path for one of an object's files: "<name>-partN<ext>" when there are several
+   */
+  getPartPath(outputPath, index, count) {
+    if (count === 1) {
+      return outputPath;
     }
+    const extension = require('path').extname(outputPath);
+    return `${outputPath.slice(0, outputPath.length - extension.length)}-part${index + 1}${extension}`;
   }
 
   displayResults(result, options) {
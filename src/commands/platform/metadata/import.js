@@ -1,10 +1,23 @@
 const chalk = require('chalk');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { PlatformCommandBuilder } = require('../../../services/platform-command');
 const { PlatformManager } = require('../../../services/platform-manager');
 const { ApiClientFactory } = require('../../../clients/api-client-factory');
 const { MetadataValidator } = require('../../../services/validators');
-const { Logger } = require('../../../utils');
+const JobClient = require('../../../clients/job-client');
+const { Snapshot } = require('../../../services/snapshot');
+const { CatalogReferences } = require('../../../services/catalog-references');
+const { ImportDryRun } = require('../../../services/import-dry-run');
+const { ImportFailures } = require('../../../services/import-failures');
+const { ColumnMapping } = require('../../../services/column-mapping');
+const { ChunkedImport } = require('../../../services/chunked-import');
+const { getObjectType, isProductCatalogObjectType, getCatalogImportWaves } = require('../../../services/objectTypes');
+const { Logger, JobLedger, FileUtils } = require('../../../utils');
+
+const POLLING_INTERVAL = 5000; // 5 seconds
+const MAX_POLLING_TIME = 3600000; // 1 hour
 
 class ImportMetadataCommand {
   constructor() {
@@ -27,6 +40,34 @@ class ImportMetadataCommand {
         return;
       }
 
+      if (options.resume && await this.resumeInterrupted(options)) {
+        return;
+      }
+
+      if (options.fetchFailures) {
+        await this.handleFetchFailures(options.fetchFailures, options);
+        return;
+      }
+
+      if (options.file && /\.csv$/i.test(options.file)) {
+        await this.handleCsvFileImport(options);
+        return;
+      }
+
+      if (options.mapping || options.mappingPreview) {
+        throw new Error('--mapping and --mapping-preview apply to CSV files (--file <file>.csv)');
+      }
+
+      if (options.snapshot) {
+        await this.handleSnapshotImport(options);
+        return;
+      }
+
+      if (options.file && options.file.endsWith('.jsonl')) {
+        await this.handleJsonlFileImport(options);
+        return;
+      }
+
       // Handle export job ID import
       if (options.exportJobId) {
         await this.handleExportJobIdImport(options);
@@ -70,6 +111,10 @@ class ImportMetadataCommand {
         importOptions
       );
 
+      if (result.data && result.data.jobId) {
+        this.recordJob(result.data.jobId, [metadataData.objectType || 'all'], options.file ? [options.file] : [], options);
+      }
+
       // Handle job polling if --wait is specified
       if (options.wait && result.data && result.data.jobId) {
         await this.waitForJobCompletion(result.data.jobId, apiClient, options);
@@ -98,16 +143,51 @@ class ImportMetadataCommand {
   }
 
   async setupApiClient(options) {
-    const { apiKey } = await this.builder.setupApi(options);
+    this.connection = await this.builder.setupApi(options);
+    const { apiKey, sandbox, baseUrl } = this.connection;
     
     // Use the old ApiClient for imports as it handles form data correctly
     const ApiClient = require('../../../utils/apiClient');
     return new ApiClient(apiKey, { 
-      sandbox: options.sandbox,
+      sandbox,
+      baseUrl,
       verbose: options.verbose
     });
   }
 
+  /**
+   * Reattach to the last import of this object type whose wait was interrupted
+   * @param {Object} options - Command options
+   * @returns {Promise<boolean>} - Whether a job was resumed
+   */
+  async resumeInterrupted(options) {
+    const apiClient = await this.setupApiClient(options);
+    const entry = JobLedger.findResumable({
+      command: 'platform import',
+      objectType: options.objectType,
+      environment: this.connection.environment
+    });
+    if (!entry) {
+      Logger.info('No interrupted import job found, starting a new one');
+      return false;
+    }
+
+    await this.resume(entry, { ...entry.options, ...options }, apiClient);
+    return true;
+  }
+
+  /**
+   * Reattach to an import whose wait was interrupted and show its results
+   * @param {Object} entry - Job ledger entry
+   * @param {Object} options - Options of the original command
+   * @param {Object} apiClient - Optional API client
+   */
+  async resume(entry, options, apiClient) {
+    apiClient = apiClient || await this.setupApiClient(options);
+    Logger.info(`Resuming import job ${entry.jobId} (started ${entry.startedAt})`);
+    await this.waitForJobCompletion(entry.jobId, apiClient, options);
+  }
+
   async handleExportJobIdImport(options) {
     Logger.info(`Importing from export job ID: ${options.exportJobId}`);
     
@@ -126,19 +206,153 @@ class ImportMetadataCommand {
       Logger.verbose(`  - ${file}`, options);
     });
 
+    // Ledger entries point at the exported files rather than the converted temp files
+    this.inputFiles = downloadedFiles;
+
     // Setup API client
     const apiClient = await this.setupApiClient(options);
 
     // Determine if this is a product catalog import
     const isProductCatalogObject = this.isProductCatalogObjectType(options.objectType);
     
-    if (isProductCatalogObject || options.allObjects) {
+    if (isProductCatalogObject || options.allObjects || downloadedFiles.length > 1) {
       await this.importMultipleFiles(downloadedFiles, apiClient, options);
     } else {
       await this.importSingleFile(downloadedFiles[0], options.objectType, apiClient, options);
     }
   }
 
+  async handleSnapshotImport(options) {
+    const dir = options.snapshot;
+    const manifest = Snapshot.read(dir);
+
+    const problems = await Snapshot.verify(dir, manifest);
+    if (problems.length > 0) {
+      throw new Error(`Snapshot ${dir} does not match its manifest:\n  ${problems.join('\n  ')}`);
+    }
+
+    const requested = options.objectType && options.objectType.toLowerCase();
+    const objects = manifest.objects.filter(obj =>
+      obj.file && obj.records > 0 && (!requested || obj.name.toLowerCase() === requested));
+    if (objects.length === 0) {
+      throw new Error(`Snapshot ${dir} has no records${requested ? ` for object type '${options.objectType}'` : ''}`);
+    }
+
+    Logger.info(`Importing snapshot ${dir} (export job ${manifest.jobId}, taken ${manifest.createdAt})`);
+    const files = objects.map(obj => require('path').join(dir, obj.file));
+    files.forEach(file => Logger.verbose(`  - ${file}`, options));
+
+    // Ledger entries point at the snapshot files rather than the converted temp files
+    this.inputFiles = files;
+
+    const apiClient = await this.setupApiClient(options);
+    await this.importMultipleFiles(files, apiClient, options);
+  }
+
+  /**
+   * Import a JSONL file in the exported format. A file with several sections, each starting
+   * with its meta header (like failures.jsonl), is imported as one file per object
+   */
+  async handleJsonlFileImport(options) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-import-'));
+    try {
+      const files = await FileUtils.splitJsonlSections(options.file, dir);
+      if (files.length === 0) {
+        throw new Error(`${options.file} has no records`);
+      }
+
+      Logger.info(`Importing ${options.file} (${files.map(file => path.basename(file, '.jsonl')).join(', ')})`);
+      this.inputFiles = [options.file];
+      const apiClient = await this.setupApiClient(options);
+      await this.importMultipleFiles(files, apiClient, options);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Import a CSV file of one product catalog object, named by --object-type or the file name
+   * prefix (product.csv, pricetag-2024.csv). Rows go through the --mapping file, if any, and
+   * values are converted to the field types of the object
+   */
+  async handleCsvFileImport(options) {
+    const type = getObjectType(options.objectType || CatalogReferences.getFileObjectType(options.file));
+    if (!type || !isProductCatalogObjectType(type.name)) {
+      throw new Error(`Cannot tell which product catalog object ${options.file} holds; use --object-type`);
+    }
+    const readOptions = { ...options, format: 'csv' };
+
+    if (options.mappingPreview) {
+      const count = ColumnMapping.getPreviewCount(options.mappingPreview);
+      const records = [];
+      for await (const record of FileUtils.readImportRecords(options.file, type.name, readOptions)) {
+        records.push(record);
+        if (records.length === count) {
+          break;
+        }
+      }
+      Logger.info(`First ${records.length} ${type.apiName} record(s) of ${options.file}${options.mapping ? ` mapped by ${options.mapping}` : ''}:`);
+      console.log(ColumnMapping.formatPreview(records));
+      return;
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-import-'));
+    try {
+      Logger.info(`Importing ${type.apiName} records from ${options.file}`);
+      this.inputFiles = [options.file];
+      const file = await FileUtils.convertToJSONL(options.file, type.name, readOptions, path.join(dir, `${type.name}.jsonl`));
+      const apiClient = await this.setupApiClient(options);
+      await this.importMultipleFiles([file], apiClient, options);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Download the failed records of an import job into a failures file
+   */
+  async handleFetchFailures(jobId, options) {
+    const apiClient = await this.setupApiClient(options);
+    const status = await apiClient.get(`/cpq/async/imports/revenue-builder-data/${jobId}`);
+    if (!JobClient.normalizeAsyncJob(jobId, 'import', status).terminal) {
+      throw new Error(`Import job ${jobId} is still ${status.status}`);
+    }
+
+    if (!await this.saveFailures([{ jobId, status }], options)) {
+      Logger.success(`Import job ${jobId} has no failed records`);
+    }
+  }
+
+  /**
+   * Write the failed records of finished imports, joined to the input rows, to one failures file
+   * @param {Object[]} jobs - [{ jobId, status }]
+   * @returns {Promise<boolean>} - Whether any records failed
+   */
+  async saveFailures(jobs, options) {
+    const failures = [];
+    for (const { jobId, status } of jobs) {
+      if (ImportFailures.getFailedFiles(status).length === 0) {
+        continue;
+      }
+
+      const entry = JobLedger.get(jobId);
+      const result = await ImportFailures.collect(status, {
+        inputFiles: entry ? entry.inputFiles : (this.inputFiles || []),
+        csv: entry ? entry.options : options
+      });
+      failures.push(...result.failures);
+    }
+    if (failures.length === 0) {
+      return false;
+    }
+
+    const filePath = options.output || 'failures.jsonl';
+    ImportFailures.write(failures, filePath);
+    console.log(ImportFailures.format({ failures, groups: ImportFailures.groupByMessage(failures) }));
+    Logger.info(`Failed records written to ${filePath}; fix them and re-import with: nue platform import --file ${filePath}`);
+    return true;
+  }
+
   isProductCatalogObjectType(objectType) {
     const productCatalogObjects = [
       'uom', 'credittype', 'creditpool', 'creditconversion', 'pricebook', 
@@ -147,22 +361,177 @@ class ImportMetadataCommand {
     return productCatalogObjects.includes(objectType?.toLowerCase());
   }
 
+  /**
+   * Import files as one job, or in chunks when a file holds more than --chunk-size records
+   * @returns {Promise<Object|null>} - { jobIds, state }; null for a dry run
+   */
   async importMultipleFiles(files, apiClient, options) {
+    // Referenced objects are uploaded before the objects that point at them
+    const orderedFiles = CatalogReferences.orderFiles(files);
+    if (options.dryRun || options.validateOnly) {
+      await this.dryRun(orderedFiles, apiClient, options);
+      return null;
+    }
+    await this.checkReferences(orderedFiles, apiClient, options);
+    const chunkSize = ChunkedImport.getChunkSize(options.chunkSize);
+
     // Convert all files to import format
     const FileUtils = require('../../../utils/fileUtils');
-    const convertedFiles = files.map(file => {
+    const convertedFiles = orderedFiles.map(file => {
       const fileName = require('path').basename(file);
-      const fileObjectType = fileName.split('-')[0];
+      const fileObjectType = fileName.split(/[-.]/)[0];
       return FileUtils.convertExportedFileToImportFormat(file, fileObjectType);
     });
-    
-    await this.importProductCatalogFromFiles(convertedFiles, apiClient, options);
-    
-    // Clean up temporary files
-    FileUtils.cleanupTempFiles(convertedFiles, options);
+
+    try {
+      for (const file of convertedFiles) {
+        if (await FileUtils.countJsonlRecords(file) > chunkSize) {
+          return await this.importInChunks(convertedFiles, chunkSize, apiClient, options);
+        }
+      }
+
+      const jobId = await this.importProductCatalogFromFiles(convertedFiles, apiClient, options);
+      const entry = JobLedger.get(jobId);
+      return { jobIds: [jobId], state: entry ? entry.state : 'completed' };
+    } finally {
+      // Clean up temporary files
+      FileUtils.cleanupTempFiles(convertedFiles, options);
+    }
+  }
+
+  /**
+   * Import files split into chunks of at most chunkSize records, one import job per chunk.
+   * Objects are imported in dependency waves; chunks of one wave run --concurrency jobs at a
+   * time. Progress is saved, so running the same import again skips the completed chunks
+   * @returns {Promise<Object>} - { jobIds, state }
+   */
+  async importInChunks(files, chunkSize, apiClient, options) {
+    const types = files.map(file => CatalogReferences.getFileObjectType(file));
+    const waves = getCatalogImportWaves([...new Set(types)].filter(type => isProductCatalogObjectType(type)));
+    const getWave = type => {
+      const wave = waves.findIndex(names => names.includes(type));
+      return wave === -1 ? waves.length : wave;
+    };
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-chunks-'));
+    try {
+      const chunks = [];
+      files.forEach((file, index) => {
+        const type = types[index];
+        const [header, ...lines] = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+        ChunkedImport.split(lines, chunkSize).forEach((part, number) => {
+          const content = [header, ...part].join('\n') + '\n';
+          const chunkFile = path.join(dir, `${type}-${index + 1}-${number + 1}.jsonl`);
+          fs.writeFileSync(chunkFile, content);
+          chunks.push({
+            key: `${path.basename(file)}#${number + 1}`,
+            object: getObjectType(type) ? getObjectType(type).apiName : type,
+            type,
+            wave: getWave(type),
+            first: number * chunkSize + 1,
+            last: number * chunkSize + part.length,
+            sha256: ChunkedImport.hash(content),
+            file: chunkFile
+          });
+        });
+      });
+
+      const run = new ChunkedImport({
+        command: 'platform import',
+        environment: this.connection.environment,
+        profile: this.connection.profile,
+        inputFiles: this.inputFiles || files,
+        chunkSize
+      }, options);
+      Logger.info(`Importing ${chunks.length} chunk(s) of up to ${chunkSize} records, ${run.concurrency} at a time`);
+
+      const finished = [];
+      const result = await run.run(chunks, {
+        submit: chunk => this.submitChunk(chunk, apiClient, options),
+        wait: async (chunk, jobId) => {
+          const status = await this.waitForChunk(jobId, apiClient, options);
+          finished.push({ jobId, status });
+          return this.getChunkResult(jobId, status, chunk);
+        }
+      });
+
+      console.log(ChunkedImport.format(result));
+      try {
+        await this.saveFailures(finished, options);
+      } catch (error) {
+        Logger.warning(`Could not fetch the failed records: ${error.message}. Retry with: nue platform import --fetch-failures <jobId>`);
+      }
+
+      const jobIds = result.chunks.map(chunk => chunk.jobId).filter(Boolean);
+      if (result.chunks.some(chunk => chunk.state !== 'completed' && chunk.state !== 'partial')) {
+        throw new Error('Some chunks were not imported; run the same command again to retry them');
+      }
+      return { jobIds, state: result.complete ? 'completed' : 'partial' };
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  async submitChunk(chunk, apiClient, options) {
+    const FileUtils = require('../../../utils/fileUtils');
+    const formData = FileUtils.createFormData(chunk.file, this.getFormFieldName(chunk.type));
+    const response = await apiClient.post(
+      `/cpq/async/imports/revenue-builder-data?import-operation=${options.importOperation || 'upsert'}`,
+      formData,
+      formData.getHeaders()
+    );
+
+    const jobId = response.jobId || response.jobid;
+    Logger.verbose(`${chunk.object} records ${chunk.first}-${chunk.last}: import job ${jobId}`, options);
+    this.recordJob(jobId, [chunk.type], this.inputFiles || [chunk.file], options);
+    return jobId;
+  }
+
+  /**
+   * Poll an import job without reporting each status, for jobs running side by side
+   * @returns {Promise<Object>} - Final job status
+   */
+  async waitForChunk(jobId, apiClient, options) {
+    const startTime = Date.now();
+    while (true) {
+      try {
+        const status = await apiClient.get(`/cpq/async/imports/revenue-builder-data/${jobId}`);
+        const job = JobClient.normalizeAsyncJob(jobId, 'import', status);
+        if (job.terminal) {
+          JobLedger.complete(jobId, job.status, job.state);
+          return status;
+        }
+      } catch (error) {
+        Logger.verbose(`Could not check job ${jobId}: ${error.message}`, options);
+      }
+
+      if (Date.now() - startTime > MAX_POLLING_TIME) {
+        throw new Error(`Import job ${jobId} timed out after ${MAX_POLLING_TIME / 1000} seconds`);
+      }
+      await this.sleep(POLLING_INTERVAL);
+    }
+  }
+
+  /**
+   * Outcome of a chunk's job; records not reported as failed count as succeeded
+   */
+  getChunkResult(jobId, status, chunk) {
+    const job = JobClient.normalizeAsyncJob(jobId, 'import', status);
+    const records = chunk.last - chunk.first + 1;
+    const reported = (status.importJobs || []).map(importJob => importJob.failureCount !== undefined
+      ? importJob.failureCount
+      : (importJob.stages || []).reduce((sum, stage) => sum + ((stage.detailInfo && stage.detailInfo.numberRecordsFailed) || 0), 0));
+    const failed = job.state === 'failed' && reported.every(count => !count) ? records : Math.min(records, reported.reduce((sum, count) => sum + count, 0));
+    return { status: job.status, state: job.state, succeeded: records - failed, failed };
   }
 
   async importSingleFile(file, objectType, apiClient, options) {
+    if (options.dryRun || options.validateOnly) {
+      await this.dryRun([file], apiClient, options);
+      return;
+    }
+    await this.checkReferences([file], apiClient, options);
+
     // Single object import - convert the file to import format
     const FileUtils = require('../../../utils/fileUtils');
     const convertedFile = FileUtils.convertExportedFileToImportFormat(file, objectType);
@@ -173,6 +542,48 @@ class ImportMetadataCommand {
     FileUtils.cleanupTempFiles([convertedFile], options);
   }
 
+  /**
+   * Stop before uploading anything when records point at records that exist neither in the files nor in the target.
+   * A failed lookup in the target only warns: its references go unchecked rather than blocking the import
+   */
+  async checkReferences(files, apiClient, options) {
+    Logger.verbose('Checking references against the import files and the target...', options);
+    const dangling = await CatalogReferences.findDangling(files, apiClient, {
+      onLookupError: (objectName, error) => Logger.warning(
+        `References to ${objectName} could not be verified against the target (${error.message}); importing without checking them`)
+    });
+    if (dangling.length === 0) {
+      return;
+    }
+
+    const list = dangling.map(reference => `  ${CatalogReferences.format(reference)}`).join('\n');
+    if (!options.allowDangling) {
+      throw new Error(`${dangling.length} dangling reference(s), nothing was uploaded:\n${list}\n` +
+        'Include the referenced objects in the import, or use --allow-dangling to upload anyway');
+    }
+    Logger.warning(`Importing despite ${dangling.length} dangling reference(s):\n${list}`);
+  }
+
+  /**
+   * Compare the import files with the live records and report what the import would change
+   */
+  async dryRun(files, apiClient, options) {
+    Logger.progress('Comparing the import with the current records...');
+    const dangling = await CatalogReferences.findDangling(files, apiClient);
+    const plan = await ImportDryRun.plan(files, apiClient);
+
+    console.log(ImportDryRun.format(plan));
+    if (dangling.length > 0) {
+      Logger.warning(`${dangling.length} dangling reference(s); the import would be refused without --allow-dangling:\n` +
+        dangling.map(reference => `  ${CatalogReferences.format(reference)}`).join('\n'));
+    }
+
+    if (options.output) {
+      fs.writeFileSync(options.output, JSON.stringify({ ...plan, dangling }, null, 2) + '\n');
+      Logger.success(`Dry run written to ${options.output}`);
+    }
+  }
+
   async importProductCatalogFromFiles(files, apiClient, options) {
     // Create form data with all files
     const FileUtils = require('../../../utils/fileUtils');
@@ -192,7 +603,11 @@ class ImportMetadataCommand {
     
     Logger.debug('API Response', response, options);
 
+    const objectTypes = files.map(file => require('path').basename(file).split(/[-.]/)[0]);
+    this.recordJob(jobId, [...new Set(objectTypes)], this.inputFiles || files, options);
+
     await this.waitForJobCompletion(jobId, apiClient, options);
+    return jobId;
   }
 
   async importProductCatalogDataDirect(file, objectType, apiClient, options) {
@@ -222,9 +637,23 @@ class ImportMetadataCommand {
     
     Logger.debug('API Response', response, options);
 
+    this.recordJob(jobId, [objectType], this.inputFiles || [file], options);
+
     await this.waitForJobCompletion(jobId, apiClient, options);
   }
 
+  recordJob(jobId, objectTypes, inputFiles, options) {
+    JobLedger.record({
+      jobId,
+      kind: 'import',
+      command: 'platform import',
+      connection: this.connection,
+      objectTypes,
+      inputFiles,
+      options
+    });
+  }
+
   getFormFieldName(objectType) {
     const fieldMap = {
       'uom': 'uom',
@@ -244,66 +673,85 @@ class ImportMetadataCommand {
 
   async waitForJobCompletion(jobId, apiClient, options) {
     Logger.progress('Waiting for import job completion...');
+    JobLedger.checkpoint(jobId, { phase: 'waiting' });
     
     const startTime = Date.now();
-    const pollingInterval = 5000; // 5 seconds
-    const maxPollingTime = 3600000; // 1 hour
 
     while (true) {
+      // Only the status request is retried here; failures while finishing the job propagate
+      let status;
       try {
-        const status = await apiClient.get(`/cpq/async/imports/revenue-builder-data/${jobId}`);
-        
+        status = await apiClient.get(`/cpq/async/imports/revenue-builder-data/${jobId}`);
+      } catch (error) {
+        Logger.warning(`Could not check job status: ${error.message}`);
+      }
+
+      if (status) {
         Logger.debug('Status Response', status, options);
-        
+
+        const job = JobClient.normalizeAsyncJob(jobId, 'import', status);
+        if (job.terminal) {
+          JobLedger.complete(jobId, job.status, job.state);
+          JobLedger.clearCheckpoint(jobId);
+        }
+
         // Check for terminal states (case-insensitive)
         const statusLower = status.status.toLowerCase();
-        
+
         if (statusLower === 'completed' || statusLower === 'succeeded') {
           Logger.success('Import job completed successfully!');
           this.displayImportJobResults(status, options);
           return;
         }
-        
+
         if (statusLower === 'failed') {
           // Check if we have any completed or partial completed import jobs
           const importJobs = status.importJobs || [];
-          const hasPartialSuccess = importJobs.some(job => 
+          const hasPartialSuccess = importJobs.some(job =>
             job.status === 'PartialCompleted' || job.status === 'Completed'
           );
-          
+
           if (hasPartialSuccess) {
             Logger.warning('Import job completed with partial success');
             this.displayImportJobResults(status, options);
+            await this.saveFailuresAfterWait(jobId, status, options);
             return;
           } else {
+            await this.saveFailuresAfterWait(jobId, status, options);
             throw new Error(`Import job ${jobId} failed: ${status.error || 'Unknown error'}`);
           }
         }
-        
+
         if (statusLower === 'partialcompleted') {
           Logger.warning('Import job completed with partial success');
           this.displayImportJobResults(status, options);
+          await this.saveFailuresAfterWait(jobId, status, options);
           return;
         }
-        
+
         // Show job status for processing
         Logger.jobStatus(status.status);
-        
-        // Check if we've exceeded the maximum polling time
-        if (Date.now() - startTime > maxPollingTime) {
-          throw new Error(`Import job ${jobId} timed out after ${maxPollingTime / 1000} seconds`);
-        }
-        
-        // Wait before polling again
-        await this.sleep(pollingInterval);
-        
-      } catch (error) {
-        if (error.message.includes('Import job') && (error.message.includes('failed') || error.message.includes('cancelled') || error.message.includes('timed out'))) {
-          throw error;
-        }
-        Logger.warning(`Could not check job status: ${error.message}`);
-        await this.sleep(pollingInterval);
       }
+
+      // Check if we've exceeded the maximum polling time
+      if (Date.now() - startTime > MAX_POLLING_TIME) {
+        throw new Error(`Import job ${jobId} timed out after ${MAX_POLLING_TIME / 1000} seconds`);
+      }
+
+      // Wait before polling again
+      await this.sleep(POLLING_INTERVAL);
+    }
+  }
+
+
+  /**
+   * Failed records are fetched after every wait; a problem fetching them must not hide the import outcome
+   */
+  async saveFailuresAfterWait(jobId, status, options) {
+    try {
+      await this.saveFailures([{ jobId, status }], options);
+    } catch (error) {
+      Logger.warning(`Could not fetch the failed records: ${error.message}. Retry with: nue platform import --fetch-failures ${jobId}`);
     }
   }
 
@@ -1,9 +1,13 @@
 const ExportMetadataCommand = require('./export');
 const ImportMetadataCommand = require('./import');
 const QueryMetadataCommand = require('./query');
+const DiffMetadataCommand = require('./diff');
+const PromoteMetadataCommand = require('./promote');
 
 module.exports = {
   export: ExportMetadataCommand,
   import: ImportMetadataCommand,
-  query: QueryMetadataCommand
+  query: QueryMetadataCommand,
+  diff: DiffMetadataCommand,
+  promote: PromoteMetadataCommand
 }; 
\ No newline at end of file
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const chalk = require('chalk');
+const { PlatformCommandBuilder } = require('../../../services/platform-command');
+const { CatalogDiff, CatalogSource } = require('../../../services/catalog-diff');
+const { CatalogPromotion } = require('../../../services/catalog-promotion');
+const { getObjectType, isProductCatalogObjectType } = require('../../../services/objectTypes');
+const { Logger } = require('../../../utils');
+const ImportMetadataCommand = require('./import');
+
+class PromoteMetadataCommand {
+  constructor() {
+    this.builder = new PlatformCommandBuilder('platform', 'metadata', 'promote');
+  }
+
+  register(program) {
+    this.builder
+      .build(program)
+      .description('Promote product catalog records from one environment to another (e.g. sandbox to production)')
+      .action(this.handleAction.bind(this));
+  }
+
+  async handleAction(options) {
+    try {
+      if (!options.from || !options.to) {
+        throw new Error('Must specify --from and --to, e.g. --from sandbox --to production');
+      }
+      if (!CatalogSource.isLive(options.to)) {
+        throw new Error(`--to must be sandbox, production or profile:<name>, not '${options.to}'`);
+      }
+      if (options.from === options.to) {
+        throw new Error('--from and --to must be different');
+      }
+      CatalogSource.assertDifferentTenants(options.from, options.to);
+
+      const objectTypes = this.parseObjectTypes(options.objects);
+      const ignoreFields = options.ignoreFields ? options.ignoreFields.split(',').map(field => field.trim()).filter(Boolean) : [];
+      const loadOptions = { ...options, command: 'platform promote' };
+
+      const source = await CatalogSource.load(options.from, loadOptions);
+      const target = await CatalogSource.load(options.to, loadOptions);
+      const promotion = new CatalogPromotion(source, target, { objectTypes, ignoreFields });
+
+      const preview = promotion.preview();
+      console.log(CatalogDiff.format(preview, 'text'));
+      if (preview.summary.added + preview.summary.changed === 0) {
+        Logger.success(`Nothing to promote; ${options.to} already matches ${options.from}`);
+        return;
+      }
+      if (preview.summary.removed > 0) {
+        Logger.info(`Records that exist only in ${options.to} ("-") are left untouched`);
+      }
+
+      const dangling = promotion.findDanglingReferences();
+      if (dangling.length > 0) {
+        throw new Error(`${dangling.length} reference(s) cannot be resolved in ${options.to}:\n  ${dangling.join('\n  ')}`);
+      }
+
+      const count = preview.summary.added + preview.summary.changed;
+      if (!options.yes && !await this.confirm(`Promote ${count} record(s) from ${options.from} to ${options.to}?`)) {
+        console.log(chalk.yellow('Promotion cancelled.'));
+        return;
+      }
+
+      await this.promote(promotion, options, loadOptions);
+    } catch (error) {
+      console.error(chalk.red('Promotion failed:'), error.message);
+      if (options.verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Import the waves in order, re-reading the target whenever later waves need new IDs
+   */
+  async promote(promotion, options, loadOptions) {
+    const importer = new ImportMetadataCommand();
+    const apiClient = await importer.setupApiClient({ ...CatalogSource.getConnectionOptions(options.to), verbose: options.verbose });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-promote-'));
+    const totals = { inserted: 0, updated: 0 };
+
+    try {
+      const waves = promotion.getWaves();
+      const deferredTypes = new Set();
+
+      for (const [index, wave] of waves.entries()) {
+        const result = await this.importWave(wave, promotion, importer, apiClient, dir, options);
+        totals.inserted += result.inserts;
+        totals.updated += result.updates;
+        result.deferredTypes.forEach(type => deferredTypes.add(type));
+
+        if (result.inserts > 0 && (index < waves.length - 1 || deferredTypes.size > 0)) {
+          Logger.progress(`Reading ${options.to} again for the IDs of the inserted records...`);
+          promotion.setTarget(await CatalogSource.load(options.to, loadOptions));
+        }
+      }
+
+      if (deferredTypes.size > 0) {
+        // Records that point at records of their own type inserted in the same wave
+        Logger.info('Linking self-references...');
+        await this.importWave([...deferredTypes], promotion, importer, apiClient, dir, options);
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    Logger.success(`Promotion complete: ${totals.inserted} inserted, ${totals.updated} updated in ${options.to}`);
+  }
+
+  /**
+   * Import the changed records of one wave as a single import job
+   * @returns {Promise<Object>} - { inserts, updates, deferredTypes }
+   */
+  async importWave(types, promotion, importer, apiClient, dir, options) {
+    const files = [];
+    const result = { inserts: 0, updates: 0, deferredTypes: [] };
+
+    types.forEach(type => {
+      const { records, inserts, deferred } = promotion.buildRecords(type);
+      if (records.length === 0) {
+        return;
+      }
+      Logger.info(`${getObjectType(type).apiName}: ${inserts} to insert, ${records.length - inserts} to update`);
+      files.push(CatalogPromotion.writeImportFile(dir, type, records));
+      result.inserts += inserts;
+      result.updates += records.length - inserts;
+      if (deferred > 0) {
+        result.deferredTypes.push(type);
+      }
+    });
+
+    if (files.length === 0) {
+      return result;
+    }
+
+    const { jobIds, state } = await importer.importMultipleFiles(files, apiClient, { verbose: options.verbose });
+    if (state !== 'completed') {
+      throw new Error(`Import job(s) ${jobIds.join(', ')} for ${types.join(', ')} ended ${state}; ` +
+        'stopped before importing objects that depend on it. Fix the failures and run promote again');
+    }
+    return result;
+  }
+
+  parseObjectTypes(value) {
+    if (!value) {
+      return CatalogSource.getCatalogTypes();
+    }
+    return value.split(',').map(name => name.trim()).filter(Boolean).map(name => {
+      if (!isProductCatalogObjectType(name)) {
+        throw new Error(`'${name}' is not a product catalog object type`);
+      }
+      return getObjectType(name).name;
+    });
+  }
+
+  async confirm(question) {
+    if (!process.stdin.isTTY) {
+      throw new Error('Confirmation required; run with --yes to promote without a prompt');
+    }
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    return new Promise(resolve => {
+      rl.question(chalk.yellow(`${question} (y/N): `), answer => {
+        rl.close();
+        resolve(answer.trim().toLowerCase() === 'y');
+      });
+    });
+  }
+}
+
+module.exports = PromoteMetadataCommand;
@@ -74,8 +74,8 @@ class QueryMetadataCommand {
   }
 
   async setupApiClient(options) {
-    const { apiKey } = await this.builder.setupApi(options);
-    return ApiClientFactory.createClient('platform', 'graphql', { apiKey });
+    const { apiKey, sandbox, baseUrl } = await this.builder.setupApi(options);
+    return ApiClientFactory.createClient('platform', 'graphql', { apiKey, sandbox, baseUrl });
   }
 
   displayResults(result, options) {
@@ -10,7 +10,54 @@ require('dotenv').config();
 program
   .name('nue')
   .description('CLI tool for interacting with Nue Self-Service API')
-  .version('0.0.1');
+  .version('0.0.1')
+  .option('--profile <name>', 'Connection profile to use (overrides the active profile)')
+  .option('--api-url <url>', 'API root URL for this run (e.g. a local mock or a regional host)')
+  .option('--retries <count>', 'Retry attempts for transient API failures (default: 3)')
+  .option('--retry-max-delay <ms>', 'Maximum delay between retries in milliseconds (default: 30000)')
+  .option('--rate-limit <rps>', 'Maximum API requests per second, 0 for no limit (default: 10)')
+  .option('--max-in-flight <count>', 'Maximum concurrent API requests, 0 for no limit (default: 5)');
+
+// Apply global connection options (profile, API URL, retries, rate limits) before any command runs
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const { profile, apiUrl, retries, retryMaxDelay, rateLimit, maxInFlight } = thisCommand.opts();
+  if (profile) {
+    // Clients and commands resolve the profile through NUE_PROFILE
+    process.env.NUE_PROFILE = profile;
+  }
+
+  if (apiUrl) {
+    const { EndpointRegistry } = require('./clients/endpoint-registry');
+    EndpointRegistry.setOverride(apiUrl);
+  }
+
+  // --retry-count is the job-option spelling of --retries
+  const retryCount = retries !== undefined ? retries : actionCommand.opts().retryCount;
+  if (retryCount !== undefined || retryMaxDelay !== undefined) {
+    const { RetryPolicy } = require('./clients/retry-policy');
+    RetryPolicy.configure({ retries: retryCount, maxDelay: retryMaxDelay });
+  }
+
+  if (rateLimit !== undefined || maxInFlight !== undefined) {
+    const { RateLimiter } = require('./clients/rate-limiter');
+    RateLimiter.configure({ requestsPerSecond: rateLimit, maxInFlight });
+  }
+
+  // Use the profile's output format unless --format was given on the command line, and only
+  // where --format is an output format that accepts it
+  const formatOption = actionCommand.options.find(option => option.attributeName() === 'format');
+  if (formatOption && formatOption.argChoices && actionCommand.getOptionValueSource('format') === 'default') {
+    try {
+      const { ProfileManager } = require('./services/profile-manager');
+      const { format } = new ProfileManager().resolve(actionCommand.opts());
+      if (format && formatOption.argChoices.includes(format)) {
+        actionCommand.setOptionValueWithSource('format', format, 'config');
+      }
+    } catch (error) {
+      // Unknown profiles are reported by the command itself when it resolves its connection
+    }
+  }
+});
 
 // Register lifecycle commands
 function registerLifecycleCommands() {
@@ -125,6 +172,52 @@ function registerConfigCommands() {
   } catch (error) {
     console.warn(chalk.yellow('Warning: Could not load config set-key command:', error.message));
   }
+
+  // Profile commands
+  try {
+    const profileCommands = require('./commands/config/profile');
+    const profileGroup = program.command('profile')
+      .description('Manage named connection profiles');
+
+    Object.entries(profileCommands).forEach(([action, CommandClass]) => {
+      const command = new CommandClass();
+      command.register(profileGroup);
+    });
+  } catch (error) {
+    console.warn(chalk.yellow('Warning: Could not load profile commands:', error.message));
+  }
+}
+
+// Register async job commands
+function registerJobCommands() {
+  try {
+    const jobCommands = require('./commands/jobs');
+    const jobsGroup = program.command('jobs')
+      .description('Inspect and manage async export, import and transaction-hub jobs');
+
+    Object.entries(jobCommands).forEach(([action, CommandClass]) => {
+      const command = new CommandClass();
+      command.register(jobsGroup);
+    });
+  } catch (error) {
+    console.warn(chalk.yellow('Warning: Could not load job commands:', error.message));
+  }
+}
+
+// Register developer tooling commands
+function registerDevCommands() {
+  try {
+    const devCommands = require('./commands/dev');
+    const devGroup = program.command('dev')
+      .description('Developer tooling (local mock server)');
+
+    Object.entries(devCommands).forEach(([action, CommandClass]) => {
+      const command = new CommandClass();
+      command.register(devGroup);
+    });
+  } catch (error) {
+    console.warn(chalk.yellow('Warning: Could not load dev commands:', error.message));
+  }
 }
 
 // Register query command
@@ -158,9 +251,11 @@ function initialize() {
   try {
     registerLifecycleCommands();
     registerPlatformCommands();
+    registerJobCommands();
     registerLegacyCommands();
     registerConfigCommands();
     registerQueryCommand();
+    registerDevCommands();
     setupHelpAndErrors();
     
     // Parse arguments
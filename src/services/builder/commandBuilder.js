@@ -1,4 +1,4 @@
-const { checkAndPromptForApiKey, ApiClient } = require('../../utils');
+const { resolveConnection, ApiClient } = require('../../utils');
 const Validator = require('../validator');
 const { Logger, ErrorHandler } = require('../../utils');
 
@@ -56,7 +56,10 @@ class BaseCommand {
   addFileOptions() {
     return this
       .option('--output <file>', 'Output file path (default: stdout)')
-      .option('--format <format>', 'Input/output file format (json, jsonl, csv)', 'json');
+      .option('--format <format>', 'Input/output file format (json, jsonl, csv)', 'json')
+      .option('--delimiter <char>', 'CSV field delimiter: a character, or tab, semicolon, pipe', ',')
+      .option('--quote <char>', 'CSV quote character', '"')
+      .option('--encoding <encoding>', 'CSV file encoding (e.g. utf8, utf16le, latin1)', 'utf8');
   }
 
   /**
@@ -120,6 +123,9 @@ class BaseCommand {
       .option('--validate-only', 'Only validate the import file', false)
       .option('--skip-errors', 'Continue import even if some records fail', false)
       .option('--batch-size <number>', 'Number of records to process in each batch', 1000, parseInt)
+      .option('--chunk-size <records>', 'Split transaction hub files with more records into one job per chunk (default and maximum 5000)', undefined, parseInt)
+      .option('--concurrency <jobs>', 'Chunk jobs to run at a time (default 1)', undefined, parseInt)
+      .option('--restart', 'Import every chunk again instead of skipping those completed by an earlier run', false)
       .option('--external-system <system>', 'External system for transaction hub imports')
       .option('--direction <direction>', 'Direction for transaction hub imports (inbound/outbound)', 'outbound')
       .option('--description <description>', 'Description for transaction hub imports')
@@ -167,12 +173,12 @@ class BaseCommand {
    * @returns {Object} - Object containing apiKey and apiClient
    */
   async setupApi(options) {
-    // Get API key
-    const apiKey = await checkAndPromptForApiKey(options.sandbox);
+    // Get API key and connection settings for the selected profile
+    const { apiKey, sandbox, baseUrl } = await resolveConnection(options);
     Validator.validateApiKey(apiKey, options);
 
     // Create API client
-    const apiClient = new ApiClient(apiKey, options);
+    const apiClient = new ApiClient(apiKey, { ...options, sandbox, baseUrl });
 
     return { apiKey, apiClient };
   }
@@ -0,0 +1,456 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const chalk = require('chalk');
+const { ApiClientFactory } = require('../clients/api-client-factory');
+const { EndpointRegistry } = require('../clients/endpoint-registry');
+const { FileDownloader } = require('../clients/file-downloader');
+const { PlatformManager } = require('./platform-manager');
+const { Snapshot } = require('./snapshot');
+const { ProfileManager } = require('./profile-manager');
+const { objectTypeRegistry, getObjectType } = require('./objectTypes');
+const { Logger, FileUtils, JobLedger } = require('../utils');
+const { resolveConnection } = require('../utils/apiKeyUtils');
+
+// Fields that identify a record across tenants, tried in order
+const RECORD_KEY_FIELDS = ['externalId', 'sku', 'name'];
+
+// Fields that always differ between tenants and say nothing about the catalog itself
+const DEFAULT_IGNORED_FIELDS = [
+  'id', 'createdDate', 'lastModifiedDate', 'createdById', 'lastModifiedById',
+  'systemModstamp', 'lastPublishedById', 'lastPublishedDate'
+];
+
+const LIVE_ENVIRONMENTS = ['production', 'sandbox'];
+
+/**
+ * A product catalog loaded from a snapshot or export directory, an export job or a live tenant
+ *
+ * Records are grouped by object type name ('product', 'pricebook', ...) from the
+ * ObjectTypeRegistry product_catalog category; other objects in the source are ignored.
+ */
+class CatalogSource {
+  constructor(label, objects) {
+    this.label = label;
+    this.objects = objects;
+  }
+
+  /**
+   * Load a catalog from a side of a comparison
+   * @param {string} spec - Directory, export job ID, 'production', 'sandbox' or 'profile:<name>'
+   * @param {Object} options - Command options (verbose, ...)
+   * @returns {Promise<CatalogSource>}
+   */
+  static async load(spec, options = {}) {
+    if (fs.existsSync(spec) && fs.statSync(spec).isDirectory()) {
+      return this.fromDirectory(spec);
+    }
+    if (this.isLive(spec)) {
+      return this.fromLive(spec, options);
+    }
+    return this.fromExportJob(spec, options);
+  }
+
+  static isLive(spec) {
+    return LIVE_ENVIRONMENTS.includes(spec) || spec.startsWith('profile:');
+  }
+
+  /**
+   * Connection options for a live side ('production', 'sandbox' or 'profile:<name>')
+   *
+   * 'production' and 'sandbox' use the selected profile (--profile, NUE_PROFILE or the active
+   * one) when it is a profile of that environment, and the plain environment otherwise.
+   */
+  static getConnectionOptions(spec) {
+    if (spec.startsWith('profile:')) {
+      return { profile: spec.slice('profile:'.length) };
+    }
+    const selected = new ProfileManager().resolve();
+    return selected.profile && selected.environment === spec
+      ? { profile: selected.profile }
+      : { sandbox: spec === 'sandbox', ignoreProfiles: true };
+  }
+
+  /**
+   * Refuse two live sides that resolve to the same tenant (API root and key)
+   * @param {string} left - Spec of one side
+   * @param {string} right - Spec of the other side
+   */
+  static assertDifferentTenants(left, right) {
+    if (!this.isLive(left) || !this.isLive(right)) {
+      return;
+    }
+
+    const [leftTenant, rightTenant] = [left, right].map(spec => {
+      const connection = new ProfileManager().resolve(this.getConnectionOptions(spec));
+      return { url: EndpointRegistry.getRootUrl(connection), apiKey: connection.apiKey };
+    });
+    if (leftTenant.url === rightTenant.url && leftTenant.apiKey === rightTenant.apiKey) {
+      throw new Error(`${left} and ${right} resolve to the same tenant (${leftTenant.url}); check your profiles and API keys`);
+    }
+  }
+
+  static getCatalogTypes() {
+    return [...new Set(objectTypeRegistry.getByCategory('product_catalog'))].map(type => type.name);
+  }
+
+  /**
+   * Read a snapshot (manifest.json) or any directory of exported JSONL files
+   */
+  static async fromDirectory(dir, label = dir) {
+    let files;
+    if (fs.existsSync(Snapshot.getManifestPath(dir))) {
+      files = Snapshot.read(dir).objects
+        .filter(obj => obj.file)
+        .map(obj => ({ type: obj.name, path: path.join(dir, obj.file) }));
+    } else {
+      files = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.jsonl') && !file.endsWith('-import.jsonl'))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(file => ({ type: file.split(/[-.]/)[0], path: path.join(dir, file) }));
+    }
+
+    const catalogTypes = this.getCatalogTypes();
+    const objects = {};
+    for (const file of files) {
+      const type = getObjectType(file.type);
+      if (!type || !catalogTypes.includes(type.name)) {
+        continue;
+      }
+      objects[type.name] = [...(objects[type.name] || []), ...await this.readRecords(file.path)];
+    }
+    return new CatalogSource(label, objects);
+  }
+
+  /**
+   * Use the files of an export job: downloaded ones in the current directory, else the job's fileUrls
+   */
+  static async fromExportJob(jobId, options) {
+    const localFiles = FileUtils.findDownloadedFiles(jobId, null, { allObjects: true });
+    if (localFiles.length > 0) {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-catalog-'));
+      try {
+        localFiles.forEach(file => fs.symlinkSync(path.resolve(file), path.join(dir, path.basename(file))));
+        return await this.fromDirectory(dir, `export ${jobId}`);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+
+    const jobClient = await this.createJobClient({ ...options });
+    const job = await jobClient.getAsyncJob(jobId, 'export');
+    if (!job.terminal) {
+      throw new Error(`Export job ${jobId} is still ${job.status}`);
+    }
+    return this.fromJob(job, `export ${jobId}`);
+  }
+
+  /**
+   * Export the catalog of a live tenant and wait for it
+   */
+  static async fromLive(spec, options) {
+    const connectionOptions = this.getConnectionOptions(spec);
+    const jobClient = await this.createJobClient(connectionOptions);
+
+    Logger.progress(`Exporting the ${spec} catalog...`);
+    const result = await new PlatformManager(jobClient).exportAllMetadata();
+    JobLedger.record({
+      jobId: result.jobId,
+      kind: 'export',
+      command: options.command || 'platform diff',
+      connection: jobClient.connection,
+      objectTypes: ['all'],
+      options: connectionOptions
+    });
+
+    const job = await jobClient.waitForAsyncJob(result.jobId, {
+      kind: 'export',
+      onPoll: current => Logger.verbose(`  ${spec}: ${current.status}`, options)
+    });
+    JobLedger.complete(job.jobId, job.status, job.state);
+    if (job.state === 'failed' || job.state === 'cancelled') {
+      throw new Error(`Export of the ${spec} catalog ${job.state}: ${job.error || job.status}`);
+    }
+
+    return this.fromJob(job, spec);
+  }
+
+  static async fromJob(job, label) {
+    const catalogTypes = this.getCatalogTypes();
+    const objects = job.objects.filter(obj => {
+      const type = obj.name && getObjectType(obj.name);
+      return type && catalogTypes.includes(type.name) && obj.fileUrls.length > 0;
+    });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-catalog-'));
+    try {
+      const downloader = new FileDownloader();
+      for (const obj of objects) {
+        for (const [index, url] of obj.fileUrls.entries()) {
+          await downloader.download(url, path.join(dir, `${obj.name.toLowerCase()}-part${index + 1}.jsonl`));
+        }
+      }
+      return await this.fromDirectory(dir, label);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  static async createJobClient(options) {
+    const connection = await resolveConnection(options);
+    if (!connection.apiKey) {
+      throw new Error(`No API key for the ${connection.profile ? `profile '${connection.profile}'` : `${connection.environment} environment`}`);
+    }
+    const jobClient = ApiClientFactory.createClient('platform', 'job', {
+      apiKey: connection.apiKey,
+      sandbox: connection.sandbox,
+      baseUrl: connection.baseUrl
+    });
+    jobClient.connection = connection;
+    return jobClient;
+  }
+
+  /**
+   * Read the records of a JSONL file, skipping its meta header
+   */
+  static async readRecords(filePath) {
+    const records = [];
+    let first = true;
+    for await (const line of readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity })) {
+      if (!line.trim()) {
+        continue;
+      }
+      if (!(first && FileUtils.isMetaHeader(line))) {
+        records.push(JSON.parse(line));
+      }
+      first = false;
+    }
+    return records;
+  }
+}
+
+/**
+ * Record-level comparison of two product catalogs
+ *
+ * Records are matched by externalId, then sku, then name, never by ID, since IDs differ
+ * between tenants. Reference fields (e.g. priceBookId) are compared by the identity of
+ * the record they point to for the same reason.
+ */
+class CatalogDiff {
+  /**
+   * Compare two catalogs; "added" records exist only on the right, "removed" only on the left
+   * @param {CatalogSource} left - Left catalog
+   * @param {CatalogSource} right - Right catalog
+   * @param {Object} options - { objectTypes, ignoreFields }
+   * @returns {Object} - { left, right, objects: [{ object, added, removed, changed, unchanged }], summary }
+   */
+  static compare(left, right, options = {}) {
+    const ignored = new Set([...DEFAULT_IGNORED_FIELDS, ...(options.ignoreFields || [])]);
+    const types = (options.objectTypes && options.objectTypes.length > 0 ? options.objectTypes : CatalogSource.getCatalogTypes())
+      .filter(type => left.objects[type] || right.objects[type]);
+
+    const leftIds = this.indexIds(left);
+    const rightIds = this.indexIds(right);
+
+    const objects = types.map(type => {
+      const apiName = getObjectType(type).apiName;
+      const { pairs, leftOnly, rightOnly } = this.matchRecords(left.objects[type] || [], right.objects[type] || []);
+
+      const changed = [];
+      let unchanged = 0;
+      for (const [leftRecord, rightRecord] of pairs) {
+        const changes = this.compareRecords(leftRecord, rightRecord, ignored, leftIds, rightIds);
+        if (changes.length > 0) {
+          changed.push({ key: this.getRecordKey(leftRecord), changes });
+        } else {
+          unchanged++;
+        }
+      }
+
+      return {
+        object: apiName,
+        added: rightOnly.map(record => ({ key: this.getRecordKey(record), record })),
+        removed: leftOnly.map(record => ({ key: this.getRecordKey(record), record })),
+        changed,
+        unchanged
+      };
+    });
+
+    const summary = objects.reduce((totals, obj) => ({
+      added: totals.added + obj.added.length,
+      removed: totals.removed + obj.removed.length,
+      changed: totals.changed + obj.changed.length,
+      unchanged: totals.unchanged + obj.unchanged
+    }), { added: 0, removed: 0, changed: 0, unchanged: 0 });
+
+    return { left: left.label, right: right.label, objects, summary };
+  }
+
+  static hasDifferences(result) {
+    return result.summary.added + result.summary.removed + result.summary.changed > 0;
+  }
+
+  /**
+   * Pair records by externalId, then sku, then name
+   */
+  static matchRecords(leftRecords, rightRecords) {
+    const pairs = [];
+    let leftOnly = [...leftRecords];
+    let rightOnly = [...rightRecords];
+
+    for (const field of RECORD_KEY_FIELDS) {
+      const byValue = new Map();
+      rightOnly.forEach(record => {
+        const value = record[field];
+        if (value !== undefined && value !== null && value !== '' && !byValue.has(value)) {
+          byValue.set(value, record);
+        }
+      });
+
+      const unmatched = [];
+      for (const record of leftOnly) {
+        const match = byValue.get(record[field]);
+        if (match) {
+          pairs.push([record, match]);
+          byValue.delete(record[field]);
+        } else {
+          unmatched.push(record);
+        }
+      }
+
+      const matched = new Set(pairs.map(([, rightRecord]) => rightRecord));
+      leftOnly = unmatched;
+      rightOnly = rightOnly.filter(record => !matched.has(record));
+    }
+
+    return { pairs, leftOnly, rightOnly };
+  }
+
+  static getRecordKey(record) {
+    const field = RECORD_KEY_FIELDS.find(name => record[name] !== undefined && record[name] !== null && record[name] !== '');
+    return field ? String(record[field]) : `id ${record.id}`;
+  }
+
+  /**
+   * Map record IDs to "<Object> <key>" so references can be compared across tenants
+   */
+  static indexIds(source) {
+    const ids = new Map();
+    Object.entries(source.objects).forEach(([type, records]) => {
+      const apiName = getObjectType(type).apiName;
+      records.filter(record => record.id).forEach(record => ids.set(record.id, `${apiName} ${this.getRecordKey(record)}`));
+    });
+    return ids;
+  }
+
+  static compareRecords(leftRecord, rightRecord, ignored, leftIds, rightIds) {
+    const fields = [...new Set([...Object.keys(leftRecord), ...Object.keys(rightRecord)])]
+      .filter(field => !ignored.has(field))
+      .sort();
+
+    const changes = [];
+    for (const field of fields) {
+      const leftValue = this.resolveReference(field, leftRecord[field], leftIds);
+      const rightValue = this.resolveReference(field, rightRecord[field], rightIds);
+      if (this.stableStringify(leftValue) !== this.stableStringify(rightValue)) {
+        changes.push({ field, left: leftValue === undefined ? null : leftValue, right: rightValue === undefined ? null : rightValue });
+      }
+    }
+    return changes;
+  }
+
+  static resolveReference(field, value, ids) {
+    return /Id$/.test(field) && typeof value === 'string' && ids.has(value) ? ids.get(value) : value;
+  }
+
+  static stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Render a comparison
+   * @param {Object} result - Result of compare()
+   * @param {string} format - 'text', 'json' or 'markdown'
+   * @returns {string}
+   */
+  static format(result, format = 'text') {
+    switch (format) {
+      case 'json':
+        return JSON.stringify(result, null, 2);
+      case 'markdown':
+        return this.formatMarkdown(result);
+      case 'text':
+        return this.formatText(result);
+      default:
+        throw new Error(`Invalid format '${format}'. Valid formats are: text, json, markdown`);
+    }
+  }
+
+  static formatValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  static formatText(result) {
+    const lines = [chalk.bold(`Catalog diff: ${result.left} → ${result.right}`)];
+
+    result.objects.forEach(obj => {
+      if (obj.added.length + obj.removed.length + obj.changed.length === 0) {
+        return;
+      }
+      lines.push('', chalk.bold(`${obj.object}: ${obj.added.length} added, ${obj.removed.length} removed, ${obj.changed.length} changed`));
+      obj.added.forEach(item => lines.push(chalk.green(`  + ${item.key}`)));
+      obj.removed.forEach(item => lines.push(chalk.red(`  - ${item.key}`)));
+      obj.changed.forEach(item => {
+        lines.push(chalk.yellow(`  ~ ${item.key}`));
+        item.changes.forEach(change => lines.push(
+          `      ${change.field}: ${chalk.red(this.formatValue(change.left))} → ${chalk.green(this.formatValue(change.right))}`));
+      });
+    });
+
+    const { added, removed, changed, unchanged } = result.summary;
+    lines.push('', CatalogDiff.hasDifferences(result)
+      ? `${added} added, ${removed} removed, ${changed} changed, ${unchanged} unchanged`
+      : chalk.green(`No differences (${unchanged} records compared)`));
+    return lines.join('\n');
+  }
+
+  static formatMarkdown(result) {
+    const escape = value => this.formatValue(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const { added, removed, changed, unchanged } = result.summary;
+    const lines = [
+      `# Catalog diff: ${result.left} → ${result.right}`,
+      '',
+      `**${added}** added, **${removed}** removed, **${changed}** changed, ${unchanged} unchanged`
+    ];
+
+    result.objects.forEach(obj => {
+      if (obj.added.length + obj.removed.length + obj.changed.length === 0) {
+        return;
+      }
+      lines.push('', `## ${obj.object}`, '');
+      if (obj.added.length > 0) {
+        lines.push(`**Added (${obj.added.length})**`, '', ...obj.added.map(item => `- \`${item.key}\``), '');
+      }
+      if (obj.removed.length > 0) {
+        lines.push(`**Removed (${obj.removed.length})**`, '', ...obj.removed.map(item => `- \`${item.key}\``), '');
+      }
+      if (obj.changed.length > 0) {
+        lines.push(`**Changed (${obj.changed.length})**`, '', `| Record | Field | ${escape(result.left)} | ${escape(result.right)} |`, '| --- | --- | --- | --- |');
+        obj.changed.forEach(item => item.changes.forEach(change =>
+          lines.push(`| ${escape(item.key)} | ${change.field} | ${escape(change.left)} | ${escape(change.right)} |`)));
+        lines.push('');
+      }
+    });
+
+    return lines.join('\n').replace(/\n+$/, '') + '\n';
+  }
+}
+
+module.exports = { CatalogDiff, CatalogSource, DEFAULT_IGNORED_FIELDS };
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { CatalogDiff, DEFAULT_IGNORED_FIELDS } = require('./catalog-diff');
+const { getObjectType, getCatalogReferences, getCatalogImportWaves } = require('./objectTypes');
+
+/**
+ * Plans the promotion of product catalog records from one tenant to another
+ *
+ * Records are matched across tenants like in CatalogDiff (externalId, sku, name). A matched
+ * record is upserted with the target's ID; an unmatched one is inserted without an ID.
+ * Reference fields are rewritten from source IDs to the IDs of the matching target records,
+ * which is why objects are imported in dependency waves: records inserted by one wave only
+ * get a target ID the next wave can point at once the target has been read again.
+ */
+class CatalogPromotion {
+  /**
+   * @param {CatalogSource} source - Catalog to promote
+   * @param {CatalogSource} target - Current catalog of the target tenant
+   * @param {Object} options - { objectTypes, ignoreFields }
+   */
+  constructor(source, target, options = {}) {
+    this.source = source;
+    this.objectTypes = options.objectTypes && options.objectTypes.length > 0
+      ? options.objectTypes
+      : Object.keys(source.objects);
+    this.ignoreFields = options.ignoreFields || [];
+    this.setTarget(target);
+  }
+
+  /**
+   * Replace the target catalog, e.g. after a wave inserted records
+   */
+  setTarget(target) {
+    this.target = target;
+    this.targetIds = new Map();
+    Object.keys(this.source.objects).forEach(type => {
+      const { pairs } = CatalogDiff.matchRecords(this.source.objects[type], target.objects[type] || []);
+      pairs.forEach(([sourceRecord, targetRecord]) => this.targetIds.set(sourceRecord.id, targetRecord.id));
+    });
+  }
+
+  /**
+   * What the promotion would change in the target: "added" records will be inserted,
+   * "changed" ones updated; records only in the target ("removed") are left alone
+   */
+  preview() {
+    return CatalogDiff.compare(this.target, this.source, {
+      objectTypes: this.objectTypes,
+      ignoreFields: this.ignoreFields
+    });
+  }
+
+  getWaves() {
+    return getCatalogImportWaves(this.objectTypes);
+  }
+
+  /**
+   * References that cannot be mapped to a target record and will not be created by this promotion
+   * @returns {string[]} - One message per dangling reference
+   */
+  findDanglingReferences() {
+    const sourceRecords = this.indexSourceRecords();
+    const problems = [];
+
+    this.objectTypes.forEach(type => {
+      const references = getCatalogReferences(type);
+      (this.source.objects[type] || []).forEach(record => {
+        Object.entries(references).forEach(([field, referencedType]) => {
+          const value = record[field];
+          if (!value || this.targetIds.has(value)) {
+            return;
+          }
+          const label = `${getObjectType(type).apiName} ${CatalogDiff.getRecordKey(record)}: ${field}`;
+          const referenced = sourceRecords.get(value);
+          if (!referenced) {
+            problems.push(`${label} points to ${value}, which is not in the source catalog`);
+          } else if (!this.objectTypes.includes(referencedType)) {
+            problems.push(`${label} points to ${getObjectType(referencedType).apiName} ` +
+              `${CatalogDiff.getRecordKey(referenced)}, which does not exist in the target; add ${referencedType} to --objects`);
+          }
+        });
+      });
+    });
+
+    return problems;
+  }
+
+  /**
+   * Records of one object type that differ from the target, ready to import into it
+   * @param {string} type - Object type name
+   * @returns {Object} - { records, inserts, deferred }; deferred counts self-references left
+   *   out because the record they point to does not exist in the target yet
+   */
+  buildRecords(type) {
+    const ignored = new Set([...DEFAULT_IGNORED_FIELDS, ...this.ignoreFields]);
+    const references = getCatalogReferences(type);
+    const sourceIds = CatalogDiff.indexIds(this.source);
+    const targetIds = CatalogDiff.indexIds(this.target);
+    const { pairs, rightOnly } = CatalogDiff.matchRecords(this.target.objects[type] || [], this.source.objects[type] || []);
+
+    const records = [];
+    let deferred = 0;
+    const add = (sourceRecord, targetRecord) => {
+      const record = {};
+      Object.entries(sourceRecord)
+        .filter(([field]) => !DEFAULT_IGNORED_FIELDS.includes(field))
+        .forEach(([field, value]) => {
+          record[field] = value;
+        });
+
+      Object.keys(references).forEach(field => {
+        const value = sourceRecord[field];
+        if (!value) {
+          return;
+        }
+        if (this.targetIds.has(value)) {
+          record[field] = this.targetIds.get(value);
+        } else {
+          // Points at a record of this wave that has no target ID yet
+          delete record[field];
+          deferred++;
+        }
+      });
+
+      if (targetRecord) {
+        record.id = targetRecord.id;
+      }
+      records.push(record);
+    };
+
+    pairs
+      .filter(([targetRecord, sourceRecord]) => CatalogDiff.compareRecords(targetRecord, sourceRecord, ignored, targetIds, sourceIds).length > 0)
+      .forEach(([targetRecord, sourceRecord]) => add(sourceRecord, targetRecord));
+    rightOnly.forEach(sourceRecord => add(sourceRecord, null));
+
+    return { records, inserts: rightOnly.length, deferred };
+  }
+
+  /**
+   * Write records as an exported JSONL file (meta header first) that import understands
+   * @returns {string} - File path
+   */
+  static writeImportFile(dir, type, records) {
+    const apiName = getObjectType(type).apiName;
+    const filePath = path.join(dir, `${type}.jsonl`);
+    const lines = [JSON.stringify({ meta_objectName: apiName }), ...records.map(record => JSON.stringify(record))];
+    fs.writeFileSync(filePath, lines.join('\n') + '\n');
+    return filePath;
+  }
+
+  indexSourceRecords() {
+    const records = new Map();
+    Object.values(this.source.objects).forEach(list => list.filter(record => record.id).forEach(record => records.set(record.id, record)));
+    return records;
+  }
+}
+
+module.exports = { CatalogPromotion };
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { FileUtils } = require('../utils');
+const { getObjectType, getScalarFields, getCatalogReferences, getCatalogImportWaves, isProductCatalogObjectType } = require('./objectTypes');
+
+// IDs per GraphQL lookup, to keep the where clause a reasonable size
+const LOOKUP_BATCH_SIZE = 200;
+
+/**
+ * Reference checks for product catalog import files
+ *
+ * Exported records point at other records by ID (a price tag's productId and priceBookId,
+ * a product's defaultUomId, ...). Before uploading, every such ID must belong to a record
+ * in the same batch or one that already exists in the target tenant; otherwise the import
+ * job fails part-way, after the objects it depends on have already been written.
+ */
+class CatalogReferences {
+  /**
+   * Get the object type of an import file from its meta header, else its file name prefix
+   * @param {string} file - File path
+   * @returns {string} - Object type name
+   */
+  static getFileObjectType(file) {
+    const fd = fs.openSync(file, 'r');
+    const buffer = Buffer.alloc(1024);
+    const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    fs.closeSync(fd);
+
+    const firstLine = buffer.subarray(0, bytes).toString('utf8').split('\n')[0];
+    if (FileUtils.isMetaHeader(firstLine)) {
+      const header = JSON.parse(firstLine);
+      const name = header.meta_objectName || (header.meta && header.meta.objectname);
+      if (name && getObjectType(name)) {
+        return getObjectType(name).name;
+      }
+    }
+
+    const prefix = path.basename(file).split(/[-.]/)[0];
+    return getObjectType(prefix) ? getObjectType(prefix).name : prefix.toLowerCase();
+  }
+
+  /**
+   * Sort import files so every object comes after the objects it references
+   * @param {string[]} files - File paths
+   * @returns {string[]} - Files in import order
+   */
+  static orderFiles(files) {
+    const types = new Map(files.map(file => [file, this.getFileObjectType(file)]));
+    const catalogTypes = [...new Set(types.values())].filter(type => isProductCatalogObjectType(type));
+    const rank = new Map();
+    getCatalogImportWaves(catalogTypes).forEach((wave, index) => wave.forEach(type => rank.set(type, index)));
+
+    // Unknown objects go last; the sort is stable, so parts of one object keep their order
+    return [...files].sort((a, b) =>
+      (rank.has(types.get(a)) ? rank.get(types.get(a)) : Infinity) - (rank.has(types.get(b)) ? rank.get(types.get(b)) : Infinity));
+  }
+
+  /**
+   * Find references that resolve neither within the files nor in the target tenant
+   * @param {string[]} files - Import files (exported JSONL)
+   * @param {Object} apiClient - API client of the target tenant
+   * @param {Object} options - onLookupError(objectName, error): called when the target cannot
+   *   be queried for an object, whose references are then left out instead of failing the check
+   * @returns {Promise<Object[]>} - [{ file, line, object, key, field, value, referencedObject }]
+   */
+  static async findDangling(files, apiClient, options = {}) {
+    const batchIds = new Set();
+    const references = [];
+
+    for (const file of files) {
+      const type = this.getFileObjectType(file);
+      const fields = getCatalogReferences(type);
+      await this.forEachRecord(file, (record, line) => {
+        if (record.id) {
+          batchIds.add(record.id);
+        }
+        Object.entries(fields).forEach(([field, referencedType]) => {
+          if (record[field]) {
+            references.push({
+              file: path.basename(file),
+              line,
+              object: getObjectType(type).apiName,
+              key: record.externalId || record.sku || record.name || record.id,
+              field,
+              value: record[field],
+              referencedObject: getObjectType(referencedType).apiName
+            });
+          }
+        });
+      });
+    }
+
+    const unresolved = references.filter(reference => !batchIds.has(reference.value));
+    const existing = new Set();
+    const unverifiedObjects = new Set();
+    const idsByObject = new Map();
+    unresolved.forEach(reference => {
+      idsByObject.set(reference.referencedObject, new Set([...(idsByObject.get(reference.referencedObject) || []), reference.value]));
+    });
+    for (const [objectName, ids] of idsByObject) {
+      try {
+        (await this.fetchExistingIds(apiClient, objectName, [...ids])).forEach(id => existing.add(id));
+      } catch (error) {
+        if (!options.onLookupError) {
+          throw error;
+        }
+        options.onLookupError(objectName, error);
+        unverifiedObjects.add(objectName);
+      }
+    }
+
+    return unresolved.filter(reference => !existing.has(reference.value) && !unverifiedObjects.has(reference.referencedObject));
+  }
+
+  /**
+   * Look up which of the given IDs exist in the tenant
+   * @param {Object} apiClient - API client
+   * @param {string} objectName - API object name (e.g. 'PriceBook')
+   * @param {string[]} ids - Record IDs
+   * @returns {Promise<string[]>} - IDs that exist
+   */
+  static async fetchExistingIds(apiClient, objectName, ids) {
+    return (await this.fetchRecords(apiClient, objectName, 'id', ids)).map(record => record.id);
+  }
+
+  /**
+   * Fetch the records of an object whose field has one of the given values, through GraphQL
+   * @param {Object} apiClient - API client
+   * @param {string} objectName - API object name (e.g. 'PriceBook')
+   * @param {string} field - Field to match (e.g. 'id', 'externalId')
+   * @param {string[]} values - Values to look up
+   * @param {string[]} fields - Fields to select; those that are not scalar fields of the object are left out
+   * @returns {Promise<Object[]>} - Matching records
+   */
+  static async fetchRecords(apiClient, objectName, field, values, fields = ['id']) {
+    const found = [];
+    const scalarFields = getScalarFields(objectName);
+    const selection = [...new Set(['id', field, ...fields.filter(name => scalarFields.includes(name))])].join('\n    ');
+    for (let start = 0; start < values.length; start += LOOKUP_BATCH_SIZE) {
+      const batch = values.slice(start, start + LOOKUP_BATCH_SIZE);
+      const query = `query {\n  ${objectName}(where: {${field}: {_in: ${JSON.stringify(batch)}}}) {\n    ${selection}\n  }\n}`;
+      const response = await apiClient.post('/v1/async/graphql', { query, variables: {} });
+
+      if (response.errors && response.errors.length > 0) {
+        throw new Error(`Could not look up ${objectName} records: ${response.errors.map(error => error.message).join('; ')}`);
+      }
+      const wanted = new Set(batch);
+      ((response.data && response.data[objectName]) || [])
+        .filter(record => wanted.has(record[field]))
+        .forEach(record => found.push(record));
+    }
+    return found;
+  }
+
+  static format(reference) {
+    return `${reference.file}:${reference.line} ${reference.object} ${reference.key}: ` +
+      `${reference.field} ${reference.value} is not a ${reference.referencedObject} in the import or the target`;
+  }
+
+  static async forEachRecord(file, callback) {
+    let lineNumber = 0;
+    for await (const line of readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })) {
+      lineNumber++;
+      if (!line.trim() || (lineNumber === 1 && FileUtils.isMetaHeader(line))) {
+        continue;
+      }
+      callback(JSON.parse(line), lineNumber);
+    }
+  }
+}
+
+module.exports = { CatalogReferences };
@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { Logger, ConfigStore } = require('../utils');
+
+// Records per job; the transaction hub accepts at most 5000 records per request
+const DEFAULT_CHUNK_SIZE = 5000;
+
+/**
+ * Import of a large input as a series of jobs of at most chunkSize records each
+ *
+ * Progress is saved in ~/.nue/chunks/<runId>.json after every change; the run ID identifies
+ * the command, target environment and profile, input files and chunk size. Running the same import again
+ * skips the chunks whose job completed, as long as their records are unchanged, and waits for
+ * the jobs that were still running instead of submitting them twice.
+ */
+class ChunkedImport {
+  /**
+   * @param {Object} run - { command, environment, profile, inputFiles, chunkSize }
+   * @param {Object} options - { concurrency, restart }
+   */
+  constructor(run, options = {}) {
+    this.runId = ChunkedImport.hash(JSON.stringify({
+      command: run.command,
+      environment: run.environment || null,
+      profile: run.profile || null,
+      inputFiles: (run.inputFiles || []).map(file => path.resolve(file)),
+      chunkSize: run.chunkSize
+    })).slice(0, 16);
+    this.file = path.join(ChunkedImport.getDir(), `${this.runId}.json`);
+    this.concurrency = ChunkedImport.parseCount(options.concurrency, '--concurrency', 1);
+
+    const saved = options.restart ? null : this.load();
+    this.progress = saved || {
+      runId: this.runId,
+      command: run.command,
+      environment: run.environment || null,
+      profile: run.profile || null,
+      inputFiles: (run.inputFiles || []).map(file => path.resolve(file)),
+      chunkSize: run.chunkSize,
+      startedAt: new Date().toISOString(),
+      chunks: {}
+    };
+  }
+
+  static getDir() {
+    return path.join(ConfigStore.getConfigDir(), 'chunks');
+  }
+
+  /**
+   * Read a chunk size option
+   * @param {string|number} value - Option value
+   * @returns {number} - Records per chunk
+   */
+  static getChunkSize(value) {
+    return this.parseCount(value, '--chunk-size', DEFAULT_CHUNK_SIZE);
+  }
+
+  static parseCount(value, name, defaultValue) {
+    if (value === undefined || value === null || value === '') {
+      return defaultValue;
+    }
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`${name} must be a positive integer, got '${value}'`);
+    }
+    return count;
+  }
+
+  /**
+   * Split records into arrays of at most chunkSize
+   */
+  static split(records, chunkSize) {
+    const chunks = [];
+    for (let start = 0; start < records.length; start += chunkSize) {
+      chunks.push(records.slice(start, start + chunkSize));
+    }
+    return chunks;
+  }
+
+  static hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Submit the chunks, wave by wave, and wait for their jobs
+   *
+   * Chunks of one wave run with up to `concurrency` jobs at a time. When a chunk of a wave
+   * fails, later waves are not started: their records may reference the missing ones.
+   *
+   * @param {Object[]} chunks - [{ key, object, wave, first, last, sha256, ... }]; first and last
+   *   are the 1-based positions of the chunk's records in its object's input
+   * @param {Object} handlers - submit(chunk) resolves to a job ID; wait(chunk, jobId) resolves to
+   *   { status, state, succeeded, failed } once the job has finished
+   * @returns {Promise<Object>} - { chunks: [chunk progress], totals, complete }
+   */
+  async run(chunks, handlers) {
+    // A chunk whose records changed since the saved run starts over
+    chunks.filter(chunk => this.getChunk(chunk).sha256 !== chunk.sha256).forEach(chunk => {
+      this.progress.chunks[chunk.key] = {
+        key: chunk.key,
+        object: chunk.object,
+        first: chunk.first,
+        last: chunk.last,
+        records: chunk.last - chunk.first + 1,
+        sha256: chunk.sha256,
+        jobId: null,
+        state: 'pending'
+      };
+    });
+    this.save();
+
+    const waves = [...new Set(chunks.map(chunk => chunk.wave || 0))].sort((a, b) => a - b);
+    const skipped = chunks.filter(chunk => this.isDone(chunk)).length;
+    if (skipped > 0) {
+      Logger.info(`Skipping ${skipped} of ${chunks.length} chunk(s) completed by an earlier run (use --restart to import them again)`);
+    }
+
+    let stopped = null;
+    for (const wave of waves) {
+      const waveChunks = chunks.filter(chunk => (chunk.wave || 0) === wave);
+      await this.runPool(waveChunks.filter(chunk => !this.isDone(chunk)), chunk => this.runChunk(chunk, handlers));
+      if (waveChunks.some(chunk => ['failed', 'cancelled'].includes(this.getChunk(chunk).state))) {
+        stopped = wave;
+        break;
+      }
+    }
+
+    if (stopped !== null && waves.some(wave => wave > stopped)) {
+      const objects = [...new Set(chunks.filter(chunk => (chunk.wave || 0) > stopped).map(chunk => chunk.object))];
+      Logger.warning(`Did not import ${objects.join(', ')}: they may reference records of the failed chunk(s)`);
+    }
+
+    const progress = chunks.map(chunk => this.getChunk(chunk));
+    const totals = progress.reduce((sum, chunk) => ({
+      records: sum.records + chunk.records,
+      succeeded: sum.succeeded + (chunk.succeeded || 0),
+      failed: sum.failed + (chunk.failed || 0)
+    }), { records: 0, succeeded: 0, failed: 0 });
+
+    return { chunks: progress, totals, complete: progress.every(chunk => chunk.state === 'completed') };
+  }
+
+  /**
+   * Run tasks with at most `concurrency` of them in flight
+   */
+  async runPool(items, task) {
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        await task(items[next++]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+  }
+
+  async runChunk(chunk, handlers) {
+    const saved = this.getChunk(chunk);
+    try {
+      let jobId = saved.state === 'submitted' ? saved.jobId : null;
+      if (jobId) {
+        Logger.info(`${this.label(chunk)}: waiting for job ${jobId} submitted by an earlier run`);
+      } else {
+        jobId = await handlers.submit(chunk);
+        this.setChunk(chunk, {
+          jobId,
+          state: 'submitted',
+          status: 'Submitted',
+          succeeded: undefined,
+          failed: undefined,
+          error: undefined,
+          submittedAt: new Date().toISOString()
+        });
+      }
+
+      const result = await handlers.wait(chunk, jobId);
+      this.setChunk(chunk, {
+        state: result.state,
+        status: result.status,
+        succeeded: result.succeeded,
+        failed: result.failed,
+        endedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      this.setChunk(chunk, { state: 'failed', status: 'Error', error: error.message, endedAt: new Date().toISOString() });
+    }
+    this.logChunk(chunk);
+  }
+
+  isDone(chunk) {
+    return this.getChunk(chunk).state === 'completed';
+  }
+
+  getChunk(chunk) {
+    return this.progress.chunks[chunk.key] || {};
+  }
+
+  /**
+   * Update a chunk's progress and save it
+   */
+  setChunk(chunk, changes) {
+    this.progress.chunks[chunk.key] = { ...this.getChunk(chunk), skipped: false, ...changes };
+    this.save();
+  }
+
+  label(chunk) {
+    return `${chunk.object} records ${chunk.first}-${chunk.last}`;
+  }
+
+  logChunk(chunk) {
+    const saved = this.getChunk(chunk);
+    const counts = saved.succeeded !== undefined ? ` (${saved.succeeded} succeeded, ${saved.failed} failed)` : '';
+    const message = `${this.label(chunk)}: ${saved.jobId ? `job ${saved.jobId} ` : ''}${saved.status}${counts}`;
+    if (saved.state === 'completed') {
+      Logger.success(message);
+    } else if (saved.state === 'partial') {
+      Logger.warning(message);
+    } else {
+      Logger.error(saved.error ? `${message}: ${saved.error}` : message);
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return null;
+    }
+    try {
+      const progress = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      // Mark everything completed by the earlier run, so the table can tell what this run did
+      Object.values(progress.chunks).forEach(chunk => {
+        chunk.skipped = chunk.state === 'completed';
+      });
+      return progress;
+    } catch (error) {
+      Logger.warning(`Could not read chunk progress ${this.file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(ChunkedImport.getDir(), { recursive: true });
+      this.progress.updatedAt = new Date().toISOString();
+      fs.writeFileSync(this.file, JSON.stringify(this.progress, null, 2));
+    } catch (error) {
+      Logger.warning(`Could not save chunk progress ${this.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render the progress table and totals of a run
+   * @param {Object} result - Result of run()
+   * @returns {string}
+   */
+  static format(result) {
+    const colors = { completed: chalk.green, partial: chalk.yellow, failed: chalk.red, cancelled: chalk.red };
+    const lines = [chalk.bold(`${'Chunk'.padEnd(7)}${'Object'.padEnd(20)}${'Records'.padEnd(16)}${'Job'.padEnd(38)}${'State'.padEnd(12)}${'OK'.padStart(7)}${'Failed'.padStart(8)}`)];
+
+    result.chunks.forEach((chunk, index) => {
+      const color = colors[chunk.state] || chalk.gray;
+      const state = chunk.skipped ? 'skipped' : chunk.state;
+      lines.push(`${String(index + 1).padEnd(7)}${String(chunk.object).padEnd(20)}${`${chunk.first}-${chunk.last}`.padEnd(16)}` +
+        `${String(chunk.jobId || '-').padEnd(38)}${color(state.padEnd(12))}` +
+        `${String(chunk.succeeded === undefined ? '-' : chunk.succeeded).padStart(7)}${String(chunk.failed === undefined ? '-' : chunk.failed).padStart(8)}`);
+      if (chunk.error && !chunk.skipped) {
+        lines.push(chalk.red(`       ${chunk.error}`));
+      }
+    });
+
+    const { records, succeeded, failed } = result.totals;
+    const completed = result.chunks.filter(chunk => chunk.state === 'completed').length;
+    lines.push('', `${completed} of ${result.chunks.length} chunk(s) completed; ${records} record(s): ${succeeded} succeeded, ${failed} failed`);
+    return lines.join('\n');
+  }
+}
+
+module.exports = { ChunkedImport, DEFAULT_CHUNK_SIZE };
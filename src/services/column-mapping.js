@@ -0,0 +1,411 @@
+const fs = require('fs');
+const YAML = require('yaml');
+
+const SECTIONS = ['rename', 'compute', 'lookup', 'defaults', 'drop'];
+
+// Key of a lookup table whose value replaces every value the table does not list
+const LOOKUP_FALLBACK = '*';
+
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6
+};
+
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ','];
+
+const isNumeric = value => typeof value === 'number' ||
+  (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+
+const toNumber = value => {
+  if (!isNumeric(value)) {
+    throw new Error(`'${value}' is not a number`);
+  }
+  return Number(value);
+};
+
+const toText = value => (value === null || value === undefined ? '' : String(value));
+
+const FUNCTIONS = {
+  upper: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase(),
+  trim: value => toText(value).trim(),
+  length: value => toText(value).length,
+  concat: (...values) => values.map(toText).join(''),
+  substring: (value, start, length) => toText(value).substr(toNumber(start), length === undefined ? undefined : toNumber(length)),
+  replace: (value, search, replacement) => toText(value).split(toText(search)).join(toText(replacement)),
+  number: value => (toText(value).trim() === '' ? null : toNumber(value)),
+  round: (value, digits = 0) => {
+    const factor = 10 ** toNumber(digits);
+    return Math.round(toNumber(value) * factor) / factor;
+  },
+  coalesce: (...values) => {
+    const found = values.find(value => value !== null && value !== undefined && value !== '');
+    return found === undefined ? null : found;
+  },
+  date: value => {
+    if (toText(value).trim() === '') {
+      return null;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`'${value}' is not a date`);
+    }
+    return date.toISOString().slice(0, 10);
+  }
+};
+
+/**
+ * A compute expression of a column mapping, parsed once and evaluated per row
+ *
+ * Supports column names (`Column With Spaces` in backticks), 'strings', numbers, true,
+ * false, null, + - * / %, comparisons, && || !, cond ? a : b, parentheses and the
+ * functions in FUNCTIONS. + adds when both sides are numbers, otherwise it concatenates.
+ */
+class MappingExpression {
+  constructor(source) {
+    this.source = source;
+    this.tokens = this.tokenize(String(source));
+    this.position = 0;
+    this.tree = this.parseExpression(0);
+    if (this.position < this.tokens.length) {
+      throw new Error(`unexpected '${this.tokens[this.position].value}' in ${source}`);
+    }
+  }
+
+  tokenize(source) {
+    const tokens = [];
+    let index = 0;
+    while (index < source.length) {
+      const char = source[index];
+      if (/\s/.test(char)) {
+        index++;
+      } else if (char === '\'' || char === '"' || char === '`') {
+        let end = index + 1;
+        let value = '';
+        while (end < source.length && source[end] !== char) {
+          value += source[end] === '\\' && end + 1 < source.length ? source[++end] : source[end];
+          end++;
+        }
+        if (end >= source.length) {
+          throw new Error(`unterminated ${char} in ${source}`);
+        }
+        tokens.push(char === '`' ? { type: 'column', value } : { type: 'literal', value });
+        index = end + 1;
+      } else if (/[0-9.]/.test(char)) {
+        const match = source.slice(index).match(/^\d*\.?\d+(?:[eE][-+]?\d+)?/);
+        if (!match) {
+          throw new Error(`unexpected '${char}' in ${source}`);
+        }
+        tokens.push({ type: 'literal', value: Number(match[0]) });
+        index += match[0].length;
+      } else if (/[A-Za-z_]/.test(char)) {
+        const name = source.slice(index).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+        const keywords = { true: true, false: false, null: null };
+        tokens.push(name in keywords ? { type: 'literal', value: keywords[name] } : { type: 'name', value: name });
+        index += name.length;
+      } else {
+        const operator = OPERATORS.find(candidate => source.startsWith(candidate, index));
+        if (!operator) {
+          throw new Error(`unexpected '${char}' in ${source}`);
+        }
+        tokens.push({ type: 'operator', value: operator });
+        index += operator.length;
+      }
+    }
+    return tokens;
+  }
+
+  peek(value) {
+    const token = this.tokens[this.position];
+    return token && token.type === 'operator' && token.value === value;
+  }
+
+  expect(value) {
+    if (!this.peek(value)) {
+      throw new Error(`expected '${value}' in ${this.source}`);
+    }
+    this.position++;
+  }
+
+  parseExpression(minPrecedence) {
+    let left = this.parseUnary();
+    for (;;) {
+      const token = this.tokens[this.position];
+      if (minPrecedence === 0 && this.peek('?')) {
+        this.position++;
+        const then = this.parseExpression(0);
+        this.expect(':');
+        const otherwise = this.parseExpression(0);
+        left = { type: 'conditional', test: left, then, otherwise };
+        continue;
+      }
+      const precedence = token && token.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence <= minPrecedence) {
+        return left;
+      }
+      this.position++;
+      left = { type: 'binary', operator: token.value, left, right: this.parseExpression(precedence) };
+    }
+  }
+
+  parseUnary() {
+    if (this.peek('!') || this.peek('-')) {
+      const operator = this.tokens[this.position++].value;
+      return { type: 'unary', operator, operand: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.tokens[this.position++];
+    if (!token) {
+      throw new Error(`unexpected end of ${this.source}`);
+    }
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'column') {
+      return { type: 'column', name: token.value };
+    }
+    if (token.type === 'name') {
+      if (!this.peek('(')) {
+        return { type: 'column', name: token.value };
+      }
+      if (!FUNCTIONS[token.value]) {
+        throw new Error(`unknown function ${token.value}() in ${this.source}; use one of ${Object.keys(FUNCTIONS).join(', ')}`);
+      }
+      this.position++;
+      const args = [];
+      while (!this.peek(')')) {
+        if (this.position >= this.tokens.length) {
+          throw new Error(`missing ')' in ${this.source}`);
+        }
+        if (args.length > 0) {
+          this.expect(',');
+        }
+        args.push(this.parseExpression(0));
+      }
+      this.position++;
+      return { type: 'call', name: token.value, args };
+    }
+    if (token.value === '(') {
+      const inner = this.parseExpression(0);
+      this.expect(')');
+      return inner;
+    }
+    throw new Error(`unexpected '${token.value}' in ${this.source}`);
+  }
+
+  /**
+   * @param {Object} row - Column values
+   * @returns {*} - Value of the expression
+   */
+  evaluate(row, node = this.tree) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'column':
+        if (!(node.name in row)) {
+          throw new Error(`unknown column '${node.name}'`);
+        }
+        return row[node.name];
+      case 'call':
+        return FUNCTIONS[node.name](...node.args.map(arg => this.evaluate(row, arg)));
+      case 'conditional':
+        return this.evaluate(row, node.test) ? this.evaluate(row, node.then) : this.evaluate(row, node.otherwise);
+      case 'unary': {
+        const value = this.evaluate(row, node.operand);
+        return node.operator === '!' ? !value : -toNumber(value);
+      }
+      default:
+        return this.evaluateBinary(node, row);
+    }
+  }
+
+  evaluateBinary(node, row) {
+    if (node.operator === '&&') {
+      return this.evaluate(row, node.left) && this.evaluate(row, node.right);
+    }
+    if (node.operator === '||') {
+      return this.evaluate(row, node.left) || this.evaluate(row, node.right);
+    }
+
+    const left = this.evaluate(row, node.left);
+    const right = this.evaluate(row, node.right);
+    const numeric = isNumeric(left) && isNumeric(right);
+    switch (node.operator) {
+      case '+':
+        return numeric ? Number(left) + Number(right) : toText(left) + toText(right);
+      case '-':
+        return toNumber(left) - toNumber(right);
+      case '*':
+        return toNumber(left) * toNumber(right);
+      case '/':
+        return toNumber(left) / toNumber(right);
+      case '%':
+        return toNumber(left) % toNumber(right);
+      case '==':
+        return numeric ? Number(left) === Number(right) : toText(left) === toText(right);
+      case '!=':
+        return numeric ? Number(left) !== Number(right) : toText(left) !== toText(right);
+      default: {
+        const [a, b] = numeric ? [Number(left), Number(right)] : [toText(left), toText(right)];
+        return { '<': a < b, '<=': a <= b, '>': a > b, '>=': a >= b }[node.operator];
+      }
+    }
+  }
+}
+
+/**
+ * Column mapping for importing files exported from other systems
+ *
+ * A mapping file (YAML or JSON) turns each input row into a record, in this order:
+ *   rename:   source column -> field
+ *   compute:  field -> expression over the row (source column names still work after a rename)
+ *   lookup:   field -> table of value -> replacement; '*' replaces values the table does not list
+ *   defaults: field -> value for records where the field is missing or empty
+ *   drop:     columns or fields to leave out
+ * Columns the mapping does not mention are kept as they are.
+ */
+class ColumnMapping {
+  /**
+   * @param {Object} definition - Parsed mapping file
+   * @param {string} source - Mapping file name, for error messages
+   */
+  constructor(definition, source = 'mapping') {
+    this.source = source;
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error(`${source} must be a map with any of: ${SECTIONS.join(', ')}`);
+    }
+    const unknown = Object.keys(definition).filter(key => !SECTIONS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${source}: unknown section(s) ${unknown.join(', ')}; use ${SECTIONS.join(', ')}`);
+    }
+
+    this.rename = this.getMap(definition, 'rename');
+    this.lookup = this.getMap(definition, 'lookup');
+    this.defaults = this.getMap(definition, 'defaults');
+    this.drop = definition.drop || [];
+    if (!Array.isArray(this.drop)) {
+      throw new Error(`${source}: drop must be a list of columns`);
+    }
+    Object.entries(this.lookup).forEach(([field, table]) => {
+      if (!table || typeof table !== 'object' || Array.isArray(table)) {
+        throw new Error(`${source}: lookup for ${field} must be a map of value -> replacement`);
+      }
+    });
+
+    this.compute = Object.entries(this.getMap(definition, 'compute')).map(([field, expression]) => {
+      try {
+        return { field, expression: new MappingExpression(expression) };
+      } catch (error) {
+        throw new Error(`${source}: compute ${field}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Read a mapping file
+   * @param {string} filePath - YAML or JSON file
+   * @returns {ColumnMapping}
+   */
+  static load(filePath) {
+    let definition;
+    try {
+      definition = YAML.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read mapping file ${filePath}: ${error.message}`);
+    }
+    return new ColumnMapping(definition, filePath);
+  }
+
+  getMap(definition, section) {
+    const value = definition[section] || {};
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`${this.source}: ${section} must be a map`);
+    }
+    return value;
+  }
+
+  /**
+   * Map one input row
+   * @param {Object} row - Input row
+   * @param {string} position - Where the row is (e.g. 'line 4'), for error messages
+   * @returns {Object} - Mapped record
+   */
+  apply(row, position) {
+    try {
+      const record = {};
+      Object.entries(row).forEach(([column, value]) => {
+        record[this.rename[column] || column] = value;
+      });
+
+      const scope = { ...row, ...record };
+      this.compute.forEach(({ field, expression }) => {
+        try {
+          record[field] = expression.evaluate(scope);
+        } catch (error) {
+          throw new Error(`${field}: ${error.message}`);
+        }
+        scope[field] = record[field];
+      });
+
+      Object.entries(this.lookup).forEach(([field, table]) => {
+        const value = record[field];
+        if (value === undefined || value === null || value === '') {
+          if ('' in table) {
+            record[field] = table[''];
+          }
+          return;
+        }
+        if (String(value) in table) {
+          record[field] = table[String(value)];
+        } else if (LOOKUP_FALLBACK in table) {
+          record[field] = table[LOOKUP_FALLBACK];
+        } else {
+          throw new Error(`${field}: no lookup value for '${value}'`);
+        }
+      });
+
+      Object.entries(this.defaults).forEach(([field, value]) => {
+        if (record[field] === undefined || record[field] === null || record[field] === '') {
+          record[field] = value;
+        }
+      });
+
+      this.drop.forEach(column => delete record[column]);
+      return record;
+    } catch (error) {
+      throw new Error(`${this.source}, ${position}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render the first mapped records for --mapping-preview
+   * @param {Object[]} records - Mapped records
+   * @returns {string}
+   */
+  static formatPreview(records) {
+    return records.map((record, index) => `Row ${index + 1}:\n${JSON.stringify(record, null, 2)}`).join('\n');
+  }
+
+  /**
+   * Number of rows --mapping-preview [rows] asks for
+   */
+  static getPreviewCount(value) {
+    if (value === true || value === undefined) {
+      return 5;
+    }
+    const count = parseInt(value, 10);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`--mapping-preview takes a number of rows, not '${value}'`);
+    }
+    return count;
+  }
+}
+
+module.exports = { ColumnMapping, MappingExpression };
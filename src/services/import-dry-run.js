@@ -0,0 +1,112 @@
+const chalk = require('chalk');
+const { CatalogDiff, DEFAULT_IGNORED_FIELDS } = require('./catalog-diff');
+const { CatalogReferences } = require('./catalog-references');
+const { getObjectType, getScalarFields } = require('./objectTypes');
+
+/**
+ * What an import would do to the live tenant, without creating an import job
+ *
+ * Every record in the import files is looked up in the target through GraphQL, by ID and,
+ * for records without one, by externalId. Unmatched records would be inserted; matched
+ * ones are compared on the fields the import file sets that are known scalar fields of the
+ * object type (objectTypes.js), and would be updated or left as is. Other fields are listed
+ * as not compared.
+ */
+class ImportDryRun {
+  /**
+   * @param {string[]} files - Import files (exported JSONL), in import order
+   * @param {Object} apiClient - API client of the target tenant
+   * @returns {Promise<Object>} - { objects: [{ object, insert, update, unchanged, notCompared }], summary }
+   */
+  static async plan(files, apiClient) {
+    const recordsByType = new Map();
+    for (const file of files) {
+      const type = CatalogReferences.getFileObjectType(file);
+      const records = recordsByType.get(type) || [];
+      await CatalogReferences.forEachRecord(file, record => records.push(record));
+      recordsByType.set(type, records);
+    }
+
+    const objects = [];
+    for (const [type, records] of recordsByType) {
+      objects.push(await this.planObject(type, records, apiClient));
+    }
+
+    const summary = objects.reduce((totals, obj) => ({
+      insert: totals.insert + obj.insert.length,
+      update: totals.update + obj.update.length,
+      unchanged: totals.unchanged + obj.unchanged
+    }), { insert: 0, update: 0, unchanged: 0 });
+
+    return { objects, summary };
+  }
+
+  static async planObject(type, records, apiClient) {
+    const objectName = getObjectType(type) ? getObjectType(type).apiName : type;
+    const fileFields = [...new Set(records.flatMap(record => Object.keys(record)))]
+      .filter(field => !DEFAULT_IGNORED_FIELDS.includes(field));
+    const scalarFields = getScalarFields(type);
+    const fields = fileFields.filter(field => scalarFields.includes(field));
+
+    const byId = new Map();
+    const ids = records.filter(record => record.id).map(record => record.id);
+    (await CatalogReferences.fetchRecords(apiClient, objectName, 'id', ids, fields))
+      .forEach(record => byId.set(record.id, record));
+
+    const byExternalId = new Map();
+    const externalIds = records.filter(record => !byId.has(record.id) && record.externalId).map(record => record.externalId);
+    if (externalIds.length > 0) {
+      (await CatalogReferences.fetchRecords(apiClient, objectName, 'externalId', externalIds, fields))
+        .forEach(record => byExternalId.set(record.externalId, record));
+    }
+
+    const result = { object: objectName, insert: [], update: [], unchanged: 0, notCompared: fileFields.filter(field => !fields.includes(field)) };
+    records.forEach(record => {
+      const key = CatalogDiff.getRecordKey(record);
+      const current = byId.get(record.id) || (record.externalId && byExternalId.get(record.externalId));
+      if (!current) {
+        result.insert.push({ key, record });
+        return;
+      }
+
+      const changes = fields
+        .filter(field => field in record)
+        .filter(field => CatalogDiff.stableStringify(record[field]) !== CatalogDiff.stableStringify(current[field]))
+        .map(field => ({ field, current: current[field] === undefined ? null : current[field], imported: record[field] }));
+      if (changes.length > 0) {
+        result.update.push({ key, id: current.id, changes });
+      } else {
+        result.unchanged++;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Render a plan as text
+   * @param {Object} plan - Result of plan()
+   * @returns {string}
+   */
+  static format(plan) {
+    const lines = [chalk.bold('Dry run: no import job was created')];
+
+    plan.objects.forEach(obj => {
+      lines.push('', chalk.bold(`${obj.object}: ${obj.insert.length} to insert, ${obj.update.length} to update, ${obj.unchanged} unchanged`));
+      if (obj.notCompared.length > 0) {
+        lines.push(chalk.gray(`  Not compared (not known fields of ${obj.object}): ${obj.notCompared.join(', ')}`));
+      }
+      obj.insert.forEach(item => lines.push(chalk.green(`  + ${item.key}`)));
+      obj.update.forEach(item => {
+        lines.push(chalk.yellow(`  ~ ${item.key}`));
+        item.changes.forEach(change => lines.push(
+          `      ${change.field}: ${chalk.red(CatalogDiff.formatValue(change.current))} → ${chalk.green(CatalogDiff.formatValue(change.imported))}`));
+      });
+    });
+
+    const { insert, update, unchanged } = plan.summary;
+    lines.push('', `${insert} to insert, ${update} to update, ${unchanged} unchanged`);
+    return lines.join('\n');
+  }
+}
+
+module.exports = { ImportDryRun };
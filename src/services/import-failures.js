@@ -0,0 +1,208 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const chalk = require('chalk');
+const { FileDownloader } = require('../clients/file-downloader');
+const { CatalogReferences } = require('./catalog-references');
+const { getObjectType } = require('./objectTypes');
+const { FileUtils, Csv } = require('../utils');
+
+// Columns of a failed records file that describe the failure rather than the record
+const ERROR_COLUMNS = ['sf__Error', 'error', 'errorMessage', 'message'];
+
+// Fields used to find the input row of a failed record, tried in order
+const MATCH_FIELDS = ['id', 'externalId', 'sku', 'name'];
+
+/**
+ * Failed records of a product catalog import job
+ *
+ * Each import stage can report a failedRecordsUrl: a file in the Salesforce Bulk API layout
+ * (sf__Id, sf__Error, then the fields as uploaded). The failed rows are joined back to the
+ * rows of the original input files, so the result holds the records as the user wrote them
+ * rather than the transformed upload, and can be fixed and imported again.
+ */
+class ImportFailures {
+  /**
+   * Failed records files listed in an import job status
+   * @param {Object} status - Import job status
+   * @returns {Object[]} - [{ object, stage, url }]
+   */
+  static getFailedFiles(status) {
+    return (status.importJobs || []).flatMap(importJob => (importJob.stages || [])
+      .filter(stage => stage.detailInfo && stage.detailInfo.failedRecordsUrl)
+      .map(stage => ({ object: importJob.objectName, stage: stage.name, url: stage.detailInfo.failedRecordsUrl })));
+  }
+
+  /**
+   * Download the failed records and join them to the input rows
+   * @param {Object} status - Import job status
+   * @param {Object} options - { inputFiles, csv }; csv holds the CSV options of CSV input files
+   * @returns {Promise<Object>} - { failures: [{ object, error, record, matched }], groups: [{ message, count, objects }] }
+   */
+  static async collect(status, options = {}) {
+    const inputs = await this.indexInputFiles((options.inputFiles || []).filter(file => fs.existsSync(file)), options.csv);
+    // The failed records files are presigned URLs that must not receive the API key
+    const downloader = new FileDownloader();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-failures-'));
+    const failures = [];
+
+    try {
+      for (const [index, file] of this.getFailedFiles(status).entries()) {
+        const destination = path.join(dir, `failed-${index + 1}`);
+        await downloader.download(file.url, destination, { label: `${file.object} failed records` });
+
+        const type = getObjectType(file.object);
+        const object = type ? type.apiName : file.object;
+        this.parseFailedFile(fs.readFileSync(destination, 'utf8')).forEach(row => {
+          const { error, fields } = this.splitRow(row);
+          const input = this.findInput(inputs, type ? type.name : file.object, fields);
+          failures.push({ object, error, record: input || fields, matched: Boolean(input) });
+        });
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    return { failures, groups: this.groupByMessage(failures) };
+  }
+
+  /**
+   * Parse a failed records file, CSV or JSONL
+   */
+  static parseFailedFile(content) {
+    const trimmed = content.replace(/^\uFEFF/, '').trim();
+    if (!trimmed) {
+      return [];
+    }
+    if (trimmed.startsWith('{')) {
+      return trimmed.split('\n').filter(line => line.trim() && !FileUtils.isMetaHeader(line)).map(line => JSON.parse(line));
+    }
+    // A header row alone means nothing failed
+    return Csv.parse(trimmed);
+  }
+
+  /**
+   * Separate the error message from the record fields of a failed row
+   */
+  static splitRow(row) {
+    const errorColumn = ERROR_COLUMNS.find(column => row[column]);
+    const fields = {};
+    Object.entries(row)
+      .filter(([key, value]) => !key.startsWith('sf__') && !ERROR_COLUMNS.includes(key) && value !== '' && value !== null)
+      .forEach(([key, value]) => {
+        fields[key] = value;
+      });
+    return { error: errorColumn ? String(row[errorColumn]) : 'Unknown error', fields };
+  }
+
+  /**
+   * Index the input rows by object type and each of the match fields. A JSONL file may hold
+   * several objects, each section starting with its meta header (like failures.jsonl);
+   * CSV files are read with the import's CSV options and column mapping
+   */
+  static async indexInputFiles(files, csvOptions = {}) {
+    const index = new Map();
+    for (const file of files) {
+      let type = CatalogReferences.getFileObjectType(file);
+      if (/\.csv$/i.test(file)) {
+        type = csvOptions.objectType && getObjectType(csvOptions.objectType) ? getObjectType(csvOptions.objectType).name : type;
+        for await (const record of FileUtils.readImportRecords(file, type, { ...csvOptions, format: 'csv' })) {
+          this.addToIndex(index, type, record);
+        }
+        continue;
+      }
+
+      for await (const line of readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })) {
+        if (!line.trim()) {
+          continue;
+        }
+        if (FileUtils.isMetaHeader(line)) {
+          const header = JSON.parse(line);
+          const name = header.meta_objectName || (header.meta && header.meta.objectname);
+          type = name && getObjectType(name) ? getObjectType(name).name : type;
+          continue;
+        }
+
+        const record = JSON.parse(line);
+        Object.keys(record).filter(key => key.startsWith('meta_')).forEach(key => delete record[key]);
+        this.addToIndex(index, type, record);
+      }
+    }
+    return index;
+  }
+
+  static addToIndex(index, type, record) {
+    const byKey = index.get(type) || new Map();
+    MATCH_FIELDS.filter(field => record[field]).forEach(field => {
+      const key = `${field}:${String(record[field]).toLowerCase()}`;
+      if (!byKey.has(key)) {
+        byKey.set(key, record);
+      }
+    });
+    index.set(type, byKey);
+  }
+
+  static findInput(inputs, type, fields) {
+    const byKey = inputs.get(type);
+    if (!byKey) {
+      return null;
+    }
+    // Failed records files may use other casing for field names (Name, SKU, ...)
+    const lookup = name => {
+      const column = Object.keys(fields).find(key => key.toLowerCase() === name.toLowerCase());
+      return column ? String(fields[column]).toLowerCase() : null;
+    };
+    const field = MATCH_FIELDS.find(name => lookup(name) && byKey.has(`${name}:${lookup(name)}`));
+    return field ? byKey.get(`${field}:${lookup(field)}`) : null;
+  }
+
+  static groupByMessage(failures) {
+    const groups = new Map();
+    failures.forEach(failure => {
+      // Salesforce appends the offending fields after ':', e.g. "...: [Name]:--"
+      const message = failure.error.replace(/:--$/, '').trim();
+      const group = groups.get(message) || { message, count: 0, objects: [] };
+      group.count++;
+      if (!group.objects.includes(failure.object)) {
+        group.objects.push(failure.object);
+      }
+      groups.set(message, group);
+    });
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Write failures as a re-importable JSONL file: one section per object, each starting with
+   * its meta header, every record annotated with its error in "meta_error"
+   * @param {Object[]} failures - Failures from collect()
+   * @param {string} filePath - File path
+   */
+  static write(failures, filePath) {
+    const lines = [];
+    [...new Set(failures.map(failure => failure.object))].forEach(object => {
+      lines.push(JSON.stringify({ meta_objectName: object }));
+      failures
+        .filter(failure => failure.object === object)
+        .forEach(failure => lines.push(JSON.stringify({ ...failure.record, meta_error: failure.error })));
+    });
+    fs.writeFileSync(filePath, lines.join('\n') + '\n');
+  }
+
+  /**
+   * Render the error groups as text
+   */
+  static format(result) {
+    const lines = [chalk.bold(`${result.failures.length} failed record(s):`)];
+    result.groups.forEach(group => {
+      lines.push(`  ${chalk.red(String(group.count).padStart(5))}  ${group.message} ${chalk.gray(`(${group.objects.join(', ')})`)}`);
+    });
+    const unmatched = result.failures.filter(failure => !failure.matched).length;
+    if (unmatched > 0) {
+      lines.push(chalk.yellow(`  ${unmatched} record(s) could not be matched to an input row and are written as reported by the server`));
+    }
+    return lines.join('\n');
+  }
+}
+
+module.exports = { ImportFailures };
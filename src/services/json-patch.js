@@ -0,0 +1,134 @@
+/**
+ * JSON Patch (RFC 6902): apply a list of { op, path, value, from } operations to a document
+ *
+ * Supports add, remove, replace, move, copy and test. Paths are JSON Pointers (RFC 6901),
+ * e.g. /billingAddress/city or /tags/- for the end of an array. The document is not modified;
+ * apply() returns the patched copy, or throws on the first operation that cannot be applied.
+ */
+class JsonPatch {
+  static isPatch(data) {
+    return Array.isArray(data) && data.every(operation => operation && typeof operation === 'object' && typeof operation.op === 'string');
+  }
+
+  /**
+   * @param {Object} document - Document to patch
+   * @param {Object[]} operations - Patch operations
+   * @returns {Object} - Patched copy of the document
+   */
+  static apply(document, operations) {
+    let result = JSON.parse(JSON.stringify(document));
+    operations.forEach((operation, index) => {
+      try {
+        result = this.applyOperation(result, operation);
+      } catch (error) {
+        throw new Error(`Patch operation ${index + 1} (${operation.op} ${operation.path}): ${error.message}`);
+      }
+    });
+    return result;
+  }
+
+  static applyOperation(document, operation) {
+    const path = this.parsePointer(operation.path);
+    switch (operation.op) {
+      case 'add':
+        return this.add(document, path, this.getOperand(operation));
+      case 'remove':
+        return this.remove(document, path);
+      case 'replace':
+        if (path.length === 0) {
+          return this.getOperand(operation);
+        }
+        this.get(document, path);
+        return this.add(this.remove(document, path), path, this.getOperand(operation));
+      case 'move': {
+        const from = this.parsePointer(operation.from);
+        const value = this.get(document, from);
+        return this.add(this.remove(document, from), path, value);
+      }
+      case 'copy':
+        return this.add(document, path, JSON.parse(JSON.stringify(this.get(document, this.parsePointer(operation.from)))));
+      case 'test':
+        if (!this.equals(this.get(document, path), this.getOperand(operation))) {
+          throw new Error(`value is ${JSON.stringify(this.get(document, path))}, not ${JSON.stringify(operation.value)}`);
+        }
+        return document;
+      default:
+        throw new Error(`unknown operation '${operation.op}'; use add, remove, replace, move, copy or test`);
+    }
+  }
+
+  /**
+   * JSON equality as RFC 6902 defines it for test: object members in any order
+   */
+  static equals(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+      return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => this.equals(item, b[index]));
+    }
+    if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && this.equals(a[key], b[key]));
+    }
+    return a === b;
+  }
+
+  static getOperand(operation) {
+    if (!('value' in operation)) {
+      throw new Error('value is required');
+    }
+    return operation.value;
+  }
+
+  static parsePointer(pointer) {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+      throw new Error(`invalid path '${pointer}'; paths start with /`);
+    }
+    return pointer === '' ? [] : pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  static get(document, path) {
+    return path.reduce((value, token) => {
+      if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, token)) {
+        throw new Error('path does not exist');
+      }
+      return value[token];
+    }, document);
+  }
+
+  static add(document, path, value) {
+    if (path.length === 0) {
+      return value;
+    }
+    const parent = this.get(document, path.slice(0, -1));
+    const token = path[path.length - 1];
+    if (Array.isArray(parent)) {
+      const index = token === '-' ? parent.length : Number(token);
+      if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+        throw new Error(`invalid array index '${token}'`);
+      }
+      parent.splice(index, 0, value);
+    } else if (parent !== null && typeof parent === 'object') {
+      parent[token] = value;
+    } else {
+      throw new Error('parent is not an object or array');
+    }
+    return document;
+  }
+
+  static remove(document, path) {
+    if (path.length === 0) {
+      throw new Error('cannot remove the whole document');
+    }
+    this.get(document, path);
+    const parent = this.get(document, path.slice(0, -1));
+    const token = path[path.length - 1];
+    if (Array.isArray(parent)) {
+      parent.splice(Number(token), 1);
+    } else {
+      delete parent[token];
+    }
+    return document;
+  }
+}
+
+module.exports = { JsonPatch };
@@ -196,7 +196,7 @@ class LifecycleManager {
       validateOnly: options.validateOnly || false
     };
     
-    return await this.client.post(endpoint, payload);
+    return await this.client.post(endpoint, payload, { idempotencyKey: options.idempotencyKey });
   }
 
   async getUsage(subscriptionId, options = {}) {
@@ -0,0 +1,817 @@
+const http = require('http');
+const crypto = require('crypto');
+const { Csv } = require('../utils/csv');
+const { UsageReport } = require('./usage-report');
+
+const JOB_OUTCOMES = ['Completed', 'PartialCompleted', 'Failed'];
+
+// Header that overrides the server's job outcome for a single job
+const OUTCOME_HEADER = 'x-mock-job-outcome';
+
+// Collections that map to REST resources; any other object type imported or
+// exported through the async endpoints gets its own collection on first use
+const REST_COLLECTIONS = {
+  customers: 'customer',
+  orders: 'order',
+  subscriptions: 'subscription'
+};
+
+/**
+ * In-process mock of the Nue endpoints the CLI calls
+ *
+ * Records live in memory per object type ('customer', 'order', 'product', ...). Async
+ * export and import jobs report 'Processing' until jobDuration has passed and then settle
+ * on the configured outcome (Completed, PartialCompleted or Failed), which can be
+ * overridden per job with the X-Mock-Job-Outcome request header. Every request must carry
+ * a non-empty nue-api-key header, as with the real API.
+ */
+class MockServer {
+  constructor(options = {}) {
+    this.port = options.port !== undefined ? Number(options.port) : 4010;
+    this.host = options.host || '127.0.0.1';
+    this.jobDuration = options.jobDuration !== undefined ? Number(options.jobDuration) : 3000;
+    this.jobOutcome = MockServer.validateOutcome(options.jobOutcome || 'Completed');
+    // Records per export file; larger objects are split into several fileUrls like the real API
+    this.exportPartSize = options.exportPartSize ? Number(options.exportPartSize) : 0;
+    this.onRequest = options.onRequest || null;
+
+    this.collections = new Map();
+    this.jobs = new Map();
+    this.files = new Map();
+    this.server = null;
+
+    this.routes = [
+      ['POST', /^\/customers$/, this.createCustomer],
+      ['GET', /^\/customers\/search$/, this.searchCustomers],
+      ['GET', /^\/customers(?:\/([^/]+))?$/, this.getCustomers],
+      ['PATCH', /^\/customers\/([^/]+)$/, this.updateResource('customers')],
+      ['DELETE', /^\/customers\/([^/]+)$/, this.deleteResource('customers')],
+      ['POST', /^\/orders$/, this.createOrder],
+      ['POST', /^\/orders\/([^/]+)$/, this.activateOrder],
+      ['GET', /^\/v1\/orders(?:\/([^/]+))?$/, this.getResource('orders')],
+      ['POST', /^\/v1\/orders\/([^/]+)\/cancel$/, this.cancelOrder],
+      ['GET', /^\/subscriptions(?:\/([^/]+))?$/, this.getSubscriptions],
+      ['POST', /^\/usage\/raw-usage$/, this.uploadUsage],
+      ['GET', /^\/usage\/([^/]+)$/, this.getUsage],
+      ['POST', /^\/cpq\/async\/exports$/, this.createExportJob],
+      ['GET', /^\/cpq\/async\/exports\/([^/]+)$/, this.getExportJob],
+      ['POST', /^\/cpq\/async\/imports\/revenue-builder-data$/, this.createImportJob],
+      ['GET', /^\/cpq\/async\/imports\/revenue-builder-data\/([^/]+)$/, this.getImportJob],
+      ['POST', /^\/cpq\/async\/imports$/, this.createImportJob],
+      ['PATCH', /^\/cpq\/async\/imports\/([^/]+)\/content$/, this.uploadImportContent],
+      ['GET', /^\/cpq\/async\/imports\/([^/]+)$/, this.getImportJob],
+      ['POST', /^(?:\/v1|\/usage)?\/async\/graphql$/, this.graphql],
+      ['POST', /^\/revenue\/transaction-hub\/upload$/, this.createTransactionHubJob],
+      ['GET', /^\/revenue\/transaction-hub\/async-job\/([^/]+)$/, this.getTransactionHubJob],
+      ['GET', /^\/jobs$/, this.listJobs],
+      ['POST', /^\/jobs\/([^/]+)\/cancel$/, this.cancelJob],
+      ['POST', /^\/jobs\/([^/]+)\/retry$/, this.retryJob],
+      ['GET', /^\/mock-files\/([^/]+)\/([^/]+)$/, this.downloadFile]
+    ];
+  }
+
+  static validateOutcome(outcome) {
+    const match = JOB_OUTCOMES.find(value => value.toLowerCase() === String(outcome).toLowerCase());
+    if (!match) {
+      throw new Error(`Invalid job outcome '${outcome}'. Valid outcomes are: ${JOB_OUTCOMES.join(', ')}`);
+    }
+    return match;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} - Base URL of the server
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.port = this.server.address().port;
+    return this.getUrl();
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  getUrl() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  /**
+   * Load initial records, e.g. { "customer": [...], "product": [...] }
+   * @param {Object} seed - Records keyed by object type
+   */
+  seed(seed = {}) {
+    Object.entries(seed).forEach(([type, records]) => {
+      (Array.isArray(records) ? records : [records]).forEach(record => this.insert(type, record));
+    });
+  }
+
+  getCollection(type) {
+    const name = type.toLowerCase();
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  insert(type, record) {
+    const now = new Date().toISOString();
+    const stored = {
+      id: record.id || crypto.randomUUID(),
+      createdDate: now,
+      lastModifiedDate: now,
+      ...record
+    };
+    this.getCollection(type).set(stored.id, stored);
+    return stored;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.getUrl());
+    const started = Date.now();
+
+    try {
+      const body = await this.readBody(req);
+
+      const route = this.routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+      if (!route) {
+        return this.finish(req, res, url, started, 404, { message: `No mock for ${req.method} ${url.pathname}` });
+      }
+
+      // Generated download links carry their own token instead of the API key
+      if (!url.pathname.startsWith('/mock-files/') && !req.headers['nue-api-key']) {
+        return this.finish(req, res, url, started, 401, { message: 'Missing nue-api-key header' });
+      }
+
+      const [, pattern, handler] = route;
+      const params = url.pathname.match(pattern).slice(1);
+      const result = await handler.call(this, { req, url, params, body });
+      this.finish(req, res, url, started, result.status || 200, result.body, result.contentType, result.headers);
+    } catch (error) {
+      this.finish(req, res, url, started, 500, { message: error.message });
+    }
+  }
+
+  finish(req, res, url, started, status, body, contentType = 'application/json', headers = {}) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', contentType);
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+
+    if (this.onRequest) {
+      this.onRequest({ method: req.method, path: url.pathname + url.search, status, duration: Date.now() - started });
+    }
+  }
+
+  async readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const raw = Buffer.concat(chunks);
+    const contentType = req.headers['content-type'] || '';
+
+    if (raw.length === 0) {
+      return {};
+    }
+    if (contentType.startsWith('multipart/form-data')) {
+      return { parts: this.parseMultipart(raw, contentType) };
+    }
+    if (contentType.includes('json')) {
+      return JSON.parse(raw.toString('utf8'));
+    }
+    return { raw: raw.toString('utf8') };
+  }
+
+  /**
+   * Minimal multipart/form-data parser: returns [{ name, filename, content }]
+   */
+  parseMultipart(raw, contentType) {
+    const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/);
+    if (!boundaryMatch) {
+      return [];
+    }
+
+    const boundary = `--${boundaryMatch[1] || boundaryMatch[2]}`;
+    return raw.toString('utf8')
+      .split(boundary)
+      .slice(1, -1)
+      .map(section => {
+        const separator = section.indexOf('\r\n\r\n');
+        const headers = section.slice(0, separator);
+        const name = (headers.match(/name="([^"]*)"/) || [])[1];
+        const filename = (headers.match(/filename="([^"]*)"/) || [])[1];
+        return { name, filename, content: section.slice(separator + 4).replace(/\r\n$/, '') };
+      });
+  }
+
+  // Customers
+
+  createCustomer({ body }) {
+    const { validateOnly, ...data } = body;
+    if (!data.name) {
+      return { status: 400, body: { message: 'Customer name is required' } };
+    }
+    const customer = validateOnly ? { id: null, ...data } : this.insert('customer', data);
+    return { status: 201, body: { data: { customer } } };
+  }
+
+  searchCustomers({ url }) {
+    const query = (url.searchParams.get('q') || '').toLowerCase();
+    const limit = Number(url.searchParams.get('limit') || 50);
+    const offset = Number(url.searchParams.get('offset') || 0);
+
+    const matches = [...this.getCollection('customer').values()].filter(customer =>
+      Object.values(customer).some(value => typeof value === 'string' && value.toLowerCase().includes(query)));
+
+    return { body: { data: { customers: matches.slice(offset, offset + limit), total: matches.length } } };
+  }
+
+  /**
+   * Customers, with their orders and subscriptions when includeOrders / includeSubscriptions is true
+   */
+  getCustomers({ url, params }) {
+    const result = this.getResource('customers')({ params });
+    if (result.body.data && result.body.data.customer) {
+      const customer = { ...result.body.data.customer };
+      result.body.data.customer = customer;
+      const owned = type => [...this.getCollection(type).values()].filter(record => record.customerId === customer.id);
+      if (url.searchParams.get('includeOrders') === 'true') {
+        customer.orders = owned('order');
+      }
+      if (url.searchParams.get('includeSubscriptions') === 'true') {
+        customer.subscriptions = owned('subscription');
+      }
+    }
+    return result;
+  }
+
+  // Generic REST resources
+
+  getResource(resource) {
+    const type = REST_COLLECTIONS[resource];
+    const singular = type;
+
+    return ({ params }) => {
+      const collection = this.getCollection(type);
+      if (params[0]) {
+        const record = collection.get(params[0]);
+        if (!record) {
+          return { status: 404, body: { message: `${singular} ${params[0]} not found` } };
+        }
+        return { body: { data: { [singular]: this.expand(record) } } };
+      }
+      return { body: { data: { [resource]: [...collection.values()].map(record => this.expand(record)) } } };
+    };
+  }
+
+  updateResource(resource) {
+    const type = REST_COLLECTIONS[resource];
+
+    return ({ params, body }) => {
+      const collection = this.getCollection(type);
+      const record = collection.get(params[0]);
+      if (!record) {
+        return { status: 404, body: { message: `${type} ${params[0]} not found` } };
+      }
+
+      const { validateOnly, id, ...changes } = body;
+      const updated = { ...record, ...changes, lastModifiedDate: new Date().toISOString() };
+      if (!validateOnly) {
+        collection.set(record.id, updated);
+      }
+      return { body: { data: { [type]: updated } } };
+    };
+  }
+
+  deleteResource(resource) {
+    const type = REST_COLLECTIONS[resource];
+
+    return ({ params }) => {
+      if (!this.getCollection(type).delete(params[0])) {
+        return { status: 404, body: { message: `${type} ${params[0]} not found` } };
+      }
+      return { body: { data: { id: params[0], deleted: true } } };
+    };
+  }
+
+  /**
+   * Attach the customer to orders and subscriptions, as the API does
+   */
+  expand(record) {
+    if (!record.customerId) {
+      return record;
+    }
+    const customer = this.getCollection('customer').get(record.customerId);
+    return customer ? { ...record, customer: { id: customer.id, name: customer.name } } : record;
+  }
+
+  // Orders
+
+  createOrder({ body }) {
+    const orderProducts = body.orderProducts || [];
+    const totalAmount = orderProducts.reduce((sum, product) =>
+      sum + (Number(product.quantity) || 1) * (Number(product.unitPrice || product.listPrice) || 0), 0);
+
+    const order = this.insert('order', {
+      ...body,
+      orderNumber: `ORD-${String(this.getCollection('order').size + 1).padStart(6, '0')}`,
+      status: 'Draft',
+      totalAmount
+    });
+
+    return { status: 201, body: { data: { order: this.expand(order) } } };
+  }
+
+  activateOrder({ params, body }) {
+    const orders = this.getCollection('order');
+    const order = orders.get(params[0]);
+    if (!order) {
+      return { status: 404, body: { message: `order ${params[0]} not found` } };
+    }
+    if (order.status === 'Activated') {
+      return { status: 409, body: { message: `Order ${order.id} is already activated` } };
+    }
+
+    const activated = { ...order, status: 'Activated', activatedDate: new Date().toISOString() };
+    orders.set(order.id, activated);
+
+    // One subscription per ordered product
+    (order.orderProducts || []).forEach(product => {
+      this.insert('subscription', {
+        customerId: order.customerId,
+        orderId: order.id,
+        productId: product.productId,
+        productName: product.productName,
+        quantity: product.quantity || 1,
+        status: 'Active',
+        startDate: product.startDate || new Date().toISOString().slice(0, 10)
+      });
+    });
+
+    const data = { order: this.expand(activated) };
+    const options = body.options || {};
+    if (options.generateInvoice) {
+      data.invoice = this.insert('invoice', {
+        orderId: order.id,
+        customerId: order.customerId,
+        amount: order.totalAmount,
+        status: options.activateInvoice ? 'Active' : 'Draft'
+      });
+    }
+
+    return { body: { data } };
+  }
+
+  cancelOrder({ params, body }) {
+    const orders = this.getCollection('order');
+    const order = orders.get(params[0]);
+    if (!order) {
+      return { status: 404, body: { message: `order ${params[0]} not found` } };
+    }
+
+    const canceled = { ...order, status: 'Canceled', cancelReason: body.reason };
+    orders.set(order.id, canceled);
+    return { body: { data: { order: this.expand(canceled) } } };
+  }
+
+  // Subscriptions
+
+  getSubscriptions({ url, params }) {
+    if (params[0]) {
+      return this.getResource('subscriptions')({ params });
+    }
+
+    // The CLI's REST client sends arrays as JSON (customerIds=["id"])
+    const customerIds = [...url.searchParams.getAll('customerIds'), ...url.searchParams.getAll('customerIds[]')]
+      .flatMap(value => (value.startsWith('[') ? JSON.parse(value) : [value]));
+    const status = url.searchParams.get('status');
+
+    const subscriptions = [...this.getCollection('subscription').values()]
+      .filter(subscription => customerIds.length === 0 || customerIds.includes(subscription.customerId))
+      .filter(subscription => !status || subscription.status.toLowerCase() === status.toLowerCase())
+      .map(subscription => this.expand(subscription));
+
+    return { body: { data: { subscriptions } } };
+  }
+
+  // Usage
+
+  uploadUsage({ body }) {
+    const { validateOnly, ...payload } = body;
+    const records = Array.isArray(payload.data) ? payload.data
+      : Array.isArray(payload.usage) ? payload.usage
+        : Object.keys(payload).every(key => /^\d+$/.test(key)) ? Object.values(payload)
+          : [payload];
+
+    const errors = [];
+    records.forEach((record, index) => {
+      if (record.quantity === undefined || isNaN(Number(record.quantity))) {
+        errors.push({ index, message: 'quantity must be a number' });
+      } else if (!validateOnly) {
+        this.insert('usage', record);
+      }
+    });
+
+    return { body: { data: { uploaded: records.length - errors.length, errors } } };
+  }
+
+  /**
+   * Uploaded usage of a subscription summed per period and UOM; endDate includes its whole day
+   */
+  getUsage({ url, params }) {
+    const granularity = url.searchParams.get('granularity') || 'daily';
+    const startDate = url.searchParams.get('startDate');
+    const endDate = url.searchParams.get('endDate');
+    const start = startDate ? new Date(startDate).getTime() : -Infinity;
+    const end = endDate ? new Date(/T/.test(endDate) ? endDate : `${endDate}T23:59:59.999Z`).getTime() : Infinity;
+
+    const totals = new Map();
+    [...this.getCollection('usage').values()]
+      .filter(record => record.subscriptionId === params[0] && record.timestamp)
+      .filter(record => new Date(record.timestamp).getTime() >= start && new Date(record.timestamp).getTime() <= end)
+      .forEach(record => {
+        const period = UsageReport.getPeriod(record.timestamp, granularity);
+        const key = JSON.stringify([period, record.uom || null]);
+        const total = totals.get(key) || { period, uom: record.uom || null, quantity: 0, events: 0 };
+        total.quantity += Number(record.quantity);
+        total.events++;
+        totals.set(key, total);
+      });
+
+    const usage = [...totals.values()].sort((a, b) => a.period.localeCompare(b.period));
+    return { body: { data: { subscriptionId: params[0], granularity, usage } } };
+  }
+
+  // Async jobs
+
+  createJob(kind, req, details) {
+    const job = {
+      jobId: crypto.randomUUID(),
+      kind,
+      createdAt: Date.now(),
+      outcome: req.headers[OUTCOME_HEADER] ? MockServer.validateOutcome(req.headers[OUTCOME_HEADER]) : this.jobOutcome,
+      applied: false,
+      ...details
+    };
+    this.jobs.set(job.jobId, job);
+    return job;
+  }
+
+  /**
+   * Current state of a job: 'Processing' until jobDuration has passed, then its outcome
+   */
+  getJobState(job) {
+    if (job.cancelled) {
+      return 'Cancelled';
+    }
+    return Date.now() - job.createdAt < this.jobDuration ? 'Processing' : job.outcome;
+  }
+
+  createExportJob({ req, body }) {
+    const types = this.getRootFields(body.query);
+    const job = this.createJob('export', req, { types: types.length > 0 ? types : ['all'] });
+    return { body: { jobId: job.jobId, status: 'Processing' } };
+  }
+
+  getExportJob({ params }) {
+    const job = this.jobs.get(params[0]);
+    if (!job || job.kind !== 'export') {
+      return { status: 404, body: { message: `Export job ${params[0]} not found` } };
+    }
+
+    const state = this.getJobState(job);
+    if (state === 'Processing' || state === 'Cancelled') {
+      return { body: { jobId: job.jobId, status: state, objects: [] } };
+    }
+
+    const types = job.types.includes('all') ? [...this.collections.keys()] : job.types;
+    const objects = types.map((type, index) => {
+      const name = this.getObjectName(type);
+      const records = [...this.getCollection(type).values()];
+
+      // PartialCompleted: every other object fails; Failed: every object fails
+      const failed = state === 'Failed' || (state === 'PartialCompleted' && index % 2 === 1);
+      if (failed) {
+        return { name, status: 'Failed', totalSize: 0, errors: [`Mock failure exporting ${name}`] };
+      }
+      if (records.length === 0) {
+        return { name, status: 'Failed', totalSize: 0, errors: [`No ${name} records fetched`] };
+      }
+
+      // Each file starts with a meta header line, as real export files do
+      const partSize = this.exportPartSize || records.length;
+      const fileUrls = [];
+      for (let start = 0; start < records.length; start += partSize) {
+        const fileName = records.length > partSize ? `${name}-${fileUrls.length + 1}.jsonl` : `${name}.jsonl`;
+        const lines = [{ meta_objectName: name }, ...records.slice(start, start + partSize)];
+        this.files.set(`${job.jobId}/${fileName}`, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+        fileUrls.push(`${this.getUrl()}/mock-files/${job.jobId}/${fileName}`);
+      }
+      return { name, status: 'Completed', totalSize: records.length, fileUrls };
+    });
+
+    // The export API reports partial success as Failed with some completed objects
+    return { body: { jobId: job.jobId, status: state === 'Completed' ? 'Completed' : 'Failed', objects } };
+  }
+
+  /**
+   * Serve an export file like S3 does: ETag and single "bytes=N-" ranges; full responses
+   * also declare the content's Content-MD5
+   */
+  downloadFile({ req, params }) {
+    const content = this.files.get(`${params[0]}/${params[1]}`);
+    if (content === undefined) {
+      return { status: 404, body: { message: 'File not found' } };
+    }
+
+    const buffer = Buffer.from(content);
+    const contentType = params[1].endsWith('.csv') ? 'text/csv' : 'application/x-ndjson';
+    const headers = {
+      ETag: `"${crypto.createHash('md5').update(buffer).digest('hex')}"`,
+      'Accept-Ranges': 'bytes'
+    };
+    const range = (req.headers.range || '').match(/^bytes=(\d+)-$/);
+    if (range) {
+      const start = Number(range[1]);
+      if (start >= buffer.length) {
+        return { status: 416, body: '', headers: { ...headers, 'Content-Range': `bytes */${buffer.length}` } };
+      }
+      return {
+        status: 206,
+        body: buffer.subarray(start),
+        contentType,
+        headers: { ...headers, 'Content-Range': `bytes ${start}-${buffer.length - 1}/${buffer.length}` }
+      };
+    }
+    return { body: content, contentType, headers: { ...headers, 'Content-MD5': crypto.createHash('md5').update(buffer).digest('base64') } };
+  }
+
+  createImportJob({ req, url, body }) {
+    const job = this.createJob('import', req, {
+      operation: url.searchParams.get('import-operation') || 'upsert',
+      objectName: body.objectname || null,
+      parts: body.parts || []
+    });
+    return { status: 201, body: { jobId: job.jobId, jobid: job.jobId, status: 'Processing' } };
+  }
+
+  uploadImportContent({ params, body }) {
+    const job = this.jobs.get(params[0]);
+    if (!job || job.kind !== 'import') {
+      return { status: 404, body: { message: `Import job ${params[0]} not found` } };
+    }
+
+    // Uploading content restarts the clock
+    job.parts = job.parts.concat(body.parts || []);
+    job.createdAt = Date.now();
+    return { body: { jobId: job.jobId, status: 'Processing' } };
+  }
+
+  getImportJob({ params }) {
+    const job = this.jobs.get(params[0]);
+    if (!job || job.kind !== 'import') {
+      return { status: 404, body: { message: `Import job ${params[0]} not found` } };
+    }
+
+    const state = this.getJobState(job);
+    if (state === 'Processing' || state === 'Cancelled') {
+      return { body: { jobId: job.jobId, status: state, importJobs: [] } };
+    }
+
+    const importJobs = job.parts.map((part, index) => {
+      const type = job.objectName || part.name || 'record';
+      const records = this.parseRecords(part.content);
+      const partFailed = state === 'Failed' || (state === 'PartialCompleted' && index % 2 === 1);
+
+      // Records without a name are rejected like Salesforce rejects a missing required field
+      const failures = records
+        .map(record => ({
+          record,
+          error: partFailed ? `Mock failure importing ${type}` : (record.name ? null : 'REQUIRED_FIELD_MISSING:Required fields are missing: [Name]:--')
+        }))
+        .filter(failure => failure.error);
+      const succeeded = records.filter(record => !failures.some(failure => failure.record === record));
+
+      // Apply the import to the store once, when the job first settles
+      if (!job.applied) {
+        succeeded.forEach(record => this.insert(type, record));
+      }
+
+      const objectName = this.getObjectName(type);
+      return {
+        objectName,
+        status: failures.length === 0 ? 'Completed' : (succeeded.length > 0 ? 'PartialCompleted' : 'Failed'),
+        totalSize: records.length,
+        successCount: succeeded.length,
+        failureCount: failures.length,
+        errors: partFailed ? [`Mock failure importing ${type}`] : [],
+        stages: [this.createImportStage(job, objectName, records, failures)]
+      };
+    });
+    job.applied = true;
+
+    // A job whose objects all completed but dropped some records is reported as PartialCompleted
+    const status = state === 'Completed' && importJobs.some(importJob => importJob.failureCount > 0) ? 'PartialCompleted' : state;
+    return {
+      body: {
+        jobId: job.jobId,
+        status,
+        importJobs,
+        error: state === 'Failed' ? 'Mock import failure' : undefined
+      }
+    };
+  }
+
+  /**
+   * Bulk stage details with the data file and, when records failed, a failed records
+   * CSV in the Salesforce Bulk API layout (sf__Id, sf__Error, then the record fields)
+   */
+  createImportStage(job, objectName, records, failures) {
+    const toCsv = rows => Csv.stringify(rows) + '\n';
+
+    const dataFile = `${objectName}-data.csv`;
+    this.files.set(`${job.jobId}/${dataFile}`, toCsv(records));
+    const stage = {
+      name: `Upsert ${objectName}`,
+      dataFileUrl: `${this.getUrl()}/mock-files/${job.jobId}/${dataFile}`,
+      detailInfo: {
+        numberRecordsProcessed: records.length,
+        numberRecordsFailed: failures.length,
+        totalProcessingTime: 5,
+        salesforceJobId: `750${job.jobId.replace(/-/g, '').slice(0, 15)}`
+      }
+    };
+
+    if (failures.length > 0) {
+      const failedFile = `${objectName}-failed.csv`;
+      this.files.set(`${job.jobId}/${failedFile}`, toCsv(failures.map(failure => ({
+        sf__Id: '',
+        sf__Error: failure.error,
+        ...failure.record
+      }))));
+      stage.detailInfo.failedRecordsUrl = `${this.getUrl()}/mock-files/${job.jobId}/${failedFile}`;
+    }
+    return stage;
+  }
+
+  parseRecords(content = '') {
+    const trimmed = content.trim();
+    if (!trimmed) {
+      return [];
+    }
+    if (trimmed.startsWith('[')) {
+      return JSON.parse(trimmed);
+    }
+    return trimmed.split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      // Skip metadata header lines written by the exporter
+      .filter(record => record && !record.meta && !record.metadata);
+  }
+
+  createTransactionHubJob({ req, body }) {
+    const records = Array.isArray(body.data) ? body.data : [];
+    const job = this.createJob('transaction-hub', req, { records });
+    return { status: 201, body: { jobid: job.jobId, status: 'processing' } };
+  }
+
+  getTransactionHubJob({ params }) {
+    const job = this.jobs.get(params[0]);
+    if (!job || job.kind !== 'transaction-hub') {
+      return { status: 404, body: { message: `Transaction hub job ${params[0]} not found` } };
+    }
+
+    // The transaction hub reports lower-case states and has no partial outcome
+    const state = this.getJobState(job);
+    const status = state === 'PartialCompleted' ? 'completed' : state.toLowerCase();
+    return { body: { jobid: job.jobId, status, totalSize: job.records.length } };
+  }
+
+  listJobs({ url }) {
+    const kind = url.searchParams.get('kind');
+    const status = url.searchParams.get('status');
+    const limit = Number(url.searchParams.get('limit') || 0);
+
+    let jobs = [...this.jobs.values()]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(job => ({
+        jobId: job.jobId,
+        kind: job.kind,
+        status: this.getJobState(job),
+        createdDate: new Date(job.createdAt).toISOString()
+      }))
+      .filter(job => !kind || job.kind === kind)
+      .filter(job => !status || job.status.toLowerCase() === status.toLowerCase());
+
+    if (limit > 0) {
+      jobs = jobs.slice(0, limit);
+    }
+    return { body: { jobs } };
+  }
+
+  cancelJob({ params }) {
+    const job = this.jobs.get(params[0]);
+    if (!job) {
+      return { status: 404, body: { message: `Job ${params[0]} not found` } };
+    }
+    if (this.getJobState(job) !== 'Processing') {
+      return { status: 409, body: { message: `Job ${job.jobId} is already ${this.getJobState(job)}` } };
+    }
+
+    job.cancelled = true;
+    return { body: { jobId: job.jobId, status: 'Cancelled' } };
+  }
+
+  retryJob({ req, params }) {
+    const job = this.jobs.get(params[0]);
+    if (!job) {
+      return { status: 404, body: { message: `Job ${params[0]} not found` } };
+    }
+    if (this.getJobState(job) === 'Processing') {
+      return { status: 409, body: { message: `Job ${job.jobId} is still processing` } };
+    }
+
+    const { jobId, createdAt, outcome, applied, cancelled, kind, ...details } = job;
+    const retried = this.createJob(kind, req, { ...details, retryOf: jobId });
+    return { status: 201, body: { jobId: retried.jobId, status: 'Processing', retryOf: jobId } };
+  }
+
+  // GraphQL
+
+  graphql({ body }) {
+    const fields = this.getRootFields(body.query);
+    if (fields.length === 0) {
+      return { body: { errors: [{ message: 'Mock server could not find a root field in the query' }] } };
+    }
+
+    const data = {};
+    fields.forEach(field => {
+      data[field] = [...this.getCollection(field).values()];
+    });
+    return { body: { data } };
+  }
+
+  /**
+   * Names of the top-level fields selected by a GraphQL query
+   */
+  getRootFields(query = '') {
+    const source = query.replace(/#[^\n]*/g, '');
+    const start = source.indexOf('{');
+    if (start === -1) {
+      return [];
+    }
+
+    const fields = [];
+    let depth = 0;
+    let parens = 0;
+    let token = '';
+    const flush = () => {
+      if (depth === 1 && token) {
+        fields.push(token);
+      }
+      token = '';
+    };
+
+    // Skip arguments, collect identifiers at depth 1
+    for (const char of source.slice(start)) {
+      if (char === '(' || char === ')') {
+        flush();
+        parens += char === '(' ? 1 : -1;
+      } else if (parens > 0) {
+        continue;
+      } else if (char === '{' || char === '}') {
+        flush();
+        depth += char === '{' ? 1 : -1;
+      } else if (/\w/.test(char)) {
+        token += char;
+      } else {
+        flush();
+      }
+    }
+
+    return [...new Set(fields)];
+  }
+
+  getObjectName(type) {
+    return type.charAt(0).toUpperCase() + type.slice(1);
+  }
+}
+
+module.exports = { MockServer, JOB_OUTCOMES };
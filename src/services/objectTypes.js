@@ -6,6 +6,32 @@
  * and provides type safety through well-defined interfaces.
  */
 
+// Types of the fields that are not plain strings: 'boolean', 'number', 'integer', 'json' or
+// 'datetime' (an ISO 8601 date and time, checked but kept as text)
+const FIELD_TYPES = {
+  active: 'boolean',
+  autoRenew: 'boolean',
+  bundled: 'boolean',
+  carvesEligible: 'boolean',
+  configurable: 'boolean',
+  evergreen: 'boolean',
+  showIncludedProductOptions: 'boolean',
+  soldIndependently: 'boolean',
+  actualSubscriptionTerm: 'number',
+  conversionRate: 'number',
+  defaultRenewalTerm: 'number',
+  defaultSubscriptionTerm: 'number',
+  listPrice: 'number',
+  price: 'number',
+  quantity: 'number',
+  subscriptionTerm: 'number',
+  totalAmount: 'number',
+  billCycleDay: 'integer',
+  decimalScale: 'integer',
+  properties: 'json',
+  timestamp: 'datetime'
+};
+
 /**
  * Base class for object type definitions
  */
@@ -65,6 +91,20 @@ class ObjectType {
   getDefaultFields() {
     return this.fields.length > 0 ? this.fields : ['id', 'name', 'createdDate', 'lastModifiedDate'];
   }
+
+  /**
+   * Get the listed fields that hold a single value, the ones a GraphQL query can select by name
+   */
+  getScalarFields() {
+    return this.getDefaultFields().filter(field => FIELD_TYPES[field] !== 'json');
+  }
+
+  /**
+   * Get the type of a field ('string' for fields this object type does not list)
+   */
+  getFieldType(field) {
+    return (this.fields.includes(field) && FIELD_TYPES[field]) || 'string';
+  }
 }
 
 /**
@@ -182,7 +222,7 @@ class ObjectTypeRegistry {
     ]));
 
     this.register(new TransactionObjectType('usage', 'Usage', [
-      'id', 'name', 'customerId', 'subscriptionId', 'salesAccountId', 'quantity',
+      'id', 'name', 'customerId', 'subscriptionId', 'salesAccountId', 'quantity', 'uom', 'timestamp',
       'createdDate', 'lastModifiedDate', 'properties'
     ]));
 
@@ -344,6 +384,22 @@ function getObjectFields(objectType) {
   return type ? type.getDefaultFields() : ['id', 'name', 'createdDate', 'lastModifiedDate'];
 }
 
+/**
+ * Get the scalar fields of an object type (its listed fields without the JSON ones)
+ */
+function getScalarFields(objectType) {
+  const type = getObjectType(objectType);
+  return type ? type.getScalarFields() : ['id', 'name', 'createdDate', 'lastModifiedDate'];
+}
+
+/**
+ * Get the type of a field of an object type ('boolean', 'number', 'integer', 'json' or 'string')
+ */
+function getFieldType(objectType, field) {
+  const type = getObjectType(objectType);
+  return type ? type.getFieldType(field) : 'string';
+}
+
 /**
  * Get the form field name for an object type
  */
@@ -388,6 +444,50 @@ function getValidTransactionTypes() {
   return transactionTypeRegistry.getAll();
 }
 
+// Reference fields of product catalog objects and the object type each one points to
+const CATALOG_REFERENCES = {
+  product: {
+    priceBookId: 'pricebook',
+    defaultUomId: 'uom',
+    creditConversionId: 'creditconversion',
+    creditPoolId: 'creditpool',
+    referenceProductId: 'product'
+  },
+  pricetag: { priceBookId: 'pricebook', productId: 'product' },
+  creditpool: { creditTypeId: 'credittype' },
+  creditconversion: { fromUomId: 'uom', toUomId: 'uom' },
+  bundle: { productId: 'product' }
+};
+
+/**
+ * Get the reference fields of a product catalog object type
+ * @returns {Object} - Field name -> referenced object type name
+ */
+function getCatalogReferences(objectType) {
+  const type = getObjectType(objectType);
+  return (type && CATALOG_REFERENCES[type.name]) || {};
+}
+
+/**
+ * Group product catalog object types into import waves, each after the types it references
+ * @param {string[]} objectTypes - Object type names
+ * @returns {string[][]} - Waves in import order; the only references within a wave are self-references
+ */
+function getCatalogImportWaves(objectTypes) {
+  const remaining = new Set(objectTypes.map(normalizeObjectType));
+  const waves = [];
+  while (remaining.size > 0) {
+    const wave = [...remaining].filter(name => Object.values(getCatalogReferences(name))
+      .every(referenced => referenced === name || !remaining.has(referenced)));
+    if (wave.length === 0) {
+      throw new Error(`Circular references between ${[...remaining].join(', ')}`);
+    }
+    wave.forEach(name => remaining.delete(name));
+    waves.push(wave);
+  }
+  return waves;
+}
+
 // Export the registry instances for advanced usage
 module.exports = {
   // Classes
@@ -411,12 +511,16 @@ module.exports = {
   isTransactionHubObjectType,
   getApiObjectName,
   getObjectFields,
+  getScalarFields,
+  getFieldType,
   getFormFieldName,
   normalizeObjectType,
   getObjectTypesByCategory,
   getValidObjectTypesList,
   isValidTransactionType,
   getValidTransactionTypes,
+  getCatalogReferences,
+  getCatalogImportWaves,
   
   // Categories (for backward compatibility)
   OBJECT_CATEGORIES: {
@@ -1,4 +1,5 @@
-const { checkAndPromptForApiKey } = require('../utils/apiKeyUtils');
+const { Option } = require('commander');
+const { resolveConnection } = require('../utils/apiKeyUtils');
 
 class PlatformCommandBuilder {
   constructor(platform, resource, action) {
@@ -28,8 +29,19 @@ class PlatformCommandBuilder {
         .option('--object-type <type>', 'Object type for metadata operations')
         .option('--all', 'Apply to all objects (for export/import)')
         .option('--overwrite', 'Overwrite existing data')
-        .option('--validate-only', 'Validate without making changes')
-        .option('--dry-run', 'Simulate operation without changes');
+        .option('--validate-only', 'Check references and compare with the target without creating an import job (same as --dry-run)')
+        .option('--dry-run', 'Show which records would be inserted, updated or left unchanged, without creating an import job');
+    } else if (this.action === 'diff') {
+      return this
+        .option('--object-type <types>', 'Comma-separated product catalog objects to compare (default: all)')
+        .option('--ignore-fields <fields>', 'Comma-separated fields to ignore in addition to IDs and audit fields')
+        .option('--format <format>', 'Output format (text, json, markdown)', 'text', ['text', 'json', 'markdown']);
+    } else if (this.action === 'promote') {
+      return this
+        .option('--from <source>', 'Source: sandbox, production, profile:<name>, a snapshot directory or an export job ID')
+        .option('--to <target>', 'Target environment: sandbox, production or profile:<name>')
+        .option('--objects <types>', 'Comma-separated product catalog objects to promote (default: all)')
+        .option('--ignore-fields <fields>', 'Comma-separated fields whose differences alone do not trigger an update');
     } else {
       // For other actions, include all platform options
       return this
@@ -56,6 +68,32 @@ class PlatformCommandBuilder {
       return this
         .option('--generate-invoice', 'Generate invoice after activation')
         .option('--activate-invoice', 'Activate invoice after generation');
+    } else if (this.resource === 'usage' && (this.action === 'get' || this.action === 'report')) {
+      if (this.action === 'report') {
+        this.option('--customer-id <id>', 'Customer whose subscriptions to report on');
+      }
+      return this
+        .option('--start-date <date>', 'First day to report (YYYY-MM-DD, default: 29 days before --end-date)')
+        .option('--end-date <date>', 'Last day to report (YYYY-MM-DD, default: today)')
+        .option('--granularity <period>', 'Period of each value: hourly, daily, weekly or monthly', 'daily')
+        .option('--format <format>', 'Output format: table, csv or json', 'table', ['table', 'csv', 'json']);
+    } else if (this.resource === 'customers' && ['get', 'list', 'search'].includes(this.action)) {
+      if (this.action === 'get') {
+        this
+          .option('--include-orders', 'Include the customer\'s orders')
+          .option('--include-subscriptions', 'Include the customer\'s subscriptions');
+      } else if (this.action === 'list') {
+        this.option('--filters <json>', 'JSON filters, e.g. \'{"status":"Active"}\'');
+      } else {
+        this
+          .option('--limit <number>', 'Maximum number of customers to return', '50')
+          .option('--offset <number>', 'Number of matches to skip', '0');
+      }
+      return this.option('--format <format>', 'Output format: table or json', 'table', ['table', 'json']);
+    } else if (this.resource === 'customers' && this.action === 'update') {
+      return this.option('--validate-only', 'Validate the update without saving it');
+    } else if (this.resource === 'customers' && this.action === 'delete') {
+      return this.option('--yes', 'Delete without asking for confirmation');
     } else if (this.action === 'get') {
       return this
         .option('--customer-id <id>', 'Customer ID')
@@ -63,6 +101,18 @@ class PlatformCommandBuilder {
         .option('--order-id <id>', 'Order ID')
         .option('--status <status>', 'Filter by status')
         .option('--effective-date <date>', 'Effective date for operations');
+    } else if (this.action === 'upload') {
+      return this
+        .option('--format <format>', 'Format of --file: csv, jsonl or json (default: from the file extension)')
+        .option('--mapping <file>', 'YAML mapping file that renames, computes, looks up, defaults and drops columns')
+        .option('--mapping-preview [rows]', 'Show the first rows (default 5) as they would be uploaded, without uploading')
+        .option('--aggregate <period>', 'Roll events up into hourly or daily totals before upload')
+        .option('--group-by <fields>', 'Comma-separated fields an --aggregate total is kept per; properties.<name> for a property (default: customerId,subscriptionId,uom)')
+        .option('--resume', 'Continue the last upload to this environment that did not finish')
+        .option('--force', 'Upload records again even if they were accepted before (see nue usage receipts)')
+        .option('--delimiter <char>', 'CSV field delimiter: a character, or tab, semicolon, pipe', ',')
+        .option('--quote <char>', 'CSV quote character', '"')
+        .option('--encoding <encoding>', 'CSV file encoding (e.g. utf8, utf16le, latin1, windows-1252)', 'utf8');
     } else {
       // For other actions, include all lifecycle options
       return this
@@ -105,19 +155,19 @@ class PlatformCommandBuilder {
       .option('--job-type <type>', 'Job type (export, import, sync)')
       .option('--priority <priority>', 'Job priority (low, normal, high)', 'normal')
       .option('--timeout <seconds>', 'Job timeout in seconds', '3600')
-      .option('--retry-count <count>', 'Number of retry attempts', '3');
+      .option('--retry-count <count>', 'Number of retry attempts for transient API failures (same as --retries)');
   }
 
   addCommonOptions() {
     // Add common options based on the action type
-    if (this.action === 'create' || this.action === 'activate') {
+    if (this.action === 'create' || this.action === 'activate' || this.action === 'update') {
       return this
         .option('--sandbox', 'Use sandbox environment')
         .option('--verbose', 'Show detailed output')
         .option('--output <file>', 'Output file path')
         .option('--json <data>', 'Input data as JSON string')
         .option('--file <path>', 'Input file path');
-    } else if (this.action === 'get') {
+    } else if (['get', 'report', 'list', 'search'].includes(this.action)) {
       return this
         .option('--sandbox', 'Use sandbox environment')
         .option('--verbose', 'Show detailed output')
@@ -137,6 +187,10 @@ class PlatformCommandBuilder {
         .option('--verbose', 'Show detailed output')
         .option('--output <file>', 'Output file path')
         .option('--wait', 'Wait for job completion and show progress')
+        .option('--resume', 'Reattach to the last interrupted --wait for the same object type instead of starting a new job')
+        .option('--merge-parts', 'Merge objects exported as several files into one JSONL file')
+        .option('--split-size <size>', 'Split downloaded objects into files of this many records (e.g. 50000) or bytes (e.g. 100MB)')
+        .option('--snapshot <dir>', 'Wait for the export and write one file per object plus manifest.json into this directory')
         .option('--download <jobId>', 'Download results from a completed job');
     } else if (this.action === 'import') {
       return this
@@ -144,9 +198,34 @@ class PlatformCommandBuilder {
         .option('--verbose', 'Show detailed output')
         .option('--output <file>', 'Output file path')
         .option('--json <data>', 'Input data as JSON string')
-        .option('--file <path>', 'Input file path')
+        .option('--file <path>', 'Input file: exported JSONL, or CSV of one object (named by --object-type or the file name)')
         .option('--export-job-id <jobId>', 'Import from export job ID (automatically finds downloaded files)')
-        .option('--all-objects', 'Import all available objects from export job', false);
+        .option('--all-objects', 'Import all available objects from export job', false)
+        .option('--resume', 'Reattach to the last interrupted import instead of starting a new job')
+        .option('--snapshot <dir>', 'Import a snapshot directory written by export --snapshot (verifies manifest.json hashes)')
+        .option('--allow-dangling', 'Upload even when records reference records missing from the import and the target')
+        .option('--fetch-failures <jobId>', 'Download the failed records of an import job into failures.jsonl (or --output)')
+        .option('--chunk-size <records>', 'Split files with more records into one import job per chunk (default 5000)')
+        .option('--concurrency <jobs>', 'Chunk import jobs to run at a time (default 1)')
+        .option('--restart', 'Import every chunk again instead of skipping those completed by an earlier run')
+        .option('--delimiter <char>', 'CSV field delimiter: a character, or tab, semicolon, pipe', ',')
+        .option('--quote <char>', 'CSV quote character', '"')
+        .option('--encoding <encoding>', 'CSV file encoding (e.g. utf8, utf16le, latin1, windows-1252)', 'utf8')
+        .option('--mapping <file>', 'YAML mapping file that renames, computes, looks up, defaults and drops CSV columns')
+        .option('--mapping-preview [rows]', 'Show the first rows (default 5) as they would be imported, without importing');
+    } else if (this.action === 'delete') {
+      return this
+        .option('--sandbox', 'Use sandbox environment')
+        .option('--verbose', 'Show detailed output');
+    } else if (this.action === 'diff') {
+      return this
+        .option('--verbose', 'Show detailed output')
+        .option('--output <file>', 'Output file path')
+        .option('--exit-code', 'Exit with status 1 when the catalogs differ');
+    } else if (this.action === 'promote') {
+      return this
+        .option('--verbose', 'Show detailed output')
+        .option('--yes', 'Promote without asking for confirmation');
     } else {
       // For other actions, include all common options
       return this
@@ -165,8 +244,13 @@ class PlatformCommandBuilder {
     }
   }
 
-  option(flag, description, defaultValue) {
-    this.options.set(flag, { description, defaultValue });
+  /**
+   * Queue an option for build()
+   * choices restricts the values commander accepts; an output --format with choices also
+   * takes the profile's default format when it is one of them
+   */
+  option(flag, description, defaultValue, choices) {
+    this.options.set(flag, { description, defaultValue, choices });
     return this;
   }
 
@@ -182,7 +266,9 @@ class PlatformCommandBuilder {
     
     // Register all options with the command
     for (const [flag, config] of this.options) {
-      if (config.defaultValue !== undefined) {
+      if (config.choices) {
+        command.addOption(new Option(flag, config.description).choices(config.choices).default(config.defaultValue));
+      } else if (config.defaultValue !== undefined) {
         command.option(flag, config.description, config.defaultValue);
       } else {
         command.option(flag, config.description);
@@ -193,8 +279,8 @@ class PlatformCommandBuilder {
   }
 
   async setupApi(options) {
-    const apiKey = await checkAndPromptForApiKey(options.sandbox);
-    return { apiKey };
+    // Connection settings (apiKey, sandbox, baseUrl, profile) come from the active profile
+    return await resolveConnection(options);
   }
 }
 
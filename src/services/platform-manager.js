@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+
 class PlatformManager {
   constructor(client) {
     this.client = client;
@@ -11,7 +13,8 @@ class PlatformManager {
       variables: options.filters || {}
     };
     
-    return await this.client.post('/cpq/async/exports', payload);
+    // One key per export, so a retried request cannot start a second job
+    return await this.client.post('/cpq/async/exports', payload, { idempotencyKey: crypto.randomUUID() });
   }
 
   async exportAllMetadata(options = {}) {
@@ -21,7 +24,8 @@ class PlatformManager {
       variables: options.filters || {}
     };
     
-    return await this.client.post('/cpq/async/exports', payload);
+    // One key per export, so a retried request cannot start a second job
+    return await this.client.post('/cpq/async/exports', payload, { idempotencyKey: crypto.randomUUID() });
   }
 
   buildDefaultQuery(objectType) {
@@ -0,0 +1,198 @@
+const ConfigStore = require('../utils/configStore');
+const { EndpointRegistry } = require('../clients/endpoint-registry');
+
+const ENVIRONMENTS = EndpointRegistry.getSupportedEnvironments();
+
+// Output formats a profile can default to; a command only takes the ones its --format accepts
+const FORMATS = ['table', 'json', 'csv', 'text', 'markdown'];
+
+const ENV_API_KEYS = {
+  production: 'NUE_API_KEY',
+  sandbox: 'NUE_SANDBOX_API_KEY'
+};
+
+/**
+ * Named connection profiles stored in ~/.nue/config.json
+ *
+ * A profile carries the API key, environment, base URL and default output format
+ * for one tenant. resolve() is the single place commands and clients use to work
+ * out which credentials and host a command should run against.
+ */
+class ProfileManager {
+  constructor(store = ConfigStore) {
+    this.store = store;
+  }
+
+  listProfiles() {
+    const config = this.store.load();
+    const profiles = config.profiles || {};
+
+    return Object.keys(profiles).sort().map(name => ({
+      name,
+      ...profiles[name],
+      active: config.activeProfile === name
+    }));
+  }
+
+  getProfile(name) {
+    const profiles = this.store.load().profiles || {};
+    return profiles[name] ? { name, ...profiles[name] } : null;
+  }
+
+  hasProfile(name) {
+    return this.getProfile(name) !== null;
+  }
+
+  getActiveProfileName() {
+    return this.store.load().activeProfile || null;
+  }
+
+  addProfile(name, profile, options = {}) {
+    this.validateName(name);
+
+    const environment = profile.environment || 'production';
+    if (!ENVIRONMENTS.includes(environment)) {
+      throw new Error(`Invalid environment '${environment}'. Valid environments are: ${ENVIRONMENTS.join(', ')}`);
+    }
+    if (profile.format !== undefined && !FORMATS.includes(profile.format)) {
+      throw new Error(`Invalid format '${profile.format}'. Valid formats are: ${FORMATS.join(', ')}`);
+    }
+
+    this.store.update(config => {
+      config.profiles = config.profiles || {};
+
+      if (config.profiles[name] && !options.force) {
+        throw new Error(`Profile '${name}' already exists. Use --force to overwrite.`);
+      }
+
+      config.profiles[name] = this.compact({
+        environment,
+        apiKey: profile.apiKey,
+        baseUrl: profile.baseUrl ? EndpointRegistry.normalize(profile.baseUrl) : undefined,
+        format: profile.format
+      });
+
+      // The first profile becomes the active one, as does any profile added with --use
+      if (options.use || !config.activeProfile) {
+        config.activeProfile = name;
+      }
+    });
+
+    return this.getProfile(name);
+  }
+
+  removeProfile(name) {
+    this.store.update(config => {
+      if (!config.profiles || !config.profiles[name]) {
+        throw new Error(`Profile '${name}' does not exist`);
+      }
+
+      delete config.profiles[name];
+      if (config.activeProfile === name) {
+        delete config.activeProfile;
+      }
+    });
+  }
+
+  useProfile(name) {
+    this.store.update(config => {
+      if (!config.profiles || !config.profiles[name]) {
+        throw new Error(`Profile '${name}' does not exist. Run 'nue profile list' to see available profiles.`);
+      }
+
+      config.activeProfile = name;
+    });
+  }
+
+  /**
+   * Resolve the connection settings for a command
+   *
+   * Profile selection: --profile, then NUE_PROFILE, then the active profile. The profile's
+   * environment decides the connection; --sandbox with a production profile is an error
+   * rather than a silent switch to another tenant.
+   *
+   * API key lookup: profile key, then NUE_API_KEY / NUE_SANDBOX_API_KEY, then the
+   * per-environment key written by `nue set-key`.
+   *
+   * With ignoreProfiles, no profile is used at all (not even --profile or NUE_PROFILE), so
+   * the connection is the plain environment chosen by sandbox.
+   *
+   * @param {Object} options - Command options (profile, sandbox, ignoreProfiles)
+   * @returns {Object} - { profile, environment, sandbox, apiKey, baseUrl, format }
+   */
+  resolve(options = {}) {
+    const config = this.store.load();
+    const profiles = config.profiles || {};
+    const explicitName = options.ignoreProfiles ? null : options.profile || process.env.NUE_PROFILE;
+
+    let profileName = null;
+    if (explicitName) {
+      if (!profiles[explicitName]) {
+        throw new Error(`Profile '${explicitName}' does not exist. Run 'nue profile list' to see available profiles.`);
+      }
+      profileName = explicitName;
+    } else if (!options.ignoreProfiles && config.activeProfile && profiles[config.activeProfile]) {
+      profileName = config.activeProfile;
+    }
+
+    const profile = profileName ? profiles[profileName] : {};
+    if (profileName && options.sandbox && profile.environment !== 'sandbox') {
+      throw new Error(`--sandbox conflicts with profile '${profileName}', which is a ${profile.environment || 'production'} profile. ` +
+        `Drop --sandbox, or pass --profile with a sandbox profile`);
+    }
+    const environment = profile.environment || (options.sandbox ? 'sandbox' : 'production');
+
+    return {
+      profile: profileName,
+      environment,
+      sandbox: environment === 'sandbox',
+      apiKey: profile.apiKey ||
+        process.env[ENV_API_KEYS[environment]] ||
+        (config.apiKeys && config.apiKeys[environment]) ||
+        null,
+      baseUrl: profile.baseUrl || null,
+      format: profile.format || null
+    };
+  }
+
+  /**
+   * Persist an API key for a resolved connection
+   * Keys go into the profile when one is in use, otherwise into the per-environment keys
+   * @param {Object} connection - Result of resolve()
+   * @param {string} apiKey - API key to store
+   * @returns {string} - Path of the config file
+   */
+  saveApiKey(connection, apiKey) {
+    this.store.update(config => {
+      if (connection.profile) {
+        config.profiles[connection.profile].apiKey = apiKey;
+      } else {
+        config.apiKeys = config.apiKeys || {};
+        config.apiKeys[connection.environment] = apiKey;
+      }
+    });
+    return this.store.getConfigFile();
+  }
+
+  validateName(name) {
+    if (!name || !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name)) {
+      throw new Error(`Invalid profile name '${name}'. Use letters, numbers, '.', '_' or '-'.`);
+    }
+  }
+
+  compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null));
+  }
+
+  static maskApiKey(apiKey) {
+    if (!apiKey) {
+      return '(not set)';
+    }
+    if (apiKey.length <= 8) {
+      return '*'.repeat(apiKey.length);
+    }
+    return `${apiKey.slice(0, 4)}${'*'.repeat(8)}${apiKey.slice(-4)}`;
+  }
+}
+
+module.exports = { ProfileManager, ENVIRONMENTS, FORMATS };
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { FileDownloader } = require('../clients/file-downloader');
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Bumped when the manifest layout changes incompatibly
+const FORMAT_VERSION = 1;
+
+/**
+ * Catalog snapshot directories written by 'platform export --snapshot <dir>'
+ *
+ * A snapshot holds one "<object>.jsonl" file per exported object and a manifest.json
+ * recording the job, connection, per-object record counts and SHA-256 hashes. File names
+ * do not contain the job ID, so successive snapshots of a tenant diff cleanly in git.
+ */
+class Snapshot {
+  static getManifestPath(dir) {
+    return path.join(dir, MANIFEST_FILE);
+  }
+
+  /**
+   * Get the file path of an object in a snapshot
+   * @param {string} dir - Snapshot directory
+   * @param {string} objectName - Object name (e.g. 'PriceBook')
+   * @returns {string} - File path
+   */
+  static getObjectPath(dir, objectName) {
+    return path.join(dir, `${objectName.toLowerCase()}.jsonl`);
+  }
+
+  /**
+   * Write the manifest, removing object files left over from a previous snapshot
+   * @param {string} dir - Snapshot directory
+   * @param {Object} snapshot - { jobId, environment, profile, apiUrl, objects: [{ name, status, file, records, expectedRecords }] }
+   * @returns {Promise<Object>} - The manifest
+   */
+  static async write(dir, snapshot) {
+    const objects = [];
+    for (const obj of snapshot.objects) {
+      const entry = {
+        name: obj.name,
+        status: obj.status,
+        file: obj.file ? path.basename(obj.file) : null,
+        records: obj.records,
+        expectedRecords: obj.expectedRecords !== undefined ? obj.expectedRecords : null
+      };
+      if (obj.file) {
+        entry.sha256 = (await FileDownloader.hashFile(obj.file)).sha256;
+      }
+      objects.push(entry);
+    }
+
+    const previous = fs.existsSync(this.getManifestPath(dir)) ? this.read(dir) : null;
+    if (previous) {
+      const current = new Set(objects.map(obj => obj.file).filter(Boolean));
+      previous.objects
+        .filter(obj => obj.file && !current.has(obj.file) && fs.existsSync(path.join(dir, obj.file)))
+        .forEach(obj => fs.unlinkSync(path.join(dir, obj.file)));
+    }
+
+    const manifest = {
+      formatVersion: FORMAT_VERSION,
+      jobId: snapshot.jobId,
+      createdAt: new Date().toISOString(),
+      environment: snapshot.environment || null,
+      profile: snapshot.profile || null,
+      apiUrl: snapshot.apiUrl || null,
+      objects
+    };
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(this.getManifestPath(dir), JSON.stringify(manifest, null, 2) + '\n');
+    return manifest;
+  }
+
+  /**
+   * Read a snapshot manifest
+   * @param {string} dir - Snapshot directory
+   * @returns {Object} - The manifest
+   */
+  static read(dir) {
+    const manifestPath = this.getManifestPath(dir);
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`No ${MANIFEST_FILE} found in ${dir}. Create a snapshot with 'nue platform export --all --snapshot ${dir}'`);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (manifest.formatVersion > FORMAT_VERSION) {
+      throw new Error(`Snapshot ${dir} uses manifest format ${manifest.formatVersion}; this version of the CLI reads up to ${FORMAT_VERSION}`);
+    }
+    return manifest;
+  }
+
+  /**
+   * Check that every object file exists and matches its recorded hash
+   * @param {string} dir - Snapshot directory
+   * @param {Object} manifest - The manifest
+   * @returns {Promise<string[]>} - Problems found; empty when the snapshot is intact
+   */
+  static async verify(dir, manifest) {
+    const problems = [];
+    for (const obj of manifest.objects.filter(item => item.file)) {
+      const filePath = path.join(dir, obj.file);
+      if (!fs.existsSync(filePath)) {
+        problems.push(`${obj.file} is missing`);
+      } else if (obj.sha256 && (await FileDownloader.hashFile(filePath)).sha256 !== obj.sha256) {
+        problems.push(`${obj.file} does not match the hash in ${MANIFEST_FILE}`);
+      }
+    }
+    return problems;
+  }
+}
+
+module.exports = { Snapshot };
@@ -1,4 +1,4 @@
-const { ApiClient } = require('../../utils');
+const { ApiClient, Csv } = require('../../utils');
 
 /**
  * Data Strategy for handling data import/export operations
@@ -175,13 +175,12 @@ class DataStrategy {
   async getImportData(options) {
     if (options.file) {
       const fs = require('fs');
-      const fileContent = fs.readFileSync(options.file, 'utf8');
       
       if (options.format === 'csv') {
-        return this.parseCSV(fileContent);
+        return this.parseCSV(fs.readFileSync(options.file), options);
       }
       
-      return JSON.parse(fileContent);
+      return JSON.parse(fs.readFileSync(options.file, 'utf8'));
     }
     
     throw new Error('Must provide --file option for import');
@@ -300,28 +299,12 @@ class DataStrategy {
 
   /**
    * Parse CSV content
-   * @param {string} content - CSV content
+   * @param {string|Buffer} content - CSV content
+   * @param {Object} options - CSV options (see Csv)
    * @returns {Array} Parsed data
    */
-  parseCSV(content) {
-    const lines = content.split('\n');
-    const headers = lines[0].split(',').map(h => h.trim());
-    const data = [];
-    
-    for (let i = 1; i < lines.length; i++) {
-      if (lines[i].trim()) {
-        const values = lines[i].split(',').map(v => v.trim());
-        const row = {};
-        
-        headers.forEach((header, index) => {
-          row[header] = values[index] || '';
-        });
-        
-        data.push(row);
-      }
-    }
-    
-    return data;
+  parseCSV(content, options = {}) {
+    return Csv.parse(content, options);
   }
 
   /**
@@ -337,7 +320,9 @@ class DataStrategy {
     if (format === 'json') {
       content = JSON.stringify(data, null, 2);
     } else if (format === 'csv') {
-      content = this.convertToCSV(data);
+      await Csv.writeFile(outputPath, Array.isArray(data) ? data : [data], this.options);
+      console.log(`Output saved to: ${outputPath}`);
+      return;
     } else {
       content = JSON.stringify(data);
     }
@@ -355,23 +340,7 @@ class DataStrategy {
     if (!data || !Array.isArray(data)) {
       return '';
     }
-    
-    if (data.length === 0) {
-      return '';
-    }
-    
-    const headers = Object.keys(data[0]);
-    const csvLines = [headers.join(',')];
-    
-    for (const row of data) {
-      const values = headers.map(header => {
-        const value = row[header] || '';
-        return `"${value}"`;
-      });
-      csvLines.push(values.join(','));
-    }
-    
-    return csvLines.join('\n');
+    return Csv.stringify(data, this.options);
   }
 }
 
@@ -1,5 +1,8 @@
-const { isProductCatalogObjectType, isTransactionHubObjectType, getFormFieldName } = require('../objectTypes');
-const { Logger, FileUtils, JobManager } = require('../../utils');
+const { isProductCatalogObjectType, isTransactionHubObjectType, getFormFieldName, getApiObjectName } = require('../objectTypes');
+const JobClient = require('../../clients/job-client');
+const { CatalogReferences } = require('../catalog-references');
+const { ChunkedImport, DEFAULT_CHUNK_SIZE } = require('../chunked-import');
+const { Logger, FileUtils, JobManager, JobLedger } = require('../../utils');
 
 /**
  * Base strategy class for import operations
@@ -29,7 +32,7 @@ class ImportStrategy {
 class ProductCatalogImportStrategy extends ImportStrategy {
   async execute(objectType, file) {
     // Convert file to JSONL format if needed
-    const jsonlFile = FileUtils.convertToJSONL(file, objectType, this.options);
+    const jsonlFile = await FileUtils.convertToJSONL(file, objectType, this.options);
     
     // Create import job
     const importJobResponse = await this.apiClient.createProductCatalogImportJob(
@@ -98,19 +101,133 @@ class TransactionHubImportStrategy extends ImportStrategy {
   async execute(objectType, file) {
     // Read and parse the import file
     const importData = FileUtils.parseImportFile(file, this.options);
-    
+
+    // The transaction hub takes at most DEFAULT_CHUNK_SIZE records per request
+    const chunkSize = ChunkedImport.getChunkSize(this.options.chunkSize);
+    if (chunkSize > DEFAULT_CHUNK_SIZE) {
+      throw new Error(`--chunk-size cannot exceed ${DEFAULT_CHUNK_SIZE} for transaction hub imports`);
+    }
+    if (Array.isArray(importData) && importData.length > chunkSize) {
+      await this.executeInChunks(objectType, file, importData, chunkSize);
+      return;
+    }
+
     // Create import job
     const importJobResponse = await this.apiClient.createTransactionHubImportJob(importData);
     const jobId = importJobResponse.jobid;
     Logger.success(`Transaction hub import job created with ID: ${jobId}`);
 
+    JobLedger.record({
+      jobId,
+      kind: 'transaction-hub',
+      command: 'import',
+      objectTypes: [objectType],
+      inputFiles: [file],
+      options: this.options
+    });
+
     // Wait for completion if requested
     if (this.options.wait) {
-      await JobManager.waitForTransactionHubImportCompletion(jobId, this.apiClient, this.options);
+      await this.waitForCompletion(jobId);
     } else {
       Logger.warning('Import job is running asynchronously. Use --wait to wait for completion.');
     }
   }
+
+  /**
+   * Wait for a job and record the outcome; also used to resume an interrupted wait
+   * @param {string} jobId - Job ID
+   */
+  async waitForCompletion(jobId) {
+    JobLedger.checkpoint(jobId, { phase: 'waiting' });
+
+    let status;
+    try {
+      status = await JobManager.waitForTransactionHubImportCompletion(jobId, this.apiClient, this.options);
+    } catch (error) {
+      if (error.message === 'Job failed') {
+        JobLedger.complete(jobId, 'failed', 'failed');
+        JobLedger.clearCheckpoint(jobId);
+      }
+      throw error;
+    }
+    const job = JobClient.normalizeAsyncJob(jobId, 'transaction-hub', status);
+    JobLedger.complete(jobId, job.status, job.state);
+    JobLedger.clearCheckpoint(jobId);
+  }
+
+  /**
+   * Import the records as one job per chunk. Chunk jobs are always waited for, so that
+   * running the same import again can skip the chunks that completed
+   */
+  async executeInChunks(objectType, file, records, chunkSize) {
+    const chunks = ChunkedImport.split(records, chunkSize).map((data, index) => ({
+      key: `${objectType}#${index + 1}`,
+      object: getApiObjectName(objectType),
+      first: index * chunkSize + 1,
+      last: index * chunkSize + data.length,
+      sha256: ChunkedImport.hash(JSON.stringify(data)),
+      data
+    }));
+
+    const run = new ChunkedImport({
+      command: 'import',
+      environment: this.options.sandbox ? 'sandbox' : 'production',
+      profile: this.options.profile,
+      inputFiles: [file],
+      chunkSize
+    }, this.options);
+    Logger.info(`Importing ${records.length} records in ${chunks.length} chunk(s) of up to ${chunkSize}, ${run.concurrency} at a time`);
+
+    const result = await run.run(chunks, {
+      submit: async chunk => {
+        const response = await this.apiClient.createTransactionHubImportJob(chunk.data);
+        JobLedger.record({
+          jobId: response.jobid,
+          kind: 'transaction-hub',
+          command: 'import',
+          objectTypes: [objectType],
+          inputFiles: [file],
+          options: this.options
+        });
+        return response.jobid;
+      },
+      wait: async (chunk, jobId) => {
+        const job = await this.waitForChunk(jobId);
+        const records = chunk.data.length;
+        return { status: job.status, state: job.state, succeeded: job.state === 'completed' ? records : 0, failed: job.state === 'completed' ? 0 : records };
+      }
+    });
+
+    console.log(ChunkedImport.format(result));
+    if (!result.complete) {
+      throw new Error('Some chunks were not imported; run the same command again to retry them');
+    }
+  }
+
+  /**
+   * Poll a transaction hub job without reporting each status, for jobs running side by side
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} - Normalized job
+   */
+  async waitForChunk(jobId) {
+    const startTime = Date.now();
+    const timeoutMs = this.options.timeout * 1000;
+
+    while (true) {
+      const status = await this.apiClient.getTransactionHubImportJobStatus(jobId);
+      const job = JobClient.normalizeAsyncJob(jobId, 'transaction-hub', status);
+      if (job.terminal) {
+        JobLedger.complete(jobId, job.status, job.state);
+        return job;
+      }
+
+      if (Date.now() - startTime > timeoutMs) {
+        throw new Error(`Import job ${jobId} timed out after ${this.options.timeout} seconds`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
 }
 
 /**
@@ -137,7 +254,7 @@ class ExportJobIdImportStrategy extends ImportStrategy {
     // Determine if this is a product catalog import
     const isProductCatalogObject = isProductCatalogObjectType(objectType);
     
-    if (isProductCatalogObject || this.options.allObjects) {
+    if (isProductCatalogObject || this.options.allObjects || downloadedFiles.length > 1) {
       await this.importMultipleFiles(downloadedFiles);
     } else {
       await this.importSingleFile(downloadedFiles[0], objectType);
@@ -145,8 +262,8 @@ class ExportJobIdImportStrategy extends ImportStrategy {
   }
 
   async importMultipleFiles(files) {
-    // Convert all files to import format
-    const convertedFiles = files.map(file => {
+    // Convert all files to import format, referenced objects first
+    const convertedFiles = CatalogReferences.orderFiles(files).map(file => {
       const fileName = require('path').basename(file);
       const fileObjectType = fileName.split('-')[0];
       return FileUtils.convertExportedFileToImportFormat(file, fileObjectType);
@@ -1,6 +1,6 @@
 const Validator = require('../validator');
 const { ObjectTypeRegistry } = require('../objectTypes');
-const { Logger, Formatter, ApiClient, FileUtils } = require('../../utils');
+const { Logger, Formatter, ApiClient, FileUtils, Csv } = require('../../utils');
 const { QueryBuilder, CustomQueryBuilder } = require('../builder');
 
 /**
@@ -88,7 +88,11 @@ class QueryStrategy {
         results = results.slice(0, this.options.limit);
       }
       
-      if (this.options.output) {
+      if (this.options.output && (this.options.format || 'json') === 'csv') {
+        // Streamed, so --delimiter, --quote and --encoding apply
+        await Csv.writeFile(this.options.output, results, this.options);
+        Logger.success(`Data written to: ${this.options.output}`);
+      } else if (this.options.output) {
         // Write to file
         let outputData;
         const format = this.options.format || 'json';
@@ -97,16 +101,13 @@ class QueryStrategy {
           outputData = Formatter.formatJSON(results, true);
         } else if (format === 'jsonl') {
           outputData = Formatter.formatJSONL(results);
-        } else if (format === 'csv') {
-          outputData = Formatter.formatCSV(results);
         } else if (format === 'pretty') {
           outputData = Formatter.formatPretty(results, objectType);
         } else {
           outputData = Formatter.formatJSON(results, true);
         }
         
-        FileUtils.writeOutput(this.options.output, outputData);
-        Logger.success(`Data written to: ${this.options.output}`);
+        FileUtils.writeOutput(outputData, this.options.output, this.options);
       } else {
         // Output to stdout
         const format = this.options.format || 'pretty';
@@ -116,7 +117,7 @@ class QueryStrategy {
         } else if (format === 'jsonl') {
           console.log(Formatter.formatJSONL(results));
         } else if (format === 'csv') {
-          console.log(Formatter.formatCSV(results));
+          console.log(Formatter.formatCSV(results, this.options));
         } else if (format === 'pretty') {
           console.log(Formatter.formatPretty(results, objectType));
         } else {
@@ -140,24 +141,7 @@ class QueryStrategy {
    * @returns {string} - CSV string
    */
   convertToCSV(data) {
-    if (!data || data.length === 0) return '';
-
-    const headers = Object.keys(data[0]);
-    const csvRows = [headers.join(',')];
-
-    for (const row of data) {
-      const values = headers.map(header => {
-        const value = row[header];
-        if (value === null || value === undefined) return '';
-        if (typeof value === 'string') {
-          return `"${value.replace(/"/g, '""')}"`;
-        }
-        return value;
-      });
-      csvRows.push(values.join(','));
-    }
-
-    return csvRows.join('\n');
+    return Formatter.formatCSV(data, this.options);
   }
 }
 
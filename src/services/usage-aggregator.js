@@ -0,0 +1,160 @@
+const chalk = require('chalk');
+const { getObjectType } = require('./objectTypes');
+
+const AGGREGATION_PERIODS = {
+  hourly: 13, // 2026-10-01T05
+  daily: 10 // 2026-10-01
+};
+
+const DEFAULT_GROUP_BY = 'customerId,subscriptionId,uom';
+
+/**
+ * Roll usage events up into one record per period and group, with the summed quantity
+ *
+ * An aggregate is identified by the start of its period (UTC) and the values of the
+ * --group-by fields; properties.<name> groups by one property. Fields that are not grouped
+ * by are dropped, so an aggregate only carries what all of its events share.
+ */
+class UsageAggregator {
+  /**
+   * @param {Object} options - { aggregate: 'hourly' | 'daily', groupBy: comma-separated fields }
+   */
+  constructor(options) {
+    this.period = String(options.aggregate).toLowerCase();
+    if (!AGGREGATION_PERIODS[this.period]) {
+      throw new Error(`Invalid --aggregate '${options.aggregate}'. Valid periods are: ${Object.keys(AGGREGATION_PERIODS).join(', ')}`);
+    }
+    this.groupBy = UsageAggregator.parseGroupBy(options.groupBy || DEFAULT_GROUP_BY);
+    this.groups = new Map();
+    this.events = 0;
+    this.quantity = 0;
+    this.decimals = 0;
+  }
+
+  static parseGroupBy(value) {
+    const type = getObjectType('usage');
+    const fields = String(value).split(',').map(field => field.trim()).filter(Boolean);
+    fields.forEach(field => {
+      const valid = /^properties\.[^.]+$/.test(field) ||
+        (type.fields.includes(field) && !['quantity', 'timestamp', 'properties'].includes(field));
+      if (!valid) {
+        throw new Error(`Cannot group usage by '${field}': use Usage fields other than quantity and timestamp, or properties.<name>`);
+      }
+    });
+    if (!fields.includes('customerId') && !fields.includes('subscriptionId')) {
+      throw new Error('--group-by must include customerId or subscriptionId');
+    }
+    return fields;
+  }
+
+  /**
+   * Add a validated usage event
+   * @param {Object} record - Usage record with a numeric quantity and a timestamp
+   */
+  add(record) {
+    const start = new Date(record.timestamp).toISOString().slice(0, AGGREGATION_PERIODS[this.period]);
+    const values = this.groupBy.map(field => this.getValue(record, field));
+    const key = JSON.stringify([start, ...values]);
+
+    let group = this.groups.get(key);
+    if (!group) {
+      group = { start, values, events: 0, quantity: 0 };
+      this.groups.set(key, group);
+    }
+    group.events++;
+    group.quantity += record.quantity;
+    this.decimals = Math.max(this.decimals, UsageAggregator.countDecimals(record.quantity));
+    this.events++;
+    this.quantity += record.quantity;
+  }
+
+  getValue(record, field) {
+    const value = field.startsWith('properties.')
+      ? (record.properties || {})[field.slice('properties.'.length)]
+      : record[field];
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * The aggregated usage records, in the order their first event was read
+   * @returns {Object[]} - [{ record, events }]
+   */
+  getAggregates() {
+    return [...this.groups.values()].map(group => {
+      const record = {};
+      this.groupBy.forEach((field, index) => {
+        const value = group.values[index];
+        if (value === null) {
+          return;
+        }
+        if (field.startsWith('properties.')) {
+          record.properties = { ...record.properties, [field.slice('properties.'.length)]: value };
+        } else {
+          record[field] = value;
+        }
+      });
+      record.quantity = this.round(group.quantity);
+      record.timestamp = new Date(`${group.start.padEnd(13, 'T00')}:00:00Z`).toISOString();
+      return { record, events: group.events };
+    });
+  }
+
+  /**
+   * Drop the floating point noise of summing decimal quantities (0.1 + 0.2): a sum has no more
+   * decimals than the most precise event quantity
+   */
+  round(quantity) {
+    return Number(quantity.toFixed(Math.min(this.decimals, 20)));
+  }
+
+  static countDecimals(quantity) {
+    const [mantissa, exponent] = String(quantity).split('e');
+    const decimals = (mantissa.split('.')[1] || '').length - Number(exponent || 0);
+    return Math.max(decimals, 0);
+  }
+
+  /**
+   * Render the reconciliation of the raw events with the aggregates and what became of them
+   * @param {Object[]} aggregates - [{ record, events, position, status }]
+   * @param {Object} counts - { read, invalid }
+   * @param {Object} options - { verbose }
+   * @returns {string}
+   */
+  formatReport(aggregates, counts, options = {}) {
+    const colors = { uploaded: chalk.green, skipped: chalk.gray, rejected: chalk.red };
+    const groupWidth = Math.max(5, ...aggregates.map(item => this.describeGroup(item.record).length)) + 2;
+    const lines = [
+      chalk.bold(`Reconciliation (${this.period} by ${this.groupBy.join(', ')}):`),
+      chalk.bold(`${'#'.padEnd(7)}${'Period'.padEnd(22)}${'Group'.padEnd(groupWidth)}${'Events'.padStart(9)}${'Quantity'.padStart(14)}  Status`)
+    ];
+
+    aggregates.slice(0, options.verbose ? undefined : 20).forEach(item => {
+      const status = item.status || 'not uploaded';
+      lines.push(`${String(item.position).padEnd(7)}${item.record.timestamp.replace(':00.000Z', 'Z').padEnd(22)}` +
+        `${this.describeGroup(item.record).padEnd(groupWidth)}${String(item.events).padStart(9)}` +
+        `${String(item.record.quantity).padStart(14)}  ${(colors[status] || chalk.yellow)(status)}`);
+    });
+    if (!options.verbose && aggregates.length > 20) {
+      lines.push(chalk.gray(`... and ${aggregates.length - 20} more aggregate(s) (use --verbose to list all)`));
+    }
+
+    const byStatus = status => aggregates.filter(item => item.status === status);
+    const describe = items => `${items.length} (${items.reduce((total, item) => total + item.events, 0)} event(s))`;
+    const quantity = this.round(aggregates.reduce((total, item) => total + item.record.quantity, 0));
+
+    lines.push('',
+      `Raw events:  ${counts.read} read, ${counts.invalid} invalid, ${this.events} aggregated (quantity ${this.round(this.quantity)})`,
+      `Aggregates:  ${aggregates.length} (quantity ${quantity}): ${describe(byStatus('uploaded'))} uploaded, ` +
+        `${describe(byStatus('skipped'))} already uploaded, ${describe(byStatus('rejected'))} rejected`);
+    return lines.join('\n');
+  }
+
+  describeGroup(record) {
+    return this.groupBy.map(field => {
+      const value = this.getValue(record, field);
+      return value === null ? '-' : String(value);
+    }).join(' / ');
+  }
+}
+
+module.exports = { UsageAggregator, AGGREGATION_PERIODS };
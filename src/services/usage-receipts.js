@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EndpointRegistry } = require('../clients/endpoint-registry');
+const { CatalogDiff } = require('./catalog-diff');
+const { ConfigStore, JobLedger } = require('../utils');
+
+/**
+ * Local record of the usage records the API accepted, per environment
+ *
+ * Each accepted record is stored with its fingerprint (the SHA-256 hash of the record with
+ * its keys sorted) in ~/.nue/receipts/<store>/receipts.jsonl, and each upload in
+ * uploads/<uploadId>.json. The store is named after the environment, and the API root when
+ * it is not the environment's Nue host, so the same tenant gets the same store whichever
+ * profile reaches it, and uploads to a mock never hide records from the real tenant.
+ */
+class UsageReceipts {
+  /**
+   * @param {Object} connection - Resolved connection: { environment, baseUrl, profile }
+   */
+  constructor(connection) {
+    this.connection = connection;
+    this.name = UsageReceipts.getStoreName(connection);
+    this.dir = path.join(UsageReceipts.getDir(), this.name);
+    this.receipts = null;
+  }
+
+  static getDir() {
+    return path.join(ConfigStore.getConfigDir(), 'receipts');
+  }
+
+  static getStoreName(connection) {
+    const root = EndpointRegistry.getRootUrl(connection);
+    if (root === EndpointRegistry.getDefaultRootUrl(connection.environment)) {
+      return connection.environment;
+    }
+    const url = new URL(root);
+    return `${connection.environment}@${url.host}${url.pathname.replace(/\/$/, '')}`.replace(/[^A-Za-z0-9.@_-]/g, '_');
+  }
+
+  /**
+   * Fingerprint of a usage record; the same record always gets the same fingerprint
+   * whatever the order of its fields
+   */
+  static fingerprint(record) {
+    return crypto.createHash('sha256').update(CatalogDiff.stableStringify(record)).digest('hex');
+  }
+
+  /**
+   * Receipts by fingerprint; a record accepted several times (--force) keeps its first receipt
+   * @returns {Map<string, Object>}
+   */
+  getReceipts() {
+    if (!this.receipts) {
+      this.receipts = new Map();
+      this.readReceipts().forEach(receipt => {
+        if (!this.receipts.has(receipt.fingerprint)) {
+          this.receipts.set(receipt.fingerprint, receipt);
+        }
+      });
+    }
+    return this.receipts;
+  }
+
+  readReceipts() {
+    const file = path.join(this.dir, 'receipts.jsonl');
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+    // A line cut short by an interrupted write is ignored
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  /**
+   * Store the receipts of records accepted by the API
+   * @param {string} uploadId - Upload the records were sent in
+   * @param {Object[]} records - Accepted records
+   * @param {string} transactionId - Transaction the records were sent in
+   */
+  addReceipts(uploadId, records, transactionId = null) {
+    if (records.length === 0) {
+      return;
+    }
+    const acceptedAt = new Date().toISOString();
+    const receipts = records.map(record => ({ fingerprint: UsageReceipts.fingerprint(record), uploadId, transactionId, acceptedAt, record }));
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(path.join(this.dir, 'receipts.jsonl'), receipts.map(receipt => JSON.stringify(receipt)).join('\n') + '\n');
+    receipts.forEach(receipt => {
+      if (this.receipts && !this.receipts.has(receipt.fingerprint)) {
+        this.receipts.set(receipt.fingerprint, receipt);
+      }
+    });
+  }
+
+  /**
+   * Record the start of an upload
+   * @param {Object} upload - { file, records, options }
+   * @returns {Object} - The stored upload
+   */
+  startUpload(upload) {
+    return this.writeUpload({
+      uploadId: crypto.randomUUID(),
+      store: this.name,
+      environment: this.connection.environment,
+      profile: this.connection.profile || null,
+      file: upload.file ? path.resolve(upload.file) : null,
+      options: JobLedger.sanitizeOptions(upload.options),
+      records: upload.records,
+      accepted: 0,
+      rejected: 0,
+      skipped: 0,
+      // Batches sent without a response yet ({ number, transactionId, fingerprints }), resent by --resume
+      sentBatches: [],
+      batchCount: 0,
+      state: 'running',
+      startedAt: new Date().toISOString(),
+      endedAt: null
+    });
+  }
+
+  /**
+   * Modify a stored upload
+   * @param {string} uploadId - Upload ID
+   * @param {Object} changes - Fields to set
+   */
+  updateUpload(uploadId, changes) {
+    const upload = this.getUpload(uploadId);
+    return upload ? this.writeUpload({ ...upload, ...changes }) : null;
+  }
+
+  getUpload(uploadId) {
+    const file = path.join(this.dir, 'uploads', `${uploadId}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  }
+
+  /**
+   * List uploads, newest first
+   * @param {Object} filters - { since, limit }
+   */
+  listUploads(filters = {}) {
+    const dir = path.join(this.dir, 'uploads');
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    const since = filters.since ? new Date(filters.since) : null;
+    if (since && isNaN(since.getTime())) {
+      throw new Error(`Invalid date '${filters.since}'`);
+    }
+
+    const uploads = fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.getUpload(path.basename(file, '.json')))
+      .filter(upload => !since || new Date(upload.startedAt) >= since)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    return filters.limit ? uploads.slice(0, filters.limit) : uploads;
+  }
+
+  /**
+   * The most recent upload that did not finish, if it is the last one started
+   * @returns {Object|null}
+   */
+  findResumable() {
+    const [last] = this.listUploads({ limit: 1 });
+    return last && last.state !== 'completed' ? last : null;
+  }
+
+  writeUpload(upload) {
+    const dir = path.join(this.dir, 'uploads');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${upload.uploadId}.json`), JSON.stringify(upload, null, 2));
+    return upload;
+  }
+}
+
+module.exports = { UsageReceipts };
@@ -0,0 +1,224 @@
+const chalk = require('chalk');
+const { Csv } = require('../utils');
+
+const GRANULARITIES = ['hourly', 'daily', 'weekly', 'monthly'];
+
+const FORMATS = ['table', 'csv', 'json'];
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+// Widest sparkline; longer series are summed into fewer columns
+const SPARK_WIDTH = 60;
+
+/**
+ * Usage quantities per product and UOM over a date range, one value per period
+ *
+ * Periods are UTC: an hour (2026-10-01T05:00Z), a day (2026-10-01), a week named by its
+ * Monday (2026-09-28) or a month (2026-10). Periods without usage count as 0, so the
+ * sparkline of a series shows the gaps.
+ */
+class UsageReport {
+  /**
+   * @param {Object} options - { startDate, endDate, granularity, format } as given on the command line
+   */
+  constructor(options = {}) {
+    if (options.format !== undefined && !FORMATS.includes(String(options.format).toLowerCase())) {
+      throw new Error(`Invalid format '${options.format}'. Valid formats are: ${FORMATS.join(', ')}`);
+    }
+
+    this.granularity = String(options.granularity || 'daily').toLowerCase();
+    if (!GRANULARITIES.includes(this.granularity)) {
+      throw new Error(`Invalid granularity '${options.granularity}'. Valid granularities are: ${GRANULARITIES.join(', ')}`);
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    this.endDate = UsageReport.parseDate(options.endDate || today, '--end-date');
+    this.startDate = options.startDate
+      ? UsageReport.parseDate(options.startDate, '--start-date')
+      : new Date(new Date(`${this.endDate}T00:00:00Z`).getTime() - 29 * 86400000).toISOString().slice(0, 10);
+    if (this.startDate > this.endDate) {
+      throw new Error(`--start-date ${this.startDate} is after --end-date ${this.endDate}`);
+    }
+
+    this.series = new Map();
+  }
+
+  static parseDate(value, name) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+      throw new Error(`${name} must be a date (YYYY-MM-DD), got '${value}'`);
+    }
+    return value;
+  }
+
+  /**
+   * The period a point in time falls in
+   * @param {string|Date} date - Date or timestamp
+   * @param {string} granularity - hourly, daily, weekly or monthly
+   * @returns {string} - Period name
+   */
+  static getPeriod(date, granularity) {
+    const time = new Date(date);
+    switch (granularity) {
+      case 'hourly':
+        return `${time.toISOString().slice(0, 13)}:00Z`;
+      case 'weekly': {
+        const monday = new Date(time.getTime() - ((time.getUTCDay() + 6) % 7) * 86400000);
+        return monday.toISOString().slice(0, 10);
+      }
+      case 'monthly':
+        return time.toISOString().slice(0, 7);
+      default:
+        return time.toISOString().slice(0, 10);
+    }
+  }
+
+  /**
+   * Every period from startDate to endDate
+   * @returns {string[]}
+   */
+  getPeriods() {
+    const periods = [];
+    const end = new Date(`${this.endDate}T23:59:59.999Z`).getTime();
+    const step = this.granularity === 'hourly' ? 3600000 : 86400000;
+    for (let time = new Date(`${this.startDate}T00:00:00Z`).getTime(); time <= end; time += step) {
+      const period = UsageReport.getPeriod(time, this.granularity);
+      if (periods[periods.length - 1] !== period) {
+        periods.push(period);
+      }
+    }
+    return periods;
+  }
+
+  /**
+   * Add the usage rows of a get-usage response
+   * @param {Object} response - API response: { data: { usage: [...] } }, { data: [...] } or an array
+   * @param {string} product - Product the usage is for (the subscription's), if known
+   */
+  addResponse(response, product = null) {
+    UsageReport.getRows(response).forEach(row => {
+      const time = row.period || row.date || row.startDate || row.timestamp;
+      const quantity = Number(row.quantity);
+      if (!time || isNaN(Date.parse(time)) || isNaN(quantity)) {
+        return;
+      }
+      this.add({ period: UsageReport.getPeriod(time, this.granularity), product: row.productName || row.productId || product, uom: row.uom || null, quantity });
+    });
+  }
+
+  static getRows(response) {
+    const data = response && response.data !== undefined ? response.data : response;
+    if (Array.isArray(data)) {
+      return data;
+    }
+    return (data && (data.usage || data.records)) || [];
+  }
+
+  add({ period, product, uom, quantity }) {
+    const key = JSON.stringify([product || null, uom || null]);
+    if (!this.series.has(key)) {
+      this.series.set(key, { product: product || null, uom: uom || null, values: new Map() });
+    }
+    const values = this.series.get(key).values;
+    values.set(period, (values.get(period) || 0) + quantity);
+  }
+
+  /**
+   * The series with one value per period, and their totals
+   * @returns {Object[]} - [{ product, uom, values: number[], total }]
+   */
+  getTotals() {
+    const periods = this.getPeriods();
+    return [...this.series.values()]
+      .map(series => {
+        const values = periods.map(period => UsageReport.round(series.values.get(period) || 0));
+        return { product: series.product, uom: series.uom, values, total: UsageReport.round(values.reduce((sum, value) => sum + value, 0)) };
+      })
+      .sort((a, b) => String(a.product).localeCompare(String(b.product)) || String(a.uom).localeCompare(String(b.uom)));
+  }
+
+  static round(value) {
+    return Number(value.toPrecision(12));
+  }
+
+  /**
+   * Render a series as a sparkline of at most SPARK_WIDTH characters
+   * @param {number[]} values - Values in period order
+   * @returns {string}
+   */
+  static sparkline(values) {
+    const width = Math.ceil(values.length / SPARK_WIDTH);
+    const columns = [];
+    for (let start = 0; start < values.length; start += width) {
+      columns.push(values.slice(start, start + width).reduce((sum, value) => sum + value, 0));
+    }
+    const max = Math.max(0, ...columns);
+    return columns.map(value => (max === 0 || value <= 0 ? ' ' : SPARK_CHARS[Math.min(SPARK_CHARS.length - 1, Math.floor((value / max) * SPARK_CHARS.length))])).join('');
+  }
+
+  /**
+   * Render the report
+   * @param {string} format - table, csv or json
+   * @param {Object} context - What the report is about, for the title and JSON: { title, ...fields };
+   *   breakdown: true lists the quantity of every period in the table
+   * @returns {string}
+   */
+  format(format, context = {}) {
+    const { title, breakdown, ...fields } = context;
+    const periods = this.getPeriods();
+    const totals = this.getTotals();
+
+    switch (String(format || 'table').toLowerCase()) {
+      case 'json':
+        return JSON.stringify({
+          ...fields,
+          startDate: this.startDate,
+          endDate: this.endDate,
+          granularity: this.granularity,
+          periods,
+          totals
+        }, null, 2);
+      case 'csv':
+        // One row per product and UOM, one column per period
+        return Csv.stringify(totals.map(series => ({
+          product: series.product,
+          uom: series.uom,
+          ...Object.fromEntries(periods.map((period, index) => [period, series.values[index]])),
+          total: series.total
+        })), { columns: ['product', 'uom', ...periods, 'total'] });
+      case 'table':
+        return this.formatTable(periods, totals, title, breakdown);
+      default:
+        throw new Error(`Unsupported format '${format}'. Valid formats are: ${FORMATS.join(', ')}`);
+    }
+  }
+
+  formatTable(periods, totals, title, breakdown) {
+    const lines = [chalk.bold(`${title ? `${title}, ` : ''}${this.startDate} to ${this.endDate} (${this.granularity})`)];
+    if (totals.length === 0) {
+      lines.push(chalk.yellow('No usage in this period'));
+      return lines.join('\n');
+    }
+
+    const showProduct = totals.some(series => series.product);
+    const productWidth = Math.max(7, ...totals.map(series => String(series.product || '-').length)) + 2;
+    const uomWidth = Math.max(3, ...totals.map(series => String(series.uom || '-').length)) + 2;
+
+    if (breakdown) {
+      lines.push(chalk.bold(`${'Period'.padEnd(20)}${showProduct ? 'Product'.padEnd(productWidth) : ''}${'UOM'.padEnd(uomWidth)}${'Quantity'.padStart(14)}`));
+      periods.forEach((period, index) => totals.filter(series => series.values[index] !== 0).forEach(series => {
+        lines.push(`${period.padEnd(20)}${showProduct ? String(series.product || '-').padEnd(productWidth) : ''}` +
+          `${String(series.uom || '-').padEnd(uomWidth)}${String(series.values[index]).padStart(14)}`);
+      }));
+      lines.push('');
+    }
+    lines.push(chalk.bold(`${showProduct ? 'Product'.padEnd(productWidth) : ''}${'UOM'.padEnd(uomWidth)}${'Total'.padStart(14)}  Trend`));
+    totals.forEach(series => {
+      lines.push(`${showProduct ? String(series.product || '-').padEnd(productWidth) : ''}${String(series.uom || '-').padEnd(uomWidth)}` +
+        `${String(series.total).padStart(14)}  ${chalk.cyan(UsageReport.sparkline(series.values))}`);
+    });
+    lines.push(chalk.gray(`${periods.length} ${this.granularity} period(s) from ${periods[0]} to ${periods[periods.length - 1]}`));
+    return lines.join('\n');
+  }
+}
+
+module.exports = { UsageReport, GRANULARITIES };
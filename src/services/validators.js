@@ -1,3 +1,6 @@
+const { Csv } = require('../utils');
+const { getObjectType } = require('./objectTypes');
+
 class MetadataValidator {
   static validate(data) {
     if (!data) {
@@ -256,9 +259,88 @@ class QueryValidator {
   }
 }
 
+/**
+ * Validation of usage records against the Usage fields of the object type registry
+ */
+class UsageValidator {
+  /**
+   * Check every record and convert text values to the field types (CSV cells, numbers
+   * written as strings). All problems of a record are reported, not just the first
+   * @param {Object[]} records - Usage records
+   * @returns {Object} - { valid: [{ record, position }], errors: [{ position, field, message }] }
+   */
+  static validate(records) {
+    const valid = [];
+    const errors = [];
+    records.forEach((record, index) => {
+      const result = this.validateRecord(record);
+      if (result.errors.length === 0) {
+        valid.push({ record: result.record, position: index + 1 });
+      } else {
+        result.errors.forEach(error => errors.push({ position: index + 1, ...error }));
+      }
+    });
+    return { valid, errors };
+  }
+
+  /**
+   * @param {Object} record - Usage record
+   * @returns {Object} - { record: converted record, errors: [{ field, message }] }
+   */
+  static validateRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { record, errors: [{ field: null, message: 'not an object' }] };
+    }
+
+    const type = getObjectType('usage');
+    const converted = {};
+    const errors = [];
+    Object.entries(record).forEach(([field, value]) => {
+      if (!type.fields.includes(field)) {
+        errors.push({ field, message: 'not a Usage field' });
+        return;
+      }
+      try {
+        converted[field] = this.convert(value, type.getFieldType(field), field);
+      } catch (error) {
+        errors.push({ field, message: error.message.replace(`${field}: `, '') });
+      }
+    });
+
+    if (this.isEmpty(record.customerId) && this.isEmpty(record.subscriptionId)) {
+      errors.push({ field: 'customerId', message: 'customerId or subscriptionId is required' });
+    }
+    ['quantity', 'timestamp']
+      .filter(field => this.isEmpty(record[field]))
+      .forEach(field => errors.push({ field, message: 'is required' }));
+
+    return { record: converted, errors };
+  }
+
+  static convert(value, type, field) {
+    if (type === 'datetime' && !this.isEmpty(value) && typeof value !== 'string') {
+      throw new Error(`'${value}' is not a date and time`);
+    }
+
+    const converted = Csv.coerceValue(value, type, field);
+    if (type === 'number' && typeof converted !== 'number' && converted !== null) {
+      throw new Error(`'${value}' is not a number`);
+    }
+    if (type === 'json' && converted !== null && (typeof converted !== 'object' || Array.isArray(converted))) {
+      throw new Error('must be a JSON object');
+    }
+    return converted;
+  }
+
+  static isEmpty(value) {
+    return value === undefined || value === null || value === '';
+  }
+}
+
 module.exports = {
   MetadataValidator,
   ObjectValidator,
   SettingsValidator,
-  QueryValidator
+  QueryValidator,
+  UsageValidator
 }; 
\ No newline at end of file
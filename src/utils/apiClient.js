@@ -1,6 +1,13 @@
 const axios = require('axios');
 const ErrorHandler = require('../utils/errorHandler');
 const Logger = require('../utils/logger');
+const { EndpointRegistry } = require('../clients/endpoint-registry');
+const { RetryPolicy } = require('../clients/retry-policy');
+const { RateLimiter } = require('../clients/rate-limiter');
+const { HttpRecorder } = require('../clients/http-recorder');
+
+// NUE_RECORD / NUE_REPLAY capture or serve HTTP fixtures for offline runs
+HttpRecorder.install(axios);
 
 /**
  * Centralized API client for consistent API calls across commands
@@ -9,7 +16,19 @@ class ApiClient {
   constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
     this.options = options;
-    this.baseUrl = process.env.NUE_API_URL || 'https://api.nue.io';
+    this.baseUrl = EndpointRegistry.getBaseUrl('platform', options);
+    this.retryPolicy = options.retryPolicy || RetryPolicy.getDefault();
+    this.rateLimiter = options.rateLimiter || RateLimiter.forEnvironment(EndpointRegistry.getEnvironment(options));
+  }
+
+  /**
+   * Send a request through the shared rate limiter, retrying transient failures
+   * @param {Function} fn - Function making the axios call
+   * @param {Object} request - { method, headers } used to decide whether a retry is safe
+   * @returns {Promise<Object>} - Axios response
+   */
+  async send(fn, request) {
+    return this.retryPolicy.execute(() => this.rateLimiter.schedule(fn), request);
   }
 
   /**
@@ -22,12 +41,12 @@ class ApiClient {
     try {
       Logger.verbose(`GET ${this.baseUrl}${endpoint}`, this.options);
       
-      const response = await axios.get(`${this.baseUrl}${endpoint}`, {
+      const response = await this.send(() => axios.get(`${this.baseUrl}${endpoint}`, {
         headers: {
           'nue-api-key': this.apiKey
         },
         params
-      });
+      }), { method: 'GET' });
 
       Logger.debug('API Response', response.data, this.options);
       return response.data;
@@ -48,13 +67,16 @@ class ApiClient {
       Logger.verbose(`POST ${this.baseUrl}${endpoint}`, this.options);
       Logger.debug('Request Data', data, this.options);
       
-      const response = await axios.post(`${this.baseUrl}${endpoint}`, data, {
-        headers: {
-          'Content-Type': 'application/json',
-          'nue-api-key': this.apiKey,
-          ...headers
-        }
-      });
+      const requestHeaders = {
+        'Content-Type': 'application/json',
+        'nue-api-key': this.apiKey,
+        ...headers
+      };
+
+      // Only retried when the caller passes an Idempotency-Key header
+      const response = await this.send(() => axios.post(`${this.baseUrl}${endpoint}`, data, {
+        headers: requestHeaders
+      }), { method: 'POST', headers: requestHeaders });
 
       Logger.debug('API Response', response.data, this.options);
       return response.data;
@@ -75,12 +97,12 @@ class ApiClient {
       Logger.verbose(`PATCH ${this.baseUrl}${endpoint}`, this.options);
       Logger.debug('Request Data', data, this.options);
       
-      const response = await axios.patch(`${this.baseUrl}${endpoint}`, data, {
+      const response = await this.send(() => axios.patch(`${this.baseUrl}${endpoint}`, data, {
         headers: {
           'nue-api-key': this.apiKey,
           ...headers
         }
-      });
+      }), { method: 'PATCH' });
 
       Logger.debug('API Response', response.data, this.options);
       return response.data;
@@ -191,11 +213,11 @@ class ApiClient {
     try {
       Logger.verbose(`Downloading file from ${url}`, this.options);
       
-      const response = await axios.get(url, {
+      const response = await this.send(() => axios.get(url, {
         headers: {
           'nue-api-key': this.apiKey
         }
-      });
+      }), { method: 'GET' });
 
       return response.data;
     } catch (error) {
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const Logger = require('./logger');
+
+/**
+ * Access to the CLI configuration file (~/.nue/config.json)
+ */
+class ConfigStore {
+  /**
+   * Get the configuration directory
+   * NUE_CONFIG_DIR overrides the default so scripts and CI can use an isolated config
+   * @returns {string} - Directory path
+   */
+  static getConfigDir() {
+    return process.env.NUE_CONFIG_DIR || path.join(os.homedir(), '.nue');
+  }
+
+  /**
+   * Get the configuration file path
+   * @returns {string} - File path
+   */
+  static getConfigFile() {
+    return path.join(this.getConfigDir(), 'config.json');
+  }
+
+  /**
+   * Load the configuration file
+   * @returns {Object} - Parsed configuration (empty object if missing or unreadable)
+   */
+  static load() {
+    const configFile = this.getConfigFile();
+    if (!fs.existsSync(configFile)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (error) {
+      Logger.warning(`Could not read config file ${configFile}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Save the configuration file
+   * @param {Object} config - Configuration to save
+   * @returns {string} - Path of the written file
+   */
+  static save(config) {
+    const configDir = this.getConfigDir();
+    if (!fs.existsSync(configDir)) {
+      fs.mkdirSync(configDir, { recursive: true });
+    }
+
+    const configFile = this.getConfigFile();
+    // The file holds API keys, so keep it readable by the owner only
+    fs.writeFileSync(configFile, JSON.stringify(config, null, 2), { mode: 0o600 });
+    return configFile;
+  }
+
+  /**
+   * Load, modify and save the configuration in one step
+   * @param {Function} mutator - Receives the configuration object to modify in place
+   * @returns {Object} - The saved configuration
+   */
+  static update(mutator) {
+    const config = this.load();
+    mutator(config);
+    this.save(config);
+    return config;
+  }
+}
+
+module.exports = ConfigStore;
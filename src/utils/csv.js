@@ -0,0 +1,419 @@
+const fs = require('fs');
+const { once } = require('events');
+const { getObjectType } = require('../services/objectTypes');
+
+const DEFAULT_OPTIONS = { delimiter: ',', quote: '"', encoding: 'utf8', lineEnding: '\n' };
+
+// Delimiters that are awkward to pass on a command line
+const DELIMITER_NAMES = { tab: '\t', '\\t': '\t', comma: ',', semicolon: ';', pipe: '|' };
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Incremental RFC 4180 parser: feed it text in chunks of any size and it returns the rows
+ * completed so far. Quoted fields may hold delimiters, line breaks and doubled quotes;
+ * rows end with CRLF, LF or CR. Blank lines are skipped.
+ */
+class CsvParser {
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || DEFAULT_OPTIONS.delimiter;
+    this.quote = options.quote || DEFAULT_OPTIONS.quote;
+    this.values = [];
+    this.field = '';
+    this.fieldStarted = false;
+    this.inQuotes = false;
+    this.afterQuote = false;
+    this.skipLineFeed = false;
+    this.started = false;
+    this.line = 1;
+    this.rowLine = 1;
+  }
+
+  /**
+   * @param {string} text - Next chunk of the input
+   * @returns {Object[]} - Completed rows: [{ values, line }]
+   */
+  push(text) {
+    const rows = [];
+    if (!this.started && text.length > 0) {
+      this.started = true;
+      text = text.replace(/^\uFEFF/, '');
+    }
+
+    for (const char of text) {
+      if (this.skipLineFeed) {
+        this.skipLineFeed = false;
+        if (char === '\n') {
+          continue;
+        }
+      }
+
+      if (this.inQuotes) {
+        if (char === this.quote) {
+          this.inQuotes = false;
+          this.afterQuote = true;
+        } else {
+          if (char === '\n') {
+            this.line++;
+          }
+          this.field += char;
+        }
+        continue;
+      }
+
+      if (this.afterQuote) {
+        this.afterQuote = false;
+        if (char === this.quote) {
+          // A doubled quote inside a quoted field
+          this.field += char;
+          this.inQuotes = true;
+          continue;
+        }
+        if (char !== this.delimiter && char !== '\n' && char !== '\r') {
+          throw new Error(`Unexpected ${JSON.stringify(char)} after a closing quote on line ${this.line}`);
+        }
+      }
+
+      if (char === this.delimiter) {
+        this.endField();
+      } else if (char === '\n' || char === '\r') {
+        this.endRow(rows);
+        this.skipLineFeed = char === '\r';
+        this.line++;
+        this.rowLine = this.line;
+      } else if (char === this.quote && !this.fieldStarted) {
+        this.inQuotes = true;
+        this.fieldStarted = true;
+      } else {
+        // A quote in the middle of an unquoted field (5" screen) is kept as is
+        this.field += char;
+        this.fieldStarted = true;
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Finish the input
+   * @returns {Object[]} - The last row, if the input did not end with a line break
+   */
+  end() {
+    if (this.inQuotes) {
+      throw new Error(`Unterminated quoted field starting on line ${this.rowLine}`);
+    }
+    const rows = [];
+    this.endRow(rows);
+    return rows;
+  }
+
+  endField() {
+    this.values.push(this.field);
+    this.field = '';
+    this.fieldStarted = false;
+    this.afterQuote = false;
+  }
+
+  endRow(rows) {
+    const blank = this.values.length === 0 && !this.fieldStarted;
+    this.endField();
+    if (!blank) {
+      rows.push({ values: this.values, line: this.rowLine });
+    }
+    this.values = [];
+  }
+}
+
+/**
+ * Formats records as RFC 4180 rows. Values are quoted only when they hold the delimiter,
+ * the quote, a line break or leading/trailing spaces; objects are written as JSON.
+ */
+class CsvWriter {
+  /**
+   * @param {string[]} columns - Column names, in order
+   * @param {Object} options - { delimiter, quote, lineEnding }
+   */
+  constructor(columns, options = {}) {
+    this.columns = columns;
+    this.delimiter = options.delimiter || DEFAULT_OPTIONS.delimiter;
+    this.quote = options.quote || DEFAULT_OPTIONS.quote;
+    this.lineEnding = options.lineEnding || DEFAULT_OPTIONS.lineEnding;
+  }
+
+  header() {
+    return this.formatRow(this.columns);
+  }
+
+  row(record) {
+    return this.formatRow(this.columns.map(column => this.formatValue(record[column])));
+  }
+
+  formatRow(values) {
+    return values.map(value => this.quoteValue(value)).join(this.delimiter);
+  }
+
+  formatValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  quoteValue(text) {
+    const needsQuotes = text.includes(this.delimiter) || text.includes(this.quote) ||
+      text.includes('\n') || text.includes('\r') || text !== text.trim();
+    return needsQuotes ? `${this.quote}${text.split(this.quote).join(this.quote + this.quote)}${this.quote}` : text;
+  }
+}
+
+/**
+ * CSV reading and writing shared by every import, export and query command
+ *
+ * Options (all optional): delimiter (a character, or tab/comma/semicolon/pipe), quote,
+ * encoding (any encoding TextDecoder knows for reading; utf8, utf16le or latin1 for writing),
+ * lineEnding for writing, and objectType: when set, values of boolean, number and JSON
+ * fields of that object type are converted from text, datetime values are checked, and
+ * empty typed values become null.
+ * transform(record, line), when set, rewrites each record before the conversion.
+ */
+class Csv {
+  /**
+   * Resolve CSV options, e.g. straight from command options (--delimiter, --quote, --encoding)
+   * @param {Object} options - Options
+   * @returns {Object} - { delimiter, quote, encoding, lineEnding, objectType }
+   */
+  static normalizeOptions(options = {}) {
+    const delimiter = options.delimiter ? (DELIMITER_NAMES[options.delimiter.toLowerCase()] || options.delimiter) : DEFAULT_OPTIONS.delimiter;
+    const quote = options.quote || DEFAULT_OPTIONS.quote;
+    [['delimiter', delimiter], ['quote', quote]].forEach(([name, value]) => {
+      if (value.length !== 1 || value === '\n' || value === '\r') {
+        throw new Error(`CSV ${name} must be a single character other than a line break, not ${JSON.stringify(value)}`);
+      }
+    });
+    if (delimiter === quote) {
+      throw new Error('CSV delimiter and quote must be different characters');
+    }
+
+    return {
+      delimiter,
+      quote,
+      encoding: options.encoding || DEFAULT_OPTIONS.encoding,
+      lineEnding: options.lineEnding || DEFAULT_OPTIONS.lineEnding,
+      objectType: options.objectType,
+      transform: options.transform
+    };
+  }
+
+  /**
+   * Parse CSV text into records keyed by the header row
+   * @param {string|Buffer} content - CSV text, or raw bytes in options.encoding
+   * @param {Object} options - CSV options
+   * @returns {Object[]} - Records
+   */
+  static parse(content, options = {}) {
+    const settings = this.normalizeOptions(options);
+    const text = Buffer.isBuffer(content) ? this.createDecoder(settings.encoding).decode(content) : content;
+    const parser = new CsvParser(settings);
+    const reader = this.createRecordReader(settings);
+    return [...parser.push(text), ...parser.end()].map(row => reader(row)).filter(Boolean);
+  }
+
+  /**
+   * Stream the records of a CSV file without loading it into memory
+   * @param {string|stream.Readable} input - File path or readable stream of bytes
+   * @param {Object} options - CSV options
+   * @returns {AsyncGenerator<Object>} - Records
+   */
+  static async *read(input, options = {}) {
+    const settings = this.normalizeOptions(options);
+    const stream = typeof input === 'string' ? fs.createReadStream(input) : input;
+    const decoder = this.createDecoder(settings.encoding);
+    const parser = new CsvParser(settings);
+    const reader = this.createRecordReader(settings);
+
+    for await (const chunk of stream) {
+      const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      for (const row of parser.push(text)) {
+        const record = reader(row);
+        if (record) {
+          yield record;
+        }
+      }
+    }
+    for (const row of [...parser.push(decoder.decode()), ...parser.end()]) {
+      const record = reader(row);
+      if (record) {
+        yield record;
+      }
+    }
+  }
+
+  /**
+   * Format records as CSV text; the columns are the keys of all records unless given
+   * @param {Object[]} records - Records
+   * @param {Object} options - CSV options plus columns
+   * @returns {string} - CSV text without a trailing line break ('' for no records)
+   */
+  static stringify(records, options = {}) {
+    if (!records || records.length === 0) {
+      return '';
+    }
+    const settings = this.normalizeOptions(options);
+    const writer = new CsvWriter(options.columns || this.getColumns(records), settings);
+    return [writer.header(), ...records.map(record => writer.row(record))].join(settings.lineEnding);
+  }
+
+  /**
+   * Write records to a CSV file as they come
+   * @param {string} filePath - File path
+   * @param {Object[]|AsyncIterable<Object>} records - Records; for an async iterable without
+   *   options.columns the columns are the keys of the first record
+   * @param {Object} options - CSV options plus columns
+   * @returns {Promise<number>} - Records written
+   */
+  static async writeFile(filePath, records, options = {}) {
+    const settings = this.normalizeOptions(options);
+    if (!Buffer.isEncoding(settings.encoding)) {
+      throw new Error(`Cannot write CSV in encoding '${settings.encoding}'; use utf8, utf16le or latin1`);
+    }
+
+    const out = fs.createWriteStream(filePath);
+    const write = async text => {
+      if (!out.write(Buffer.from(text + settings.lineEnding, settings.encoding))) {
+        await once(out, 'drain');
+      }
+    };
+
+    let writer = Array.isArray(records) ? new CsvWriter(options.columns || this.getColumns(records), settings) : null;
+    let count = 0;
+    try {
+      if (writer && writer.columns.length > 0) {
+        await write(writer.header());
+      }
+      for await (const record of records) {
+        if (!writer) {
+          writer = new CsvWriter(options.columns || Object.keys(record), settings);
+          await write(writer.header());
+        }
+        await write(writer.row(record));
+        count++;
+      }
+    } finally {
+      out.end();
+      await once(out, 'close');
+    }
+    return count;
+  }
+
+  /**
+   * Convert the text values of a record to the types of its object type's fields
+   * @param {Object} record - Parsed record (modified in place)
+   * @param {string} objectType - Object type name
+   * @param {number} line - Line of the record, for error messages
+   * @returns {Object} - The record
+   */
+  static coerce(record, objectType, line) {
+    const type = objectType && getObjectType(objectType);
+    if (!type) {
+      return record;
+    }
+    Object.keys(record).forEach(field => {
+      const fieldType = type.getFieldType(field);
+      if (fieldType !== 'string') {
+        record[field] = this.coerceValue(record[field], fieldType, `${field} on line ${line}`);
+      }
+    });
+    return record;
+  }
+
+  static coerceValue(value, type, label) {
+    if (typeof value !== 'string') {
+      // Already typed, e.g. by a column mapping
+      return value;
+    }
+    const text = value.trim();
+    if (text === '') {
+      return null;
+    }
+    switch (type) {
+      case 'boolean':
+        if (TRUE_VALUES.includes(text.toLowerCase())) {
+          return true;
+        }
+        if (FALSE_VALUES.includes(text.toLowerCase())) {
+          return false;
+        }
+        throw new Error(`${label}: '${value}' is not true or false`);
+      case 'integer':
+      case 'number': {
+        const number = Number(text);
+        if (!Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+          throw new Error(`${label}: '${value}' is not ${type === 'integer' ? 'a whole number' : 'a number'}`);
+        }
+        return number;
+      }
+      case 'json':
+        try {
+          return JSON.parse(text);
+        } catch (error) {
+          throw new Error(`${label}: '${value}' is not valid JSON`);
+        }
+      case 'datetime':
+        // Sent as text; the API parses it
+        if (isNaN(Date.parse(text))) {
+          throw new Error(`${label}: '${value}' is not a date and time`);
+        }
+        return text;
+      default:
+        return value;
+    }
+  }
+
+  static getColumns(records) {
+    return [...new Set(records.flatMap(record => Object.keys(record || {})))];
+  }
+
+  static createDecoder(encoding) {
+    try {
+      return new TextDecoder(encoding);
+    } catch (error) {
+      throw new Error(`Unsupported CSV encoding '${encoding}'`);
+    }
+  }
+
+  /**
+   * Turn rows into records: the first row is the header, every other row must have as many fields
+   */
+  static createRecordReader(settings) {
+    let columns = null;
+    return row => {
+      if (!columns) {
+        columns = row.values.map(value => value.trim());
+        const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+        if (duplicate !== undefined) {
+          throw new Error(`CSV header has the column '${duplicate}' more than once`);
+        }
+        return null;
+      }
+      if (row.values.length !== columns.length) {
+        throw new Error(`Line ${row.line} has ${row.values.length} field(s), the header has ${columns.length}`);
+      }
+      let record = {};
+      columns.forEach((column, index) => {
+        record[column] = row.values[index];
+      });
+      if (settings.transform) {
+        record = settings.transform(record, row.line);
+      }
+      return settings.objectType ? this.coerce(record, settings.objectType, row.line) : record;
+    };
+  }
+}
+
+module.exports = { Csv, CsvParser, CsvWriter };
@@ -1,8 +1,11 @@
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 const FormData = require('form-data');
 const Logger = require('../utils/logger');
 const ErrorHandler = require('../utils/errorHandler');
+const { Csv } = require('./csv');
+const { ColumnMapping } = require('../services/column-mapping');
 
 /**
  * Centralized file handling utilities for consistent file operations across commands
@@ -11,22 +14,20 @@ class FileUtils {
   /**
    * Parse import file based on format
    * @param {string} filePath - File path
-   * @param {Object} options - Command options
+   * @param {Object} options - Command options (CSV files also use delimiter, quote, encoding and objectType)
    * @returns {Array} - Parsed data
    */
   static parseImportFile(filePath, options) {
     try {
-      const fileContent = fs.readFileSync(filePath, 'utf8');
-      
       switch (options.format.toLowerCase()) {
         case 'json':
-          return JSON.parse(fileContent);
+          return JSON.parse(fs.readFileSync(filePath, 'utf8'));
         case 'jsonl':
-          return fileContent.split('\n')
+          return fs.readFileSync(filePath, 'utf8').split('\n')
             .filter(line => line.trim())
             .map(line => JSON.parse(line));
         case 'csv':
-          return this.parseCSV(fileContent);
+          return this.parseCSV(fs.readFileSync(filePath), options);
         default:
           throw new Error(`Unsupported format: ${options.format}`);
       }
@@ -37,75 +38,82 @@ class FileUtils {
 
   /**
    * Parse CSV content
-   * @param {string} content - CSV content
+   * @param {string|Buffer} content - CSV content
+   * @param {Object} options - CSV options (see Csv)
    * @returns {Array} - Parsed data
    */
-  static parseCSV(content) {
-    const lines = content.split('\n').filter(line => line.trim());
-    if (lines.length < 2) {
+  static parseCSV(content, options = {}) {
+    const data = Csv.parse(content, options);
+    if (data.length === 0) {
       throw new Error('CSV file must have at least a header row and one data row');
     }
-
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    const data = [];
-
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i].split(',').map(v => v.trim().replace(/"/g, ''));
-      const row = {};
-      
-      headers.forEach((header, index) => {
-        row[header] = values[index] || '';
-      });
-      
-      data.push(row);
-    }
-
     return data;
   }
 
   /**
    * Convert data to CSV format
    * @param {Array} data - Data to convert
+   * @param {Object} options - CSV options (see Csv)
    * @returns {string} - CSV string
    */
-  static convertToCSV(data) {
-    if (!data || data.length === 0) return '';
-    
-    const headers = Object.keys(data[0]);
-    const csvRows = [headers.join(',')];
-    
-    for (const row of data) {
-      const values = headers.map(header => {
-        const value = row[header];
-        if (value === null || value === undefined) return '';
-        if (typeof value === 'object') return `"${JSON.stringify(value)}"`;
-        return `"${String(value).replace(/"/g, '""')}"`;
-      });
-      csvRows.push(values.join(','));
+  static convertToCSV(data, options = {}) {
+    return Csv.stringify(data, options);
+  }
+
+  /**
+   * Read the records of an import file, mapped by options.mapping (a column mapping file) and,
+   * for CSV, converted to the field types of the object type
+   * @param {string} filePath - File path
+   * @param {string} objectType - Object type
+   * @param {Object} options - Command options
+   * @returns {AsyncGenerator<Object>} - Records
+   */
+  static async *readImportRecords(filePath, objectType, options) {
+    const mapping = options.mapping ? ColumnMapping.load(options.mapping) : null;
+
+    if (options.format.toLowerCase() === 'csv') {
+      const transform = mapping ? (record, line) => mapping.apply(record, `line ${line}`) : null;
+      for await (const record of Csv.read(filePath, { ...options, objectType, transform })) {
+        // CSV cannot tell an empty value from a missing one; leave the field as it is
+        yield Object.fromEntries(Object.entries(record).filter(([, value]) => value !== '' && value !== null));
+      }
+      return;
+    }
+
+    const data = this.parseImportFile(filePath, options);
+    const records = Array.isArray(data) ? data : [data];
+    for (const [index, record] of records.entries()) {
+      yield mapping ? mapping.apply(record, `record ${index + 1}`) : record;
     }
-    
-    return csvRows.join('\n');
   }
 
   /**
-   * Convert file to JSONL format for import
+   * Convert file to JSONL format for import; a column mapping is applied before the meta header
+   * and the records are written
    * @param {string} filePath - File path
    * @param {string} objectType - Object type
    * @param {Object} options - Command options
-   * @returns {string} - Path to JSONL file
+   * @param {string} outputPath - JSONL file to write (default: next to the input file)
+   * @returns {Promise<string>} - Path to JSONL file
    */
-  static convertToJSONL(filePath, objectType, options) {
+  static async convertToJSONL(filePath, objectType, options, outputPath) {
     try {
-      const data = this.parseImportFile(filePath, options);
-      
+      const lines = [];
+      for await (const record of this.readImportRecords(filePath, objectType, options)) {
+        lines.push(JSON.stringify(record));
+      }
+      if (lines.length === 0) {
+        throw new Error('File has no records');
+      }
+
       // Create JSONL content with metadata header
       const jsonlContent = [
         `{"meta": {"objectname": "${objectType.toLowerCase()}"}}`,
-        ...data.map(item => JSON.stringify(item))
+        ...lines
       ].join('\n');
       
       // Write to temporary JSONL file
-      const jsonlFile = filePath.replace(/\.[^.]+$/, '.jsonl');
+      const jsonlFile = outputPath || filePath.replace(/\.[^.]+$/, '.jsonl');
       fs.writeFileSync(jsonlFile, jsonlContent);
       
       return jsonlFile;
@@ -221,20 +229,15 @@ class FileUtils {
     const files = [];
     const currentDir = process.cwd();
     
-    // Look for files with the pattern: objecttype-jobid.jsonl
-    const pattern = options.allObjects 
-      ? `*-${exportJobId}.jsonl`
-      : `${objectType.toLowerCase()}-${exportJobId}.jsonl`;
+    // Look for files with the pattern: objecttype-jobid.jsonl (or objecttype-jobid-partN.jsonl)
+    const prefix = options.allObjects ? '.*' : objectType.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${prefix}-${exportJobId}(-part\\d+)?\\.jsonl$`, 'i');
     
     try {
       const dirContents = fs.readdirSync(currentDir);
-      const matchingFiles = dirContents.filter(file => {
-        if (options.allObjects) {
-          return file.match(new RegExp(`^.*-${exportJobId}\\.jsonl$`));
-        } else {
-          return file.toLowerCase() === `${objectType.toLowerCase()}-${exportJobId}.jsonl`;
-        }
-      });
+      const matchingFiles = dirContents
+        .filter(file => pattern.test(file))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
       
       matchingFiles.forEach(file => {
         const filePath = path.join(currentDir, file);
@@ -249,6 +252,203 @@ class FileUtils {
     return files;
   }
 
+  /**
+   * Whether a JSONL line is an export meta header rather than a record
+   * (e.g. {"meta_objectName": "Product"} or {"meta": {"objectname": "product"}})
+   * @param {string} line - JSONL line
+   * @returns {boolean}
+   */
+  static isMetaHeader(line) {
+    try {
+      const value = JSON.parse(line);
+      const keys = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+      return keys.length > 0 && keys.every(key => /^meta/i.test(key));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Count the records of a JSONL file without loading it, skipping meta headers
+   * @param {string} filePath - File path
+   * @returns {Promise<number>} - Number of records
+   */
+  static async countJsonlRecords(filePath) {
+    let count = 0;
+    let first = true;
+    for await (const line of readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity })) {
+      if (!line.trim()) {
+        continue;
+      }
+      if (!(first && this.isMetaHeader(line))) {
+        count++;
+      }
+      first = false;
+    }
+    return count;
+  }
+
+  /**
+   * Merge JSONL parts into one file, keeping only the first part's meta header.
+   * The parts are removed once the merged file is in place.
+   * @param {Array} files - Part file paths, in order
+   * @param {string} destination - Merged file path
+   * @returns {Promise<number>} - Number of records written
+   */
+  static async mergeJsonlFiles(files, destination) {
+    const tempPath = `${destination}.part`;
+    const output = fs.createWriteStream(tempPath);
+    let records = 0;
+    let headerWritten = false;
+
+    for (const file of files) {
+      let first = true;
+      for await (const line of readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })) {
+        if (!line.trim()) {
+          continue;
+        }
+        const isHeader = first && this.isMetaHeader(line);
+        first = false;
+        if (isHeader && headerWritten) {
+          continue;
+        }
+        headerWritten = true;
+        records += isHeader ? 0 : 1;
+        if (!output.write(`${line}\n`)) {
+          await new Promise(resolve => output.once('drain', resolve));
+        }
+      }
+    }
+
+    await new Promise((resolve, reject) => output.end(error => error ? reject(error) : resolve()));
+    fs.renameSync(tempPath, destination);
+    files.filter(file => path.resolve(file) !== path.resolve(destination)).forEach(file => fs.unlinkSync(file));
+    return records;
+  }
+
+  /**
+   * Split a JSONL file holding several objects, each section starting with its own meta
+   * header, into one exported-format file per object (e.g. failures.jsonl). Annotation
+   * fields starting with "meta_" are dropped from the records.
+   * @param {string} filePath - File path
+   * @param {string} dir - Directory for the per-object files
+   * @returns {Promise<Array>} - Object file paths
+   */
+  static async splitJsonlSections(filePath, dir) {
+    const outputs = new Map();
+    let current = null;
+
+    for await (const line of readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity })) {
+      if (!line.trim()) {
+        continue;
+      }
+      if (this.isMetaHeader(line)) {
+        const header = JSON.parse(line);
+        const name = String(header.meta_objectName || (header.meta && header.meta.objectname) || '').toLowerCase();
+        if (!name) {
+          throw new Error(`${filePath}: meta header without an object name: ${line}`);
+        }
+        if (!outputs.has(name)) {
+          outputs.set(name, { path: path.join(dir, `${name}.jsonl`), lines: [line] });
+        }
+        current = outputs.get(name);
+        continue;
+      }
+      if (!current) {
+        throw new Error(`${filePath} must start with a meta header line, e.g. {"meta_objectName": "Product"}`);
+      }
+
+      const record = JSON.parse(line);
+      Object.keys(record).filter(key => key.startsWith('meta_')).forEach(key => delete record[key]);
+      current.lines.push(JSON.stringify(record));
+    }
+
+    return [...outputs.values()].map(output => {
+      fs.writeFileSync(output.path, output.lines.join('\n') + '\n');
+      return output.path;
+    });
+  }
+
+  /**
+   * Split a JSONL file into "<name>-partN<ext>" files, repeating its meta header in each.
+   * The source file is removed once the parts are written.
+   * @param {string} filePath - File path
+   * @param {Object} limits - { maxRecords } or { maxBytes } per part (see parseSplitSize)
+   * @returns {Promise<Array>} - Part file paths
+   */
+  static async splitJsonlFile(filePath, limits) {
+    const extension = path.extname(filePath);
+    const base = filePath.slice(0, filePath.length - extension.length);
+    const parts = [];
+    let header = null;
+    let output = null;
+    let records = 0;
+    let bytes = 0;
+
+    const closeOutput = () => new Promise((resolve, reject) => output.end(error => error ? reject(error) : resolve()));
+
+    let first = true;
+    for await (const line of readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity })) {
+      if (!line.trim()) {
+        continue;
+      }
+      if (first && this.isMetaHeader(line)) {
+        header = line;
+        first = false;
+        continue;
+      }
+      first = false;
+
+      const size = Buffer.byteLength(line) + 1;
+      const full = limits.maxRecords ? records >= limits.maxRecords : bytes > 0 && bytes + size > limits.maxBytes;
+      if (!output || full) {
+        if (output) {
+          await closeOutput();
+        }
+        parts.push(`${base}-part${parts.length + 1}${extension}`);
+        output = fs.createWriteStream(parts[parts.length - 1]);
+        records = 0;
+        bytes = 0;
+        if (header) {
+          output.write(`${header}\n`);
+          bytes += Buffer.byteLength(header) + 1;
+        }
+      }
+
+      records++;
+      bytes += size;
+      if (!output.write(`${line}\n`)) {
+        await new Promise(resolve => output.once('drain', resolve));
+      }
+    }
+
+    if (!output) {
+      // Nothing but a header: keep the file as it is
+      return [filePath];
+    }
+    await closeOutput();
+    fs.unlinkSync(filePath);
+    return parts;
+  }
+
+  /**
+   * Parse a --split-size value: a record count ("50000") or a size ("100MB")
+   * @param {string} value - Option value
+   * @returns {Object} - { maxRecords } or { maxBytes }
+   */
+  static parseSplitSize(value) {
+    const units = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+    const amount = match ? Number(match[1]) : 0;
+
+    if (!match || amount <= 0 || (!match[2] && !Number.isInteger(amount))) {
+      throw new Error(`Invalid --split-size '${value}'. Use a record count (e.g. 50000) or a size (e.g. 100MB)`);
+    }
+    return match[2]
+      ? { maxBytes: Math.floor(amount * units[match[2].toUpperCase()]) }
+      : { maxRecords: amount };
+  }
+
   /**
    * Get file size in bytes
    * @param {string} filePath - File path
@@ -1,4 +1,5 @@
 const chalk = require('chalk');
+const { Csv } = require('./csv');
 
 /**
  * Utility class for formatting query results
@@ -52,27 +53,11 @@ class Formatter {
   /**
    * Format data as CSV
    * @param {Array} data - Array of objects to format
+   * @param {Object} options - CSV options (see Csv)
    * @returns {string} - CSV string
    */
-  static formatCSV(data) {
-    if (!data || data.length === 0) return '';
-
-    const headers = Object.keys(data[0]);
-    const csvRows = [headers.join(',')];
-
-    for (const row of data) {
-      const values = headers.map(header => {
-        const value = row[header];
-        if (value === null || value === undefined) return '';
-        if (typeof value === 'string') {
-          return `"${value.replace(/"/g, '""')}"`;
-        }
-        return String(value);
-      });
-      csvRows.push(values.join(','));
-    }
-
-    return csvRows.join('\n');
+  static formatCSV(data, options = {}) {
+    return Csv.stringify(data, options);
   }
 
   /**
@@ -14,9 +14,14 @@ module.exports = {
   
   // File utilities
   FileUtils: require('./fileUtils'),
+  Csv: require('./csv').Csv,
   
   // Job management utilities
   JobManager: require('./jobManager'),
+  JobLedger: require('./jobLedger'),
+  
+  // Configuration file access
+  ConfigStore: require('./configStore'),
   
   // API key utilities
   ...require('./apiKeyUtils'),
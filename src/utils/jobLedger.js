@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const ConfigStore = require('./configStore');
+const Logger = require('./logger');
+const { EndpointRegistry } = require('../clients/endpoint-registry');
+
+// Option names never written to the ledger
+const SECRET_OPTION_PATTERN = /(key|token|secret|password)/i;
+
+/**
+ * Local history of the async jobs started by the CLI (~/.nue/jobs/<jobId>.json)
+ *
+ * An entry is written when a job is submitted and updated when the CLI sees it finish
+ * or downloads its files, so job IDs survive a missing --wait. Ledger failures are
+ * reported as warnings and never fail the command that started the job.
+ */
+class JobLedger {
+  /**
+   * Get the ledger directory
+   * @returns {string} - Directory path
+   */
+  static getDir() {
+    return path.join(ConfigStore.getConfigDir(), 'jobs');
+  }
+
+  static getFile(jobId) {
+    return path.join(this.getDir(), `${String(jobId).replace(/[^A-Za-z0-9._-]/g, '_')}.json`);
+  }
+
+  /**
+   * Record a newly submitted job
+   * @param {Object} entry - { jobId, kind, command, connection, objectTypes, inputFiles, options }
+   * @returns {Object|null} - The stored entry
+   */
+  static record(entry) {
+    if (!entry.jobId) {
+      return null;
+    }
+
+    const connection = entry.connection || {};
+    const options = entry.options || {};
+    return this.write({
+      jobId: entry.jobId,
+      kind: entry.kind,
+      command: entry.command || null,
+      environment: connection.environment || (options.sandbox ? 'sandbox' : 'production'),
+      profile: connection.profile || options.profile || null,
+      baseUrl: this.getRootUrl(connection, options),
+      objectTypes: (entry.objectTypes || []).filter(Boolean),
+      inputFiles: (entry.inputFiles || []).map(file => path.resolve(file)),
+      options: this.sanitizeOptions(options),
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      status: 'Submitted',
+      state: 'processing',
+      downloadedFiles: []
+    });
+  }
+
+  /**
+   * The API root the job was submitted to, including any --api-url override
+   * @returns {string|null}
+   */
+  static getRootUrl(connection, options) {
+    try {
+      return EndpointRegistry.getRootUrl({ sandbox: options.sandbox, ...connection });
+    } catch (error) {
+      Logger.warning(`Could not record the API root of the job: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record the final status of a job
+   * @param {string} jobId - Job ID
+   * @param {string} status - Status reported by the API (e.g. 'Completed')
+   * @param {string} state - 'completed', 'partial', 'failed' or 'cancelled'
+   */
+  static complete(jobId, status, state) {
+    return this.update(jobId, entry => {
+      entry.status = status;
+      entry.state = state;
+      entry.endedAt = entry.endedAt || new Date().toISOString();
+    });
+  }
+
+  /**
+   * Add downloaded files to a job
+   * @param {string} jobId - Job ID
+   * @param {Array<string|Object>} files - File paths, or { path, sha256 } to keep the checksum
+   */
+  static addDownloads(jobId, files) {
+    return this.update(jobId, entry => {
+      const downloads = files.map(file => typeof file === 'string' ? { path: file } : file);
+      const resolved = downloads.map(file => path.resolve(file.path));
+      entry.downloadedFiles = [...new Set([...(entry.downloadedFiles || []), ...resolved])];
+
+      downloads.filter(file => file.sha256).forEach(file => {
+        entry.checksums = { ...entry.checksums, [path.resolve(file.path)]: file.sha256 };
+      });
+    });
+  }
+
+  /**
+   * Remember what the CLI was doing with a job, so an interrupted --wait can be resumed
+   * @param {string} jobId - Job ID
+   * @param {Object} checkpoint - e.g. { phase: 'waiting' } or { phase: 'downloading', downloadedObjects }
+   */
+  static checkpoint(jobId, checkpoint) {
+    return this.update(jobId, entry => {
+      entry.checkpoint = { ...entry.checkpoint, ...checkpoint, updatedAt: new Date().toISOString() };
+    });
+  }
+
+  /**
+   * Forget the checkpoint once the command has finished with the job
+   * @param {string} jobId - Job ID
+   */
+  static clearCheckpoint(jobId) {
+    return this.update(jobId, entry => {
+      delete entry.checkpoint;
+    });
+  }
+
+  /**
+   * Find the most recent job whose wait was interrupted
+   * @param {Object} filters - { command, objectType, environment, profile }
+   * @returns {Object|null} - Ledger entry
+   */
+  static findResumable(filters = {}) {
+    const { command, ...listFilters } = filters;
+    return this.list(listFilters)
+      .find(entry => entry.checkpoint && (!command || entry.command === command)) || null;
+  }
+
+  /**
+   * Modify an existing entry; jobs the CLI did not start are ignored
+   * @param {string} jobId - Job ID
+   * @param {Function} mutator - Receives the entry to modify in place
+   * @returns {Object|null} - The updated entry
+   */
+  static update(jobId, mutator) {
+    const entry = this.get(jobId);
+    if (!entry) {
+      return null;
+    }
+    mutator(entry);
+    return this.write(entry);
+  }
+
+  static get(jobId) {
+    const file = this.getFile(jobId);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      Logger.warning(`Could not read job ledger entry ${file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * List entries, newest first
+   * @param {Object} filters - { kind, state, objectType, environment, profile, since, limit }
+   * @returns {Object[]} - Matching entries
+   */
+  static list(filters = {}) {
+    const dir = this.getDir();
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    const since = filters.since ? new Date(filters.since) : null;
+    if (since && isNaN(since.getTime())) {
+      throw new Error(`Invalid date '${filters.since}'`);
+    }
+
+    const objectType = filters.objectType && filters.objectType.toLowerCase();
+    const entries = fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.get(path.basename(file, '.json')))
+      .filter(Boolean)
+      .filter(entry => !filters.kind || entry.kind === filters.kind)
+      .filter(entry => !filters.state || entry.state === filters.state.toLowerCase() ||
+        String(entry.status).toLowerCase() === filters.state.toLowerCase())
+      .filter(entry => !objectType || entry.objectTypes.some(type => type.toLowerCase() === objectType))
+      .filter(entry => !filters.environment || entry.environment === filters.environment)
+      .filter(entry => !filters.profile || entry.profile === filters.profile)
+      .filter(entry => !since || new Date(entry.startedAt) >= since)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+    return filters.limit ? entries.slice(0, filters.limit) : entries;
+  }
+
+  static write(entry) {
+    try {
+      fs.mkdirSync(this.getDir(), { recursive: true });
+      fs.writeFileSync(this.getFile(entry.jobId), JSON.stringify(entry, null, 2));
+    } catch (error) {
+      Logger.warning(`Could not write job ledger entry for ${entry.jobId}: ${error.message}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Keep the command options worth re-reading later: plain values, no secrets
+   */
+  static sanitizeOptions(options = {}) {
+    return Object.fromEntries(Object.entries(options || {})
+      .filter(([name, value]) => !SECRET_OPTION_PATTERN.test(name))
+      .filter(([, value]) => value !== undefined && ['string', 'number', 'boolean'].includes(typeof value)));
+  }
+}
+
+module.exports = JobLedger;
@@ -214,6 +214,40 @@ class JobManager {
       });
     }
   }
+
+  /**
+   * Display a job normalized by JobClient.normalizeAsyncJob
+   * @param {Object} job - Normalized job
+   * @param {Object} options - Command options
+   */
+  static displayAsyncJob(job, options = {}) {
+    const stateColors = {
+      completed: Logger.success,
+      partial: Logger.warning,
+      failed: Logger.error,
+      cancelled: Logger.warning
+    };
+    Logger.info(`Job ${job.jobId} (${job.kind})`);
+    if (stateColors[job.state]) {
+      // e.g. "Status: Failed (partial)" when some objects succeeded
+      const detail = job.state === job.status.toLowerCase() ? '' : ` (${job.state})`;
+      stateColors[job.state].call(Logger, `Status: ${job.status}${detail}`);
+    } else {
+      Logger.jobStatus(job.status);
+    }
+
+    job.objects.forEach(obj => {
+      const size = obj.totalSize !== undefined ? `, ${obj.totalSize} records` : '';
+      const files = obj.fileUrls.length > 0 ? `, ${obj.fileUrls.length} file(s)` : '';
+      Logger.info(`  • ${obj.name}: ${obj.status}${size}${files}`);
+      obj.errors.forEach(error => Logger.verbose(`      ${error}`, options));
+    });
+
+    if (job.error) {
+      Logger.error(job.error);
+    }
+    Logger.debug('Status Response', job.raw, options);
+  }
 }
 
 module.exports = JobManager; 
\ No newline at end of file
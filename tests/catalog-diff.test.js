@@ -0,0 +1,117 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-diff-config-'));
+process.env.NUE_CONFIG_DIR = configDir;
+
+const { CatalogDiff, CatalogSource } = require('../src/services/catalog-diff');
+const { EndpointRegistry } = require('../src/clients/endpoint-registry');
+
+after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+const source = (label, objects) => new CatalogSource(label, objects);
+
+// Two tenants holding the same catalog under different IDs, with a few real differences
+const SANDBOX = source('sandbox', {
+  pricebook: [{ id: 'sb-pb-1', name: 'Standard', currency: 'USD' }],
+  product: [
+    { id: 'sb-p-1', externalId: 'EXT-1', sku: 'W-1', name: 'Widget', priceBookId: 'sb-pb-1', lastModifiedDate: '2026-10-02' },
+    { id: 'sb-p-2', sku: 'G-1', name: 'Gadget', description: 'New text', priceBookId: 'sb-pb-1' },
+    { id: 'sb-p-3', name: 'Gizmo' }
+  ]
+});
+const PRODUCTION = source('production', {
+  pricebook: [{ id: 'pr-pb-1', name: 'Standard', currency: 'USD' }],
+  product: [
+    { id: 'pr-p-1', externalId: 'EXT-1', sku: 'W-1-OLD', name: 'Widget', priceBookId: 'pr-pb-1', lastModifiedDate: '2026-09-01' },
+    { id: 'pr-p-2', sku: 'G-1', name: 'Gadget', description: 'Old text', priceBookId: 'pr-pb-1' },
+    { id: 'pr-p-4', name: 'Doohickey' }
+  ]
+});
+
+test('matches records by externalId, sku, then name and compares references by what they point to', () => {
+  const result = CatalogDiff.compare(SANDBOX, PRODUCTION);
+  const products = result.objects.find(obj => obj.object === 'Product');
+
+  assert.deepStrictEqual(products.added.map(item => item.key), ['Doohickey']);
+  assert.deepStrictEqual(products.removed.map(item => item.key), ['Gizmo']);
+  assert.deepStrictEqual(products.changed, [
+    { key: 'EXT-1', changes: [{ field: 'sku', left: 'W-1', right: 'W-1-OLD' }] },
+    { key: 'G-1', changes: [{ field: 'description', left: 'New text', right: 'Old text' }] }
+  ]);
+  assert.strictEqual(result.objects.find(obj => obj.object === 'PriceBook').unchanged, 1);
+  assert.deepStrictEqual(result.summary, { added: 1, removed: 1, changed: 2, unchanged: 1 });
+  assert.strictEqual(CatalogDiff.hasDifferences(result), true);
+});
+
+test('ignores the given fields and object types', () => {
+  const result = CatalogDiff.compare(SANDBOX, PRODUCTION, { objectTypes: ['product'], ignoreFields: ['sku', 'description'] });
+  assert.deepStrictEqual(result.objects.map(obj => obj.object), ['Product']);
+  assert.strictEqual(result.summary.changed, 0);
+  assert.strictEqual(result.summary.unchanged, 2);
+
+  const same = CatalogDiff.compare(SANDBOX, SANDBOX);
+  assert.strictEqual(CatalogDiff.hasDifferences(same), false);
+  assert.match(CatalogDiff.format(same), /No differences \(4 records compared\)/);
+});
+
+test('renders text, markdown and JSON', () => {
+  const result = CatalogDiff.compare(SANDBOX, PRODUCTION);
+  const text = CatalogDiff.format(result, 'text');
+  assert.match(text, /Product: 1 added, 1 removed, 2 changed/);
+  assert.match(text, /sku: .*W-1.* → .*W-1-OLD/);
+
+  const markdown = CatalogDiff.format(result, 'markdown');
+  assert.match(markdown, /^# Catalog diff: sandbox → production\n/);
+  assert.match(markdown, /\| EXT-1 \| sku \| W-1 \| W-1-OLD \|/);
+
+  assert.deepStrictEqual(JSON.parse(CatalogDiff.format(result, 'json')), result);
+  assert.throws(() => CatalogDiff.format(result, 'yaml'), /Invalid format 'yaml'/);
+});
+
+test('reads the catalog objects of an export directory, skipping meta headers and import files', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-diff-test-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'Product-1.jsonl'), '{"meta": {"objectname": "product"}}\n{"name":"Widget"}\n');
+    fs.writeFileSync(path.join(dir, 'Product-2.jsonl'), '{"name":"Gadget"}\n\n');
+    fs.writeFileSync(path.join(dir, 'Product-import.jsonl'), '{"name":"Ignored"}\n');
+    fs.writeFileSync(path.join(dir, 'Customer.jsonl'), '{"name":"Acme"}\n');
+
+    const catalog = await CatalogSource.load(dir);
+    assert.deepStrictEqual(catalog.objects, { product: [{ name: 'Widget' }, { name: 'Gadget' }] });
+    assert.strictEqual(CatalogSource.isLive(dir), false);
+    assert.strictEqual(CatalogSource.isLive('profile:uat'), true);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('resolves production and sandbox sides through the selected profile and --api-url', () => {
+  fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+    activeProfile: 'eu-prod',
+    apiKeys: { production: 'prod-key', sandbox: 'sandbox-key' },
+    profiles: {
+      'eu-prod': { environment: 'production', apiKey: 'eu-key', baseUrl: 'https://eu.example.com' },
+      'eu-sandbox': { environment: 'sandbox', apiKey: 'eu-key', baseUrl: 'https://eu.example.com' }
+    }
+  }));
+  try {
+    assert.deepStrictEqual(CatalogSource.getConnectionOptions('production'), { profile: 'eu-prod' });
+    assert.deepStrictEqual(CatalogSource.getConnectionOptions('sandbox'), { sandbox: true, ignoreProfiles: true });
+    assert.deepStrictEqual(CatalogSource.getConnectionOptions('profile:eu-sandbox'), { profile: 'eu-sandbox' });
+    CatalogSource.assertDifferentTenants('sandbox', 'production');
+    assert.throws(() => CatalogSource.assertDifferentTenants('production', 'profile:eu-sandbox'),
+      /production and profile:eu-sandbox resolve to the same tenant \(https:\/\/eu.example.com\)/);
+
+    // --api-url points every live side at the same root, so only the keys tell them apart
+    EndpointRegistry.setOverride('http://localhost:4010');
+    CatalogSource.assertDifferentTenants('sandbox', 'production');
+    assert.throws(() => CatalogSource.assertDifferentTenants('production', 'profile:eu-sandbox'), /same tenant \(http:\/\/localhost:4010\)/);
+  } finally {
+    EndpointRegistry.setOverride(null);
+    fs.rmSync(path.join(configDir, 'config.json'), { force: true });
+  }
+});
@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-chunks-test-'));
+process.env.NUE_CONFIG_DIR = configDir;
+
+const { ChunkedImport } = require('../src/services/chunked-import');
+
+const output = {};
+before(() => {
+  // Keep the per-chunk messages out of the test report
+  output.log = console.log;
+  output.error = console.error;
+  console.log = () => {};
+  console.error = () => {};
+});
+
+after(() => {
+  console.log = output.log;
+  console.error = output.error;
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+let runs = 0;
+function createRun(chunkSize = 2) {
+  return { command: 'platform import', environment: 'sandbox', inputFiles: [`catalog-${++runs}.jsonl`], chunkSize };
+}
+
+function chunk(object, first, last, extra = {}) {
+  return { key: `${object}:${first}`, object, first, last, sha256: `${object}-${first}-${last}`, ...extra };
+}
+
+// Handlers recording the chunks submitted and waited for; jobs of `failing` chunk keys fail
+function createHandlers({ failing = [], throwing = [] } = {}) {
+  const calls = { submitted: [], waited: [] };
+  return {
+    calls,
+    submit: async item => {
+      if (throwing.includes(item.key)) {
+        throw new Error('HTTP 503');
+      }
+      calls.submitted.push(item.key);
+      return `job-${item.key}-${calls.submitted.length}`;
+    },
+    wait: async (item, jobId) => {
+      calls.waited.push(jobId);
+      const failed = failing.includes(item.key);
+      return { status: failed ? 'Failed' : 'Completed', state: failed ? 'failed' : 'completed', succeeded: failed ? 0 : 2, failed: failed ? 2 : 0 };
+    }
+  };
+}
+
+test('splits records and reads chunk options', () => {
+  assert.deepStrictEqual(ChunkedImport.split([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+  assert.strictEqual(ChunkedImport.getChunkSize(undefined), 5000);
+  assert.strictEqual(ChunkedImport.getChunkSize('250'), 250);
+  assert.throws(() => ChunkedImport.getChunkSize('0'), /--chunk-size must be a positive integer, got '0'/);
+  assert.throws(() => new ChunkedImport(createRun(), { concurrency: 'two' }), /--concurrency must be a positive integer/);
+});
+
+test('skips the chunks completed by an earlier run and retries the rest', async () => {
+  const run = createRun();
+  const chunks = [chunk('Product', 1, 2), chunk('Product', 3, 4), chunk('Product', 5, 5)];
+
+  const first = await new ChunkedImport(run).run(chunks, createHandlers({ throwing: ['Product:3'] }));
+  assert.deepStrictEqual(first.chunks.map(item => item.state), ['completed', 'failed', 'completed']);
+  assert.strictEqual(first.complete, false);
+  assert.match(first.chunks[1].error, /HTTP 503/);
+
+  const handlers = createHandlers();
+  const second = await new ChunkedImport(run).run(chunks, handlers);
+  assert.deepStrictEqual(handlers.calls.submitted, ['Product:3']);
+  assert.deepStrictEqual(second.chunks.map(item => item.skipped), [true, false, true]);
+  assert.strictEqual(second.complete, true);
+  assert.deepStrictEqual(second.totals, { records: 5, succeeded: 6, failed: 0 });
+  assert.match(ChunkedImport.format(second), /3 of 3 chunk\(s\) completed; 5 record\(s\)/);
+
+  // --restart and changed records start over
+  const restarted = createHandlers();
+  await new ChunkedImport(run, { restart: true }).run(chunks, restarted);
+  assert.strictEqual(restarted.calls.submitted.length, 3);
+
+  const changed = createHandlers();
+  await new ChunkedImport(run).run([chunks[0], chunks[1], { ...chunks[2], sha256: 'edited' }], changed);
+  assert.deepStrictEqual(changed.calls.submitted, ['Product:5']);
+});
+
+test('waits for a job submitted by an interrupted run instead of submitting it again', async () => {
+  const run = createRun();
+  const chunks = [chunk('UOM', 1, 2)];
+  // An earlier run died while waiting for the job it had submitted
+  const { key, object, first, last, sha256 } = chunks[0];
+  new ChunkedImport(run).setChunk(chunks[0], { key, object, first, last, records: 2, sha256, jobId: 'job-earlier', state: 'submitted' });
+
+  const handlers = createHandlers();
+  const result = await new ChunkedImport(run).run(chunks, handlers);
+  assert.deepStrictEqual(handlers.calls.submitted, []);
+  assert.deepStrictEqual(handlers.calls.waited, ['job-earlier']);
+  assert.strictEqual(result.chunks[0].state, 'completed');
+});
+
+test('does not start later waves after a chunk fails', async () => {
+  const chunks = [
+    chunk('UOM', 1, 2, { wave: 0 }),
+    chunk('PriceBook', 1, 2, { wave: 0 }),
+    chunk('Product', 1, 2, { wave: 1 })
+  ];
+  const handlers = createHandlers({ failing: ['UOM:1'] });
+  const result = await new ChunkedImport(createRun(), { concurrency: 2 }).run(chunks, handlers);
+  assert.deepStrictEqual(handlers.calls.submitted.sort(), ['PriceBook:1', 'UOM:1']);
+  assert.deepStrictEqual(result.chunks.map(item => item.state), ['failed', 'completed', 'pending']);
+});
@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ColumnMapping, MappingExpression } = require('../src/services/column-mapping');
+const FileUtils = require('../src/utils/fileUtils');
+
+// The example mapping from the README
+const LEGACY_PRODUCTS = `
+rename:
+  PROD_NM: name
+  PROD_CD: sku
+  STAT_CD: active
+compute:
+  externalId: "'LEGACY-' + PROD_CD"
+  description: "trim(concat(DESC_1, ' ', DESC_2))"
+  defaultSubscriptionTerm: "TERM_YRS == '' ? null : TERM_YRS * 12"
+lookup:
+  active:
+    A: true
+    I: false
+defaults:
+  defaultSubscriptionTerm: 12
+drop:
+  - DESC_1
+  - DESC_2
+  - TERM_YRS
+`;
+
+function loadMapping(yaml) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-mapping-test-'));
+  try {
+    const file = path.join(dir, 'mapping.yaml');
+    fs.writeFileSync(file, yaml);
+    return ColumnMapping.load(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('renames, computes, looks up, defaults and drops in that order', () => {
+  const mapping = loadMapping(LEGACY_PRODUCTS);
+  const row = { PROD_NM: 'Widget', PROD_CD: '100', STAT_CD: 'A', DESC_1: ' Large ', DESC_2: 'widget ', TERM_YRS: '2', COLOR: 'red' };
+  assert.deepStrictEqual(mapping.apply(row, 'line 2'), {
+    name: 'Widget',
+    sku: '100',
+    active: true,
+    COLOR: 'red',
+    externalId: 'LEGACY-100',
+    description: 'Large  widget',
+    defaultSubscriptionTerm: 24
+  });
+
+  const defaulted = mapping.apply({ ...row, STAT_CD: 'I', TERM_YRS: '' }, 'line 3');
+  assert.strictEqual(defaulted.active, false);
+  assert.strictEqual(defaulted.defaultSubscriptionTerm, 12);
+});
+
+test('reports the row and field when a value has no lookup entry', () => {
+  const mapping = loadMapping(LEGACY_PRODUCTS);
+  assert.throws(() => mapping.apply({ PROD_NM: 'Widget', PROD_CD: '1', STAT_CD: 'X', DESC_1: '', DESC_2: '', TERM_YRS: '' }, 'line 7'),
+    /mapping\.yaml, line 7: active: no lookup value for 'X'/);
+
+  const fallback = loadMapping("lookup:\n  status:\n    A: Active\n    '*': Draft\n    '': Unknown\n");
+  assert.strictEqual(fallback.apply({ status: 'Z' }, 'line 2').status, 'Draft');
+  assert.strictEqual(fallback.apply({ status: '' }, 'line 3').status, 'Unknown');
+});
+
+test('rejects unknown sections, bad section shapes and unparsable expressions when loading', () => {
+  assert.throws(() => loadMapping('renames:\n  a: b\n'), /unknown section\(s\) renames/);
+  assert.throws(() => loadMapping('drop: DESC_1\n'), /drop must be a list of columns/);
+  assert.throws(() => loadMapping('lookup:\n  active: yes\n'), /lookup for active must be a map/);
+  assert.throws(() => loadMapping("compute:\n  total: \"price * (qty\"\n"), /compute total: expected '\)'/);
+  assert.throws(() => loadMapping("compute:\n  total: \"frobnicate(qty)\"\n"), /unknown function frobnicate\(\)/);
+  assert.throws(() => loadMapping('rename: [a, b]\n'), /rename must be a map/);
+  assert.throws(() => loadMapping('rename:\n  a: b\n  - c\n'), /Cannot read mapping file/);
+});
+
+test('evaluates expressions over a row', () => {
+  const row = { price: '2.5', qty: '4', name: 'widget', 'Unit Name': 'Each', empty: '' };
+  const evaluate = source => new MappingExpression(source).evaluate(row);
+
+  assert.strictEqual(evaluate('price * qty'), 10);
+  assert.strictEqual(evaluate('price + qty'), 6.5);
+  assert.strictEqual(evaluate("name + '-' + qty"), 'widget-4');
+  assert.strictEqual(evaluate('1 + 2 * 3 - 4 % 3'), 6);
+  assert.strictEqual(evaluate('(1 + 2) * 3'), 9);
+  assert.strictEqual(evaluate('qty >= 4 && !(price > 3)'), true);
+  assert.strictEqual(evaluate("qty == '4.0'"), true);
+  assert.strictEqual(evaluate('upper(`Unit Name`)'), 'EACH');
+  assert.strictEqual(evaluate("coalesce(empty, null, 'fallback')"), 'fallback');
+  assert.strictEqual(evaluate('round(price / 3, 2)'), 0.83);
+  assert.strictEqual(evaluate("date('2026-10-05T13:00:00Z')"), '2026-10-05');
+  assert.strictEqual(evaluate("substring(replace(name, 'w', 'g'), 0, 3)"), 'gid');
+
+  assert.throws(() => evaluate('missing + 1'), /unknown column 'missing'/);
+  assert.throws(() => evaluate('name * 2'), /'widget' is not a number/);
+});
+
+test('reads the number of preview rows', () => {
+  assert.strictEqual(ColumnMapping.getPreviewCount(true), 5);
+  assert.strictEqual(ColumnMapping.getPreviewCount('3'), 3);
+  assert.throws(() => ColumnMapping.getPreviewCount('none'), /takes a number of rows/);
+});
+
+test('maps a legacy CSV before the import file and its meta header are written', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-mapping-test-'));
+  try {
+    const mapping = path.join(dir, 'mapping.yaml');
+    const csv = path.join(dir, 'legacy.csv');
+    fs.writeFileSync(mapping, LEGACY_PRODUCTS);
+    fs.writeFileSync(csv, 'PROD_NM,PROD_CD,STAT_CD,DESC_1,DESC_2,TERM_YRS\nWidget,100,A,Large,widget,2\nGadget,200,I,,,\n');
+
+    const jsonl = await FileUtils.convertToJSONL(csv, 'Product', { format: 'csv', mapping }, path.join(dir, 'Product.jsonl'));
+    const [header, ...lines] = fs.readFileSync(jsonl, 'utf8').split('\n');
+    assert.deepStrictEqual(JSON.parse(header), { meta: { objectname: 'product' } });
+    assert.deepStrictEqual(lines.map(line => JSON.parse(line)), [
+      { name: 'Widget', sku: '100', active: true, externalId: 'LEGACY-100', description: 'Large widget', defaultSubscriptionTerm: 24 },
+      { name: 'Gadget', sku: '200', active: false, externalId: 'LEGACY-200', defaultSubscriptionTerm: 12 }
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('previews mapped rows one by one', () => {
+  assert.strictEqual(ColumnMapping.formatPreview([{ name: 'Widget' }, { name: 'Gadget' }]),
+    'Row 1:\n{\n  "name": "Widget"\n}\nRow 2:\n{\n  "name": "Gadget"\n}');
+});
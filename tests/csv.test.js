@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { Csv, CsvParser } = require('../src/utils/csv');
+const FileUtils = require('../src/utils/fileUtils');
+const { Formatter } = require('../src/utils/formatter');
+
+async function readAll(input, options) {
+  const records = [];
+  for await (const record of Csv.read(input, options)) {
+    records.push(record);
+  }
+  return records;
+}
+
+test('reads quoted fields holding delimiters and doubled quotes', () => {
+  const records = Csv.parse('name,description\n"Widget, large","The ""best"" widget"\nGadget,5" screen\n');
+  assert.deepStrictEqual(records, [
+    { name: 'Widget, large', description: 'The "best" widget' },
+    { name: 'Gadget', description: '5" screen' }
+  ]);
+});
+
+test('reads line breaks inside quoted fields and reports the line a record starts on', () => {
+  assert.deepStrictEqual(Csv.parse('a,b\r\n"one\r\ntwo",x\n"three\nfour",y\n'), [
+    { a: 'one\r\ntwo', b: 'x' },
+    { a: 'three\nfour', b: 'y' }
+  ]);
+
+  const parser = new CsvParser();
+  const rows = [...parser.push('a,b\n"one\ntwo",x\nlast,z'), ...parser.end()];
+  assert.deepStrictEqual(rows.map(row => row.line), [1, 2, 4]);
+});
+
+test('ignores a byte order mark in text and in bytes', async () => {
+  assert.deepStrictEqual(Csv.parse('\uFEFFsku,name\nW-1,Widget'), [{ sku: 'W-1', name: 'Widget' }]);
+  assert.deepStrictEqual(Csv.parse(Buffer.from('\uFEFFsku,name\nW-1,Widget')), [{ sku: 'W-1', name: 'Widget' }]);
+  assert.deepStrictEqual(
+    await readAll(Readable.from([Buffer.from([0xEF, 0xBB]), Buffer.from([0xBF]), Buffer.from('sku\nW-1\n')])),
+    [{ sku: 'W-1' }]);
+});
+
+test('streams records split across chunks at any character', async () => {
+  const text = 'name,note\n"a, ""quoted""\nvalue",x\r\nb,y\r\n';
+  const chunks = [...Buffer.from(text)].map(byte => Buffer.from([byte]));
+  assert.deepStrictEqual(await readAll(Readable.from(chunks)), Csv.parse(text));
+});
+
+test('skips blank lines and rejects rows with the wrong number of fields', () => {
+  assert.deepStrictEqual(Csv.parse('a,b\n\n1,2\n\n'), [{ a: '1', b: '2' }]);
+  assert.throws(() => Csv.parse('a,b\n1,2\n3\n'), /Line 3 has 1 field\(s\), the header has 2/);
+  assert.throws(() => Csv.parse('a,a\n1,2\n'), /column 'a' more than once/);
+});
+
+test('rejects an unterminated quoted field and text after a closing quote', () => {
+  assert.throws(() => Csv.parse('a,b\n"open,1\n'), /Unterminated quoted field starting on line 2/);
+  assert.throws(() => Csv.parse('a\n"x"y\n'), /Unexpected "y" after a closing quote on line 2/);
+});
+
+test('accepts named delimiters, another quote character and a legacy encoding', () => {
+  assert.deepStrictEqual(Csv.parse('a;b\n1;2', { delimiter: 'semicolon' }), [{ a: '1', b: '2' }]);
+  assert.deepStrictEqual(Csv.parse("a\tb\n'x\ty'\t2", { delimiter: 'tab', quote: "'" }), [{ a: 'x\ty', b: '2' }]);
+  assert.deepStrictEqual(Csv.parse(Buffer.from([0x6e, 0x0a, 0x43, 0x61, 0x66, 0xe9]), { encoding: 'windows-1252' }), [{ n: 'Café' }]);
+  assert.throws(() => Csv.parse('a,b', { delimiter: '"' }), /delimiter and quote must be different/);
+});
+
+test('converts typed fields of an object type and leaves empty cells null', () => {
+  const [record] = Csv.parse('name,active,decimalScale,roundingMode\nEach, yes ,2,\n', { objectType: 'uom' });
+  assert.deepStrictEqual(record, { name: 'Each', active: true, decimalScale: 2, roundingMode: '' });
+  assert.throws(() => Csv.parse('name,decimalScale\nEach,2.5\n', { objectType: 'uom' }), /decimalScale on line 2: '2.5' is not a whole number/);
+
+  assert.deepStrictEqual(Csv.parse('name,active\nEach, \n', { objectType: 'uom' }), [{ name: 'Each', active: null }]);
+  assert.deepStrictEqual(Csv.coerceValue('{"a":1}', 'json', 'data'), { a: 1 });
+  assert.strictEqual(Csv.coerceValue(' 2026-10-01T05:00:00Z ', 'datetime', 'timestamp'), '2026-10-01T05:00:00Z');
+  assert.throws(() => Csv.coerceValue('yesterday', 'datetime', 'timestamp on line 3'), /timestamp on line 3: 'yesterday' is not a date and time/);
+  assert.throws(() => Csv.parse('name,active\nWidget,maybe\n', { objectType: 'product' }),
+    /active on line 2: 'maybe' is not true or false/);
+});
+
+test('writes values back so they read the same', async () => {
+  const records = [
+    { name: 'Widget, large', note: 'The "best"\nwidget', padded: ' x ', data: { a: 1 }, empty: null },
+    { name: 'Gadget', note: '', padded: 'y', data: [1, 2], empty: undefined }
+  ];
+  const text = Csv.stringify(records);
+  assert.strictEqual(text.split('\n')[0], 'name,note,padded,data,empty');
+  assert.deepStrictEqual(Csv.parse(text), [
+    { name: 'Widget, large', note: 'The "best"\nwidget', padded: ' x ', data: '{"a":1}', empty: '' },
+    { name: 'Gadget', note: '', padded: 'y', data: '[1,2]', empty: '' }
+  ]);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-csv-test-'));
+  try {
+    const file = path.join(dir, 'out.csv');
+    assert.strictEqual(await Csv.writeFile(file, Readable.from(records), { delimiter: 'pipe' }), 2);
+    assert.deepStrictEqual(await readAll(file, { delimiter: 'pipe' }), Csv.parse(text));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('reads import files and writes command output through the same reader and writer', async () => {
+  const records = [{ name: 'Widget, large', note: 'The "best"' }];
+  assert.strictEqual(Formatter.formatCSV(records), Csv.stringify(records));
+  assert.strictEqual(FileUtils.convertToCSV(records), Csv.stringify(records));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-csv-test-'));
+  try {
+    const file = path.join(dir, 'uom.csv');
+    fs.writeFileSync(file, '\uFEFFname;active;decimalScale;unitCode\n"Each; single";yes;2;\n');
+    const imported = [];
+    for await (const record of FileUtils.readImportRecords(file, 'uom', { format: 'csv', delimiter: 'semicolon' })) {
+      imported.push(record);
+    }
+    // Empty cells are left out so the import keeps the current value
+    assert.deepStrictEqual(imported, [{ name: 'Each; single', active: true, decimalScale: 2 }]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
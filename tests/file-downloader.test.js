@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { FileDownloader } = require('../src/clients/file-downloader');
+const { RetryPolicy } = require('../src/clients/retry-policy');
+
+const CONTENT = Buffer.from('{"sku":"W-1"}\n{"sku":"G-1"}\n{"sku":"Z-1"}\n'.repeat(50));
+
+// Serves CONTENT with Range support and a Content-MD5 on full responses; `dropFirst`
+// cuts the first response off halfway like a lost connection
+async function withFileServer(options, callback) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.headers);
+    const range = req.headers.range && req.headers.range.match(/^bytes=(\d+)-$/);
+    if (range) {
+      const start = Number(range[1]);
+      if (start >= CONTENT.length) {
+        res.writeHead(416, { 'Content-Range': `bytes */${CONTENT.length}` });
+        res.end();
+        return;
+      }
+      res.writeHead(206, { 'Content-Range': `bytes ${start}-${CONTENT.length - 1}/${CONTENT.length}`, 'Content-Length': CONTENT.length - start });
+      res.end(CONTENT.subarray(start));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Length': CONTENT.length, 'Content-MD5': crypto.createHash('md5').update(CONTENT).digest('base64') });
+    if (options.dropFirst && requests.length === 1) {
+      // Give the client time to read the first half; a reset discards data it has not read yet
+      res.write(CONTENT.subarray(0, CONTENT.length / 2), () => setTimeout(() => res.destroy(), 100));
+      return;
+    }
+    res.end(CONTENT);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-downloader-test-'));
+  try {
+    const downloader = new FileDownloader({ progress: false, retryPolicy: new RetryPolicy({ retries: 2, baseDelay: 1, onRetry: () => {} }) });
+    await callback({ downloader, url: `http://127.0.0.1:${server.address().port}/export.jsonl`, file: path.join(dir, 'export.jsonl'), requests });
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('downloads a file checked against its Content-MD5 and leaves no .part files', async () => {
+  await withFileServer({}, async ({ downloader, url, file }) => {
+    const result = await downloader.download(url, file);
+    assert.deepStrictEqual(fs.readFileSync(file), CONTENT);
+    assert.strictEqual(result.sha256, crypto.createHash('sha256').update(CONTENT).digest('hex'));
+    assert.strictEqual(result.resumed, false);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['export.jsonl']);
+  });
+});
+
+test('continues a dropped download with a Range request and checks the whole file', async () => {
+  await withFileServer({ dropFirst: true }, async ({ downloader, url, file, requests }) => {
+    const result = await downloader.download(url, file);
+    assert.deepStrictEqual(fs.readFileSync(file), CONTENT);
+    assert.strictEqual(result.resumed, true);
+    assert.strictEqual(requests.length, 2);
+    assert.match(requests[1].range, /^bytes=\d+-$/);
+  });
+});
+
+test('discards a resumed file that does not match the checksum declared when it was started', async () => {
+  await withFileServer({}, async ({ downloader, url, file }) => {
+    // An earlier run received a corrupt first half and recorded the declared checksum
+    fs.writeFileSync(`${file}.part`, Buffer.alloc(CONTENT.length / 2, 'x'));
+    fs.writeFileSync(`${file}.part.checksums`, JSON.stringify({ md5: crypto.createHash('md5').update(CONTENT).digest('hex') }));
+
+    await assert.rejects(downloader.download(url, file), /Checksum mismatch for export.jsonl: expected MD5/);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), []);
+
+    // Nothing is left to resume from, so the next run downloads the file again
+    await downloader.download(url, file);
+    assert.deepStrictEqual(fs.readFileSync(file), CONTENT);
+  });
+});
+
+test('checks a complete .part file the server answers with 416 before renaming it', async () => {
+  await withFileServer({}, async ({ downloader, url, file }) => {
+    fs.writeFileSync(`${file}.part`, Buffer.alloc(CONTENT.length, 'x'));
+    fs.writeFileSync(`${file}.part.checksums`, JSON.stringify({ md5: crypto.createHash('md5').update(CONTENT).digest('hex') }));
+    await assert.rejects(downloader.download(url, file), /Checksum mismatch/);
+    assert.strictEqual(fs.existsSync(file), false);
+
+    fs.writeFileSync(`${file}.part`, CONTENT);
+    fs.writeFileSync(`${file}.part.checksums`, JSON.stringify({ md5: crypto.createHash('md5').update(CONTENT).digest('hex') }));
+    const result = await downloader.download(url, file);
+    assert.strictEqual(result.resumed, true);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['export.jsonl']);
+  });
+});
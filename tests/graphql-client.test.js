@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const GraphQLClient = require('../src/clients/graphql-client');
+const { RetryPolicy } = require('../src/clients/retry-policy');
+
+// A server that fails every other request with 503
+async function withFlakyServer(callback) {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    if (requests % 2 === 1) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end('{"message":"Service Unavailable"}');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"data":{"ok":true}}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const client = new GraphQLClient('platform', {
+      apiKey: 'test-key',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      retryPolicy: new RetryPolicy({ retries: 2, baseDelay: 1, onRetry: () => {} })
+    });
+    await callback(client, () => requests);
+  } finally {
+    server.close();
+  }
+}
+
+test('retries a query that fails with a transient error', async () => {
+  await withFlakyServer(async (client, requests) => {
+    assert.deepStrictEqual(await client.query('query { ok }'), { data: { ok: true } });
+    assert.strictEqual(requests(), 2);
+  });
+});
+
+test('does not retry a mutation without an Idempotency-Key', async () => {
+  await withFlakyServer(async (client, requests) => {
+    await assert.rejects(client.mutation('mutation { touch }'), /GraphQL API Error \(503\)/);
+    assert.strictEqual(requests(), 1);
+
+    // A mutation sent through query() is not read-only either
+    await client.query('query { ok }');
+    await assert.rejects(client.query('mutation { touch }'), /GraphQL API Error \(503\)/);
+    assert.strictEqual(requests(), 3);
+  });
+});
+
+test('retries a mutation that carries an Idempotency-Key', async () => {
+  await withFlakyServer(async (client, requests) => {
+    const headers = { ...client.getHeaders(), 'Idempotency-Key': 'touch-1' };
+    assert.deepStrictEqual(await client.mutation('mutation { touch }', {}, { headers }), { data: { ok: true } });
+    assert.strictEqual(requests(), 2);
+  });
+});
+
+test('sees a mutation behind leading comments', async () => {
+  assert.strictEqual(GraphQLClient.isMutation('# touch the record\nmutation { touch }'), true);
+  assert.strictEqual(GraphQLClient.isMutation('  # query { ok }\r\n  mutation Touch { touch }'), true);
+  assert.strictEqual(GraphQLClient.isMutation('# mutation { touch }\nquery { ok }'), false);
+
+  await withFlakyServer(async (client, requests) => {
+    await assert.rejects(client.query('# no retry\nmutation { touch }'), /GraphQL API Error \(503\)/);
+    assert.strictEqual(requests(), 1);
+  });
+});
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const axios = require('axios');
+const { HttpRecorder } = require('../src/clients/http-recorder');
+
+// Recorded with NUE_RECORD against `nue dev mock-server`: `platform export --object-type product --wait`
+const CASSETTE = path.join(__dirname, 'fixtures', 'http', 'export-product');
+const CLI = path.join(__dirname, '..', 'src', 'index.js');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'nue-recorder-test-'));
+}
+
+// Send a request through a recorder without touching the global axios adapter
+function send(recorder, config) {
+  return axios({ ...config, adapter: requestConfig => recorder.handle(requestConfig, axios) });
+}
+
+test('replays the recorded export against another host, without network access', () => {
+  const cwd = tempDir();
+  try {
+    const result = spawnSync(process.execPath, [CLI, '--api-url', 'http://replay.invalid',
+      'platform', 'export', '--object-type', 'product', '--wait', '--output', 'product.jsonl'], {
+      cwd,
+      encoding: 'utf8',
+      timeout: 60000,
+      env: { ...process.env, NUE_REPLAY: CASSETTE, NUE_RECORD: '', NUE_API_KEY: 'replay-key', NUE_CONFIG_DIR: path.join(cwd, '.nue') }
+    });
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const lines = fs.readFileSync(path.join(cwd, 'product.jsonl'), 'utf8').trim().split('\n');
+    assert.deepStrictEqual(lines.slice(1).map(line => JSON.parse(line).sku), ['W-1', 'G-1', 'Z-1']);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+test('the recorded cassette holds no API keys', () => {
+  fs.readdirSync(CASSETTE).forEach(file => {
+    const { request } = JSON.parse(fs.readFileSync(path.join(CASSETTE, file), 'utf8'));
+    if (request.headers['nue-api-key'] !== undefined) {
+      assert.strictEqual(request.headers['nue-api-key'], '[REDACTED]', file);
+    }
+  });
+});
+
+test('redacts secret headers and query parameters when recording', async () => {
+  const dir = tempDir();
+  try {
+    const transport = async () => ({
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-type': 'application/json', 'set-cookie-token': 'session-s3cret' },
+      data: '{"ok":true}'
+    });
+    const recorder = new HttpRecorder('record', dir, transport);
+    const response = await send(recorder, {
+      method: 'get',
+      url: 'https://tenant.example.com/v1/items?api_key=s3cret&limit=5',
+      headers: { 'nue-api-key': 's3cret', Authorization: 'Bearer s3cret' }
+    });
+    assert.deepStrictEqual(response.data, { ok: true });
+
+    const [file] = fs.readdirSync(dir);
+    const content = fs.readFileSync(path.join(dir, file), 'utf8');
+    assert.ok(!content.includes('s3cret'), content);
+
+    const fixture = JSON.parse(content);
+    assert.strictEqual(fixture.request.headers['nue-api-key'], '[REDACTED]');
+    assert.strictEqual(fixture.request.headers.Authorization, '[REDACTED]');
+    assert.deepStrictEqual(fixture.request.query, { api_key: '[REDACTED]', limit: '5' });
+    assert.strictEqual(fixture.responses[0].headers['set-cookie-token'], '[REDACTED]');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('matches requests by method, path, query and body, not host or query order', async () => {
+  const dir = tempDir();
+  try {
+    let calls = 0;
+    const transport = async () => ({ status: 200, statusText: 'OK', headers: {}, data: JSON.stringify({ call: ++calls }) });
+    const recording = new HttpRecorder('record', dir, transport);
+    await send(recording, { method: 'post', url: 'https://a.example.com/jobs?b=2&a=1', data: { name: 'first' } });
+    await send(recording, { method: 'post', url: 'https://a.example.com/jobs?b=2&a=1', data: { name: 'first' } });
+
+    const replaying = new HttpRecorder('replay', dir, null);
+    const request = { method: 'post', url: 'http://localhost:4010/jobs?a=1&b=2', data: { name: 'first' } };
+    // Repeated requests get the recorded responses in order, then the last one again
+    assert.deepStrictEqual((await send(replaying, request)).data, { call: 1 });
+    assert.deepStrictEqual((await send(replaying, request)).data, { call: 2 });
+    assert.deepStrictEqual((await send(replaying, request)).data, { call: 2 });
+
+    await assert.rejects(send(replaying, { ...request, data: { name: 'second' } }), { code: 'ERR_NUE_REPLAY_MISS' });
+    await assert.rejects(send(replaying, { ...request, method: 'put' }), { code: 'ERR_NUE_REPLAY_MISS' });
+    await assert.rejects(send(replaying, { ...request, url: 'http://localhost:4010/jobs?a=1' }), { code: 'ERR_NUE_REPLAY_MISS' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('replays error statuses as axios errors', async () => {
+  const dir = tempDir();
+  try {
+    const transport = async () => ({ status: 404, statusText: 'Not Found', headers: {}, data: '{"message":"Not found"}' });
+    await send(new HttpRecorder('record', dir, transport), { method: 'get', url: 'https://a.example.com/missing' })
+      .catch(() => {});
+
+    await assert.rejects(send(new HttpRecorder('replay', dir, null), { method: 'get', url: 'https://b.example.com/missing' }),
+      error => error.response.status === 404 && error.response.data.message === 'Not found');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
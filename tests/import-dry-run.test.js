@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ImportDryRun } = require('../src/services/import-dry-run');
+
+// A GraphQL endpoint holding the given records of one object, recording each query
+function createApiClient(objectName, records) {
+  const queries = [];
+  return {
+    queries,
+    post: async (endpoint, { query }) => {
+      queries.push(query);
+      return { data: { [objectName]: records } };
+    }
+  };
+}
+
+function writeImportFile(name, records) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-dry-run-test-'));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+  return { file, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('selects and compares only the known scalar fields of the object type', async () => {
+  const { file, cleanup } = writeImportFile('PriceBook.jsonl', [
+    { id: 'pb-1', name: 'Standard', currency: 'USD', lastModifiedDate: '2026-10-01', tenantNotes: 'x', settings: { a: 1 } },
+    { id: 'pb-2', name: 'Partner', currency: 'EUR' },
+    { id: 'pb-3', name: 'New' }
+  ]);
+  try {
+    const apiClient = createApiClient('PriceBook', [
+      { id: 'pb-1', name: 'Standard', currency: 'USD' },
+      { id: 'pb-2', name: 'Partners', currency: 'EUR' }
+    ]);
+    const plan = await ImportDryRun.plan([file], apiClient);
+
+    assert.strictEqual(apiClient.queries.length, 1);
+    const selection = apiClient.queries[0].split('{').pop().split('}')[0].trim().split(/\s+/);
+    assert.deepStrictEqual(selection, ['id', 'name', 'currency']);
+
+    const [priceBooks] = plan.objects;
+    assert.deepStrictEqual(priceBooks.insert.map(item => item.record.id), ['pb-3']);
+    assert.deepStrictEqual(priceBooks.update.map(item => item.changes), [[{ field: 'name', current: 'Partners', imported: 'Partner' }]]);
+    assert.strictEqual(priceBooks.unchanged, 1);
+    assert.deepStrictEqual(priceBooks.notCompared, ['tenantNotes', 'settings']);
+    assert.match(ImportDryRun.format(plan), /Not compared \(not known fields of PriceBook\): tenantNotes, settings/);
+  } finally {
+    cleanup();
+  }
+});
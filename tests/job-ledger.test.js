@@ -0,0 +1,86 @@
+const { test, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-ledger-test-'));
+process.env.NUE_CONFIG_DIR = configDir;
+
+const JobLedger = require('../src/utils/jobLedger');
+
+beforeEach(() => fs.rmSync(JobLedger.getDir(), { recursive: true, force: true }));
+after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+// Record a job as if it had been started at the given time
+function recordAt(startedAt, entry) {
+  const recorded = JobLedger.record(entry);
+  return JobLedger.write({ ...recorded, startedAt });
+}
+
+test('records a job without secrets and with its API root', () => {
+  const entry = JobLedger.record({
+    jobId: 'job-1',
+    kind: 'import',
+    command: 'platform import',
+    connection: { environment: 'sandbox', profile: 'uat' },
+    objectTypes: ['product', null],
+    inputFiles: ['Product.jsonl'],
+    options: { apiKey: 'secret-123', sandbox: true, wait: true, objects: ['a'], file: 'Product.jsonl' }
+  });
+
+  assert.deepStrictEqual(JobLedger.get('job-1'), entry);
+  assert.strictEqual(entry.environment, 'sandbox');
+  assert.strictEqual(entry.profile, 'uat');
+  assert.strictEqual(entry.baseUrl, 'https://api.sandbox.nue.io');
+  assert.deepStrictEqual(entry.objectTypes, ['product']);
+  assert.deepStrictEqual(entry.inputFiles, [path.resolve('Product.jsonl')]);
+  assert.deepStrictEqual(entry.options, { sandbox: true, wait: true, file: 'Product.jsonl' });
+  assert.strictEqual(entry.state, 'processing');
+  assert.strictEqual(JobLedger.record({ kind: 'import' }), null);
+});
+
+test('keeps job IDs from escaping the ledger directory', () => {
+  assert.strictEqual(path.dirname(JobLedger.getFile('../../etc/passwd')), JobLedger.getDir());
+});
+
+test('tracks completion, downloads and checkpoints, and ignores jobs it did not start', () => {
+  JobLedger.record({ jobId: 'job-2', kind: 'export', command: 'platform export' });
+
+  JobLedger.checkpoint('job-2', { phase: 'downloading', downloadedObjects: ['Product'] });
+  assert.strictEqual(JobLedger.findResumable({ command: 'platform export' }).jobId, 'job-2');
+  assert.strictEqual(JobLedger.findResumable({ command: 'platform import' }), null);
+
+  JobLedger.addDownloads('job-2', ['a.jsonl', { path: 'b.jsonl', sha256: 'abc' }, 'a.jsonl']);
+  JobLedger.complete('job-2', 'Completed', 'completed');
+  JobLedger.clearCheckpoint('job-2');
+
+  const entry = JobLedger.get('job-2');
+  assert.deepStrictEqual(entry.downloadedFiles, [path.resolve('a.jsonl'), path.resolve('b.jsonl')]);
+  assert.deepStrictEqual(entry.checksums, { [path.resolve('b.jsonl')]: 'abc' });
+  assert.strictEqual(entry.state, 'completed');
+  assert.ok(entry.endedAt);
+  assert.strictEqual(entry.checkpoint, undefined);
+  assert.strictEqual(JobLedger.findResumable(), null);
+
+  assert.strictEqual(JobLedger.complete('unknown-job', 'Completed', 'completed'), null);
+  assert.strictEqual(fs.existsSync(JobLedger.getFile('unknown-job')), false);
+});
+
+test('lists jobs newest first, filtered', () => {
+  recordAt('2026-10-01T00:00:00.000Z', { jobId: 'old', kind: 'export', objectTypes: ['Product'] });
+  recordAt('2026-10-03T00:00:00.000Z', { jobId: 'new', kind: 'import', objectTypes: ['uom'], connection: { profile: 'uat' } });
+  recordAt('2026-10-02T00:00:00.000Z', { jobId: 'mid', kind: 'export', options: { sandbox: true } });
+  JobLedger.complete('mid', 'Failed', 'failed');
+
+  const ids = filters => JobLedger.list(filters).map(entry => entry.jobId);
+  assert.deepStrictEqual(ids(), ['new', 'mid', 'old']);
+  assert.deepStrictEqual(ids({ kind: 'export' }), ['mid', 'old']);
+  assert.deepStrictEqual(ids({ state: 'FAILED' }), ['mid']);
+  assert.deepStrictEqual(ids({ objectType: 'product' }), ['old']);
+  assert.deepStrictEqual(ids({ environment: 'sandbox' }), ['mid']);
+  assert.deepStrictEqual(ids({ profile: 'uat' }), ['new']);
+  assert.deepStrictEqual(ids({ since: '2026-10-02' }), ['new', 'mid']);
+  assert.deepStrictEqual(ids({ limit: 1 }), ['new']);
+  assert.throws(() => JobLedger.list({ since: 'last week' }), /Invalid date 'last week'/);
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-wait-test-'));
+process.env.NUE_CONFIG_DIR = configDir;
+
+const ExportMetadataCommand = require('../src/commands/platform/metadata/export');
+const ImportMetadataCommand = require('../src/commands/platform/metadata/import');
+
+let log;
+before(() => {
+  // Keep the progress output of the commands out of the test report
+  log = console.log;
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = log;
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+// An API client answering status requests from a list; an Error entry is thrown
+function createApiClient(responses) {
+  const calls = [];
+  return {
+    calls,
+    get: async endpoint => {
+      calls.push(endpoint);
+      const response = responses[Math.min(calls.length, responses.length) - 1];
+      if (response instanceof Error) {
+        throw response;
+      }
+      return response;
+    }
+  };
+}
+
+function withoutSleep(command) {
+  command.sleep = async () => {};
+  return command;
+}
+
+test('export keeps polling through status request errors', async () => {
+  const apiClient = createApiClient([new Error('socket hang up'), { status: 'Processing' }, { status: 'Completed', objects: [] }]);
+  await withoutSleep(new ExportMetadataCommand()).waitForJobCompletion('job-1', apiClient, {});
+  assert.strictEqual(apiClient.calls.length, 3);
+});
+
+test('export stops at the first error while downloading the results', async () => {
+  const apiClient = createApiClient([{ status: 'Completed', objects: [{ name: 'Product', status: 'Completed', fileUrls: ['x'] }] }]);
+  const command = withoutSleep(new ExportMetadataCommand());
+  command.downloadJobResults = async () => {
+    throw new Error('ENOSPC: no space left on device');
+  };
+  await assert.rejects(command.waitForJobCompletion('job-2', apiClient, {}), /ENOSPC/);
+  assert.strictEqual(apiClient.calls.length, 1);
+});
+
+test('export and import give up when the status cannot be read before the deadline', async () => {
+  const realNow = Date.now;
+  let now = realNow();
+  Date.now = () => (now += 600000);
+  try {
+    const failing = () => createApiClient([new Error('socket hang up')]);
+    await assert.rejects(withoutSleep(new ExportMetadataCommand()).waitForJobCompletion('job-3', failing(), {}), /Job job-3 timed out/);
+    await assert.rejects(withoutSleep(new ImportMetadataCommand()).waitForJobCompletion('job-4', failing(), {}), /Import job job-4 timed out/);
+  } finally {
+    Date.now = realNow;
+  }
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { JsonPatch } = require('../src/services/json-patch');
+
+const customer = () => ({
+  name: 'Acme',
+  billingAddress: { city: 'Berlin', street: 'Main 1' },
+  tags: ['a', 'b'],
+  'a/b': 1,
+  'm~n': 2
+});
+
+test('recognizes patches', () => {
+  assert.strictEqual(JsonPatch.isPatch([{ op: 'add', path: '/a', value: 1 }]), true);
+  assert.strictEqual(JsonPatch.isPatch([]), true);
+  assert.strictEqual(JsonPatch.isPatch({ op: 'add' }), false);
+  assert.strictEqual(JsonPatch.isPatch([{ path: '/a' }]), false);
+  assert.strictEqual(JsonPatch.isPatch(['add']), false);
+});
+
+test('applies add, remove and replace without changing the original', () => {
+  const original = customer();
+  const patched = JsonPatch.apply(original, [
+    { op: 'replace', path: '/billingAddress/city', value: 'Paris' },
+    { op: 'remove', path: '/billingAddress/street' },
+    { op: 'add', path: '/tags/-', value: 'c' },
+    { op: 'add', path: '/tags/0', value: 'first' },
+    { op: 'remove', path: '/tags/1' },
+    { op: 'add', path: '/email', value: 'billing@acme.test' }
+  ]);
+
+  assert.deepStrictEqual(patched.billingAddress, { city: 'Paris' });
+  assert.deepStrictEqual(patched.tags, ['first', 'b', 'c']);
+  assert.strictEqual(patched.email, 'billing@acme.test');
+  assert.deepStrictEqual(original, customer());
+});
+
+test('applies move, copy and test', () => {
+  const patched = JsonPatch.apply(customer(), [
+    { op: 'test', path: '/billingAddress', value: { street: 'Main 1', city: 'Berlin' } },
+    { op: 'copy', from: '/billingAddress', path: '/shippingAddress' },
+    { op: 'move', from: '/name', path: '/displayName' },
+    { op: 'replace', path: '/shippingAddress/city', value: 'Rome' }
+  ]);
+
+  assert.strictEqual(patched.name, undefined);
+  assert.strictEqual(patched.displayName, 'Acme');
+  assert.strictEqual(patched.billingAddress.city, 'Berlin');
+  assert.strictEqual(patched.shippingAddress.city, 'Rome');
+});
+
+test('unescapes ~1 and ~0 in paths', () => {
+  const patched = JsonPatch.apply(customer(), [
+    { op: 'replace', path: '/a~1b', value: 10 },
+    { op: 'remove', path: '/m~0n' }
+  ]);
+  assert.strictEqual(patched['a/b'], 10);
+  assert.strictEqual('m~n' in patched, false);
+});
+
+test('replaces the whole document with an empty path', () => {
+  assert.deepStrictEqual(JsonPatch.apply(customer(), [{ op: 'replace', path: '', value: { name: 'New' } }]), { name: 'New' });
+});
+
+test('names the operation that cannot be applied', () => {
+  const fails = (operations, message) => assert.throws(() => JsonPatch.apply(customer(), operations), message);
+
+  fails([{ op: 'add', path: '/name', value: 'x' }, { op: 'replace', path: '/phone', value: '1' }],
+    /Patch operation 2 \(replace \/phone\): path does not exist/);
+  fails([{ op: 'remove', path: '/billingAddress/zip' }], /path does not exist/);
+  fails([{ op: 'add', path: '/missing/city', value: 'x' }], /path does not exist/);
+  fails([{ op: 'add', path: '/tags/5', value: 'x' }], /invalid array index '5'/);
+  fails([{ op: 'add', path: '/name/first', value: 'x' }], /parent is not an object or array/);
+  fails([{ op: 'add', path: 'name', value: 'x' }], /invalid path 'name'; paths start with \//);
+  fails([{ op: 'add', path: '/name' }], /value is required/);
+  fails([{ op: 'remove', path: '' }], /cannot remove the whole document/);
+  fails([{ op: 'merge', path: '/name' }], /unknown operation 'merge'/);
+  fails([{ op: 'test', path: '/name', value: 'Other' }], /value is "Acme", not "Other"/);
+  fails([{ op: 'test', path: '/tags', value: ['b', 'a'] }], /value is \["a","b"\]/);
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockServer } = require('../src/services/mock-server');
+
+const CLI = path.join(__dirname, '..', 'src', 'index.js');
+
+let server;
+let url;
+before(async () => {
+  server = new MockServer({ port: 0, jobDuration: 0 });
+  server.seed({ product: [{ id: 'p-1', name: 'Widget', sku: 'W-1' }, { id: 'p-2', name: 'Gadget', sku: 'G-1' }] });
+  url = await server.start();
+});
+
+after(() => server.stop());
+
+// Run the CLI against the mock server in a scratch directory holding `files`, with its own ~/.nue
+async function runCli(args, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-mock-test-'));
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(dir, name), content));
+  const env = { ...process.env, NUE_CONFIG_DIR: path.join(dir, '.nue'), NUE_API_KEY: 'mock-key-123456', NUE_API_URL: url };
+  delete env.NUE_PROFILE;
+  const result = await new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { cwd: dir, env, timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+  const jobsDir = path.join(dir, '.nue', 'jobs');
+  const jobs = fs.existsSync(jobsDir)
+    ? fs.readdirSync(jobsDir).map(file => JSON.parse(fs.readFileSync(path.join(jobsDir, file), 'utf8')))
+    : [];
+  return { ...result, dir, jobs, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('keeps jobs processing for the job duration and requires an API key', async () => {
+  const slow = new MockServer({ port: 0, jobDuration: 60000 });
+  const slowUrl = await slow.start();
+  try {
+    const headers = { 'Content-Type': 'application/json', 'nue-api-key': 'mock-key' };
+    assert.strictEqual((await fetch(`${slowUrl}/cpq/async/exports`, { method: 'POST', body: '{}' })).status, 401);
+
+    const created = await (await fetch(`${slowUrl}/cpq/async/exports`, { method: 'POST', headers, body: JSON.stringify({ query: '{ Product { id } }' }) })).json();
+    const status = await (await fetch(`${slowUrl}/cpq/async/exports/${created.jobId}`, { headers })).json();
+    assert.strictEqual(status.status, 'Processing');
+  } finally {
+    await slow.stop();
+  }
+});
+
+test('exports and downloads the seeded records, and records the job as completed', async () => {
+  const run = await runCli(['platform', 'export', '--object-type', 'product', '--wait', '--output', 'product.jsonl']);
+  try {
+    assert.strictEqual(run.code, 0, run.stderr);
+    const [header, ...lines] = fs.readFileSync(path.join(run.dir, 'product.jsonl'), 'utf8').trim().split('\n');
+    assert.deepStrictEqual(JSON.parse(header), { meta_objectName: 'Product' });
+    assert.deepStrictEqual(lines.map(line => JSON.parse(line).sku).sort(), ['G-1', 'W-1']);
+
+    assert.strictEqual(run.jobs.length, 1);
+    assert.strictEqual(run.jobs[0].kind, 'export');
+    assert.strictEqual(run.jobs[0].state, 'completed');
+    assert.strictEqual(run.jobs[0].baseUrl, url);
+  } finally {
+    run.cleanup();
+  }
+});
+
+test('imports a file, applies the accepted records and saves the rejected ones', async () => {
+  const run = await runCli(['platform', 'import', '--file', 'Product.jsonl', '--object-type', 'product'], {
+    'Product.jsonl': '{"meta": {"objectname": "product"}}\n{"name":"Gizmo","sku":"Z-1"}\n{"sku":"NONAME"}\n'
+  });
+  try {
+    assert.strictEqual(run.code, 0, run.stderr);
+    assert.match(run.stdout, /partial success/);
+    assert.ok([...server.getCollection('product').values()].some(record => record.sku === 'Z-1'));
+
+    const failures = fs.readFileSync(path.join(run.dir, 'failures.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(failures.slice(1).map(record => record.sku), ['NONAME']);
+    assert.match(failures[1].meta_error, /REQUIRED_FIELD_MISSING/);
+
+    assert.strictEqual(run.jobs.length, 1);
+    assert.strictEqual(run.jobs[0].kind, 'import');
+    assert.strictEqual(run.jobs[0].state, 'partial');
+  } finally {
+    run.cleanup();
+  }
+});
+
+test('merges the parts of an object written to stdout into one file with --merge-parts', async () => {
+  const parted = new MockServer({ port: 0, jobDuration: 0, exportPartSize: 1 });
+  parted.seed({ product: [{ name: 'Widget', sku: 'W-1' }, { name: 'Gadget', sku: 'G-1' }, { name: 'Gizmo', sku: 'Z-1' }] });
+  const partedUrl = await parted.start();
+  try {
+    const exported = async args => {
+      const run = await runCli(['--api-url', partedUrl, 'platform', 'export', '--object-type', 'product', '--wait', ...args]);
+      run.cleanup();
+      assert.strictEqual(run.code, 0, run.stderr);
+      // Progress messages share stdout with the data; keep the JSON lines
+      return run.stdout.split('\n').filter(line => line.startsWith('{')).map(line => JSON.parse(line));
+    };
+
+    const merged = await exported(['--merge-parts']);
+    assert.deepStrictEqual(merged[0], { meta_objectName: 'Product' });
+    assert.deepStrictEqual(merged.slice(1).map(record => record.sku), ['W-1', 'G-1', 'Z-1']);
+
+    const parts = await exported([]);
+    assert.strictEqual(parts.filter(line => line.meta_objectName).length, 3);
+  } finally {
+    await parted.stop();
+  }
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ProfileManager } = require('../src/services/profile-manager');
+
+// An in-memory stand-in for ConfigStore
+function createStore(config = {}) {
+  return {
+    load: () => JSON.parse(JSON.stringify(config)),
+    update: mutator => mutator(config),
+    getConfigFile: () => 'config.json'
+  };
+}
+
+function createManager() {
+  const manager = new ProfileManager(createStore());
+  manager.addProfile('prod', { apiKey: 'prod-key-1234', format: 'json' });
+  manager.addProfile('uat', { apiKey: 'uat-key-12345', environment: 'sandbox', baseUrl: 'https://uat.example.com/' });
+  return manager;
+}
+
+test('uses the active profile and its environment', () => {
+  const manager = createManager();
+  assert.strictEqual(manager.resolve().profile, 'prod');
+
+  manager.useProfile('uat');
+  const connection = manager.resolve();
+  assert.strictEqual(connection.profile, 'uat');
+  assert.strictEqual(connection.environment, 'sandbox');
+  assert.strictEqual(connection.sandbox, true);
+  assert.strictEqual(connection.apiKey, 'uat-key-12345');
+  assert.strictEqual(connection.baseUrl, 'https://uat.example.com');
+  assert.strictEqual(manager.resolve({ sandbox: true }).profile, 'uat');
+});
+
+test('refuses --sandbox with a production profile instead of dropping the profile', () => {
+  const manager = createManager();
+  assert.throws(() => manager.resolve({ sandbox: true }), /--sandbox conflicts with profile 'prod', which is a production profile/);
+  assert.throws(() => manager.resolve({ sandbox: true, profile: 'prod' }), /--sandbox conflicts/);
+  assert.strictEqual(manager.resolve({ sandbox: true, profile: 'uat' }).profile, 'uat');
+});
+
+test('ignores every profile with ignoreProfiles', () => {
+  const connection = createManager().resolve({ sandbox: true, profile: 'prod', ignoreProfiles: true });
+  assert.strictEqual(connection.profile, null);
+  assert.strictEqual(connection.environment, 'sandbox');
+  assert.strictEqual(connection.format, null);
+});
+
+test('rejects unknown formats, environments and profiles', () => {
+  const manager = createManager();
+  assert.throws(() => manager.addProfile('eu', { apiKey: 'eu-key-123456', format: 'yaml' }), /Invalid format 'yaml'/);
+  assert.throws(() => manager.addProfile('eu', { apiKey: 'eu-key-123456', environment: 'staging' }), /Invalid environment 'staging'/);
+  assert.throws(() => manager.resolve({ profile: 'missing' }), /Profile 'missing' does not exist/);
+});
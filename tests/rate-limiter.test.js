@@ -0,0 +1,78 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-limiter-test-'));
+process.env.NUE_CONFIG_DIR = configDir;
+
+const { RateLimiter } = require('../src/clients/rate-limiter');
+
+after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+// A request that stays in flight until release() is called
+function createRequest(log, name) {
+  let release;
+  const done = new Promise(resolve => {
+    release = resolve;
+  });
+  const fn = async () => {
+    log.push(name);
+    await done;
+    return name;
+  };
+  return { fn, release: () => release() };
+}
+
+test('caps the requests in flight and starts waiting ones in order', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 0, maxInFlight: 2 });
+  const started = [];
+  const requests = ['a', 'b', 'c', 'd'].map(name => createRequest(started, name));
+  const results = requests.map(request => limiter.schedule(request.fn));
+
+  await new Promise(setImmediate);
+  assert.deepStrictEqual(started, ['a', 'b']);
+  assert.strictEqual(limiter.inFlight, 2);
+
+  requests[1].release();
+  await new Promise(setImmediate);
+  assert.deepStrictEqual(started, ['a', 'b', 'c']);
+
+  requests.forEach(request => request.release());
+  assert.deepStrictEqual(await Promise.all(results), ['a', 'b', 'c', 'd']);
+  assert.strictEqual(limiter.inFlight, 0);
+});
+
+test('frees the slot of a request that fails', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 0, maxInFlight: 1 });
+  await assert.rejects(limiter.schedule(async () => {
+    throw new Error('socket hang up');
+  }), /socket hang up/);
+  assert.strictEqual(await limiter.schedule(async () => 'next'), 'next');
+  assert.strictEqual(limiter.inFlight, 0);
+});
+
+test('starts no more than requestsPerSecond requests a second after the burst', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 20, maxInFlight: 0, burst: 2 });
+  const startedAt = [];
+  const begin = Date.now();
+  await Promise.all(Array.from({ length: 6 }, () => limiter.schedule(async () => startedAt.push(Date.now() - begin))));
+
+  // Two at once, then one every 50 ms
+  assert.ok(startedAt[1] < 40, `burst started at ${startedAt[1]} ms`);
+  assert.ok(startedAt[5] >= 180, `sixth request started at ${startedAt[5]} ms`);
+});
+
+test('shares one limiter per environment and applies the command-line overrides', () => {
+  assert.strictEqual(RateLimiter.forEnvironment('sandbox'), RateLimiter.forEnvironment('sandbox'));
+  assert.notStrictEqual(RateLimiter.forEnvironment('sandbox'), RateLimiter.forEnvironment('production'));
+
+  RateLimiter.configure({ requestsPerSecond: '2', maxInFlight: '1' });
+  const limiter = RateLimiter.forEnvironment('sandbox');
+  assert.strictEqual(limiter.requestsPerSecond, 2);
+  assert.strictEqual(limiter.maxInFlight, 1);
+
+  assert.throws(() => RateLimiter.configure({ requestsPerSecond: '-1' }), /--rate-limit must be a non-negative number/);
+  assert.throws(() => RateLimiter.configure({ maxInFlight: '1.5' }), /--max-in-flight must be a non-negative integer/);
+});
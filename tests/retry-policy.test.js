@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RetryPolicy } = require('../src/clients/retry-policy');
+
+// A policy that records its waits instead of sleeping
+function createPolicy(settings = {}) {
+  const events = { retries: [], givenUp: [] };
+  const policy = new RetryPolicy({
+    retries: 3,
+    baseDelay: 1,
+    maxDelay: 30000,
+    onRetry: event => events.retries.push(event.delay),
+    onGiveUp: event => events.givenUp.push(event.delay),
+    ...settings
+  });
+  policy.sleep = async () => {};
+  return { policy, events };
+}
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+// A request function failing with the given errors, then succeeding
+function failing(...errors) {
+  let calls = 0;
+  const fn = async () => {
+    if (calls < errors.length) {
+      throw errors[calls++];
+    }
+    calls++;
+    return 'ok';
+  };
+  fn.calls = () => calls;
+  return fn;
+}
+
+test('waits as long as Retry-After asks', async () => {
+  const { policy, events } = createPolicy();
+  const fn = failing(httpError(429, { 'retry-after': '20' }));
+  assert.strictEqual(await policy.execute(fn), 'ok');
+  assert.deepStrictEqual(events.retries, [20000]);
+});
+
+test('stops retrying when Retry-After is longer than maxDelay and reports the wait', async () => {
+  const { policy, events } = createPolicy({ maxDelay: 5000 });
+  const fn = failing(httpError(503, { 'Retry-After': '120' }));
+  await assert.rejects(policy.execute(fn), error => error.retryAfter === 120000);
+  assert.strictEqual(fn.calls(), 1);
+  assert.deepStrictEqual(events.retries, []);
+  assert.deepStrictEqual(events.givenUp, [120000]);
+});
+
+test('caps the computed backoff at maxDelay', () => {
+  const { policy } = createPolicy({ baseDelay: 1000, maxDelay: 1500 });
+  for (let attempt = 1; attempt <= 6; attempt++) {
+    assert.ok(policy.getDelay(attempt, new Error('socket hang up')) < 1500);
+  }
+});
+
+test('retries a POST only with an Idempotency-Key', async () => {
+  const { policy } = createPolicy();
+  const reset = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+  const plain = failing(reset());
+  await assert.rejects(policy.execute(plain, { method: 'POST', headers: {} }), /socket hang up/);
+  assert.strictEqual(plain.calls(), 1);
+
+  const keyed = failing(reset());
+  assert.strictEqual(await policy.execute(keyed, { method: 'POST', headers: { 'idempotency-key': 'k1' } }), 'ok');
+  assert.strictEqual(keyed.calls(), 2);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { UsageAggregator } = require('../src/services/usage-aggregator');
+
+const event = (timestamp, quantity, fields = {}) => ({ customerId: 'C1', subscriptionId: 'S1', uom: 'Call', timestamp, quantity, ...fields });
+
+test('rolls events up per day and group, in the order groups were first seen', () => {
+  const aggregator = new UsageAggregator({ aggregate: 'daily' });
+  aggregator.add(event('2026-10-01T05:10:00Z', 2));
+  aggregator.add(event('2026-10-01T23:59:59Z', 3, { uom: 'GB' }));
+  aggregator.add(event('2026-10-01T18:00:00Z', 5));
+  aggregator.add(event('2026-10-02T00:00:00Z', 1));
+
+  assert.deepStrictEqual(aggregator.getAggregates(), [
+    { record: { customerId: 'C1', subscriptionId: 'S1', uom: 'Call', quantity: 7, timestamp: '2026-10-01T00:00:00.000Z' }, events: 2 },
+    { record: { customerId: 'C1', subscriptionId: 'S1', uom: 'GB', quantity: 3, timestamp: '2026-10-01T00:00:00.000Z' }, events: 1 },
+    { record: { customerId: 'C1', subscriptionId: 'S1', uom: 'Call', quantity: 1, timestamp: '2026-10-02T00:00:00.000Z' }, events: 1 }
+  ]);
+  assert.strictEqual(aggregator.events, 4);
+});
+
+test('rolls events up per UTC hour', () => {
+  const aggregator = new UsageAggregator({ aggregate: 'hourly', groupBy: 'subscriptionId' });
+  aggregator.add(event('2026-10-01T05:10:00Z', 1));
+  aggregator.add(event('2026-10-01T07:59:00+02:00', 1));
+  aggregator.add(event('2026-10-01T06:00:00Z', 1));
+
+  assert.deepStrictEqual(aggregator.getAggregates().map(({ record, events }) => [record.timestamp, events]), [
+    ['2026-10-01T05:00:00.000Z', 2],
+    ['2026-10-01T06:00:00.000Z', 1]
+  ]);
+});
+
+test('drops the fields it does not group by and groups by properties', () => {
+  const aggregator = new UsageAggregator({ aggregate: 'daily', groupBy: 'customerId,properties.region' });
+  aggregator.add(event('2026-10-01T01:00:00Z', 1, { name: 'a', properties: { region: 'eu', host: 'h1' } }));
+  aggregator.add(event('2026-10-01T02:00:00Z', 1, { name: 'b', properties: { region: 'eu', host: 'h2' } }));
+  aggregator.add(event('2026-10-01T03:00:00Z', 1, { subscriptionId: 'S2' }));
+
+  assert.deepStrictEqual(aggregator.getAggregates().map(item => item.record), [
+    { customerId: 'C1', properties: { region: 'eu' }, quantity: 2, timestamp: '2026-10-01T00:00:00.000Z' },
+    { customerId: 'C1', quantity: 1, timestamp: '2026-10-01T00:00:00.000Z' }
+  ]);
+});
+
+test('sums decimal quantities without floating point noise', () => {
+  const aggregator = new UsageAggregator({ aggregate: 'daily' });
+  [0.1, 0.2, 0.0001, 1e-7].forEach(quantity => aggregator.add(event('2026-10-01T00:00:00Z', quantity)));
+  assert.strictEqual(aggregator.getAggregates()[0].record.quantity, 0.3001001);
+  assert.strictEqual(UsageAggregator.countDecimals(12), 0);
+  assert.strictEqual(UsageAggregator.countDecimals(1.25e-5), 7);
+  assert.strictEqual(UsageAggregator.countDecimals(1.5e3), 0);
+});
+
+test('rejects unknown periods and group-by fields', () => {
+  assert.throws(() => new UsageAggregator({ aggregate: 'weekly' }), /Invalid --aggregate 'weekly'/);
+  assert.throws(() => new UsageAggregator({ aggregate: 'daily', groupBy: 'customerId,quantity' }), /Cannot group usage by 'quantity'/);
+  assert.throws(() => new UsageAggregator({ aggregate: 'daily', groupBy: 'customerId,color' }), /Cannot group usage by 'color'/);
+  assert.throws(() => new UsageAggregator({ aggregate: 'daily', groupBy: 'uom' }), /must include customerId or subscriptionId/);
+});
+
+test('reconciles the raw events with the aggregates', () => {
+  const aggregator = new UsageAggregator({ aggregate: 'daily' });
+  aggregator.add(event('2026-10-01T01:00:00Z', 2));
+  aggregator.add(event('2026-10-01T02:00:00Z', 3));
+  aggregator.add(event('2026-10-02T01:00:00Z', 4));
+  const aggregates = aggregator.getAggregates().map((item, index) => ({ ...item, position: index + 1, status: ['uploaded', 'rejected'][index] }));
+
+  const report = aggregator.formatReport(aggregates, { read: 4, invalid: 1 }).replace(/\x1b\[[0-9;]*m/g, '');
+  assert.match(report, /Raw events: {2}4 read, 1 invalid, 3 aggregated \(quantity 9\)/);
+  assert.match(report, /Aggregates: {2}2 \(quantity 9\): 1 \(2 event\(s\)\) uploaded, 0 \(0 event\(s\)\) already uploaded, 1 \(1 event\(s\)\) rejected/);
+  assert.match(report, /1 +2026-10-01T00:00Z +C1 \/ S1 \/ Call +2 +5 +uploaded/);
+});
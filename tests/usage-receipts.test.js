@@ -0,0 +1,96 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-receipts-test-'));
+process.env.NUE_CONFIG_DIR = configDir;
+
+const { UsageReceipts } = require('../src/services/usage-receipts');
+const UploadUsageCommand = require('../src/commands/lifecycle/usage/upload');
+
+after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+const usage = (count, offset = 0) => ({
+  transactionId: null,
+  valid: Array.from({ length: count }, (_, index) => ({
+    position: index + 1,
+    record: { customerId: 'C1', uom: 'Call', quantity: offset + index + 1, timestamp: '2026-10-01T00:00:00Z' }
+  }))
+});
+
+// A usage API that records each request and can lose the response of one of them
+function createLifecycleManager({ loseResponseOf } = {}) {
+  const requests = [];
+  return {
+    requests,
+    uploadUsage: async payload => {
+      requests.push(payload);
+      if (requests.length === loseResponseOf) {
+        const error = new Error('socket hang up');
+        error.code = 'ECONNRESET';
+        throw error;
+      }
+      return { data: { errors: [] } };
+    }
+  };
+}
+
+function createCommand(connection, resumed) {
+  const command = new UploadUsageCommand();
+  command.connection = connection;
+  command.resumed = resumed;
+  return command;
+}
+
+test('names the store after the environment and API root, not the profile', () => {
+  const name = connection => UsageReceipts.getStoreName({ environment: 'production', baseUrl: null, profile: null, ...connection });
+  assert.strictEqual(name({}), 'production');
+  assert.strictEqual(name({ profile: 'prod' }), 'production');
+  assert.strictEqual(name({ profile: 'prod', baseUrl: 'https://api.nue.io/' }), 'production');
+  assert.strictEqual(name({ environment: 'sandbox' }), 'sandbox');
+  assert.strictEqual(name({ baseUrl: 'http://localhost:4010' }), 'production@localhost_4010');
+  assert.strictEqual(name({ profile: 'eu', baseUrl: 'https://eu.example.com/nue/' }), 'production@eu.example.com_nue');
+});
+
+test('fingerprints records whatever the order of their fields', () => {
+  assert.strictEqual(UsageReceipts.fingerprint({ a: 1, b: { c: 2, d: 3 } }), UsageReceipts.fingerprint({ b: { d: 3, c: 2 }, a: 1 }));
+  assert.notStrictEqual(UsageReceipts.fingerprint({ a: 1 }), UsageReceipts.fingerprint({ a: 2 }));
+});
+
+test('skips records accepted before, whichever profile uploaded them', async () => {
+  const api = createLifecycleManager();
+  await createCommand({ environment: 'sandbox', profile: 'uat' }).uploadRecords(usage(3), api, {});
+  const summary = await createCommand({ environment: 'sandbox', profile: null }).uploadRecords(usage(4), api, {});
+
+  assert.strictEqual(summary.skipped, 3);
+  assert.strictEqual(summary.uploaded, 1);
+  assert.deepStrictEqual(api.requests[1].data.map(record => record.quantity), [4]);
+
+  const forced = await createCommand({ environment: 'sandbox' }).uploadRecords(usage(2), api, { force: true });
+  assert.strictEqual(forced.uploaded, 2);
+});
+
+test('resends a batch whose response was lost with the same records and transaction ID', async () => {
+  const connection = { environment: 'production', baseUrl: 'http://localhost:4999' };
+  const api = createLifecycleManager({ loseResponseOf: 2 });
+  await assert.rejects(createCommand(connection).uploadRecords(usage(2500), api, {}), /1000 record\(s\) were accepted before the failure/);
+
+  const store = new UsageReceipts(connection);
+  const upload = store.findResumable();
+  assert.strictEqual(upload.state, 'interrupted');
+  assert.deepStrictEqual(upload.sentBatches.map(batch => batch.transactionId), [`${upload.uploadId}-2`]);
+
+  const summary = await createCommand(connection, upload).uploadRecords(usage(2500), api, {});
+  assert.strictEqual(summary.uploaded, 1500);
+  assert.deepStrictEqual(api.requests.map(request => request.transactionId),
+    [upload.uploadId, `${upload.uploadId}-2`, `${upload.uploadId}-2`, `${upload.uploadId}-3`]);
+  assert.deepStrictEqual(api.requests[2].data, api.requests[1].data);
+
+  const completed = store.getUpload(upload.uploadId);
+  assert.strictEqual(completed.state, 'completed');
+  assert.strictEqual(completed.accepted, 2500);
+  assert.deepStrictEqual(completed.sentBatches, []);
+  assert.strictEqual(store.findResumable(), null);
+});
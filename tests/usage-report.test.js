@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { UsageReport } = require('../src/services/usage-report');
+
+const periods = (startDate, endDate, granularity) => new UsageReport({ startDate, endDate, granularity }).getPeriods();
+
+test('lists every UTC period of the range, partial ones included', () => {
+  assert.deepStrictEqual(periods('2026-10-01', '2026-10-03', 'daily'), ['2026-10-01', '2026-10-02', '2026-10-03']);
+  assert.deepStrictEqual(periods('2026-09-30', '2026-10-12', 'weekly'), ['2026-09-28', '2026-10-05', '2026-10-12']);
+  assert.deepStrictEqual(periods('2026-09-15', '2026-11-01', 'MONTHLY'), ['2026-09', '2026-10', '2026-11']);
+
+  const hours = periods('2026-10-01', '2026-10-01', 'hourly');
+  assert.strictEqual(hours.length, 24);
+  assert.strictEqual(hours[0], '2026-10-01T00:00Z');
+  assert.strictEqual(hours[23], '2026-10-01T23:00Z');
+});
+
+test('rejects bad dates, ranges, granularities and formats', () => {
+  assert.throws(() => new UsageReport({ startDate: '2026-10-01', endDate: '01/10/2026' }), /--end-date must be a date \(YYYY-MM-DD\), got '01\/10\/2026'/);
+  assert.throws(() => new UsageReport({ startDate: '2026-10-02', endDate: '2026-10-01' }), /--start-date 2026-10-02 is after --end-date 2026-10-01/);
+  assert.throws(() => new UsageReport({ granularity: 'yearly' }), /Invalid granularity 'yearly'/);
+  assert.throws(() => new UsageReport({ format: 'xml' }), /Invalid format 'xml'/);
+  assert.strictEqual(new UsageReport({ endDate: '2026-10-30' }).startDate, '2026-10-01');
+});
+
+test('draws a sparkline scaled to the largest value, with gaps for empty periods', () => {
+  assert.strictEqual(UsageReport.sparkline([0, 1, 2, 4, 8]), ' ▂▃▅█');
+  assert.strictEqual(UsageReport.sparkline([0, 0, 0]), '   ');
+  assert.strictEqual(UsageReport.sparkline([]), '');
+
+  // Longer series are summed pairwise (or more) into at most 60 columns
+  const long = UsageReport.sparkline(Array.from({ length: 120 }, (_, index) => (index < 60 ? 1 : 3)));
+  assert.strictEqual(long.length, 60);
+  assert.strictEqual(long, '▃'.repeat(30) + '█'.repeat(30));
+});
+
+test('sums usage per product and UOM and renders it', () => {
+  const report = new UsageReport({ startDate: '2026-10-01', endDate: '2026-10-03' });
+  report.addResponse({ data: { usage: [
+    { timestamp: '2026-10-01T05:00:00Z', uom: 'Call', quantity: '2' },
+    { timestamp: '2026-10-01T06:00:00Z', uom: 'Call', quantity: 0.1 },
+    { date: '2026-10-03', uom: 'Call', quantity: 0.2 },
+    { date: 'not a date', uom: 'Call', quantity: 5 }
+  ] } }, 'API');
+  report.addResponse([{ date: '2026-10-02', productName: 'Storage', uom: 'GB', quantity: 10 }]);
+
+  assert.deepStrictEqual(report.getTotals(), [
+    { product: 'API', uom: 'Call', values: [2.1, 0, 0.2], total: 2.3 },
+    { product: 'Storage', uom: 'GB', values: [0, 10, 0], total: 10 }
+  ]);
+  assert.strictEqual(report.format('csv').split('\n')[0], 'product,uom,2026-10-01,2026-10-02,2026-10-03,total');
+  assert.deepStrictEqual(JSON.parse(report.format('json', { customerId: 'C1' })).periods, ['2026-10-01', '2026-10-02', '2026-10-03']);
+  assert.match(report.format('table', { title: 'Customer C1' }), /Customer C1, 2026-10-01 to 2026-10-03 \(daily\)/);
+});
@@ -0,0 +1,64 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nue-usage-test-'));
+process.env.NUE_CONFIG_DIR = configDir;
+
+const UploadUsageCommand = require('../src/commands/lifecycle/usage/upload');
+
+after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+function writeFile(name, content) {
+  const file = path.join(configDir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+const EXPECTED = [
+  { record: { customerId: 'C1', uom: 'Call', quantity: 3, timestamp: '2026-10-01T00:00:00Z', properties: { region: 'eu' } }, position: 1 },
+  { record: { subscriptionId: 'S2', uom: 'Call', quantity: 1.5, timestamp: '2026-10-02T00:00:00Z' }, position: 2 }
+];
+
+test('reads CSV usage and converts the cells to the Usage field types', async () => {
+  const file = writeFile('usage.csv', [
+    'customerId,subscriptionId,uom,quantity,timestamp,properties',
+    'C1,,Call,3,2026-10-01T00:00:00Z,"{""region"":""eu""}"',
+    ',S2,Call,1.5,2026-10-02T00:00:00Z,'
+  ].join('\n'));
+  const usage = await new UploadUsageCommand().loadUsage({ file });
+  assert.deepStrictEqual(usage, { transactionId: null, valid: EXPECTED, errors: [] });
+});
+
+test('reads JSONL and JSON usage, keeping the transaction ID of a JSON payload', async () => {
+  const records = EXPECTED.map(item => item.record);
+  const jsonl = writeFile('usage.ndjson', records.map(record => JSON.stringify(record)).join('\n') + '\n');
+  assert.deepStrictEqual((await new UploadUsageCommand().loadUsage({ file: jsonl })).valid, EXPECTED);
+
+  const json = writeFile('usage.json', JSON.stringify({ transactionId: 'tx-1', data: records }));
+  const usage = await new UploadUsageCommand().loadUsage({ file: json });
+  assert.strictEqual(usage.transactionId, 'tx-1');
+  assert.deepStrictEqual(usage.valid, EXPECTED);
+
+  const text = writeFile('usage.txt', JSON.stringify(records));
+  assert.deepStrictEqual((await new UploadUsageCommand().loadUsage({ file: text, format: 'JSON' })).valid, EXPECTED);
+});
+
+test('reports every problem of a row by its position and keeps the valid rows', async () => {
+  const file = writeFile('invalid.csv', [
+    'customerId,uom,quantity,timestamp,region',
+    'C1,Call,3,2026-10-01T00:00:00Z,',
+    ',Call,lots,yesterday,eu'
+  ].join('\n'));
+  const usage = await new UploadUsageCommand().loadUsage({ file });
+  assert.deepStrictEqual(usage.valid.map(item => item.position), [1]);
+  assert.deepStrictEqual(usage.errors.map(error => `${error.position} ${error.field}`), [
+    '2 quantity', '2 timestamp', '2 region', '2 customerId'
+  ]);
+});
+
+test('rejects unknown formats', () => {
+  assert.throws(() => new UploadUsageCommand().getFormat({ file: 'usage.csv', format: 'xml' }), /Unsupported usage file format 'xml'/);
+});